@@ -1,114 +1,632 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { UploadCloud, Image as ImageIcon, Sparkles, Download, RotateCcw } from 'lucide-react'; // Using Sparkles icon
+import { UploadCloud, Image as ImageIcon, Sparkles, Download, RotateCcw, Archive, Columns2, Crop, XCircle, Camera, FileDown, LogIn, LogOut, Paintbrush, SlidersHorizontal, Keyboard } from 'lucide-react'; // Using Sparkles icon
+import { cartoonizeImage } from './api/cartoonize';
+import { describeError, errorMessage, RequestCancelledError, BackendUnreachableError, RequestTimeoutError, AuthenticationError, QuotaExceededError } from './api/errors';
+import { PROCESSING_MODE, cartoonizeViaJob, resumeJob } from './api/jobs';
+import { dropExpiredJobs, savePendingJob, updatePendingJob, removePendingJob, blobToDataUrl, dataUrlToFile } from './utils/pendingJobs';
+import { downloadFile } from './utils/download';
+import { buildResultsZip, zipFileName } from './utils/zipExport';
+import useBatchQueue, { DEFAULT_CONCURRENCY } from './hooks/useBatchQueue';
+import BatchQueue from './components/BatchQueue';
+import StyleGallery from './components/StyleGallery';
+import useStyleCatalog from './hooks/useStyleCatalog';
+import useStyleParams from './hooks/useStyleParams';
+import StyleParamsForm from './components/StyleParamsForm';
+import StyleComparison from './components/StyleComparison';
+import ComparisonViewer from './components/ComparisonViewer';
+import ImageEditor from './components/ImageEditor';
+import MaskEditor from './components/MaskEditor';
+import ResultEditor from './components/ResultEditor';
+import { cartoonizeWithMask, hasMask, MASK_MODE } from './utils/mask';
+import { preprocessImage } from './utils/imagePreprocess';
+import useStyleComparison from './hooks/useStyleComparison';
+import useRequestProgress from './hooks/useRequestProgress';
+import ProgressDetails from './components/ProgressDetails';
+import CameraCapture from './components/CameraCapture';
+import { isCameraSupported } from './utils/camera';
+import { validateImage, ImageValidationError, describeRejection, dropzoneAccept, describeFormats } from './utils/validateImage';
+import usePasteImage from './hooks/usePasteImage';
+import UrlImport from './components/UrlImport';
+import ShareButtons from './components/ShareButtons';
+import ExportDialog from './components/ExportDialog';
+import { EXPORT_FORMATS, DEFAULT_FILENAME_TEMPLATE, formatFileName } from './utils/exportImage';
+import useHistory from './hooks/useHistory';
+import HistoryPanel from './components/HistoryPanel';
+import useOutbox from './hooks/useOutbox';
+import OutboxStatus from './components/OutboxStatus';
+import useBackend from './hooks/useBackend';
+import useBackendHealth from './hooks/useBackendHealth';
+import HealthBadge from './components/HealthBadge';
+import BackendSettings from './components/BackendSettings';
+import useAuth from './hooks/useAuth';
+import useWorkflow, { canTransition } from './hooks/useWorkflow';
+import useObjectUrl from './hooks/useObjectUrl';
+import useProcessingEngine from './hooks/useProcessingEngine';
+import EngineToggle from './components/EngineToggle';
+import { cartoonizeLocally, isLocalEngineSupported, isLocalStyle } from './utils/localCartoonizer';
+import SignInDialog from './components/SignInDialog';
+import QuotaNotice from './components/QuotaNotice';
+import { serializeParams } from './utils/styleParams';
+import useLocale from './hooks/useLocale';
+import LocaleSwitcher from './components/LocaleSwitcher';
+import useAccessibility from './hooks/useAccessibility';
+import useKeyboardShortcuts from './hooks/useKeyboardShortcuts';
+import ShortcutsDialog from './components/ShortcutsDialog';
+
+let nextResultId = 0; // Ties a result to its session export and history entries
 
 // Main App Component
 const App = () => {
-  const [originalImageFile, setOriginalImageFile] = useState(null); // Stores the actual File object
-  const [originalImageUrl, setOriginalImageUrl] = useState(null); // Stores the URL for displaying the original image
-  const [cartoonImage, setCartoonImage] = useState(null); // Stores the URL for displaying the cartoonized image
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  // Upload → configure → process → result, as a state machine (see hooks/useWorkflow)
+  const i18n = useLocale(); // Language, text direction and translations
+  const { t } = i18n;
+  const flow = useWorkflow();
+  const { dispatch } = flow;
+  const sourceImageFile = flow.source; // The file exactly as it was dropped
+  const preprocessSettings = flow.settings; // Crop/rotate/resize applied to it
+  const originalImageFile = flow.original; // The upload-ready File object
+  const cartoonResult = flow.result; // { blob, originalName, style, record }, plus { base, edits } once retouched
+  const [isValidatingBatch, setIsValidatingBatch] = useState(false);
+  const isPreparing = flow.status === 'preprocessing' || isValidatingBatch; // Validating, orienting and downscaling images
+  const isLoading = flow.isBusy; // A cartoonize request is in flight
+  const originalImageUrl = useObjectUrl(originalImageFile);
+  const cartoonImage = useObjectUrl(cartoonResult && cartoonResult.blob);
+  const [notice, setNotice] = useState(null); // Problems outside the single-image flow (rejected drops, ZIP export)
+  const error = flow.error || notice;
+  const [isEditing, setIsEditing] = useState(false); // Crop/rotate editor open
+  const [isMasking, setIsMasking] = useState(false); // Mask brush editor open
+  const [isRetouching, setIsRetouching] = useState(false); // Result editor open (adjustments, captions, frames)
+  const mask = flow.mask && hasMask(flow.mask) ? flow.mask : null; // Strokes limiting the style to part of the image
+  const [isUsingCamera, setIsUsingCamera] = useState(false); // Live camera preview instead of the dropzone
+  const [isExporting, setIsExporting] = useState(false); // Export dialog open
+  const [shareMessage, setShareMessage] = useState(null); // Outcome of the last copy/share
   const [selectedStyle, setSelectedStyle] = useState('whitebox'); // Default style
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY); // Parallel requests in batch mode
+  const [sessionResults, setSessionResults] = useState([]); // Every result produced this session, for ZIP export
+  const [isZipping, setIsZipping] = useState(false);
+  const [isComparing, setIsComparing] = useState(false); // Compare-styles mode for the uploaded image
+  const requestControllerRef = useRef(null); // Aborts the in-flight cartoonize request
+  const requestProgress = useRequestProgress(); // Upload/processing progress of the current request
+  const [outboxNotices, setOutboxNotices] = useState([]); // Outcomes of requests replayed from the outbox
+  const [isBackendSettingsOpen, setIsBackendSettingsOpen] = useState(false);
+  const accessibility = useAccessibility(); // Reduced motion and keyboard shortcut preferences
+  const [isShowingShortcuts, setIsShowingShortcuts] = useState(false); // Keyboard & accessibility dialog open
+  const generateButtonRef = useRef(null);
+  const downloadButtonRef = useRef(null);
 
-  // Available cartoonization styles from your backend (based on cartoonizer.py)
-  const availableStyles = [
-    { value: 'whitebox', label: 'Whitebox' },
-    { value: 'sketch', label: 'Sketch' },
-    { value: 'oilpaint', label: 'Oil Paint' },
-  ];
+  // Backend selected from config.json, and whether it is reachable
+  const { backend, backends, select: selectBackend } = useBackend();
+  const backendHealth = useBackendHealth(backend);
+  const auth = useAuth(backend); // Credentials for backends behind a gateway
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [quota, setQuota] = useState(null); // { resetAt } after a 429; resetAt is null when unknown
+  const [engine, setEngine] = useProcessingEngine(); // 'server' or 'local' (on-device fallback)
+  const isLocal = engine === 'local';
+  const needsSignIn = !isLocal && auth.config.type !== 'none' && !auth.isSignedIn;
+  const isQuotaBlocked = !isLocal && Boolean(quota && quota.resetAt !== null);
 
-  // Effect to clean up object URLs to prevent memory leaks
-  useEffect(() => {
-    return () => {
-      if (originalImageUrl) URL.revokeObjectURL(originalImageUrl);
-      if (cartoonImage) URL.revokeObjectURL(cartoonImage);
-    };
-  }, [originalImageUrl, cartoonImage]);
+  const history = useHistory(); // Results saved across visits
+  const { add: addToHistory } = history;
 
-  // Function to handle the actual cartoonization request to the backend
-  const handleCartoonize = async () => {
-    if (!originalImageFile) {
-      setError('Please upload an image first.');
-      return;
+  // Keeps a result around for the session export even after the UI has been reset,
+  // and saves it to the persistent history. Returns the record; recording it again with the same
+  // id (after editing the result) replaces the earlier version in both places.
+  const recordResult = useCallback((result) => {
+    const record = { ...result, id: result.id || `result-${Date.now()}-${nextResultId++}` };
+    setSessionResults((prev) => (prev.some((item) => item.id === record.id)
+      ? prev.map((item) => (item.id === record.id ? record : item))
+      : [...prev, record]));
+    addToHistory({
+      id: record.id,
+      originalName: result.originalName,
+      style: result.style,
+      params: result.params,
+      original: result.original,
+      result: result.blob,
+      createdAt: result.processedAt,
+    });
+    return record;
+  }, [addToHistory]);
+
+  // Available cartoonization styles, loaded from the backend's style catalog
+  const { styles: availableStyles, source: stylesSource, reload: reloadStyles } = useStyleCatalog(backend.id);
+  const selectedStyleInfo = availableStyles.find((style) => style.id === selectedStyle);
+  const styleLabel = (id) => {
+    const info = availableStyles.find((style) => style.id === id);
+    return info ? info.label : id;
+  };
+
+  // Tunable parameters for the selected style (remembered per style)
+  const styleParams = useStyleParams(selectedStyleInfo);
+  const requestParams = useMemo(
+    () => serializeParams(styleParams.schema, styleParams.values),
+    [styleParams.schema, styleParams.values]
+  );
+
+  // Orients (EXIF) and downscales an image before it is shown and uploaded
+  const prepareImage = useCallback(async (file, settings) => {
+    try {
+      return await preprocessImage(file, settings);
+    } catch (err) {
+      console.error("Error preprocessing image, uploading it unchanged:", err);
+      return file;
     }
+  }, []);
+
+  // Requests made while the backend was unreachable, replayed once it is back
+  const addOutboxNotice = (message, isError = false) => {
+    setOutboxNotices((prev) => [...prev, { id: `${Date.now()}-${prev.length}`, message, isError }]);
+  };
+  const outbox = useOutbox({
+    // The outbox retries on its own schedule, so each replay is a single attempt
+    send: (item, signal) => cartoonizeWithMask(item.file, item.mask, (maskPng) => (PROCESSING_MODE === 'job'
+      ? cartoonizeViaJob(item.file, item.style, { params: item.params, mask: maskPng, signal })
+      : cartoonizeImage(item.file, item.style, { params: item.params, mask: maskPng, signal, retries: 0 }))),
+    onResult: (item, blob) => {
+      recordResult({ originalName: item.originalName, style: item.style, params: item.params, original: item.file, blob, processedAt: new Date().toISOString() });
+      addOutboxNotice(t('outbox.done', { name: item.originalName, style: styleLabel(item.style) }));
+    },
+    onError: (item, err) => {
+      console.error("Error replaying queued request:", err);
+      addOutboxNotice(t('outbox.failed', { name: item.originalName, reason: describeError(err) }), true);
+    },
+  });
 
-    setCartoonImage(null); // Clear previous cartoonized image
-    setError(null);       // Clear any previous errors
-    setIsLoading(true);   // Start loading indicator
+  // Sends an image through the selected engine, for compare and batch mode. A mask limits the
+  // style to the painted area; the on-device engine can't take one, so it is composited here.
+  const sendImage = (file, style, { params, signal, mask: imageMask = null }) => cartoonizeWithMask(file, imageMask, (maskPng) => {
+    if (isLocal) return cartoonizeLocally(file, style, { params, signal });
+    return PROCESSING_MODE === 'job'
+      ? cartoonizeViaJob(file, style, { params, mask: maskPng, signal })
+      : cartoonizeImage(file, style, { params, mask: maskPng, signal });
+  }, { mode: isLocal ? 'client' : MASK_MODE });
 
-    const formData = new FormData();
-    formData.append('file', originalImageFile); // Use the stored File object
-    formData.append('style', selectedStyle); // Append the selected style
+  // What any failed request may call for: a fresh health check, signing in, or waiting for the quota
+  const noteRequestError = (err) => {
+    if (err instanceof BackendUnreachableError) backendHealth.check(); // Update the header badge right away
+    if (err instanceof AuthenticationError && auth.config.type !== 'none') setIsSigningIn(true);
+    if (err instanceof QuotaExceededError) setQuota({ resetAt: err.retryAfterMs !== null ? Date.now() + err.retryAfterMs : null });
+  };
+
+  const comparison = useStyleComparison({
+    send: (file, style, options) => sendImage(file, style, { ...options, mask }),
+    onError: noteRequestError,
+  });
+  const { clear: clearComparison } = comparison;
+
+  const batchQueue = useBatchQueue({
+    style: selectedStyle,
+    params: requestParams,
+    concurrency,
+    onResult: recordResult,
+    onError: noteRequestError,
+    prepare: prepareImage,
+    send: sendImage,
+  });
+  const { addFiles: addBatchFiles, pausedBy: batchPausedBy, resume: resumeBatch } = batchQueue;
+  const isBatchMode = batchQueue.items.length > 0;
+  // A resumed job may have a result (or be running) without a stored original
+  const hasSingleImage = Boolean(originalImageFile || cartoonResult || isLoading);
+
+  // Keep the selection valid when the catalog changes
+  useEffect(() => {
+    if (!availableStyles.some((style) => style.id === selectedStyle)) {
+      setSelectedStyle(availableStyles[0].id);
+    }
+  }, [availableStyles, selectedStyle]);
+
+  // A batch paused by a 401 or 429 carries on once the user has signed in or the quota has reset
+  useEffect(() => {
+    if (batchPausedBy === 'signIn' && (auth.isSignedIn || isLocal)) resumeBatch();
+    if (batchPausedBy === 'quota' && (!quota || isLocal)) resumeBatch();
+  }, [batchPausedBy, auth.isSignedIn, quota, isLocal, resumeBatch]);
+
+  // Copy/share notes fade out after a few seconds
+  useEffect(() => {
+    if (!shareMessage) return undefined;
+    const timer = setTimeout(() => setShareMessage(null), 5000);
+    return () => clearTimeout(timer);
+  }, [shareMessage]);
+
+  const closeExportDialog = useCallback(() => setIsExporting(false), []);
+  const closeBackendSettings = useCallback(() => setIsBackendSettingsOpen(false), []);
+  const closeSignIn = useCallback(() => setIsSigningIn(false), []);
+  const closeShortcuts = useCallback(() => setIsShowingShortcuts(false), []);
+  const clearQuota = useCallback(() => setQuota(null), []);
+
+  // Download name for the current result, with the extension of its actual type
+  const resultFileName = () => {
+    const format = Object.values(EXPORT_FORMATS).find((entry) => entry.type === cartoonResult.blob.type);
+    return formatFileName(DEFAULT_FILENAME_TEMPLATE, {
+      original: cartoonResult.originalName,
+      style: cartoonResult.style,
+      ext: format ? format.extension : 'png',
+    });
+  };
+
+  // Cancel the in-flight request if the app unmounts
+  useEffect(() => () => {
+    if (requestControllerRef.current) requestControllerRef.current.abort();
+  }, []);
+
+  // Aborts the in-flight cartoonize request, if any
+  const cancelRequest = () => {
+    if (!requestControllerRef.current) return;
+    requestControllerRef.current.abort();
+    requestControllerRef.current = null;
+    requestProgress.end();
+    dispatch({ type: 'CANCEL' });
+  };
+
+  // The request has sent every byte once progress moves on to the processing phase
+  const progressPhase = requestProgress.progress && requestProgress.progress.phase;
+  useEffect(() => {
+    if (progressPhase === 'processing') dispatch({ type: 'UPLOADED' });
+  }, [progressPhase, dispatch]);
+
+  // Shared request lifecycle: cancellation, progress and error reporting. The caller has already
+  // moved the workflow to uploading (SUBMIT) or processing (RESUME).
+  // runner(signal, progressOptions) resolves with the result Blob; meta describes the result.
+  // With queueWhenOffline, a request that can't reach the backend is queued in the outbox.
+  const executeRequest = async (runner, meta, { uploading = true, queueWhenOffline = false } = {}) => {
+    const controller = new AbortController();
+    if (requestControllerRef.current) requestControllerRef.current.abort(); // A superseded request must not record a result
+    requestControllerRef.current = controller;
+    const progressOptions = requestProgress.begin({ uploading });
+    // Only the latest request may move the workflow on
+    const isCurrent = () => requestControllerRef.current === controller;
 
     try {
-      // Use an environment variable for the backend URL
-      // Default to a local URL if the environment variable is not set (e.g., during local dev)
-      const backendUrl = process.env.REACT_APP_BACKEND_URL || 'http://127.0.0.1:8000/cartoonize/'; 
-      const response = await fetch(backendUrl, {
-        method: 'POST',
-        body: formData,
-      });
+      const imageBlob = await runner(controller.signal, progressOptions);
+      const record = recordResult({ ...meta, blob: imageBlob, processedAt: new Date().toISOString() });
+      const result = { blob: imageBlob, originalName: meta.originalName, style: meta.style, record };
+      if (isCurrent()) dispatch({ type: 'SUCCEED', result });
+      return true;
 
-      if (!response.ok) {
-        let errorMessage = `Server responded with ${response.status} ${response.statusText}.`;
+    } catch (err) {
+      if (err instanceof RequestCancelledError || !isCurrent()) return false; // Cancelled or superseded; nothing to report
+      console.error("Error cartoonizing image:", err);
+      noteRequestError(err);
+      // A timeout means the backend got the request, so only connection failures are queued
+      const isOffline = err instanceof BackendUnreachableError && !(err instanceof RequestTimeoutError);
+      if (queueWhenOffline && isOffline && outbox.isAvailable && meta.original) {
         try {
-          const errorData = await response.json();
-          if (errorData.detail) {
-            errorMessage += ` Detail: ${errorData.detail}`;
-          }
-        } catch (jsonError) {
-          console.error("Error parsing backend error response:", jsonError);
+          await outbox.enqueue({ originalName: meta.originalName, style: meta.style, params: meta.params, mask: meta.mask, file: meta.original });
+          dispatch({ type: 'FAIL', error: t('error.queued') });
+          return false;
+        } catch (queueErr) {
+          console.error("Error queueing request:", queueErr);
         }
-        throw new Error(errorMessage);
       }
-      
-      const imageBlob = await response.blob();
-      setCartoonImage(URL.createObjectURL(imageBlob)); // Set the cartoonized image URL
+      dispatch({ type: 'FAIL', error: t('error.cartoonizeFailed', { reason: describeError(err) }) });
+      return false;
+    } finally {
+      if (isCurrent()) {
+        requestControllerRef.current = null;
+        requestProgress.end();
+      }
+    }
+  };
 
-    } catch (err) {
-      console.error("Error cartoonizing image:", err);
-      setError(`Failed to cartoonize image. Please ensure the backend server is running and accessible. ${err.message}`);
+  // Function to handle the actual cartoonization request to the backend
+  const handleCartoonize = async () => {
+    if (!canTransition(flow, 'SUBMIT')) return;
+    if (!styleParams.isValid) {
+      setNotice(t('error.fixSettings'));
+      return;
+    }
+    if (needsSignIn) {
+      setIsSigningIn(true);
+      return;
+    }
+
+    const file = originalImageFile;
+    const style = selectedStyle;
+    const params = requestParams;
+    const onRetry = ({ attempt }) => dispatch({ type: 'RETRY', attempt });
+    let jobId = null;
+
+    // maskPng is set when the backend applies the mask itself (see ./utils/mask)
+    const send = (signal, progressOptions, maskPng) => {
+      if (isLocal) {
+        // On-device engine: nothing to upload, stages come from the worker
+        return cartoonizeLocally(file, style, { params, signal, onProgress: requestProgress.report });
+      }
+      if (PROCESSING_MODE !== 'job') {
+        return cartoonizeImage(file, style, { ...progressOptions, params, mask: maskPng, signal, onRetry });
+      }
+      // Job mode: remember the job so a reload can pick it up again
+      return cartoonizeViaJob(file, style, {
+        params,
+        mask: maskPng,
+        signal,
+        onStatus: (status) => requestProgress.report({ stage: status.stage || status.status, progress: status.progress }),
+        onSubmitted: (id) => {
+          jobId = id;
+          savePendingJob({ id, style, params, originalName: file.name, submittedAt: new Date().toISOString() });
+          // A small preview lets a resumed job show its before/after view
+          preprocessImage(file, { maxDimension: 512 })
+            .then(blobToDataUrl)
+            .then((preview) => updatePendingJob(id, { preview }))
+            .catch((err) => console.error("Error saving job preview:", err));
+        },
+      });
+    };
+
+    // The on-device engine can't take a mask, so its result is always composited in the browser
+    const maskMode = isLocal ? 'client' : MASK_MODE;
+    const runner = (signal, progressOptions) => cartoonizeWithMask(file, mask, (maskPng) => send(signal, progressOptions, maskPng), { mode: maskMode });
+
+    setNotice(null);
+    dispatch({ type: 'SUBMIT' });
+    try {
+      // Job submissions report no upload progress; their stages come from the status polls
+      await executeRequest(runner, { originalName: file.name, style, params, mask, original: file }, {
+        uploading: !isLocal && PROCESSING_MODE !== 'job',
+        queueWhenOffline: !isLocal,
+      });
     } finally {
-      setIsLoading(false); // End loading indicator
+      // Finished, failed or cancelled: either way there is nothing left to resume
+      if (jobId) removePendingJob(jobId);
     }
   };
 
-  // Callback for react-dropzone when files are dropped or selected
-  const onDrop = useCallback((acceptedFiles) => {
-    const file = acceptedFiles[0];
-    if (file && file.type.startsWith('image/')) {
-        // Clean up previous original image URL if exists
-        if (originalImageUrl) URL.revokeObjectURL(originalImageUrl);
-        
-        setOriginalImageFile(file); // Store the file object
-        setOriginalImageUrl(URL.createObjectURL(file)); // Create URL for display
-        setCartoonImage(null); // Reset cartoonized image
-        setError(null);        // Clear errors
-        setIsLoading(false);   // Ensure loading is false
-    } else {
-        setError('Please upload a valid image file (PNG, JPG, etc.).');
+  // Picks up a job submitted before the page was reloaded, in the workspace. isActive() turns false
+  // when the app unmounts; the job is then kept for the next visit instead of being forgotten.
+  const resumePendingJob = (job, isActive) => {
+    const file = job.preview ? dataUrlToFile(job.preview, job.originalName) : null;
+    dispatch({ type: 'RESUME', original: file });
+    if (job.style) setSelectedStyle(job.style);
+
+    const runner = (signal) => resumeJob(job.id, {
+      signal,
+      onStatus: (status) => requestProgress.report({ stage: status.stage || status.status, progress: status.progress }),
+    });
+    executeRequest(runner, { originalName: job.originalName, style: job.style, params: job.params, original: file }, { uploading: false })
+      .finally(() => {
+        if (isActive()) removePendingJob(job.id);
+      });
+  };
+
+  // Older unfinished jobs finish in the background: the result goes to the history and a notice
+  // says so, like a replayed outbox request
+  const resumeJobInBackground = (job, signal) => {
+    const file = job.preview ? dataUrlToFile(job.preview, job.originalName) : null;
+    resumeJob(job.id, { signal })
+      .then((blob) => {
+        recordResult({ originalName: job.originalName, style: job.style, params: job.params, original: file, blob, processedAt: new Date().toISOString() });
+        addOutboxNotice(t('jobs.resumedDone', { name: job.originalName, style: styleLabel(job.style) }));
+        removePendingJob(job.id);
+      })
+      .catch((err) => {
+        if (err instanceof RequestCancelledError) return; // Unmounted; resumed on the next visit
+        console.error("Error resuming job:", err);
+        addOutboxNotice(t('jobs.resumedFailed', { name: job.originalName, reason: describeError(err) }), true);
+        removePendingJob(job.id);
+      });
+  };
+  const resumePendingJobsRef = useRef(null);
+  resumePendingJobsRef.current = { resumePendingJob, resumeJobInBackground };
+
+  // Resume every unfinished job from a previous visit: the most recent one in the workspace, the
+  // rest in the background. The guard keeps this to one resumption per mount; StrictMode's extra
+  // mount first aborts the earlier requests (see the cleanup), so no result is recorded twice.
+  const hasResumedRef = useRef(false);
+  useEffect(() => {
+    if (hasResumedRef.current) return undefined;
+    hasResumedRef.current = true;
+    const pending = dropExpiredJobs();
+    if (pending.length === 0) return undefined;
+
+    let active = true;
+    const background = new AbortController();
+    const latest = pending[pending.length - 1];
+    pending.slice(0, -1).forEach((job) => resumePendingJobsRef.current.resumeJobInBackground(job, background.signal));
+    resumePendingJobsRef.current.resumePendingJob(latest, () => active);
+    return () => {
+      active = false;
+      background.abort();
+      hasResumedRef.current = false;
+    };
+  }, []);
+
+  // Validates (and if needed converts) a single image, then makes it the current upload
+  const loadImage = useCallback((file) => {
+    dispatch({ type: 'LOAD' });
+    setNotice(null);
+
+    validateImage(file).then(async (valid) => {
+      const prepared = await prepareImage(valid);
+      dispatch({ type: 'LOADED', source: valid, original: prepared });
+      clearComparison();     // Comparison results belong to the previous image
+      setIsComparing(false);
+    }).catch((err) => {
+      if (!(err instanceof ImageValidationError)) console.error("Error loading image:", err);
+      dispatch({ type: 'FAIL', error: errorMessage(err) });
+    });
+  }, [dispatch, clearComparison, prepareImage]);
+
+  // Validates several images for batch mode; invalid ones are left out and reported
+  const loadBatch = useCallback(async (files, problems = []) => {
+    setIsValidatingBatch(true);
+    setNotice(null);
+    const outcomes = await Promise.allSettled(files.map((file) => validateImage(file)));
+    const valid = outcomes.filter((outcome) => outcome.status === 'fulfilled').map((outcome) => outcome.value);
+    const rejected = outcomes.filter((outcome) => outcome.status === 'rejected').map((outcome) => outcome.reason.message);
+    if (valid.length > 0) addBatchFiles(valid);
+    setIsValidatingBatch(false);
+    if (problems.length + rejected.length > 0) setNotice([...problems, ...rejected].join(' '));
+  }, [addBatchFiles]);
+
+  // Callback for react-dropzone when files are dropped or selected; files of the wrong type
+  // arrive in fileRejections and are reported instead of silently ignored
+  const onDrop = useCallback((acceptedFiles, fileRejections = []) => {
+    const problems = fileRejections.map((rejection) => describeRejection(rejection));
+
+    // Several images switch the app into batch mode
+    if (acceptedFiles.length > 1) {
+        loadBatch(acceptedFiles, problems);
+        return;
     }
-  }, [originalImageUrl]); // Dependency for revoking old URL
+
+    if (acceptedFiles[0]) loadImage(acceptedFiles[0]);
+    if (problems.length > 0) setNotice(problems.join(' '));
+  }, [loadBatch, loadImage]);
+
+  // Pasted, imported and captured images go through the same checks as a dropped file
+  const importImage = useCallback((file) => {
+    setIsUsingCamera(false);
+    loadImage(file);
+  }, [loadImage]);
+
+  usePasteImage(importImage, { enabled: !isLoading && !isPreparing && !isBatchMode && !isEditing && !isMasking && !isRetouching });
 
   // Initialize dropzone hook
-  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+  const { getRootProps, getInputProps, isDragActive, rootRef: dropzoneRef } = useDropzone({
     onDrop,
-    accept: { 'image/*': ['.jpeg', '.jpg', '.png'] },
-    multiple: false,
+    accept: dropzoneAccept(),
+    multiple: true,
   });
 
   // Function to reset the application to its initial state
   const resetState = () => {
-    if (originalImageUrl) URL.revokeObjectURL(originalImageUrl);
-    if (cartoonImage) URL.revokeObjectURL(cartoonImage);
-
-    setOriginalImageFile(null);
-    setOriginalImageUrl(null);
-    setCartoonImage(null);
-    setIsLoading(false);
-    setError(null);
-    setSelectedStyle('whitebox'); // Reset style to default
+    cancelRequest();
+    dispatch({ type: 'RESET' });
+    setIsEditing(false);
+    setIsMasking(false);
+    setIsRetouching(false);
+    setIsUsingCamera(false);
+    setNotice(null);
+    setSelectedStyle(availableStyles[0].id); // Reset style to the catalog default
+    clearComparison();
+    setIsComparing(false);
+  };
+
+  // Move keyboard focus to where the next step happens whenever the workflow moves on (the
+  // Generate button once an image is in, Download once the result is), so keyboard and screen
+  // reader users are not left on a button that has just disappeared. Editors manage their own focus.
+  const workflowStep = isEditing || isMasking || isRetouching || isComparing ? 'editing' : flow.status;
+  const previousStepRef = useRef(workflowStep);
+  useEffect(() => {
+    if (previousStepRef.current === workflowStep) return;
+    previousStepRef.current = workflowStep;
+    const target = { idle: dropzoneRef, selected: generateButtonRef, error: generateButtonRef, done: downloadButtonRef }[workflowStep];
+    if (target && target.current) target.current.focus();
+  }, [workflowStep, dropzoneRef]);
+
+  // What the polite live region says at each step; errors go through the alert region instead
+  const statusAnnouncement = {
+    preprocessing: t('upload.preparing'),
+    selected: t('status.ready'),
+    uploading: t('workspace.applyingStyle', { style: styleLabel(selectedStyle) }),
+    processing: t('workspace.applyingStyle', { style: styleLabel(selectedStyle) }),
+    done: cartoonResult ? t('status.done', { style: styleLabel(cartoonResult.style) }) : '',
+  }[flow.status] || '';
+
+  // Single-key shortcuts press the matching on-screen button, so each one is only available
+  // while its button is shown and enabled
+  const pressButton = (ref) => {
+    if (!ref.current || ref.current.disabled) return false;
+    ref.current.click();
+    return true;
+  };
+  useKeyboardShortcuts({
+    g: () => pressButton(generateButtonRef),
+    d: () => pressButton(downloadButtonRef),
+    r: () => {
+      if (!hasSingleImage || isLoading) return false;
+      resetState();
+      return true;
+    },
+    '?': () => setIsShowingShortcuts(true),
+  }, {
+    enabled: accessibility.shortcuts && !isShowingShortcuts && !isExporting && !isSigningIn && !isBackendSettingsOpen
+      && !isEditing && !isMasking && !isRetouching && !isUsingCamera,
+  });
+
+  // Replaces the upload with the edited (cropped/rotated/resized) version
+  const handleEditApplied = (processed, settings) => {
+    dispatch({ type: 'EDIT', original: processed, settings }); // Also drops the old result and mask, which no longer match
+    setIsEditing(false);
+  };
+
+  // Mask editor's "Apply"; null means cartoonize the whole image
+  const handleMaskApplied = (strokes) => {
+    dispatch({ type: 'MASK', mask: strokes });
+    setIsMasking(false);
+  };
+
+  // Result editor's "Apply": the render replaces the result, and the unedited image is kept so the
+  // edits can be changed later. (null, null) means every edit was removed.
+  const handleRetouchApplied = (blob, edits) => {
+    const base = cartoonResult.base || cartoonResult.blob;
+    // The ZIP export and the history get the edited version in place of the plain result
+    const record = cartoonResult.record ? recordResult({ ...cartoonResult.record, blob: blob || base }) : null;
+    dispatch({ type: 'RETOUCH', result: { ...cartoonResult, blob: blob || base, base: edits ? base : null, edits, record } });
+    setIsRetouching(false);
+  };
+
+  // Batch "Start": like Generate, it asks for sign-in first when the backend needs it
+  const startBatch = () => {
+    if (needsSignIn) {
+      setIsSigningIn(true);
+      return;
+    }
+    batchQueue.start();
+  };
+
+  // Runs the uploaded image through every chosen style without uploading it again
+  const handleCompareStyles = (stylesToCompare) => {
+    if (needsSignIn) {
+      setIsSigningIn(true);
+      return;
+    }
+    setNotice(null);
+    comparison.compare(originalImageFile, stylesToCompare, styleParams.paramsFor);
+  };
+
+  // Makes the chosen comparison result the current result so it can be downloaded
+  const handlePickWinner = (styleId, result) => {
+    setSelectedStyle(styleId);
+    const record = recordResult({
+      originalName: originalImageFile.name,
+      style: styleId,
+      params: styleParams.paramsFor(availableStyles.find((style) => style.id === styleId)),
+      original: originalImageFile,
+      blob: result.blob,
+      processedAt: new Date().toISOString(),
+    });
+    dispatch({ type: 'PICK', result: { blob: result.blob, originalName: originalImageFile.name, style: styleId, record } });
+    clearComparison();
+    setIsComparing(false);
+  };
+
+  // Loads a saved original again so it can be run through another style
+  const handleRerunHistory = (entry) => {
+    cancelRequest();
+    const file = new File([entry.original], entry.originalName, { type: entry.original.type });
+    dispatch({ type: 'RESTORE', original: file });
+    setIsEditing(false);
+    setIsMasking(false);
+    setIsRetouching(false);
+    setNotice(null);
+    clearComparison();
+    setIsComparing(false);
+  };
+
+  // Bundles every result from this session into a single ZIP download
+  const handleDownloadAll = async () => {
+    setIsZipping(true);
+    try {
+      const zipBlob = await buildResultsZip(sessionResults);
+      downloadFile(zipBlob, zipFileName());
+    } catch (err) {
+      console.error("Error building ZIP archive:", err);
+      setNotice(t('error.zipFailed', { reason: errorMessage(err) }));
+    } finally {
+      setIsZipping(false);
+    }
   };
 
   // Helper function to render the content inside the cartoonized image box
@@ -116,24 +634,55 @@ const App = () => {
     if (isLoading) {
       return (
         <div className="absolute inset-0 flex flex-col items-center justify-center bg-zinc-800/50 backdrop-blur-sm z-10 rounded-lg">
-          <div className="loader ease-linear rounded-full border-4 border-t-4 border-blue-400 h-12 w-12 mb-4"></div>
-          <p className="text-lg font-medium text-blue-100">Cartoonizing...</p>
-          <p className="text-sm text-blue-200">Applying "{selectedStyle}" style...</p>
+          <div className="loader ease-linear rounded-full border-4 border-t-4 border-blue-400 h-12 w-12 mb-4" aria-hidden="true"></div>
+          <p className="text-lg font-medium text-blue-100">{t('workspace.cartoonizing')}</p>
+          <p className="text-sm text-blue-200">{t('workspace.applyingStyle', { style: styleLabel(selectedStyle) })}</p>
+          <ProgressDetails progress={requestProgress.progress} elapsedMs={requestProgress.elapsedMs} />
+          {flow.retryAttempt > 0 && (
+            <p className="text-xs text-amber-300 mt-1">{t('workspace.retrying', { attempt: flow.retryAttempt + 1 })}</p>
+          )}
+          <button
+            onClick={cancelRequest}
+            className="flex items-center mt-4 px-4 py-2 bg-zinc-700/80 hover:bg-zinc-600 text-white text-sm font-semibold rounded-lg"
+          >
+            <XCircle className="h-4 w-4 me-2" />
+            {t('workspace.cancel')}
+          </button>
         </div>
       );
     }
     if (cartoonImage) {
-      return <img src={cartoonImage} alt="Cartoonized" className="w-full h-full object-cover rounded-lg" />;
+      return <img src={cartoonImage} alt={t('workspace.resultAlt', { style: styleLabel(cartoonResult.style) })} className="w-full h-full object-contain rounded-lg" />;
     }
     // Default placeholder for the cartoonized image area
     return (
       <div className="flex flex-col items-center text-zinc-500">
         <ImageIcon className="h-16 w-16 text-zinc-400" />
-        <p>Result will appear here</p>
+        <p>{t('workspace.resultPlaceholder')}</p>
       </div>
     );
   };
 
+  // Helper function to render the style gallery (shared by single and batch mode)
+  const renderStyleSelector = () => (
+    <div className="w-full max-w-2xl">
+      <StyleGallery
+        styles={availableStyles}
+        selectedStyle={selectedStyle}
+        onSelect={setSelectedStyle}
+        source={stylesSource}
+        onReload={reloadStyles}
+      />
+      <StyleParamsForm
+        schema={styleParams.schema}
+        values={styleParams.values}
+        errors={styleParams.errors}
+        onChange={styleParams.setValue}
+        onReset={styleParams.reset}
+      />
+    </div>
+  );
+
   return (
     <div className="bg-zinc-900 text-white min-h-screen font-sans antialiased">
       {/* Main container with responsive padding */}
@@ -141,145 +690,387 @@ const App = () => {
         
         {/* Header Section */}
         <header className="flex justify-between items-center pb-8 border-b border-zinc-700 mb-8">
-          <div className="flex items-center space-x-3">
+          <div className="flex items-center space-x-3 rtl:space-x-reverse">
             <Sparkles className="h-8 w-8 text-blue-400" />
-            <h1 className="text-3xl font-bold tracking-tighter">AI-Cartoonizer</h1>
+            <h1 className="text-3xl font-bold tracking-tighter">{t('app.name')}</h1>
+          </div>
+          <div className="flex items-center space-x-3 rtl:space-x-reverse">
+            <LocaleSwitcher i18n={i18n} />
+            <button
+              onClick={() => setIsShowingShortcuts(true)}
+              className="p-1.5 rounded-lg text-zinc-300 hover:text-white"
+              aria-label={t('header.shortcuts')}
+              aria-keyshortcuts="?"
+              title={t('header.shortcuts')}
+            >
+              <Keyboard className="h-5 w-5" />
+            </button>
+            <HealthBadge health={backendHealth} backend={backend} onClick={() => setIsBackendSettingsOpen(true)} />
+            {auth.config.type !== 'none' && (auth.isSignedIn ? (
+              <button
+                onClick={auth.signOut}
+                className="flex items-center px-3 py-1.5 rounded-lg text-sm text-zinc-300 hover:text-white"
+                title={auth.username ? t('header.signedInAs', { username: auth.username }) : t('header.signedInWithKey')}
+              >
+                <LogOut className="h-4 w-4 me-1" />
+                {t('header.signOut')}
+              </button>
+            ) : (
+              <button
+                onClick={() => setIsSigningIn(true)}
+                className="flex items-center px-3 py-1.5 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-sm text-white"
+              >
+                <LogIn className="h-4 w-4 me-1" />
+                {t('header.signIn')}
+              </button>
+            ))}
           </div>
         </header>
 
         <main>
+          {/* Quota used up (429) */}
+          {quota && <QuotaNotice resetAt={quota.resetAt} onExpire={clearQuota} />}
+
+          {/* Requests queued while offline */}
+          <OutboxStatus
+            outbox={outbox}
+            notices={outboxNotices}
+            onDismissNotice={(id) => setOutboxNotices((prev) => prev.filter((notice) => notice.id !== id))}
+          />
+
           {/* Initial Call to Action / Welcome Section (shown only when no image is uploaded) */}
-          {!originalImageUrl && (
+          {!hasSingleImage && !isBatchMode && (
             <div className="text-center py-16 md:py-24">
               <h2 className="text-4xl md:text-6xl font-extrabold tracking-tight bg-gradient-to-r from-blue-400 to-cyan-500 text-transparent bg-clip-text">
-                Transform Your Photos into Masterpieces.
+                {t('hero.title')}
               </h2>
               <p className="mt-4 text-lg md:text-xl text-zinc-400 max-w-2xl mx-auto">
-                Upload a photo, choose a style, and let our AI create stunning art.
+                {t('hero.subtitle')}
               </p>
             </div>
           )}
 
+          {/* Camera Capture (replaces the dropzone while open) */}
+          {isUsingCamera && !hasSingleImage && !isBatchMode && (
+            <CameraCapture onCapture={importImage} onCancel={() => setIsUsingCamera(false)} />
+          )}
+
           {/* Image Upload Dropzone (shown when no image is uploaded) */}
-          {!originalImageUrl && (
+          {!hasSingleImage && !isBatchMode && !isUsingCamera && (
             <div className="bg-zinc-800/50 border border-zinc-700 rounded-2xl p-6 md:p-8 shadow-2xl backdrop-blur-sm">
-                <div {...getRootProps()} className={`relative border-2 border-dashed border-zinc-600 rounded-xl p-12 text-center cursor-pointer transition-all duration-300 hover:border-blue-400 hover:bg-zinc-800/60 ${isDragActive ? 'border-blue-500 bg-zinc-800' : ''}`}>
-                  <input {...getInputProps()} />
+                {/* The file input sits outside the dropzone, which is a button to assistive technology */}
+                <input {...getInputProps({ 'aria-label': t('upload.inputLabel') })} />
+                <div {...getRootProps({ role: 'button', 'aria-describedby': 'dropzone-hint' })} className={`relative border-2 border-dashed border-zinc-600 rounded-xl p-12 text-center cursor-pointer transition-all duration-300 hover:border-blue-400 hover:bg-zinc-800/60 ${isDragActive ? 'border-blue-500 bg-zinc-800' : ''}`}>
                   <div className="flex flex-col items-center justify-center space-y-4">
                     <div className="w-16 h-16 rounded-full bg-zinc-700 flex items-center justify-center">
                       <UploadCloud className="h-8 w-8 text-zinc-400" />
                     </div>
                     <p className="text-lg font-semibold text-zinc-300">
-                      {isDragActive ? "Drop the image here..." : "Drag & drop an image here, or click to select"}
+                      {isPreparing ? t('upload.preparing') : isDragActive ? t('upload.dropHere') : t('upload.prompt')}
                     </p>
-                    <p className="text-sm text-zinc-500">Supports: JPG, JPEG, PNG</p>
+                    <p id="dropzone-hint" className="text-sm text-zinc-500">{t('upload.hint', { formats: describeFormats() })}</p>
                   </div>
                 </div>
+                <UrlImport onImport={importImage} disabled={isPreparing} />
+                {isCameraSupported() && (
+                  <div className="flex justify-center mt-4">
+                    <button
+                      onClick={() => setIsUsingCamera(true)}
+                      disabled={isPreparing}
+                      className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 disabled:opacity-50"
+                    >
+                      <Camera className="h-5 w-5 me-2" />
+                      {t('upload.useCamera')}
+                    </button>
+                  </div>
+                )}
             </div>
           )}
 
+          {/* Batch Queue (shown when several images were dropped) */}
+          {isBatchMode && (
+            <BatchQueue
+              queue={{ ...batchQueue, start: startBatch }}
+              concurrency={concurrency}
+              onConcurrencyChange={setConcurrency}
+              onExit={batchQueue.clear}
+              canStart={styleParams.isValid && !isQuotaBlocked && !(isLocal && !isLocalStyle(selectedStyle))}
+            >
+              <div className="flex flex-col items-center">
+                {renderStyleSelector()}
+                {isLocalEngineSupported() && <EngineToggle engine={engine} onChange={setEngine} />}
+                {isLocal && !isLocalStyle(selectedStyle) && (
+                  <p className="mt-3 max-w-md text-center text-sm text-amber-300">
+                    {t('workspace.serverOnlyStyle')}
+                  </p>
+                )}
+              </div>
+            </BatchQueue>
+          )}
+
           {/* Main Processing Area (shown after image upload) */}
-          {originalImageUrl && (
+          {hasSingleImage && (
             <div className="bg-zinc-800/50 border border-zinc-700 rounded-2xl p-6 md:p-8 shadow-2xl backdrop-blur-sm">
+                {/* Preprocessing Editor (crop, rotate, flip, resize) */}
+                {isEditing ? (
+                  <ImageEditor
+                    file={sourceImageFile}
+                    initialSettings={preprocessSettings}
+                    onApply={handleEditApplied}
+                    onCancel={() => setIsEditing(false)}
+                  />
+                ) : isMasking && originalImageUrl ? (
+                  /* Mask Editor (paint the area to cartoonize) */
+                  <MaskEditor
+                    imageUrl={originalImageUrl}
+                    initialMask={flow.mask}
+                    onApply={handleMaskApplied}
+                    onCancel={() => setIsMasking(false)}
+                  />
+                ) : isRetouching && cartoonResult ? (
+                  /* Result Editor (adjustments, captions, stickers, frames) */
+                  <ResultEditor
+                    blob={cartoonResult.base || cartoonResult.blob}
+                    initialEdits={cartoonResult.edits}
+                    onApply={handleRetouchApplied}
+                    onCancel={() => setIsRetouching(false)}
+                  />
+                ) : cartoonImage && !isLoading && originalImageUrl ? (
+                  /* Before/After Viewer (shown once a result is available) */
+                  <ComparisonViewer
+                    beforeSrc={originalImageUrl}
+                    afterSrc={cartoonImage}
+                    beforeAlt={t('workspace.originalAlt')}
+                    afterAlt={t('workspace.resultAlt', { style: styleLabel(cartoonResult.style) })}
+                  />
+                ) : (
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-8 items-start">
                   {/* Original Image Preview Section */}
                   <div className="space-y-4">
-                    <h3 className="text-xl font-semibold text-center text-zinc-300">Original</h3>
+                    <h2 className="text-xl font-semibold text-center text-zinc-300">{t('workspace.original')}</h2>
                     <div className="aspect-w-4 aspect-h-3 bg-zinc-700 rounded-lg overflow-hidden flex items-center justify-center">
-                      <img src={originalImageUrl} alt="Original" className="w-full h-full object-contain rounded-lg" />
+                      {originalImageUrl ? (
+                        <img src={originalImageUrl} alt={t('workspace.originalAlt')} className="w-full h-full object-contain rounded-lg" />
+                      ) : (
+                        <div className="flex flex-col items-center justify-center text-zinc-500">
+                          <ImageIcon className="h-16 w-16 text-zinc-400" />
+                          <p>{t('workspace.originalMissing')}</p>
+                        </div>
+                      )}
                     </div>
                   </div>
 
                   {/* Cartoonized Image Result Section */}
                   <div className="space-y-4">
-                    <h3 className="text-xl font-semibold text-center text-zinc-300">Cartoonized</h3>
-                    <div className="aspect-w-4 aspect-h-3 bg-zinc-700 rounded-lg flex items-center justify-center relative overflow-hidden">
+                    <h2 className="text-xl font-semibold text-center text-zinc-300">{t('workspace.cartoonized')}</h2>
+                    <div className="aspect-w-4 aspect-h-3 bg-zinc-700 rounded-lg flex items-center justify-center relative overflow-hidden" aria-busy={isLoading}>
                       {renderCartoonizedContent()}
                     </div>
                   </div>
                 </div>
+                )}
+
+                {/* Style Comparison Grid (compare-styles mode) */}
+                {isComparing && (
+                    <StyleComparison
+                        styles={isLocal ? availableStyles.filter((style) => isLocalStyle(style.id)) : availableStyles}
+                        results={comparison.results}
+                        isRunning={comparison.isRunning}
+                        onCompare={handleCompareStyles}
+                        onPick={handlePickWinner}
+                        onClose={() => {
+                          clearComparison();
+                          setIsComparing(false);
+                        }}
+                    />
+                )}
 
                 {/* Style Selection and Generate Button (shown if an image is uploaded and not currently loading results) */}
-                {!isLoading && !cartoonImage && (
+                {!isLoading && !cartoonResult && !isComparing && !isEditing && !isMasking && (
                     <div className="mt-8 flex flex-col items-center">
-                        <div className="w-full max-w-md">
-                            <label htmlFor="style-select" className="block text-zinc-300 text-sm font-medium mb-2 text-center">
-                                Choose a Cartoonization Style:
-                            </label>
-                            <div className="relative mb-6">
-                                <select
-                                    id="style-select"
-                                    value={selectedStyle}
-                                    onChange={(e) => setSelectedStyle(e.target.value)}
-                                    className="block w-full px-4 py-2 pr-8 bg-zinc-700 border border-zinc-600 rounded-lg shadow-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent appearance-none cursor-pointer"
-                                >
-                                    {availableStyles.map((style) => (
-                                    <option key={style.value} value={style.value}>
-                                        {style.label}
-                                    </option>
-                                    ))}
-                                </select>
-                                <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-zinc-400">
-                                    <svg className="fill-current h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20">
-                                    <path d="M9.293 12.95l.707.707L15.657 8l-1.414-1.414L10 10.828 5.757 6.586 4.343 8z"/>
-                                    </svg>
-                                </div>
-                            </div>
-                        </div>
+                        {renderStyleSelector()}
                         <button
+                            ref={generateButtonRef}
                             onClick={handleCartoonize}
-                            disabled={isLoading}
+                            aria-keyshortcuts="g"
+                            disabled={isLoading || !styleParams.isValid || isQuotaBlocked || (isLocal && !isLocalStyle(selectedStyle))}
+                            aria-describedby={!isLocal && (backendHealth.status === 'offline' || backendHealth.status === 'degraded') ? 'backend-notice' : undefined}
                             className="flex items-center justify-center px-8 py-4 bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-600 hover:to-cyan-700 text-white font-extrabold rounded-lg shadow-lg transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed text-xl"
                         >
-                            <Sparkles className="h-6 w-6 mr-3" />
-                            Generate Cartoon
+                            <Sparkles className="h-6 w-6 me-3" />
+                            {needsSignIn ? t('workspace.signInToGenerate') : t('workspace.generate')}
                         </button>
+                        {isLocalEngineSupported() && <EngineToggle engine={engine} onChange={setEngine} />}
+                        {isLocal && !isLocalStyle(selectedStyle) && (
+                            <p className="mt-3 max-w-md text-center text-sm text-amber-300">
+                                {t('workspace.serverOnlyStyle')}
+                            </p>
+                        )}
+                        {/* Explain up front when the backend can't take the request right now */}
+                        {!isLocal && backendHealth.status === 'offline' && (
+                            <p id="backend-notice" className="mt-3 max-w-md text-center text-sm text-amber-300">
+                                {t('workspace.backendOffline', { backend: backend.label })}{' '}
+                                {outbox.isAvailable ? t('workspace.backendOfflineQueue') : t('workspace.backendOfflineFail')}
+                                {isLocalEngineSupported() && ` ${t('workspace.backendOfflineLocal')}`}
+                            </p>
+                        )}
+                        {!isLocal && backendHealth.status === 'degraded' && (
+                            <p id="backend-notice" className="mt-3 max-w-md text-center text-sm text-amber-300">
+                                {t('workspace.backendDegraded')}
+                            </p>
+                        )}
+                        <div className="flex items-center mt-4 space-x-4 rtl:space-x-reverse">
+                            <button
+                                onClick={() => setIsEditing(true)}
+                                className="flex items-center justify-center px-4 py-2 text-zinc-300 hover:text-white font-semibold"
+                            >
+                                <Crop className="h-5 w-5 me-2" />
+                                {t('workspace.cropRotate')}
+                            </button>
+                            <button
+                                onClick={() => setIsMasking(true)}
+                                disabled={!originalImageUrl}
+                                className="flex items-center justify-center px-4 py-2 text-zinc-300 hover:text-white font-semibold disabled:opacity-50"
+                            >
+                                <Paintbrush className="h-5 w-5 me-2" />
+                                {mask ? t('workspace.editSelection') : t('workspace.selectArea')}
+                            </button>
+                            <button
+                                onClick={() => setIsComparing(true)}
+                                className="flex items-center justify-center px-4 py-2 text-zinc-300 hover:text-white font-semibold"
+                            >
+                                <Columns2 className="h-5 w-5 me-2" />
+                                {t('workspace.compareStyles')}
+                            </button>
+                        </div>
+                        {mask && (
+                            <p className="mt-2 text-sm text-zinc-400">
+                                {t('workspace.maskActive')}{' '}
+                                <button onClick={() => dispatch({ type: 'MASK', mask: null })} className="text-blue-400 hover:text-blue-300 underline">
+                                    {t('workspace.useWholeImage')}
+                                </button>
+                            </p>
+                        )}
                     </div>
                 )}
             </div>
           )}
             
           {/* Error Message Display */}
-          {error && <p className="text-red-400 text-center mt-4 text-lg font-medium">{error}</p>}
+          <div role="alert">
+            {error && <p className="text-red-400 text-center mt-4 text-lg font-medium">{error}</p>}
+          </div>
+          {/* Progress announcements for screen readers (kept mounted so changes are read out) */}
+          <p className="sr-only" role="status" aria-live="polite" aria-atomic="true">{statusAnnouncement}</p>
           
           {/* Action Buttons (Try Another, Download) - Shown only when an image has been cartoonized */}
-          {(originalImageUrl && cartoonImage) && (
-            <div className="flex flex-col sm:flex-row items-center justify-center space-y-4 sm:space-y-0 sm:space-x-4 mt-8">
+          {(cartoonResult && !isComparing && !isRetouching) && (
+            <div className="flex flex-col sm:flex-row items-center justify-center space-y-4 sm:space-y-0 sm:space-x-4 rtl:space-x-reverse mt-8">
               {/* Button to reset and try another image */}
               <button
                 onClick={resetState}
+                aria-keyshortcuts="r"
+                className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                disabled={isLoading}
+              >
+                <RotateCcw className="h-5 w-5 me-2" />
+                {t('result.tryAnother')}
+              </button>
+              {/* Button to compare other styles on the same upload */}
+              <button
+                onClick={() => setIsComparing(true)}
+                className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+                disabled={isLoading || !originalImageFile}
+              >
+                <Columns2 className="h-5 w-5 me-2" />
+                {t('result.compareStyles')}
+              </button>
+              {/* Button to add captions, stickers, a frame or adjustments */}
+              <button
+                onClick={() => setIsRetouching(true)}
                 className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
                 disabled={isLoading}
               >
-                <RotateCcw className="h-5 w-5 mr-2" />
-                Try Another
+                <SlidersHorizontal className="h-5 w-5 me-2" />
+                {t('result.edit')}
               </button>
               {/* Button to download the cartoonized image */}
               <button
+                ref={downloadButtonRef}
+                aria-keyshortcuts="d"
                 onClick={() => {
-                  if (cartoonImage) {
-                    const link = document.createElement('a');
-                    link.href = cartoonImage;
-                    link.download = `ai-cartoonizer-${selectedStyle}-${Date.now()}.png`;
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
+                  if (cartoonImage && cartoonResult) {
+                    downloadFile(cartoonImage, resultFileName());
                   }
                 }}
                 disabled={!cartoonImage || isLoading}
                 className="flex items-center justify-center px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-600 hover:to-cyan-700 text-white font-semibold rounded-lg shadow-lg transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
               >
-                <Download className="h-5 w-5 mr-2" />
-                Download
+                <Download className="h-5 w-5 me-2" />
+                {t('result.download')}
               </button>
+              {/* Re-encode in another format or size before downloading */}
+              <button
+                onClick={() => setIsExporting(true)}
+                disabled={!cartoonResult || isLoading}
+                className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+              >
+                <FileDown className="h-5 w-5 me-2" />
+                {t('result.export')}
+              </button>
+              {/* Copy to the clipboard or share through the system share sheet */}
+              <ShareButtons
+                blob={cartoonResult && cartoonResult.blob}
+                filename={cartoonResult ? resultFileName() : 'result.png'}
+                onMessage={setShareMessage}
+                disabled={isLoading}
+                className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+              />
             </div>
           )}
+          {isExporting && cartoonResult && (
+            <ExportDialog result={cartoonResult} onClose={closeExportDialog} />
+          )}
+          {isShowingShortcuts && <ShortcutsDialog accessibility={accessibility} onClose={closeShortcuts} />}
+          {isSigningIn && <SignInDialog auth={auth} backendLabel={backend.label} onClose={closeSignIn} />}
+          {isBackendSettingsOpen && (
+            <BackendSettings
+              backends={backends}
+              backend={backend}
+              health={backendHealth}
+              onSelect={selectBackend}
+              onClose={closeBackendSettings}
+            />
+          )}
+          {(cartoonResult && !isComparing && shareMessage) && (
+            <p className="text-center text-sm text-zinc-400 mt-4" role="status">{shareMessage}</p>
+          )}
+
+          {/* Session Export - ZIP of every result produced so far */}
+          {sessionResults.length > 0 && (
+            <div className="flex flex-col sm:flex-row items-center justify-center gap-4 mt-8 p-4 border border-zinc-700 rounded-xl bg-zinc-800/30">
+              <p className="text-zinc-400">
+                {t('session.count', { count: sessionResults.length })}
+              </p>
+              <button
+                onClick={handleDownloadAll}
+                disabled={isZipping}
+                className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+              >
+                <Archive className="h-5 w-5 me-2" />
+                {isZipping ? t('session.buildingZip') : t('session.downloadAll')}
+              </button>
+            </div>
+          )}
+
+          {/* Results saved from previous visits */}
+          <HistoryPanel history={history} styleLabel={styleLabel} onRerun={handleRerunHistory} disabled={isLoading || isBatchMode} />
 
         </main>
         
         {/* Footer Section */}
         <footer className="text-center text-zinc-500 pt-16 pb-4 border-t border-zinc-800 mt-8">
-          <p>&copy; {new Date().getFullYear()} AI-Cartoonizer. All Rights Reserved.</p>
+          <p>{t('footer.copyright', { year: i18n.formatDate(new Date(), { year: 'numeric' }) })}</p>
         </footer>
       </div>
 
@@ -295,6 +1086,17 @@ const App = () => {
           100% { transform: rotate(360deg); }
         }
 
+        /* Reduced motion (system setting or the Keyboard & Accessibility dialog): no spinners,
+           pulses, transitions or hover zoom */
+        .reduce-motion *, .reduce-motion *::before, .reduce-motion *::after {
+          animation: none !important;
+          transition: none !important;
+        }
+        .reduce-motion .hover\\:scale-105:hover {
+          --tw-scale-x: 1 !important;
+          --tw-scale-y: 1 !important;
+        }
+
         /* Aspect Ratio utility classes for responsive image containers */
         .aspect-w-4 {
           position: relative;
@@ -1,8 +1,137 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, act, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
 import App from './App';
+import { resumeJob } from './api/jobs';
+import { fetchStyleCatalog, DEFAULT_STYLES } from './api/styles';
+import { checkHealth } from './api/health';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+jest.mock('./api/jobs', () => ({ ...jest.requireActual('./api/jobs'), resumeJob: jest.fn() }));
+jest.mock('./api/styles', () => ({ ...jest.requireActual('./api/styles'), fetchStyleCatalog: jest.fn() }));
+jest.mock('./api/health', () => ({ ...jest.requireActual('./api/health'), checkHealth: jest.fn() }));
+
+const { createObjectURL, revokeObjectURL } = URL;
+
+beforeEach(() => {
+  fetchStyleCatalog.mockResolvedValue(DEFAULT_STYLES);
+  checkHealth.mockResolvedValue({ status: 'online', latencyMs: 5, detail: null });
+  // Anything else reaching for the network fails loudly instead of calling a real backend
+  global.fetch = jest.fn(() => Promise.reject(new Error('Unexpected fetch in App tests')));
+  jest.spyOn(XMLHttpRequest.prototype, 'send').mockImplementation(() => {
+    throw new Error('Unexpected XMLHttpRequest in App tests');
+  });
+  URL.createObjectURL = jest.fn(() => 'blob:test');
+  URL.revokeObjectURL = jest.fn();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+  delete global.createImageBitmap;
+  URL.createObjectURL = createObjectURL;
+  URL.revokeObjectURL = revokeObjectURL;
+  localStorage.clear();
+});
+
+// Renders the app and waits for its startup requests (style catalog, health check) to settle
+const renderApp = async () => {
+  const utils = render(<App />);
+  await screen.findByText('Online');
+  return utils;
+};
+
+// jsdom has no canvas, so preprocessing falls back to the unchanged file and logs why
+const stubImageDecoding = () => {
+  global.createImageBitmap = jest.fn(() => Promise.resolve({ width: 800, height: 600, close: jest.fn() }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+};
+
+// Pastes a PNG the way a Ctrl+V screenshot arrives
+const pasteImage = async () => {
+  const paste = new Event('paste', { bubbles: true, cancelable: true });
+  const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+  const screenshot = new File([new Uint8Array(signature)], 'shot.png', { type: 'image/png' });
+  paste.clipboardData = { files: [screenshot], items: [] };
+  await act(async () => {
+    document.dispatchEvent(paste);
+  });
+  return paste;
+};
+
+test('renders the upload call to action', async () => {
+  await renderApp();
+  const headingElement = screen.getByText(/transform your photos into masterpieces/i);
+  expect(headingElement).toBeInTheDocument();
+});
+
+test('a pasted image enters the same flow as a dropped one', async () => {
+  URL.createObjectURL.mockReturnValue('blob:pasted');
+  stubImageDecoding();
+  await renderApp();
+  const paste = await pasteImage();
+
+  expect(paste.defaultPrevented).toBe(true);
+  expect(await screen.findByAltText('Original')).toHaveAttribute('src', 'blob:pasted');
+});
+
+test('a pasted file that is not an image is explained', async () => {
+  await renderApp();
+  const paste = new Event('paste', { bubbles: true, cancelable: true });
+  paste.clipboardData = { files: [new File(['<html>'], 'page.png', { type: 'image/png' })], items: [] };
+
+  await act(async () => {
+    document.dispatchEvent(paste);
+  });
+
+  expect(await screen.findByText(/"page.png" is not an image/)).toBeInTheDocument();
+});
+
+test('the upload screen has no detectable accessibility violations', async () => {
+  const { container } = await renderApp();
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('a loaded image is announced, focuses Generate, and R starts over', async () => {
+  stubImageDecoding();
+  const { container } = await renderApp();
+  await pasteImage();
+
+  await screen.findByAltText('Original');
+  expect(screen.getByText('Image ready. Choose a style and generate.')).toHaveAttribute('aria-live', 'polite');
+  expect(screen.getByRole('button', { name: /generate cartoon/i })).toHaveFocus();
+  expect(await axe(container)).toHaveNoViolations();
+
+  fireEvent.keyDown(document.body, { key: 'r' });
+  expect(screen.queryByAltText('Original')).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /drag & drop an image here/i })).toHaveFocus();
+});
+
+test('? opens the keyboard help, which hands focus back when closed', async () => {
+  await renderApp();
+  const opener = screen.getByRole('button', { name: 'Keyboard shortcuts and accessibility' });
+  opener.focus();
+
+  fireEvent.keyDown(document.body, { key: '?' });
+  const dialog = screen.getByRole('dialog', { name: 'Keyboard & Accessibility' });
+  expect(await axe(dialog)).toHaveNoViolations();
+  expect(screen.getByRole('button', { name: 'Close' })).toHaveFocus();
+
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(opener).toHaveFocus();
+});
+
+test('resumes every unfinished job once: the latest in the workspace, the rest in the background', async () => {
+  const submittedAt = new Date().toISOString();
+  localStorage.setItem('ai-cartoonizer:pending-jobs', JSON.stringify([
+    { id: 'job-1', style: 'sketch', params: {}, originalName: 'old.png', submittedAt },
+    { id: 'job-2', style: 'whitebox', params: {}, originalName: 'new.png', submittedAt },
+  ]));
+  resumeJob.mockImplementation(() => Promise.resolve(new Blob(['cartoon'], { type: 'image/png' })));
+
+  await renderApp();
+
+  expect(await screen.findByText('2 results this session')).toBeInTheDocument();
+  expect(screen.getByText(/Your unfinished image "old.png"/)).toBeInTheDocument();
+  expect(resumeJob.mock.calls.map(([id]) => id).sort()).toEqual(['job-1', 'job-2']);
+  expect(JSON.parse(localStorage.getItem('ai-cartoonizer:pending-jobs'))).toEqual([]);
 });
@@ -0,0 +1,173 @@
+import { request } from './client';
+import { getBackend } from './config';
+import { ValidationError } from './errors';
+import { t } from '../utils/i18n';
+
+// Credentials for the selected backend, attached to every backend request by the API client.
+// A backend's auth settings come from its "auth" entry in config.json, or from the environment:
+//   { "type": "apiKey", "header": "X-API-Key" }   the user pastes a key, sent as that header
+//   { "type": "bearer", "tokenUrl": "../token" }  OAuth2 password grant; the access token is sent
+//                                                  as "Authorization: Bearer ..." and refreshed after a 401
+// Credentials are kept in memory and, unless REACT_APP_AUTH_STORAGE is "memory", in sessionStorage,
+// so they survive a reload but not closing the tab.
+
+export const AUTH_STORAGE = process.env.REACT_APP_AUTH_STORAGE === 'memory' ? 'memory' : 'session';
+const STORAGE_KEY = 'ai-cartoonizer:auth';
+
+const ENV_AUTH = {
+  type: process.env.REACT_APP_AUTH_TYPE || 'none',
+  header: process.env.REACT_APP_API_KEY_HEADER,
+  tokenUrl: process.env.REACT_APP_AUTH_TOKEN_URL,
+};
+
+// { type: 'none' | 'apiKey' | 'bearer', header, tokenUrl } for a backend
+export const getAuthConfig = (backend = getBackend()) => {
+  const auth = backend.auth || ENV_AUTH;
+  const type = ['apiKey', 'bearer'].includes(auth.type) ? auth.type : 'none';
+  return {
+    type,
+    header: auth.header || 'X-API-Key',
+    tokenUrl: type === 'bearer' ? new URL(auth.tokenUrl || '../token', backend.url).href : null,
+  };
+};
+
+const readStored = () => {
+  if (AUTH_STORAGE !== 'session') return {};
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+// Credentials per backend id: { apiKey } or { username, accessToken, refreshToken, tokenType }
+let sessions = readStored();
+let message = null; // Why the user was signed out, shown on the sign-in form
+let refreshing = null; // In-flight refresh, shared by requests that got a 401 at the same time
+const listeners = new Set();
+
+const save = () => {
+  if (AUTH_STORAGE !== 'session') return;
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+  } catch (err) {
+    console.error("Error saving credentials:", err);
+  }
+};
+
+const setSession = (backendId, session, reason = null) => {
+  sessions = { ...sessions };
+  if (session) sessions[backendId] = session;
+  else delete sessions[backendId];
+  message = reason;
+  save();
+  listeners.forEach((listener) => listener());
+};
+
+// Calls listener whenever the user signs in or out; returns an unsubscribe function
+export const subscribeToAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// What the UI may show about the current session; never the secret itself
+export const getAuthState = (backend = getBackend()) => {
+  const session = sessions[backend.id];
+  return {
+    config: getAuthConfig(backend),
+    isSignedIn: Boolean(session),
+    username: session ? session.username || null : null,
+    message,
+  };
+};
+
+export const signInWithApiKey = (apiKey, backend = getBackend()) => {
+  setSession(backend.id, { apiKey: apiKey.trim() });
+};
+
+const requestToken = async (tokenUrl, fields, signal) => {
+  const response = await request(tokenUrl, {
+    method: 'POST',
+    body: new URLSearchParams(fields),
+    signal,
+    retries: 0,
+    auth: false,
+    headers: { Accept: 'application/json' },
+  });
+  const data = await response.json();
+  if (!data || !data.access_token) throw new Error('The sign-in response did not include an access token.');
+  return {
+    accessToken: data.access_token,
+    tokenType: data.token_type || 'Bearer',
+    refreshToken: data.refresh_token || null,
+  };
+};
+
+// OAuth2 password grant against the backend's token endpoint
+export const signInWithPassword = async (username, password, { signal, backend = getBackend() } = {}) => {
+  const { tokenUrl } = getAuthConfig(backend);
+  try {
+    const token = await requestToken(tokenUrl, { grant_type: 'password', username, password }, signal);
+    setSession(backend.id, { username, ...token });
+  } catch (err) {
+    if (err instanceof ValidationError && [400, 401].includes(err.status)) {
+      throw new Error(err.detail || t('auth.invalidCredentials'));
+    }
+    throw err;
+  }
+};
+
+export const signOut = (backend = getBackend()) => {
+  setSession(backend.id, null);
+};
+
+// Headers for the selected backend's requests
+export const authHeaders = () => {
+  const backend = getBackend();
+  const { type, header } = getAuthConfig(backend);
+  const session = sessions[backend.id];
+  if (!session || type === 'none') return {};
+  if (type === 'apiKey') return { [header]: session.apiKey };
+  // Token types are case-insensitive, but some servers only accept "Bearer"
+  const tokenType = session.tokenType.toLowerCase() === 'bearer' ? 'Bearer' : session.tokenType;
+  return { Authorization: `${tokenType} ${session.accessToken}` };
+};
+
+// Called by the API client after a 401. Bearer tokens are refreshed when there is a refresh token;
+// otherwise (or when refreshing fails) the user is signed out and asked to sign in again.
+export const refreshCredentials = () => {
+  const backend = getBackend();
+  const { type, tokenUrl } = getAuthConfig(backend);
+  const session = sessions[backend.id];
+  if (type === 'none') return Promise.resolve(false);
+  if (!session) {
+    message = t('auth.signInRequired');
+    listeners.forEach((listener) => listener());
+    return Promise.resolve(false);
+  }
+  if (type === 'apiKey' || !session.refreshToken) {
+    setSession(backend.id, null, t(type === 'apiKey' ? 'auth.apiKeyRejected' : 'auth.sessionExpired'));
+    return Promise.resolve(false);
+  }
+
+  if (!refreshing) {
+    refreshing = requestToken(tokenUrl, { grant_type: 'refresh_token', refresh_token: session.refreshToken })
+      .then((token) => {
+        // Some servers rotate refresh tokens, others keep the original
+        setSession(backend.id, { ...session, ...token, refreshToken: token.refreshToken || session.refreshToken });
+        return true;
+      })
+      .catch((err) => {
+        console.error("Error refreshing access token:", err);
+        setSession(backend.id, null, t('auth.sessionExpired'));
+        return false;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// Provider for the API client's setAuthProvider
+export const authProvider = { headers: authHeaders, refresh: refreshCredentials };
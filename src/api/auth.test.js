@@ -0,0 +1,78 @@
+import { request, setAuthProvider } from './client';
+import { applyRuntimeConfig, parseRuntimeConfig } from './config';
+import { authProvider, getAuthState, signInWithApiKey, signInWithPassword, signOut } from './auth';
+import { AuthenticationError } from './errors';
+
+const json = (body, status = 200) => ({ ok: status < 300, status, statusText: 'Status', json: () => Promise.resolve(body) });
+
+const configureBackend = (auth) => {
+  applyRuntimeConfig(parseRuntimeConfig({ backends: [{ id: 'gateway', url: 'https://api.example.com/v1/cartoonize/', auth }] }));
+};
+
+beforeAll(() => {
+  setAuthProvider(authProvider);
+});
+
+afterAll(() => {
+  setAuthProvider(null);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  signOut();
+  applyRuntimeConfig(null);
+  sessionStorage.clear();
+  console.error.mockRestore();
+});
+
+test('sends the API key in the configured header and signs out when it is rejected', async () => {
+  configureBackend({ type: 'apiKey', header: 'X-Gateway-Key' });
+  signInWithApiKey(' secret ');
+  global.fetch = jest.fn(() => Promise.resolve(json({ detail: 'invalid key' }, 401)));
+
+  const error = await request('https://api.example.com/v1/cartoonize/', { retries: 0 }).catch((err) => err);
+
+  expect(global.fetch.mock.calls[0][1].headers).toEqual({ 'X-Gateway-Key': 'secret' });
+  expect(error).toBeInstanceOf(AuthenticationError);
+  expect(getAuthState()).toEqual(expect.objectContaining({ isSignedIn: false, message: 'The backend rejected your API key.' }));
+});
+
+test('signs in with a password, keeps the token in sessionStorage and refreshes it after a 401', async () => {
+  configureBackend({ type: 'bearer' });
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(json({ access_token: 'old', token_type: 'bearer', refresh_token: 'r1' }))
+    .mockResolvedValueOnce(json({ detail: 'expired' }, 401))
+    .mockResolvedValueOnce(json({ access_token: 'new', token_type: 'bearer' }))
+    .mockResolvedValueOnce(json({ ok: true }));
+
+  await signInWithPassword('ada', 'hunter2');
+  const response = await request('https://api.example.com/v1/styles/', { retries: 0 });
+
+  expect(response.status).toBe(200);
+  expect(global.fetch.mock.calls[0][0]).toBe('https://api.example.com/v1/token');
+  expect(global.fetch.mock.calls[0][1].body.toString()).toBe('grant_type=password&username=ada&password=hunter2');
+  expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer old');
+  expect(global.fetch.mock.calls[2][1].body.toString()).toBe('grant_type=refresh_token&refresh_token=r1');
+  expect(global.fetch.mock.calls[3][1].headers.Authorization).toBe('Bearer new');
+  expect(JSON.parse(sessionStorage.getItem('ai-cartoonizer:auth')).gateway).toEqual(expect.objectContaining({ accessToken: 'new', refreshToken: 'r1' }));
+  expect(getAuthState()).toEqual(expect.objectContaining({ isSignedIn: true, username: 'ada' }));
+});
+
+test('explains a wrong password and signs out when the refresh fails', async () => {
+  configureBackend({ type: 'bearer', tokenUrl: '/auth/token' });
+  global.fetch = jest.fn(() => Promise.resolve(json({ detail: 'Incorrect username or password' }, 401)));
+  await expect(signInWithPassword('ada', 'nope')).rejects.toThrow('Incorrect username or password');
+  expect(global.fetch.mock.calls[0][0]).toBe('https://api.example.com/auth/token');
+
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(json({ access_token: 'old', refresh_token: 'r1' }))
+    .mockResolvedValue(json({}, 401));
+  await signInWithPassword('ada', 'hunter2');
+  const error = await request('https://api.example.com/v1/cartoonize/', { retries: 0 }).catch((err) => err);
+
+  expect(error).toBeInstanceOf(AuthenticationError);
+  expect(getAuthState()).toEqual(expect.objectContaining({ isSignedIn: false, message: 'Your session has expired. Please sign in again.' }));
+});
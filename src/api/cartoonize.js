@@ -0,0 +1,24 @@
+import { request } from './client';
+import { getEndpoints } from './config';
+
+// Sends one image to the backend and resolves with the cartoonized image Blob.
+// params holds already-serialized style parameters, sent as extra multipart fields.
+// mask is an optional black-and-white PNG (white = stylize) sent as a "mask" part.
+// progressId lets the backend publish processing progress for this request.
+// Requests go to the backend selected at the time of the call (see ./config).
+// signal, timeout, retries, onRetry and onUploadProgress are passed through to the API client.
+export const cartoonizeImage = async (file, style, { params = {}, mask, progressId, ...requestOptions } = {}) => {
+  const formData = new FormData();
+  formData.append('file', file); // Use the stored File object
+  formData.append('style', style); // Append the selected style
+  Object.entries(params).forEach(([name, value]) => formData.append(name, value));
+  if (mask) formData.append('mask', mask, 'mask.png');
+  if (progressId) formData.append('progress_id', progressId);
+
+  return request(getEndpoints().cartoonize, {
+    method: 'POST',
+    body: formData,
+    ...requestOptions,
+    read: 'blob',
+  });
+};
@@ -0,0 +1,156 @@
+import {
+  BackendUnreachableError,
+  RequestTimeoutError,
+  ValidationError,
+  ServerError,
+  RequestCancelledError,
+  AuthenticationError,
+  QuotaExceededError,
+  formatDetail,
+  parseRetryAfter,
+} from './errors';
+import { xhrFetch } from './xhr';
+
+// Defaults, overridable per request or through the environment
+export const DEFAULT_TIMEOUT_MS = Number(process.env.REACT_APP_REQUEST_TIMEOUT_MS) || 60000;
+export const DEFAULT_RETRIES = process.env.REACT_APP_REQUEST_RETRIES !== undefined
+  ? Number(process.env.REACT_APP_REQUEST_RETRIES)
+  : 2;
+export const DEFAULT_BACKOFF_MS = 500;
+
+// Pluggable authentication: { headers(), refresh() }. headers() returns the headers added to
+// every backend request; refresh() is called once after a 401 and resolves true when the
+// request should be sent again with new credentials. See ./auth for the built-in provider.
+let authProvider = null;
+export const setAuthProvider = (provider) => {
+  authProvider = provider;
+};
+
+// Exponential backoff with jitter: ~500ms, ~1s, ~2s, ...
+export const backoffDelay = (attempt, base = DEFAULT_BACKOFF_MS) => base * 2 ** attempt * (0.75 + Math.random() * 0.5);
+
+// Resolves after ms, or rejects as soon as signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(new RequestCancelledError('Request cancelled.'));
+    return;
+  }
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new RequestCancelledError('Request cancelled.'));
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Reads the error detail from a failed response, if the body is JSON
+const readDetail = async (response) => {
+  try {
+    const data = await response.json();
+    return formatDetail(data && data.detail);
+  } catch (jsonError) {
+    return null;
+  }
+};
+
+// Runs a single fetch with its own timeout, translating failures into structured errors. With
+// read ('blob' | 'json' | 'text') the body is read here too, so cancelling and the timeout also
+// cover a download that stalls after the headers have arrived.
+const attempt = async (url, options, { signal, timeout, read }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0 ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout) : null;
+  const forwardAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', forwardAbort, { once: true });
+
+  // Aborts and network failures, whether sending or reading the body
+  const transportError = (err) => {
+    if (signal && signal.aborted) return new RequestCancelledError('Request cancelled.', { cause: err });
+    if (timedOut) return new RequestTimeoutError(`No response within ${Math.round(timeout / 1000)}s.`, { cause: err });
+    return new BackendUnreachableError(`Could not reach ${url}.`, { cause: err });
+  };
+
+  try {
+    // XHR is only needed to observe upload progress; plain fetch otherwise
+    const send = options.onUploadProgress ? xhrFetch : fetch;
+    let response;
+    try {
+      response = await send(url, { ...options, signal: controller.signal });
+    } catch (err) {
+      throw transportError(err);
+    }
+
+    if (response.ok) {
+      if (!read) return response;
+      try {
+        return await response[read]();
+      } catch (err) {
+        // A body that isn't valid JSON is the backend's fault, not the connection's
+        throw err instanceof SyntaxError ? err : transportError(err);
+      }
+    }
+
+    const detail = await readDetail(response);
+    const message = `Server responded with ${response.status} ${response.statusText}.`;
+    if (response.status === 401) throw new AuthenticationError(message, { status: 401, detail });
+    if (response.status === 429) {
+      const retryAfter = response.headers ? response.headers.get('retry-after') : null;
+      throw new QuotaExceededError(message, { status: 429, detail, retryAfterMs: parseRetryAfter(retryAfter) });
+    }
+    if (response.status >= 500) throw new ServerError(message, { status: response.status, detail });
+    throw new ValidationError(message, { status: response.status, detail });
+  } finally {
+    if (timer) clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', forwardAbort);
+  }
+};
+
+// Sends one attempt with the auth provider's headers; after a 401 the credentials are refreshed
+// and the attempt is repeated once
+const authorizedAttempt = async (url, options, context) => {
+  if (!context.auth || !authProvider) return attempt(url, options, context);
+  const send = () => attempt(url, { ...options, headers: { ...authProvider.headers(), ...options.headers } }, context);
+  try {
+    return await send();
+  } catch (err) {
+    if (!(err instanceof AuthenticationError) || !(await authProvider.refresh())) throw err;
+    return send();
+  }
+};
+
+// Only failures that may succeed on a second try are retried
+const isRetryable = (err) => err instanceof BackendUnreachableError || err instanceof ServerError;
+
+// fetch() wrapper with cancellation, a per-attempt timeout and retry with exponential backoff.
+// Passing onUploadProgress switches to an XHR transport that reports { loaded, total }.
+// Credentials from the auth provider are attached unless auth is false (for non-backend URLs).
+// Resolves with the successful Response, or with its body when read is given (see attempt);
+// rejects with one of the errors from ./errors.
+export const request = async (url, {
+  signal,
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  backoff = DEFAULT_BACKOFF_MS,
+  onRetry,
+  auth = true,
+  read,
+  ...options
+} = {}) => {
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    if (signal && signal.aborted) throw new RequestCancelledError('Request cancelled.');
+    try {
+      return await authorizedAttempt(url, options, { signal, timeout, auth, read });
+    } catch (err) {
+      if (!isRetryable(err) || attemptNumber >= retries) throw err;
+      const delay = backoffDelay(attemptNumber, backoff);
+      if (onRetry) onRetry({ attempt: attemptNumber + 1, delay, error: err });
+      await sleep(delay, signal);
+    }
+  }
+};
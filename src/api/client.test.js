@@ -0,0 +1,133 @@
+import { request } from './client';
+import {
+  BackendUnreachableError,
+  RequestTimeoutError,
+  ValidationError,
+  ServerError,
+  RequestCancelledError,
+  QuotaExceededError,
+  LocalizedError,
+  describeError,
+  parseRetryAfter,
+} from './errors';
+import { setLocale } from '../utils/i18n';
+
+const response = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `Status ${status}`,
+  json: () => Promise.resolve(body),
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('retries 5xx and network errors with backoff, then succeeds', async () => {
+  global.fetch = jest.fn()
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(response(503))
+    .mockResolvedValueOnce(response(200));
+  const onRetry = jest.fn();
+
+  const result = await request('/cartoonize/', { retries: 2, backoff: 1, onRetry });
+
+  expect(result.status).toBe(200);
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(onRetry.mock.calls.map(([info]) => info.error.constructor)).toEqual([BackendUnreachableError, ServerError]);
+});
+
+test('does not retry validation errors and keeps the backend detail', async () => {
+  global.fetch = jest.fn(() => Promise.resolve(response(422, { detail: [{ loc: ['body', 'style'], msg: 'unknown style' }] })));
+
+  const error = await request('/cartoonize/', { retries: 3, backoff: 1 }).catch((err) => err);
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(error).toBeInstanceOf(ValidationError);
+  expect(error.status).toBe(422);
+  expect(error.detail).toBe('style: unknown style');
+  expect(describeError(error)).toBe('The backend rejected the request: style: unknown style');
+});
+
+test('gives up after the configured retries with a server error', async () => {
+  global.fetch = jest.fn(() => Promise.resolve(response(500, { detail: 'model crashed' })));
+
+  const error = await request('/cartoonize/', { retries: 1, backoff: 1 }).catch((err) => err);
+
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(error).toBeInstanceOf(ServerError);
+  expect(describeError(error)).toBe('The backend failed to process the image (500). model crashed');
+});
+
+test('reports a used-up quota with the Retry-After delay and does not retry it', async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ...response(429), headers: { get: (name) => (name === 'retry-after' ? '120' : null) } }));
+
+  const error = await request('/cartoonize/', { retries: 3, backoff: 1 }).catch((err) => err);
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(error).toBeInstanceOf(QuotaExceededError);
+  expect(error.retryAfterMs).toBe(120000);
+  expect(describeError(error)).toBe('Your quota is used up. You can try again in 2 minutes.');
+  expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'))).toBe(30000);
+  expect(parseRetryAfter('soon')).toBe(null);
+});
+
+test('times out a hanging request', async () => {
+  jest.useFakeTimers();
+  global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+
+  const pending = request('/cartoonize/', { timeout: 1000, retries: 0 }).catch((err) => err);
+  jest.advanceTimersByTime(1000);
+
+  const error = await pending;
+  expect(error).toBeInstanceOf(RequestTimeoutError);
+  expect(error).toBeInstanceOf(BackendUnreachableError);
+});
+
+test('cancelling aborts the request and the pending backoff', async () => {
+  const controller = new AbortController();
+  global.fetch = jest.fn(() => Promise.resolve(response(502)));
+
+  const pending = request('/cartoonize/', {
+    signal: controller.signal,
+    retries: 5,
+    backoff: 10000,
+    onRetry: () => controller.abort(),
+  }).catch((err) => err);
+
+  const error = await pending;
+  expect(error).toBeInstanceOf(RequestCancelledError);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('keeps cancel and the timeout in force while the body downloads', async () => {
+  jest.useFakeTimers();
+  const stalledBody = (signal) => () => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  });
+  global.fetch = jest.fn((url, { signal }) => Promise.resolve({ ok: true, status: 200, blob: stalledBody(signal) }));
+
+  const timedOut = request('/jobs/1/result', { timeout: 1000, retries: 0, read: 'blob' }).catch((err) => err);
+  await Promise.resolve();
+  jest.advanceTimersByTime(1000);
+  expect(await timedOut).toBeInstanceOf(RequestTimeoutError);
+
+  const controller = new AbortController();
+  const cancelled = request('/jobs/1/result', { signal: controller.signal, timeout: 0, read: 'blob' }).catch((err) => err);
+  await Promise.resolve();
+  controller.abort();
+  expect(await cancelled).toBeInstanceOf(RequestCancelledError);
+});
+
+test('describes errors raised in the browser in the active language', () => {
+  const error = new LocalizedError('imageError.decode');
+  expect(error.message).toBe('The image could not be decoded.');
+  setLocale('ar');
+  try {
+    expect(describeError(error)).toBe('تعذر فك ترميز الصورة.');
+  } finally {
+    setLocale('en');
+  }
+});
@@ -0,0 +1,158 @@
+import { request } from './client';
+import { ValidationError } from './errors';
+
+// Runtime backend configuration, so one build can be pointed at different environments.
+// A config.json served next to the app lists named backends:
+//   { "defaultBackend": "local", "backends": [{ "id": "local", "label": "Local", "url": "http://127.0.0.1:8000/cartoonize/" }] }
+// Each backend may also set stylesUrl, jobsUrl, progressUrl and healthUrl (relative to its url),
+// and auth, e.g. { "type": "bearer", "tokenUrl": "../token" } (see ./auth).
+// Without config.json the build-time environment variables describe a single backend.
+
+export const CONFIG_URL = `${process.env.PUBLIC_URL || ''}/config.json`;
+const SELECTED_KEY = 'ai-cartoonizer:backend';
+const CACHE_KEY = 'ai-cartoonizer:runtime-config'; // Last config.json, for offline starts
+
+// Relative URLs (e.g. "/api/cartoonize/") are relative to the page
+const absoluteUrl = (url) => new URL(url, window.location.href).href;
+
+export const ENV_BACKEND = {
+  id: 'default',
+  label: 'Default',
+  url: absoluteUrl(process.env.REACT_APP_BACKEND_URL || 'http://127.0.0.1:8000/cartoonize/'),
+  stylesUrl: process.env.REACT_APP_STYLES_URL || null,
+  jobsUrl: process.env.REACT_APP_JOBS_URL || null,
+  progressUrl: process.env.REACT_APP_PROGRESS_URL || null,
+  healthUrl: process.env.REACT_APP_HEALTH_URL || null,
+  auth: null, // From the REACT_APP_AUTH_* variables, see ./auth
+};
+
+let backends = [ENV_BACKEND];
+let defaultId = ENV_BACKEND.id;
+let activeId = null;
+const listeners = new Set();
+
+const readSelection = () => {
+  try {
+    return localStorage.getItem(SELECTED_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+const notify = () => listeners.forEach((listener) => listener());
+
+// Coerces one configured backend into { id, label, url, stylesUrl, jobsUrl, progressUrl, healthUrl, auth }, or null
+const normalizeBackend = (raw, index) => {
+  if (!raw || typeof raw.url !== 'string') return null;
+  let url;
+  try {
+    url = absoluteUrl(raw.url);
+  } catch (err) {
+    return null;
+  }
+  const id = raw.id ? String(raw.id) : `backend-${index + 1}`;
+  return {
+    id,
+    label: raw.label || raw.name || id,
+    url,
+    stylesUrl: raw.stylesUrl || null,
+    jobsUrl: raw.jobsUrl || null,
+    progressUrl: raw.progressUrl || null,
+    healthUrl: raw.healthUrl || null,
+    auth: raw.auth || null, // See ./auth
+  };
+};
+
+// Validates the contents of config.json and returns { backends, defaultBackend }
+export const parseRuntimeConfig = (data) => {
+  const list = data && Array.isArray(data.backends) ? data.backends : null;
+  if (!list) throw new Error('config.json has no "backends" list.');
+  const parsed = list.map(normalizeBackend).filter(Boolean);
+  if (parsed.length === 0) throw new Error('config.json does not list any usable backend.');
+  const defaultBackend = parsed.some((backend) => backend.id === data.defaultBackend) ? data.defaultBackend : parsed[0].id;
+  return { backends: parsed, defaultBackend };
+};
+
+// Replaces the known backends; null goes back to the environment's single backend
+export const applyRuntimeConfig = (config) => {
+  backends = config ? config.backends : [ENV_BACKEND];
+  defaultId = config ? config.defaultBackend : ENV_BACKEND.id;
+  notify();
+};
+
+export const getBackends = () => backends;
+
+// The backend requests go to: the user's choice, if it still exists, or the configured default
+export const getBackend = () => {
+  const selected = activeId || readSelection();
+  return backends.find((backend) => backend.id === selected)
+    || backends.find((backend) => backend.id === defaultId)
+    || backends[0];
+};
+
+// Switches backends and remembers the choice
+export const selectBackend = (id) => {
+  if (!backends.some((backend) => backend.id === id)) return;
+  activeId = id;
+  try {
+    localStorage.setItem(SELECTED_KEY, id);
+  } catch (err) {
+    console.error("Error saving backend selection:", err);
+  }
+  notify();
+};
+
+// Calls listener whenever the backend list or selection changes; returns an unsubscribe function
+export const subscribeToBackend = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Endpoint URLs of a backend. Anything not set explicitly sits next to the cartoonize endpoint.
+export const getEndpoints = (backend = getBackend()) => ({
+  cartoonize: backend.url,
+  styles: new URL(backend.stylesUrl || '../styles/', backend.url).href,
+  jobs: new URL(backend.jobsUrl || '../jobs/', backend.url).href,
+  progress: backend.progressUrl ? new URL(backend.progressUrl, backend.url).href : null,
+  health: new URL(backend.healthUrl || '../health', backend.url).href,
+});
+
+const readCache = () => {
+  try {
+    return parseRuntimeConfig(JSON.parse(localStorage.getItem(CACHE_KEY)));
+  } catch (err) {
+    return null;
+  }
+};
+
+const writeCache = (data) => {
+  try {
+    if (data) localStorage.setItem(CACHE_KEY, JSON.stringify(data));
+    else localStorage.removeItem(CACHE_KEY);
+  } catch (err) {
+    console.error("Error caching runtime config:", err);
+  }
+};
+
+// Loads config.json and applies it. A missing file means "use the environment"; when it can't
+// be fetched at all (e.g. offline) the last copy received is used. Never rejects.
+export const loadRuntimeConfig = async ({ signal, url = CONFIG_URL } = {}) => {
+  let config = null;
+  try {
+    const response = await request(url, { signal, retries: 0, timeout: 5000, auth: false, cache: 'no-store', headers: { Accept: 'application/json' } });
+    const data = await response.json();
+    config = parseRuntimeConfig(data);
+    writeCache(data);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      writeCache(null); // No config.json deployed
+    } else if (err instanceof SyntaxError) {
+      // Not JSON, typically the dev server answering with index.html for a missing file
+    } else {
+      console.error("Error loading runtime config:", err);
+      config = readCache();
+    }
+  }
+  applyRuntimeConfig(config);
+  return getBackends();
+};
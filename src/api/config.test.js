@@ -0,0 +1,87 @@
+import {
+  ENV_BACKEND,
+  applyRuntimeConfig,
+  getBackend,
+  getBackends,
+  getEndpoints,
+  loadRuntimeConfig,
+  parseRuntimeConfig,
+  selectBackend,
+  subscribeToBackend,
+} from './config';
+
+const json = (body, status = 200) => ({ ok: status < 300, status, statusText: 'OK', json: () => Promise.resolve(body) });
+
+const config = {
+  defaultBackend: 'staging',
+  backends: [
+    { id: 'local', label: 'Local', url: 'http://127.0.0.1:8000/cartoonize/' },
+    { id: 'staging', label: 'Staging', url: 'https://staging.example.com/api/cartoonize/', healthUrl: '/status' },
+  ],
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  applyRuntimeConfig(null);
+  console.error.mockRestore();
+});
+
+test('parses named backends and falls back to the first one as default', () => {
+  const parsed = parseRuntimeConfig({ backends: [{ url: '/api/cartoonize/' }, { id: 'broken' }] });
+
+  expect(parsed.backends).toEqual([expect.objectContaining({ id: 'backend-1', label: 'backend-1', url: 'http://localhost/api/cartoonize/' })]);
+  expect(parsed.defaultBackend).toBe('backend-1');
+  expect(() => parseRuntimeConfig({ backends: [] })).toThrow(/usable backend/);
+  expect(() => parseRuntimeConfig({ backendUrl: 'x' })).toThrow(/"backends"/);
+});
+
+test('derives endpoints next to the cartoonize URL unless they are set', () => {
+  applyRuntimeConfig(parseRuntimeConfig(config));
+
+  expect(getEndpoints()).toEqual({
+    cartoonize: 'https://staging.example.com/api/cartoonize/',
+    styles: 'https://staging.example.com/api/styles/',
+    jobs: 'https://staging.example.com/api/jobs/',
+    progress: null,
+    health: 'https://staging.example.com/status',
+  });
+});
+
+test('remembers the selected backend and notifies subscribers', () => {
+  applyRuntimeConfig(parseRuntimeConfig(config));
+  const listener = jest.fn();
+  const unsubscribe = subscribeToBackend(listener);
+
+  expect(getBackend().id).toBe('staging');
+  selectBackend('local');
+  selectBackend('missing');
+
+  expect(getBackend().id).toBe('local');
+  expect(localStorage.getItem('ai-cartoonizer:backend')).toBe('local');
+  expect(listener).toHaveBeenCalledTimes(1);
+  unsubscribe();
+});
+
+test('uses the environment backend when config.json is missing', async () => {
+  global.fetch = jest.fn(() => Promise.resolve(json({ detail: 'Not Found' }, 404)));
+
+  await loadRuntimeConfig();
+
+  expect(getBackends()).toEqual([ENV_BACKEND]);
+  expect(getEndpoints().cartoonize).toBe('http://127.0.0.1:8000/cartoonize/');
+});
+
+test('falls back to the last config received when config.json cannot be fetched', async () => {
+  global.fetch = jest.fn(() => Promise.resolve(json(config)));
+  await loadRuntimeConfig();
+  applyRuntimeConfig(null);
+
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  await loadRuntimeConfig();
+
+  expect(getBackends().map((backend) => backend.id)).toEqual(['local', 'staging']);
+});
@@ -0,0 +1,110 @@
+import { t } from '../utils/i18n';
+
+// Structured errors raised by the API client, so the UI can tell failures apart
+// instead of parsing a single message string.
+
+export class ApiError extends Error {
+  constructor(message, { status = null, detail = null, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status; // HTTP status, when the backend answered
+    this.detail = detail; // Backend-provided explanation, when there is one
+    if (cause) this.cause = cause;
+  }
+}
+
+// The request never got an HTTP response (server down, DNS, CORS, offline)
+export class BackendUnreachableError extends ApiError {}
+
+// The backend did not answer within the configured timeout
+export class RequestTimeoutError extends BackendUnreachableError {}
+
+// The backend rejected the request (4xx), usually with a detail explaining why
+export class ValidationError extends ApiError {}
+
+// The backend did not accept the credentials (401), even after trying to refresh them
+export class AuthenticationError extends ValidationError {}
+
+// The account's quota is used up (429). retryAfterMs comes from the Retry-After header, when sent.
+export class QuotaExceededError extends ValidationError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, options);
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// The backend failed while handling the request (5xx)
+export class ServerError extends ApiError {}
+
+// The backend accepted a job but reported that processing it failed; detail is its error message
+export class JobFailedError extends ApiError {}
+
+// The request was cancelled by the user or because the component went away
+export class RequestCancelledError extends ApiError {}
+
+// A failure in the browser itself (decoding, canvas, the on-device engine). It carries a catalog
+// message id so the text follows the active locale; message is the English text, for logs.
+export class LocalizedError extends Error {
+  constructor(messageId, values = {}) {
+    super(t(messageId, values, 'en'));
+    this.name = 'LocalizedError';
+    this.messageId = messageId;
+    this.values = values;
+  }
+}
+
+// Text of an error to show inside a larger message, in the active locale where the error has one
+export const errorMessage = (err) => (err instanceof LocalizedError ? t(err.messageId, err.values) : err.message);
+
+// Retry-After is either a number of seconds or an HTTP date; returns milliseconds, or null
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// "45 seconds", "3 minutes", "2 hours"
+export const formatWait = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return t('wait.seconds', { count: seconds });
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return t('wait.minutes', { count: minutes });
+  return t('wait.hours', { count: Math.ceil(minutes / 60) });
+};
+
+// Turns FastAPI-style error bodies ({ detail: string | [{ loc, msg }] }) into readable text
+export const formatDetail = (detail) => {
+  if (!detail) return null;
+  if (typeof detail === 'string') return detail;
+  if (Array.isArray(detail)) {
+    return detail
+      .map((item) => (item && item.msg ? `${(item.loc || []).filter((part) => part !== 'body').join('.')}: ${item.msg}`.replace(/^: /, '') : String(item)))
+      .join('; ');
+  }
+  return JSON.stringify(detail);
+};
+
+// User-facing message for any error thrown while talking to the backend
+export const describeError = (err) => {
+  if (err instanceof RequestTimeoutError) return t('error.timeout');
+  if (err instanceof BackendUnreachableError) return t('error.unreachable');
+  if (err instanceof AuthenticationError) return t('error.unauthorized');
+  if (err instanceof QuotaExceededError) {
+    return err.retryAfterMs !== null ? t('error.quotaWait', { wait: formatWait(err.retryAfterMs) }) : t('error.quota');
+  }
+  // Status codes are passed as strings so they are never localized or digit-grouped
+  if (err instanceof ValidationError) {
+    return err.detail ? t('error.rejectedDetail', { detail: err.detail }) : t('error.rejected', { status: String(err.status) });
+  }
+  if (err instanceof JobFailedError) {
+    return err.detail ? t('error.jobFailedDetail', { detail: formatDetail(err.detail) }) : t('error.jobFailed');
+  }
+  if (err instanceof ServerError) {
+    return err.detail
+      ? t('error.serverDetail', { status: String(err.status), detail: err.detail })
+      : t('error.server', { status: String(err.status) });
+  }
+  if (err instanceof LocalizedError) return errorMessage(err);
+  return t('error.unknown', { reason: err.message });
+};
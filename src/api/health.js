@@ -0,0 +1,54 @@
+import { request } from './client';
+import { getBackend, getEndpoints } from './config';
+import { RequestCancelledError, ServerError, ValidationError } from './errors';
+import { t } from '../utils/i18n';
+
+export const HEALTH_INTERVAL_MS = Number(process.env.REACT_APP_HEALTH_INTERVAL_MS) || 30000;
+export const HEALTH_TIMEOUT_MS = 5000;
+// Answers slower than this count as degraded
+export const HEALTH_SLOW_MS = Number(process.env.REACT_APP_HEALTH_SLOW_MS) || 2000;
+
+// Statuses a health endpoint may report in { "status": "..." } that mean all is well
+const HEALTHY_STATUSES = ['ok', 'online', 'healthy', 'up', 'pass'];
+
+const readStatus = async (response) => {
+  try {
+    const data = await response.json();
+    return data && typeof data.status === 'string' ? data.status.toLowerCase() : null;
+  } catch (err) {
+    return null; // Plain-text or empty bodies are fine; answering at all is what counts
+  }
+};
+
+// Pings a backend's health endpoint and resolves with { status, latencyMs, detail }, where status is
+// 'online', 'degraded' (slow, reported unhealthy, or answering with 5xx) or 'offline' (no answer).
+// A 4xx still proves the backend is up, e.g. when it has no health endpoint.
+export const checkHealth = async (backend = getBackend(), { signal, timeout = HEALTH_TIMEOUT_MS, slowMs = HEALTH_SLOW_MS } = {}) => {
+  const startedAt = Date.now();
+  try {
+    const response = await request(getEndpoints(backend).health, {
+      signal,
+      timeout,
+      retries: 0,
+      cache: 'no-store',
+      headers: { Accept: 'application/json' },
+    });
+    const latencyMs = Date.now() - startedAt;
+    const reported = await readStatus(response);
+    if (reported && !HEALTHY_STATUSES.includes(reported)) {
+      return { status: 'degraded', latencyMs, detail: t('health.reported', { status: reported }) };
+    }
+    if (latencyMs > slowMs) return { status: 'degraded', latencyMs, detail: t('health.slow') };
+    return { status: 'online', latencyMs, detail: null };
+  } catch (err) {
+    if (err instanceof RequestCancelledError) throw err;
+    const latencyMs = Date.now() - startedAt;
+    if (err instanceof ServerError) return { status: 'degraded', latencyMs, detail: err.message };
+    if (err instanceof ValidationError) {
+      return latencyMs > slowMs
+        ? { status: 'degraded', latencyMs, detail: t('health.slow') }
+        : { status: 'online', latencyMs, detail: null };
+    }
+    return { status: 'offline', latencyMs: null, detail: err.message };
+  }
+};
@@ -0,0 +1,41 @@
+import { checkHealth } from './health';
+import { ENV_BACKEND } from './config';
+
+const respond = (status, body) => ({ ok: status < 300, status, statusText: 'Status', json: () => (body ? Promise.resolve(body) : Promise.reject(new SyntaxError('No JSON'))) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('reports a healthy backend as online with its latency', async () => {
+  global.fetch = jest.fn(() => Promise.resolve(respond(200, { status: 'ok' })));
+
+  const health = await checkHealth(ENV_BACKEND);
+
+  expect(global.fetch.mock.calls[0][0]).toBe('http://127.0.0.1:8000/health');
+  expect(health).toEqual({ status: 'online', latencyMs: expect.any(Number), detail: null });
+});
+
+test('reports slow answers, unhealthy statuses and 5xx as degraded', async () => {
+  global.fetch = jest.fn(() => Promise.resolve(respond(200, { status: 'degraded' })));
+  expect((await checkHealth(ENV_BACKEND)).status).toBe('degraded');
+
+  global.fetch = jest.fn(() => Promise.resolve(respond(503)));
+  expect((await checkHealth(ENV_BACKEND)).status).toBe('degraded');
+
+  let now = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => {
+    now += 3000;
+    return now;
+  });
+  global.fetch = jest.fn(() => Promise.resolve(respond(200)));
+  expect(await checkHealth(ENV_BACKEND, { slowMs: 2000 })).toEqual(expect.objectContaining({ status: 'degraded', latencyMs: 3000 }));
+});
+
+test('treats a missing health endpoint as online and no answer as offline', async () => {
+  global.fetch = jest.fn(() => Promise.resolve(respond(404)));
+  expect((await checkHealth(ENV_BACKEND)).status).toBe('online');
+
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  expect(await checkHealth(ENV_BACKEND)).toEqual({ status: 'offline', latencyMs: null, detail: expect.stringMatching(/Could not reach/) });
+});
@@ -0,0 +1,73 @@
+import { request } from './client';
+import { getEndpoints } from './config';
+import { ApiError, JobFailedError } from './errors';
+
+// 'sync' posts to the cartoonize endpoint and waits for the image;
+// 'job' submits a job, polls its status and downloads the result when it is ready.
+export const PROCESSING_MODE = process.env.REACT_APP_PROCESSING_MODE === 'job' ? 'job' : 'sync';
+export const JOB_POLL_INTERVAL_MS = Number(process.env.REACT_APP_JOB_POLL_INTERVAL_MS) || 2000;
+
+// Thrown when the backend reports that the job itself failed
+export { JobFailedError };
+
+const jobUrl = (id, suffix = '') => `${getEndpoints().jobs.replace(/\/?$/, '/')}${encodeURIComponent(id)}${suffix}`;
+
+// Resolves after ms unless signal aborts first (the next request then reports the cancellation)
+const wait = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  if (signal) signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+// Submits an image for processing and resolves with the job id. Only signal, headers and timeout
+// reach the API client: the POST is never retried, since a retry could create the job twice.
+export const submitJob = async (file, style, { params = {}, mask, signal, headers, timeout } = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('style', style);
+  Object.entries(params).forEach(([name, value]) => formData.append(name, value));
+  if (mask) formData.append('mask', mask, 'mask.png');
+
+  const data = await request(getEndpoints().jobs, { method: 'POST', body: formData, signal, headers, timeout, retries: 0, read: 'json' });
+  const id = data.job_id || data.id;
+  if (!id) throw new ApiError('The backend did not return a job id.');
+  return String(id);
+};
+
+// Current job status: { status: 'queued' | 'running' | 'done' | 'failed', stage?, progress?, error? }
+export const getJobStatus = async (id, { signal } = {}) => {
+  return request(jobUrl(id), { signal, headers: { Accept: 'application/json' }, read: 'json' });
+};
+
+// Downloads the finished image
+export const fetchJobResult = async (id, { signal } = {}) => {
+  return request(jobUrl(id, '/result'), { signal, read: 'blob' });
+};
+
+// Polls until the job is done; onStatus receives every status update
+export const waitForJob = async (id, { signal, onStatus, interval = JOB_POLL_INTERVAL_MS } = {}) => {
+  for (;;) {
+    const status = await getJobStatus(id, { signal });
+    if (onStatus) onStatus(status);
+    if (status.status === 'done') return status;
+    if (status.status === 'failed') {
+      throw new JobFailedError('The job failed.', { detail: status.error || null });
+    }
+    await wait(interval, signal);
+  }
+};
+
+// Resumes a submitted job and resolves with its result Blob
+export const resumeJob = async (id, { signal, onStatus, interval } = {}) => {
+  await waitForJob(id, { signal, onStatus, interval });
+  return fetchJobResult(id, { signal });
+};
+
+// Full job round trip; onSubmitted(id) is called as soon as the backend accepts the job
+export const cartoonizeViaJob = async (file, style, { params, mask, signal, headers, timeout, onSubmitted, onStatus, interval } = {}) => {
+  const id = await submitJob(file, style, { params, mask, signal, headers, timeout });
+  if (onSubmitted) onSubmitted(id);
+  return resumeJob(id, { signal, onStatus, interval });
+};
@@ -0,0 +1,52 @@
+import { cartoonizeViaJob, resumeJob, JobFailedError } from './jobs';
+import { describeError, ServerError } from './errors';
+
+const json = (body, status = 200) => ({ ok: status < 300, status, statusText: 'OK', json: () => Promise.resolve(body) });
+const image = () => ({ ok: true, status: 200, blob: () => Promise.resolve(new Blob(['png'], { type: 'image/png' })) });
+
+// Routes mocked requests by method and URL suffix
+const mockBackend = (statuses) => {
+  global.fetch = jest.fn((url, { method = 'GET' } = {}) => {
+    if (method === 'POST') return Promise.resolve(json({ job_id: 'job-42' }));
+    if (url.endsWith('/result')) return Promise.resolve(image());
+    return Promise.resolve(json(statuses.shift()));
+  });
+};
+
+test('submits a job, polls its status and downloads the result', async () => {
+  mockBackend([{ status: 'queued' }, { status: 'running', stage: 'edges', progress: 0.5 }, { status: 'done' }]);
+  const onSubmitted = jest.fn();
+  const onStatus = jest.fn();
+
+  const blob = await cartoonizeViaJob(new File(['x'], 'a.png'), 'sketch', { onSubmitted, onStatus, interval: 1 });
+
+  expect(blob.type).toBe('image/png');
+  expect(onSubmitted).toHaveBeenCalledWith('job-42');
+  expect(onStatus.mock.calls.map(([status]) => status.status)).toEqual(['queued', 'running', 'done']);
+  expect(global.fetch.mock.calls[0][0]).toBe('http://127.0.0.1:8000/jobs/');
+  expect(global.fetch.mock.calls[1][0]).toBe('http://127.0.0.1:8000/jobs/job-42');
+  expect(global.fetch.mock.calls[4][0]).toBe('http://127.0.0.1:8000/jobs/job-42/result');
+});
+
+test('rejects with the backend reason when the job fails', async () => {
+  mockBackend([{ status: 'running' }, { status: 'failed', error: 'out of memory' }]);
+
+  const error = await resumeJob('job-42', { interval: 1 }).catch((err) => err);
+
+  expect(error).toBeInstanceOf(JobFailedError);
+  expect(error.detail).toBe('out of memory');
+  expect(describeError(error)).toBe('The backend could not process the image: out of memory');
+});
+
+test('submits the job once, without retrying or passing on unrelated options', async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 503, statusText: 'Service Unavailable', json: () => Promise.resolve({}) }));
+
+  const error = await cartoonizeViaJob(new File(['x'], 'a.png'), 'sketch', { progressId: 'p-1', onUploadProgress: jest.fn(), interval: 1 })
+    .catch((err) => err);
+
+  expect(error).toBeInstanceOf(ServerError);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  const init = global.fetch.mock.calls[0][1];
+  expect(init).not.toHaveProperty('progressId');
+  expect(init).not.toHaveProperty('onUploadProgress');
+});
@@ -0,0 +1,68 @@
+import { request } from './client';
+import { getEndpoints } from './config';
+
+// Optional processing-progress endpoint of the selected backend. When set, each cartoonize
+// request carries a progress_id field and the frontend listens on `<progress url>/{id}` for
+// updates shaped like { stage: 'detecting edges', progress: 0.4, done: false }.
+// 'sse' (Server-Sent Events, falls back to polling when unsupported) or 'poll'
+export const PROGRESS_MODE = process.env.REACT_APP_PROGRESS_MODE || 'sse';
+export const PROGRESS_POLL_INTERVAL_MS = 1000;
+
+export const isProgressEnabled = () => Boolean(getEndpoints().progress);
+
+// Random id that ties a cartoonize request to its progress stream
+export const createProgressId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+const progressUrl = (id, base) => `${base.replace(/\/?$/, '/')}${encodeURIComponent(id)}`;
+
+// Listens for processing updates and returns an unsubscribe function. Progress is
+// best-effort: connection problems are ignored because the main request still completes.
+export const subscribeToProgress = (id, onUpdate, {
+  base = getEndpoints().progress,
+  mode = PROGRESS_MODE,
+  interval = PROGRESS_POLL_INTERVAL_MS,
+} = {}) => {
+  const url = progressUrl(id, base);
+
+  if (mode === 'sse' && typeof EventSource !== 'undefined') {
+    const source = new EventSource(url);
+    source.onmessage = (e) => {
+      try {
+        const update = JSON.parse(e.data);
+        onUpdate(update);
+        if (update.done) source.close();
+      } catch (err) {
+        console.error("Ignoring malformed progress event:", err);
+      }
+    };
+    return () => source.close();
+  }
+
+  // Polling fallback
+  let stopped = false;
+  let timer = null;
+  const controller = new AbortController();
+  const poll = async () => {
+    try {
+      const response = await request(url, { signal: controller.signal, retries: 0, timeout: interval * 5 });
+      const update = await response.json();
+      if (stopped) return;
+      onUpdate(update);
+      if (update.done) return;
+    } catch (err) {
+      if (stopped) return; // A 404 before the backend registers the id is normal; keep polling
+    }
+    timer = setTimeout(poll, interval);
+  };
+  timer = setTimeout(poll, interval);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    controller.abort();
+  };
+};
@@ -0,0 +1,101 @@
+import http from 'http';
+import { request } from './client';
+import { subscribeToProgress } from './progress';
+
+// Local mock backend: accepts a multipart upload and answers with a tiny PNG
+// Lets pending promises settle while fake timers are installed
+const flushPromises = () => new Promise(jest.requireActual('timers').setImmediate);
+
+let server;
+let backendUrl;
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+    if (req.method === 'OPTIONS') {
+      res.end();
+      return;
+    }
+    let received = 0;
+    req.on('data', (chunk) => { received += chunk.length; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'image/png');
+      res.setHeader('X-Received-Bytes', String(received));
+      res.setHeader('Access-Control-Expose-Headers', 'X-Received-Bytes');
+      res.end(Buffer.from([0x89, 0x50, 0x4E, 0x47]));
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    backendUrl = `http://127.0.0.1:${server.address().port}/cartoonize/`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('reports upload progress when sending through the XHR transport', async () => {
+  const formData = new FormData();
+  formData.append('file', new File([new Uint8Array(256 * 1024)], 'big.png', { type: 'image/png' }));
+  formData.append('style', 'sketch');
+  const onUploadProgress = jest.fn();
+
+  const response = await request(backendUrl, { method: 'POST', body: formData, onUploadProgress, retries: 0 });
+
+  expect(response.ok).toBe(true);
+  expect(Number(response.headers.get('x-received-bytes'))).toBeGreaterThan(256 * 1024);
+  expect((await response.blob()).size).toBe(4);
+  expect(onUploadProgress).toHaveBeenCalled();
+  const last = onUploadProgress.mock.calls[onUploadProgress.mock.calls.length - 1][0];
+  expect(last.loaded).toBe(last.total);
+});
+
+test('streams processing stages over Server-Sent Events', () => {
+  const sources = [];
+  global.EventSource = class {
+    constructor(url) {
+      this.url = url;
+      this.close = jest.fn();
+      sources.push(this);
+    }
+  };
+  const onUpdate = jest.fn();
+
+  const unsubscribe = subscribeToProgress('job 1', onUpdate, { base: 'http://backend/progress', mode: 'sse' });
+  expect(sources[0].url).toBe('http://backend/progress/job%201');
+
+  sources[0].onmessage({ data: JSON.stringify({ stage: 'smoothing', progress: 0.25 }) });
+  sources[0].onmessage({ data: JSON.stringify({ stage: 'done', progress: 1, done: true }) });
+  expect(onUpdate.mock.calls.map(([update]) => update.stage)).toEqual(['smoothing', 'done']);
+  expect(sources[0].close).toHaveBeenCalled();
+
+  unsubscribe();
+  delete global.EventSource;
+});
+
+test('polls the progress endpoint until the job reports done', async () => {
+  jest.useFakeTimers();
+  const updates = [
+    { ok: false, status: 404, statusText: 'Not Found', json: () => Promise.resolve({}) },
+    { ok: true, status: 200, json: () => Promise.resolve({ stage: 'edges', progress: 0.5 }) },
+    { ok: true, status: 200, json: () => Promise.resolve({ stage: 'finished', progress: 1, done: true }) },
+  ];
+  global.fetch = jest.fn(() => Promise.resolve(updates.shift()));
+  const onUpdate = jest.fn();
+
+  subscribeToProgress('abc', onUpdate, { base: 'http://backend/progress/', mode: 'poll', interval: 100 });
+  for (let i = 0; i < 5; i++) {
+    jest.advanceTimersByTime(100);
+    await flushPromises();
+  }
+
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(global.fetch.mock.calls[0][0]).toBe('http://backend/progress/abc');
+  expect(onUpdate.mock.calls.map(([update]) => update.stage)).toEqual(['edges', 'finished']);
+});
@@ -0,0 +1,69 @@
+import { request } from './client';
+import { getEndpoints } from './config';
+
+// Built-in copy of the styles in cartoonizer.py, used when the backend and cache are both unavailable
+export const DEFAULT_STYLES = [
+  {
+    id: 'whitebox',
+    label: 'Whitebox',
+    description: 'Flat colours with clean cartoon outlines.',
+    preview: null,
+    params: [
+      { name: 'color_levels', label: 'Colour levels', type: 'range', min: 2, max: 32, step: 1, default: 8 },
+    ],
+  },
+  {
+    id: 'sketch',
+    label: 'Sketch',
+    description: 'Pencil-style line drawing.',
+    preview: null,
+    params: [
+      { name: 'edge_thickness', label: 'Edge thickness', type: 'range', min: 1, max: 10, step: 1, default: 3 },
+    ],
+  },
+  {
+    id: 'oilpaint',
+    label: 'Oil Paint',
+    description: 'Painterly brush strokes.',
+    preview: null,
+    params: [
+      { name: 'brush_size', label: 'Brush size', type: 'range', min: 1, max: 15, step: 1, default: 5 },
+    ],
+  },
+];
+
+// Coerces one catalog entry into the shape the UI expects, or null if it is unusable
+const normalizeStyle = (raw, stylesUrl) => {
+  const id = raw && (raw.id || raw.value);
+  if (!id) return null;
+  return {
+    id: String(id),
+    label: raw.label || raw.name || String(id),
+    description: raw.description || '',
+    // Preview paths may be relative to the catalog endpoint
+    preview: raw.preview ? new URL(raw.preview, stylesUrl).href : null,
+    params: Array.isArray(raw.params) ? raw.params : [],
+  };
+};
+
+// Accepts either a bare array or { styles: [...] } and returns the normalized list
+// stylesUrl is the catalog endpoint (defaults to the selected backend's) that previews resolve against
+export const parseStyleCatalog = (data, stylesUrl = getEndpoints().styles) => {
+  const list = Array.isArray(data) ? data : data && data.styles;
+  if (!Array.isArray(list)) {
+    throw new Error('Style catalog response is not a list of styles.');
+  }
+  const styles = list.map((raw) => normalizeStyle(raw, stylesUrl)).filter(Boolean);
+  if (styles.length === 0) {
+    throw new Error('Style catalog is empty.');
+  }
+  return styles;
+};
+
+// Loads the list of available styles from the backend
+export const fetchStyleCatalog = async ({ signal } = {}) => {
+  // No retries: the cached catalog is a good enough answer while the backend is down
+  const stylesUrl = getEndpoints().styles;
+  const response = await request(stylesUrl, { signal, retries: 0, headers: { Accept: 'application/json' } });
+  return parseStyleCatalog(await response.json(), stylesUrl);
+};
@@ -0,0 +1,78 @@
+// fetch()-compatible transport built on XMLHttpRequest, used when upload progress is needed
+// (fetch cannot report how much of a request body has been sent).
+
+// Minimal Response stand-in covering what the API client reads
+const toResponse = (xhr) => {
+  const headers = xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).filter(Boolean).reduce((acc, line) => {
+    const index = line.indexOf(':');
+    acc[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    return acc;
+  }, {});
+  const body = xhr.response; // Always a Blob (responseType = 'blob')
+
+  const readText = () => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(body);
+  });
+
+  return {
+    ok: xhr.status >= 200 && xhr.status < 300,
+    status: xhr.status,
+    statusText: xhr.statusText,
+    headers: { get: (name) => headers[name.toLowerCase()] || null },
+    blob: () => Promise.resolve(body),
+    text: readText,
+    json: () => readText().then(JSON.parse),
+  };
+};
+
+// Sends a request with XHR. Rejects like fetch does: TypeError on network failure and
+// an AbortError DOMException when signal aborts. onUploadProgress receives { loaded, total }.
+export const xhrFetch = (url, { method = 'GET', body, headers = {}, signal, onUploadProgress } = {}) => (
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    xhr.responseType = 'blob';
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    if (onUploadProgress && xhr.upload) {
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) onUploadProgress({ loaded: e.loaded, total: e.total });
+      });
+      // Some browsers can't size multipart bodies; always report completion
+      xhr.upload.addEventListener('load', (e) => {
+        const total = e.lengthComputable ? e.total : 1;
+        onUploadProgress({ loaded: total, total });
+      });
+    }
+
+    const onAbort = () => xhr.abort();
+    const cleanup = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    xhr.onload = () => {
+      cleanup();
+      resolve(toResponse(xhr));
+    };
+    xhr.onerror = () => {
+      cleanup();
+      reject(new TypeError('Network request failed'));
+    };
+    xhr.onabort = () => {
+      cleanup();
+      reject(new DOMException('The request was aborted.', 'AbortError'));
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        reject(new DOMException('The request was aborted.', 'AbortError'));
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    xhr.send(body);
+  })
+);
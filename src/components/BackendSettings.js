@@ -0,0 +1,86 @@
+import React, { useRef } from 'react';
+import { Server, RefreshCw, X } from 'lucide-react';
+import { getEndpoints } from '../api/config';
+import { formatLatency } from './HealthBadge';
+import useDialog from '../hooks/useDialog';
+import useLocale from '../hooks/useLocale';
+
+// Dialog for switching between the backends listed in config.json, with the selected one's health.
+// Focus returns to whatever opened it.
+const BackendSettings = ({ backends, backend, health, onSelect, onClose }) => {
+  const closeButtonRef = useRef(null);
+  useDialog(closeButtonRef, onClose);
+  const { t } = useLocale();
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="backend-settings-title"
+        className="w-full max-w-md bg-zinc-800 border border-zinc-700 rounded-2xl p-6 shadow-2xl space-y-4 text-start"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <h3 id="backend-settings-title" className="flex items-center text-xl font-semibold text-zinc-200">
+            <Server className="h-5 w-5 me-2" />
+            {t('backendSettings.title')}
+          </h3>
+          <button ref={closeButtonRef} onClick={onClose} className="p-1 text-zinc-400 hover:text-white" aria-label={t('common.close')}>
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {backends.length > 1 ? (
+          <fieldset className="space-y-2">
+            <legend className="text-sm text-zinc-400 mb-2">{t('backendSettings.sendTo')}</legend>
+            {backends.map((entry) => (
+              <label key={entry.id} className="flex items-start p-3 rounded-lg border border-zinc-700 hover:bg-zinc-700/50 cursor-pointer">
+                <input
+                  type="radio"
+                  name="backend"
+                  value={entry.id}
+                  checked={entry.id === backend.id}
+                  onChange={() => onSelect(entry.id)}
+                  className="mt-1 me-3"
+                />
+                <span className="min-w-0">
+                  <span className="block text-zinc-200">{entry.label}</span>
+                  <span className="block truncate text-xs text-zinc-500" title={entry.url}>{entry.url}</span>
+                </span>
+              </label>
+            ))}
+          </fieldset>
+        ) : (
+          <div>
+            <p className="text-zinc-200">{backend.label}</p>
+            <p className="truncate text-xs text-zinc-500" title={backend.url}>{backend.url}</p>
+            <p className="text-sm text-zinc-400 mt-2">{t('backendSettings.onlyOne')}</p>
+          </div>
+        )}
+
+        <div className="p-3 rounded-lg bg-zinc-900/60 text-sm space-y-1" role="status">
+          <p className="text-zinc-300">
+            {t('backendSettings.status')} <span className="font-semibold">{t(`health.${health.status}`).replace('...', '')}</span>
+            {health.latencyMs !== null && health.status !== 'offline' && ` (${formatLatency(health.latencyMs)})`}
+          </p>
+          {health.detail && <p className="text-zinc-400">{health.detail}</p>}
+          <p className="truncate text-xs text-zinc-500">{t('backendSettings.healthCheck', { url: getEndpoints(backend).health })}</p>
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            onClick={health.check}
+            disabled={health.isChecking}
+            className="flex items-center px-4 py-2 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-sm text-zinc-100 disabled:opacity-50"
+          >
+            <RefreshCw className={`h-4 w-4 me-2 ${health.isChecking ? 'animate-spin' : ''}`} />
+            {t('backendSettings.checkNow')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackendSettings;
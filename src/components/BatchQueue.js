@@ -0,0 +1,136 @@
+import React from 'react';
+import { Sparkles, RotateCcw, XCircle, Trash2, CheckCircle2, AlertTriangle, Loader2, Clock } from 'lucide-react';
+import useLocale from '../hooks/useLocale';
+
+// Visual treatment for each queue item status
+const STATUS_STYLES = {
+  pending: { label: 'batch.pending', className: 'text-zinc-400', Icon: Clock },
+  processing: { label: 'batch.processing', className: 'text-blue-400', Icon: Loader2 },
+  done: { label: 'batch.done', className: 'text-green-400', Icon: CheckCircle2 },
+  failed: { label: 'batch.failed', className: 'text-red-400', Icon: AlertTriangle },
+  cancelled: { label: 'batch.cancelled', className: 'text-zinc-500', Icon: XCircle },
+};
+
+// Why a running queue is waiting (see useBatchQueue)
+const PAUSE_NOTES = { signIn: 'batch.pausedSignIn', quota: 'batch.pausedQuota' };
+
+// Batch mode panel: lists every queued image with its status and the queue controls
+const BatchQueue = ({ queue, concurrency, onConcurrencyChange, onExit, canStart = true, children }) => {
+  const { items, isRunning, pausedBy, start, retry, cancel, remove } = queue;
+  const { t } = useLocale();
+
+  const counts = items.reduce((acc, item) => {
+    acc[item.status] = (acc[item.status] || 0) + 1;
+    return acc;
+  }, {});
+  const hasPending = Boolean(counts.pending);
+  const hasUnfinished = Boolean(counts.pending || counts.processing);
+
+  return (
+    <div className="bg-zinc-800/50 border border-zinc-700 rounded-2xl p-6 md:p-8 shadow-2xl backdrop-blur-sm">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-xl font-semibold text-zinc-300">{t('batch.title')}</h2>
+          <p className="text-sm text-zinc-500">
+            {t('batch.summary', { count: items.length, done: counts.done || 0, failed: counts.failed || 0 })}
+          </p>
+          {isRunning && PAUSE_NOTES[pausedBy] && (
+            <p className="flex items-center text-sm text-amber-300" role="status">
+              <Clock className="h-4 w-4 me-1" />
+              {t(PAUSE_NOTES[pausedBy])}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center space-x-2 rtl:space-x-reverse">
+          <label htmlFor="batch-concurrency" className="text-sm text-zinc-300">{t('batch.concurrency')}</label>
+          <input
+            id="batch-concurrency"
+            type="number"
+            min={1}
+            max={8}
+            value={concurrency}
+            onChange={(e) => onConcurrencyChange(Math.min(8, Math.max(1, Number(e.target.value) || 1)))}
+            className="w-16 px-2 py-1 bg-zinc-700 border border-zinc-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      {/* Shared controls (e.g. style selection) rendered by the parent */}
+      {!isRunning && children}
+
+      <ul className="divide-y divide-zinc-700 border border-zinc-700 rounded-lg">
+        {items.map((item) => {
+          const { label, className, Icon } = STATUS_STYLES[item.status];
+          return (
+            <li key={item.id} className="flex items-center gap-4 p-3" data-testid="batch-item">
+              <img
+                src={item.resultUrl || item.previewUrl}
+                alt={item.name}
+                className="h-14 w-14 object-cover rounded-md bg-zinc-700 flex-shrink-0"
+              />
+              <div className="flex-1 min-w-0 text-start">
+                <p className="truncate text-zinc-200">{item.name}</p>
+                {item.error && <p className="text-sm text-red-400 truncate">{item.error}</p>}
+              </div>
+              <span className={`flex items-center text-sm font-medium ${className}`}>
+                <Icon className={`h-4 w-4 me-1 ${item.status === 'processing' ? 'animate-spin' : ''}`} />
+                {t(label)}
+              </span>
+              {(item.status === 'failed' || item.status === 'cancelled') && (
+                <button
+                  onClick={() => retry(item.id)}
+                  className="p-2 text-zinc-300 hover:text-blue-400"
+                  title={t('batch.retry', { name: item.name })}
+                  aria-label={t('batch.retry', { name: item.name })}
+                >
+                  <RotateCcw className="h-4 w-4" />
+                </button>
+              )}
+              {item.status !== 'processing' && (
+                <button
+                  onClick={() => remove(item.id)}
+                  className="p-2 text-zinc-400 hover:text-red-400"
+                  title={t('batch.remove', { name: item.name })}
+                  aria-label={t('batch.remove', { name: item.name })}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="flex flex-col sm:flex-row items-center justify-center space-y-4 sm:space-y-0 sm:space-x-4 rtl:space-x-reverse mt-8">
+        <button
+          onClick={onExit}
+          disabled={isRunning}
+          className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+        >
+          <RotateCcw className="h-5 w-5 me-2" />
+          {t('batch.startOver')}
+        </button>
+        {hasUnfinished && isRunning ? (
+          <button
+            onClick={cancel}
+            className="flex items-center justify-center px-6 py-3 bg-red-600 hover:bg-red-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 transform hover:scale-105 w-full sm:w-auto"
+          >
+            <XCircle className="h-5 w-5 me-2" />
+            {t('batch.cancel')}
+          </button>
+        ) : (
+          <button
+            onClick={start}
+            disabled={!hasPending || !canStart}
+            className="flex items-center justify-center px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-600 hover:to-cyan-700 text-white font-semibold rounded-lg shadow-lg transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+          >
+            <Sparkles className="h-5 w-5 me-2" />
+            {t('batch.start', { count: counts.pending || 0 })}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchQueue;
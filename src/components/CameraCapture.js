@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Camera, SwitchCamera, Timer, X, AlertTriangle, RotateCcw } from 'lucide-react';
+import useCamera from '../hooks/useCamera';
+import { captureFrame } from '../utils/camera';
+import useLocale from '../hooks/useLocale';
+
+// Seconds to count down before taking the photo; 0 captures immediately
+const COUNTDOWN_OPTIONS = [0, 3, 5, 10];
+
+// Live camera preview with a capture button, optional countdown and front/back switching.
+// onCapture receives the photo as a File, exactly like a dropped image.
+const CameraCapture = ({ onCapture, onCancel }) => {
+  const { stream, status, error, facingMode, canSwitch, switchCamera, retry } = useCamera();
+  const { t } = useLocale();
+  const [delay, setDelay] = useState(3);
+  const [countdown, setCountdown] = useState(null); // Seconds left, or null when not counting
+  const [captureError, setCaptureError] = useState(null);
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = stream;
+  }, [stream]);
+
+  const takePhoto = async () => {
+    setCountdown(null);
+    try {
+      onCapture(await captureFrame(videoRef.current));
+    } catch (err) {
+      console.error("Error capturing photo:", err);
+      setCaptureError(err.message);
+    }
+  };
+  const takePhotoRef = useRef(takePhoto);
+  takePhotoRef.current = takePhoto;
+
+  // One tick per second; the photo is taken when the countdown reaches zero
+  useEffect(() => {
+    if (countdown === null) return undefined;
+    if (countdown === 0) {
+      takePhotoRef.current();
+      return undefined;
+    }
+    const timer = setTimeout(() => setCountdown(countdown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [countdown]);
+
+  // Switching cameras or losing the stream cancels a running countdown
+  useEffect(() => {
+    setCountdown(null);
+  }, [stream]);
+
+  const isLive = status === 'live';
+  const isCounting = countdown !== null;
+
+  return (
+    <div className="bg-zinc-800/50 border border-zinc-700 rounded-2xl p-6 md:p-8 shadow-2xl backdrop-blur-sm space-y-4">
+      <h3 className="flex items-center justify-center text-xl font-semibold text-zinc-300">
+        <Camera className="h-5 w-5 me-2" />
+        {t('camera.title')}
+      </h3>
+
+      <div className="relative flex items-center justify-center bg-zinc-900 rounded-lg overflow-hidden min-h-[16rem]">
+        {status === 'error' ? (
+          <div className="flex flex-col items-center p-6 text-center text-red-400" role="alert">
+            <AlertTriangle className="h-10 w-10 mb-3" />
+            <p>{error}</p>
+            <button onClick={retry} className="flex items-center mt-4 px-4 py-2 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-sm text-zinc-100">
+              <RotateCcw className="h-4 w-4 me-2" />
+              {t('camera.tryAgain')}
+            </button>
+          </div>
+        ) : (
+          <>
+            <video
+              ref={videoRef}
+              autoPlay
+              playsInline
+              muted
+              aria-label={t('camera.preview')}
+              className="w-full max-h-[60vh] object-contain"
+              style={{ transform: facingMode === 'user' ? 'scaleX(-1)' : undefined }} // Mirror the selfie view
+            />
+            {status === 'starting' && (
+              <div className="absolute inset-0 flex items-center justify-center">
+                <div className="loader ease-linear rounded-full border-4 border-t-4 border-blue-400 h-12 w-12"></div>
+              </div>
+            )}
+            {isCounting && countdown > 0 && (
+              <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+                <span className="text-8xl font-extrabold text-white drop-shadow-lg" aria-live="assertive" data-testid="countdown">{countdown}</span>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {captureError && <p className="text-red-400 text-center text-sm">{captureError}</p>}
+
+      <div className="flex flex-wrap items-center justify-center gap-3">
+        <label htmlFor="camera-countdown" className="flex items-center text-sm text-zinc-300">
+          <Timer className="h-4 w-4 me-1" />
+          {t('camera.countdown')}
+        </label>
+        <select
+          id="camera-countdown"
+          value={delay}
+          onChange={(e) => setDelay(Number(e.target.value))}
+          disabled={isCounting}
+          className="px-3 py-1 bg-zinc-700 border border-zinc-600 rounded-lg text-white text-sm"
+        >
+          {COUNTDOWN_OPTIONS.map((seconds) => (
+            <option key={seconds} value={seconds}>{seconds === 0 ? t('camera.countdownOff') : t('camera.countdownSeconds', { seconds })}</option>
+          ))}
+        </select>
+        {canSwitch && (
+          <button
+            onClick={switchCamera}
+            disabled={isCounting}
+            className="flex items-center px-3 py-2 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-sm text-zinc-200 disabled:opacity-50"
+          >
+            <SwitchCamera className="h-4 w-4 me-2" />
+            {facingMode === 'user' ? t('camera.back') : t('camera.front')}
+          </button>
+        )}
+      </div>
+
+      <div className="flex justify-center space-x-4 rtl:space-x-reverse">
+        <button
+          onClick={isCounting ? () => setCountdown(null) : onCancel}
+          className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300"
+        >
+          <X className="h-5 w-5 me-2" />
+          {isCounting ? t('camera.stopCountdown') : t('common.cancel')}
+        </button>
+        <button
+          onClick={() => {
+            setCaptureError(null);
+            setCountdown(delay);
+          }}
+          disabled={!isLive || isCounting}
+          className="flex items-center justify-center px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-600 hover:to-cyan-700 text-white font-semibold rounded-lg shadow-lg transition-all duration-300 disabled:opacity-50"
+        >
+          <Camera className="h-5 w-5 me-2" />
+          {t('camera.capture')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CameraCapture;
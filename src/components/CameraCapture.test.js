@@ -0,0 +1,95 @@
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
+import CameraCapture from './CameraCapture';
+import { captureFrame } from '../utils/camera';
+
+jest.mock('../utils/camera', () => ({
+  ...jest.requireActual('../utils/camera'),
+  captureFrame: jest.fn(),
+}));
+
+const mediaError = (name) => Object.assign(new Error(name), { name });
+
+let track;
+
+const mockMediaDevices = ({ getUserMedia, cameras = 1 }) => {
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: {
+      getUserMedia: jest.fn(getUserMedia),
+      enumerateDevices: jest.fn(() => Promise.resolve(Array.from({ length: cameras }, () => ({ kind: 'videoinput' })))),
+    },
+  });
+};
+
+beforeEach(() => {
+  track = { stop: jest.fn() };
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+  delete navigator.mediaDevices;
+});
+
+test('captures a photo after the countdown and releases the camera on unmount', async () => {
+  jest.useFakeTimers();
+  const photo = new File(['jpg'], 'camera.jpg', { type: 'image/jpeg' });
+  captureFrame.mockResolvedValue(photo);
+  mockMediaDevices({ getUserMedia: () => Promise.resolve({ getTracks: () => [track] }) });
+  const onCapture = jest.fn();
+
+  const { unmount } = render(<CameraCapture onCapture={onCapture} onCancel={jest.fn()} />);
+  const capture = screen.getByRole('button', { name: 'Capture' });
+  await waitFor(() => expect(capture).toBeEnabled());
+  expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith(expect.objectContaining({
+    video: expect.objectContaining({ facingMode: { ideal: 'user' } }),
+  }));
+
+  fireEvent.click(capture);
+  expect(screen.getByTestId('countdown')).toHaveTextContent('3');
+  for (const remaining of ['2', '1']) {
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(screen.getByTestId('countdown')).toHaveTextContent(remaining);
+  }
+  await act(async () => {
+    jest.advanceTimersByTime(1000);
+  });
+
+  expect(captureFrame).toHaveBeenCalledTimes(1);
+  expect(onCapture).toHaveBeenCalledWith(photo);
+
+  unmount();
+  expect(track.stop).toHaveBeenCalled();
+  jest.useRealTimers();
+});
+
+test('offers front and back cameras when the device has both', async () => {
+  mockMediaDevices({ getUserMedia: () => Promise.resolve({ getTracks: () => [track] }), cameras: 2 });
+  render(<CameraCapture onCapture={jest.fn()} onCancel={jest.fn()} />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Back camera' }));
+
+  expect(track.stop).toHaveBeenCalled(); // The front camera stream is released
+  expect(navigator.mediaDevices.getUserMedia).toHaveBeenLastCalledWith(expect.objectContaining({
+    video: expect.objectContaining({ facingMode: { ideal: 'environment' } }),
+  }));
+  expect(await screen.findByRole('button', { name: 'Front camera' })).toBeInTheDocument();
+});
+
+test.each([
+  ['NotAllowedError', 'Camera access was denied'],
+  ['NotFoundError', 'No camera was found on this device.'],
+])('explains %s instead of showing a preview', async (name, message) => {
+  mockMediaDevices({ getUserMedia: () => Promise.reject(mediaError(name)) });
+  render(<CameraCapture onCapture={jest.fn()} onCancel={jest.fn()} />);
+
+  expect(await screen.findByRole('alert')).toHaveTextContent(message);
+  expect(screen.getByRole('button', { name: 'Capture' })).toBeDisabled();
+});
+
+test('explains when the browser has no camera support', () => {
+  render(<CameraCapture onCapture={jest.fn()} onCancel={jest.fn()} />);
+  expect(screen.getByRole('alert')).toHaveTextContent('This browser does not support camera access.');
+});
@@ -0,0 +1,218 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { ZoomIn, ZoomOut, Maximize, Scan } from 'lucide-react';
+import useLocale from '../hooks/useLocale';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 16;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Keeps the zoomed stage covering the viewport so the image can't be dragged out of view
+const clampOffset = (offset, scale, size) => ({
+  x: clamp(offset.x, size.width - size.width * scale, 0),
+  y: clamp(offset.y, size.height - size.height * scale, 0),
+});
+
+// Zooms to nextScale while keeping the point under (x, y) fixed on screen
+export const zoomAt = (view, nextScale, x, y, size) => {
+  const scale = clamp(nextScale, MIN_SCALE, MAX_SCALE);
+  const offset = {
+    x: x - ((x - view.offset.x) / view.scale) * scale,
+    y: y - ((y - view.offset.y) / view.scale) * scale,
+  };
+  return { scale, offset: clampOffset(offset, scale, size) };
+};
+
+const FIT_VIEW = { scale: 1, offset: { x: 0, y: 0 } };
+
+// Before/after viewer: the original and the result are overlaid at the same size, split by a
+// draggable divider, and share one zoom/pan transform so both layers always stay in sync.
+const ComparisonViewer = ({ beforeSrc, afterSrc, beforeAlt, afterAlt }) => {
+  const { t } = useLocale();
+  const containerRef = useRef(null);
+  const pointersRef = useRef(new Map()); // Active pointers for drag and pinch gestures
+  const gestureRef = useRef(null);
+  const [split, setSplit] = useState(50); // Divider position in percent from the left
+  const [view, setView] = useState(FIT_VIEW);
+  const [naturalSize, setNaturalSize] = useState(null); // Pixel size of the result image
+
+  const getSize = () => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return { width: rect.width, height: rect.height, left: rect.left, top: rect.top };
+  };
+
+  // Wheel zoom; registered natively because React's wheel listener is passive and can't preventDefault
+  useEffect(() => {
+    const container = containerRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const size = getSize();
+      setView((prev) => zoomAt(prev, prev.scale * Math.exp(-e.deltaY * 0.002), e.clientX - size.left, e.clientY - size.top, size));
+    };
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  // Reset the view whenever a different pair of images is shown
+  useEffect(() => {
+    setView(FIT_VIEW);
+    setSplit(50);
+  }, [beforeSrc, afterSrc]);
+
+  const zoomBy = (factor) => {
+    const size = getSize();
+    setView((prev) => zoomAt(prev, prev.scale * factor, size.width / 2, size.height / 2, size));
+  };
+
+  // Scale at which one image pixel covers one CSS pixel, centred on the current view
+  const showActualPixels = () => {
+    if (!naturalSize) return;
+    const size = getSize();
+    const fit = Math.min(size.width / naturalSize.width, size.height / naturalSize.height);
+    setView((prev) => zoomAt(prev, 1 / fit, size.width / 2, size.height / 2, size));
+  };
+
+  const moveSplitTo = (clientX) => {
+    const size = getSize();
+    setSplit(clamp(((clientX - size.left) / size.width) * 100, 0, 100));
+  };
+
+  const handlePointerDown = (e) => {
+    const onHandle = e.target.closest('[data-split-handle]');
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+
+    if (onHandle && pointersRef.current.size === 1) {
+      gestureRef.current = { type: 'split' };
+    } else if (pointersRef.current.size === 2) {
+      const [a, b] = [...pointersRef.current.values()];
+      gestureRef.current = { type: 'pinch', distance: Math.hypot(a.x - b.x, a.y - b.y) };
+    } else {
+      gestureRef.current = { type: 'pan', last: { x: e.clientX, y: e.clientY } };
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointersRef.current.has(e.pointerId) || !gestureRef.current) return;
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const gesture = gestureRef.current;
+    const size = getSize();
+
+    if (gesture.type === 'split') {
+      moveSplitTo(e.clientX);
+    } else if (gesture.type === 'pinch' && pointersRef.current.size === 2) {
+      const [a, b] = [...pointersRef.current.values()];
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      const midX = (a.x + b.x) / 2 - size.left;
+      const midY = (a.y + b.y) / 2 - size.top;
+      const ratio = distance / gesture.distance;
+      gesture.distance = distance;
+      setView((prev) => zoomAt(prev, prev.scale * ratio, midX, midY, size));
+    } else if (gesture.type === 'pan') {
+      const dx = e.clientX - gesture.last.x;
+      const dy = e.clientY - gesture.last.y;
+      gesture.last = { x: e.clientX, y: e.clientY };
+      setView((prev) => ({
+        ...prev,
+        offset: clampOffset({ x: prev.offset.x + dx, y: prev.offset.y + dy }, prev.scale, size),
+      }));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    // Lifting one finger of a pinch continues as a pan with the remaining one
+    const [remaining] = [...pointersRef.current.values()];
+    gestureRef.current = remaining ? { type: 'pan', last: remaining } : null;
+  };
+
+  const handleSplitKeyDown = useCallback((e) => {
+    const step = e.shiftKey ? 10 : 2;
+    if (e.key === 'ArrowLeft') setSplit((prev) => clamp(prev - step, 0, 100));
+    else if (e.key === 'ArrowRight') setSplit((prev) => clamp(prev + step, 0, 100));
+    else if (e.key === 'Home') setSplit(0);
+    else if (e.key === 'End') setSplit(100);
+    else return;
+    e.preventDefault();
+  }, []);
+
+  const stageStyle = {
+    transform: `translate(${view.offset.x}px, ${view.offset.y}px) scale(${view.scale})`,
+    transformOrigin: '0 0',
+  };
+  const imageStyle = { position: 'absolute', inset: 0, width: '100%', height: '100%', objectFit: 'contain' };
+  const isZoomed = view.scale > 1;
+
+  return (
+    <div className="space-y-3">
+      <div className="aspect-w-4 aspect-h-3 bg-zinc-700 rounded-lg">
+        <div
+          ref={containerRef}
+          className={`overflow-hidden rounded-lg select-none touch-none ${isZoomed ? 'cursor-grab' : 'cursor-default'}`}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          data-testid="comparison-viewer"
+        >
+          {/* Before layer */}
+          <div className="absolute inset-0" style={stageStyle} data-testid="before-layer">
+            <img src={beforeSrc} alt={beforeAlt || t('workspace.original')} style={imageStyle} draggable={false} />
+          </div>
+          {/* After layer, clipped to the right of the divider */}
+          <div className="absolute inset-0" style={{ clipPath: `inset(0 0 0 ${split}%)` }} data-testid="after-clip">
+            <div className="absolute inset-0" style={stageStyle} data-testid="after-layer">
+              <img
+                src={afterSrc}
+                alt={afterAlt || t('workspace.cartoonized')}
+                style={{ ...imageStyle, imageRendering: view.scale >= 4 ? 'pixelated' : 'auto' }}
+                draggable={false}
+                onLoad={(e) => setNaturalSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+              />
+            </div>
+          </div>
+          {/* Divider handle */}
+          <div
+            data-split-handle
+            role="slider"
+            tabIndex={0}
+            aria-label={t('viewer.divider')}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(split)}
+            onKeyDown={handleSplitKeyDown}
+            className="absolute top-0 bottom-0 w-6 -ml-3 flex justify-center cursor-ew-resize focus:outline-none group"
+            style={{ left: `${split}%` }}
+          >
+            <div className="w-0.5 h-full bg-white/80 shadow group-focus:bg-blue-400" />
+            <div className="absolute top-1/2 -mt-4 h-8 w-8 rounded-full bg-white text-zinc-800 text-xs font-bold flex items-center justify-center shadow-lg">
+              &harr;
+            </div>
+          </div>
+          <span className="absolute top-2 left-2 px-2 py-0.5 text-xs rounded bg-black/60 text-white pointer-events-none">{t('viewer.before')}</span>
+          <span className="absolute top-2 right-2 px-2 py-0.5 text-xs rounded bg-black/60 text-white pointer-events-none">{t('viewer.after')}</span>
+        </div>
+      </div>
+
+      {/* Zoom Toolbar */}
+      <div className="flex items-center justify-center space-x-2 rtl:space-x-reverse text-zinc-300">
+        <button onClick={() => zoomBy(1 / 1.5)} disabled={!isZoomed} className="p-2 rounded hover:bg-zinc-700 disabled:opacity-50" aria-label={t('viewer.zoomOut')}>
+          <ZoomOut className="h-5 w-5" />
+        </button>
+        <span className="w-16 text-center text-sm tabular-nums" data-testid="zoom-level">{t('viewer.zoomLevel', { percent: Math.round(view.scale * 100) })}</span>
+        <button onClick={() => zoomBy(1.5)} disabled={view.scale >= MAX_SCALE} className="p-2 rounded hover:bg-zinc-700 disabled:opacity-50" aria-label={t('viewer.zoomIn')}>
+          <ZoomIn className="h-5 w-5" />
+        </button>
+        <button onClick={() => setView(FIT_VIEW)} disabled={!isZoomed} className="p-2 rounded hover:bg-zinc-700 disabled:opacity-50" aria-label={t('viewer.fit')}>
+          <Maximize className="h-5 w-5" />
+        </button>
+        <button onClick={showActualPixels} disabled={!naturalSize} className="flex items-center px-3 py-2 rounded hover:bg-zinc-700 disabled:opacity-50 text-sm">
+          <Scan className="h-5 w-5 me-1" />
+          1:1
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonViewer;
@@ -0,0 +1,40 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ComparisonViewer, { zoomAt } from './ComparisonViewer';
+
+test('zoomAt keeps the point under the cursor fixed', () => {
+  const size = { width: 400, height: 300 };
+  const view = zoomAt({ scale: 1, offset: { x: 0, y: 0 } }, 2, 100, 100, size);
+  expect(view).toEqual({ scale: 2, offset: { x: -100, y: -100 } });
+
+  // The image point under (100, 100) is still (100, 100) after zooming
+  expect((100 - view.offset.x) / view.scale).toBe(100);
+});
+
+test('zoomAt clamps the scale and keeps the image covering the viewport', () => {
+  const size = { width: 400, height: 300 };
+  expect(zoomAt({ scale: 2, offset: { x: -100, y: -100 } }, 0.5, 0, 0, size)).toEqual({ scale: 1, offset: { x: 0, y: 0 } });
+  expect(zoomAt({ scale: 1, offset: { x: 0, y: 0 } }, 100, 400, 300, size).scale).toBe(16);
+});
+
+test('divider moves with the keyboard and clips the after layer', () => {
+  render(<ComparisonViewer beforeSrc="before.png" afterSrc="after.png" />);
+  const divider = screen.getByRole('slider', { name: /before and after divider/i });
+
+  fireEvent.keyDown(divider, { key: 'ArrowRight', shiftKey: true });
+  expect(divider).toHaveAttribute('aria-valuenow', '60');
+  expect(screen.getByTestId('after-clip').style.clipPath).toBe('inset(0 0 0 60%)');
+
+  fireEvent.keyDown(divider, { key: 'Home' });
+  expect(divider).toHaveAttribute('aria-valuenow', '0');
+});
+
+test('zoom buttons apply the same transform to both layers', () => {
+  render(<ComparisonViewer beforeSrc="before.png" afterSrc="after.png" />);
+
+  fireEvent.click(screen.getByRole('button', { name: /zoom in/i }));
+  expect(screen.getByTestId('zoom-level')).toHaveTextContent('150%');
+  expect(screen.getByTestId('before-layer').style.transform).toBe(screen.getByTestId('after-layer').style.transform);
+
+  fireEvent.click(screen.getByRole('button', { name: /fit to view/i }));
+  expect(screen.getByTestId('zoom-level')).toHaveTextContent('100%');
+});
@@ -0,0 +1,36 @@
+import React from 'react';
+import { Server, Cpu } from 'lucide-react';
+import useLocale from '../hooks/useLocale';
+
+const OPTIONS = [
+  { id: 'server', label: 'engine.server', icon: Server },
+  { id: 'local', label: 'engine.local', icon: Cpu },
+];
+
+// Choice between backend processing and the on-device engine, which only knows the built-in styles
+const EngineToggle = ({ engine, onChange, disabled = false }) => {
+  const { t } = useLocale();
+
+  return (
+    <div className="flex items-center justify-center mt-4 text-sm" role="radiogroup" aria-label={t('engine.label')}>
+      <span className="text-zinc-400 me-3">{t('engine.processOn')}</span>
+      <div className="flex rounded-lg border border-zinc-700 overflow-hidden">
+        {OPTIONS.map(({ id, label, icon: Icon }) => (
+          <button
+            key={id}
+            role="radio"
+            aria-checked={engine === id}
+            onClick={() => onChange(id)}
+            disabled={disabled}
+            className={`flex items-center px-3 py-1.5 disabled:opacity-50 ${engine === id ? 'bg-blue-600 text-white' : 'bg-zinc-800 text-zinc-300 hover:bg-zinc-700'}`}
+          >
+            <Icon className="h-4 w-4 me-1.5" />
+            {t(label)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default EngineToggle;
@@ -0,0 +1,185 @@
+import React, { useState, useRef } from 'react';
+import { FileDown, X } from 'lucide-react';
+import { EXPORT_FORMATS, SIZE_PRESETS, DEFAULT_EXPORT_SETTINGS, exportImage, formatFileName } from '../utils/exportImage';
+import { downloadFile } from '../utils/download';
+import { errorMessage } from '../api/errors';
+import useDialog from '../hooks/useDialog';
+import useLocale from '../hooks/useLocale';
+
+const STORAGE_KEY = 'ai-cartoonizer:export-settings';
+
+// Placeholders formatFileName understands, listed under the file name field
+const TEMPLATE_PLACEHOLDERS = ['original', 'style', 'date', 'time', 'width', 'height', 'ext'];
+
+const readSaved = () => {
+  try {
+    return { ...DEFAULT_EXPORT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (err) {
+    return DEFAULT_EXPORT_SETTINGS;
+  }
+};
+
+const writeSaved = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error("Error saving export settings:", err);
+  }
+};
+
+// Dialog for downloading a result in a chosen format, quality and size, with a filename template.
+// result is { blob, originalName, style }. The last-used settings are remembered. Focus returns to
+// whatever opened it.
+const ExportDialog = ({ result, onClose }) => {
+  const [settings, setSettings] = useState(readSaved);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const closeButtonRef = useRef(null);
+  useDialog(closeButtonRef, onClose);
+  const { t } = useLocale();
+
+  const update = (changes) => {
+    setSettings((prev) => {
+      const next = { ...prev, ...changes };
+      writeSaved(next);
+      return next;
+    });
+  };
+
+  const format = EXPORT_FORMATS[settings.format] || EXPORT_FORMATS.png;
+  const preset = SIZE_PRESETS.find((entry) => entry.id === settings.size) || SIZE_PRESETS[0];
+  const previewName = formatFileName(settings.template, { original: result.originalName, style: result.style, ext: format.extension });
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      const exported = await exportImage(result.blob, settings);
+      const name = formatFileName(settings.template, {
+        original: result.originalName,
+        style: result.style,
+        width: exported.width,
+        height: exported.height,
+        ext: format.extension,
+      });
+      downloadFile(exported.blob, name);
+      onClose();
+    } catch (err) {
+      console.error("Error exporting image:", err);
+      setError(t('export.failed', { reason: errorMessage(err) }));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="export-dialog-title"
+        className="w-full max-w-md bg-zinc-800 border border-zinc-700 rounded-2xl p-6 shadow-2xl space-y-4 text-start"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <h3 id="export-dialog-title" className="flex items-center text-xl font-semibold text-zinc-200">
+            <FileDown className="h-5 w-5 me-2" />
+            {t('export.title')}
+          </h3>
+          <button ref={closeButtonRef} onClick={onClose} className="p-2 text-zinc-400 hover:text-white" aria-label={t('export.close')}>
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <fieldset>
+          <legend className="text-sm font-medium text-zinc-300 mb-2">{t('export.format')}</legend>
+          <div className="flex gap-2">
+            {Object.entries(EXPORT_FORMATS).map(([id, option]) => (
+              <label key={id} className={`flex-1 text-center px-3 py-2 rounded-lg cursor-pointer text-sm ${settings.format === id ? 'bg-blue-600 text-white' : 'bg-zinc-700 text-zinc-200'}`}>
+                <input type="radio" name="export-format" value={id} checked={settings.format === id} onChange={() => update({ format: id })} className="sr-only" />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <div>
+          <label htmlFor="export-quality" className="block text-sm font-medium text-zinc-300 mb-1">
+            {format.lossy ? t('export.quality', { percent: Math.round(settings.quality * 100) }) : t('export.qualityLossless')}
+          </label>
+          <input
+            id="export-quality"
+            type="range"
+            min={0.3}
+            max={1}
+            step={0.01}
+            value={settings.quality}
+            disabled={!format.lossy}
+            onChange={(e) => update({ quality: Number(e.target.value) })}
+            className="w-full accent-blue-500 disabled:opacity-50"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="export-size" className="block text-sm font-medium text-zinc-300 mb-1">{t('export.size')}</label>
+          <select id="export-size" value={preset.id} onChange={(e) => update({ size: e.target.value })} className={inputClass}>
+            {SIZE_PRESETS.map((entry) => (
+              <option key={entry.id} value={entry.id}>{t(entry.label)}</option>
+            ))}
+          </select>
+        </div>
+
+        {!preset.scale && (
+          <div>
+            <label htmlFor="export-fit" className="block text-sm font-medium text-zinc-300 mb-1">{t('export.fit')}</label>
+            <select id="export-fit" value={settings.fit} onChange={(e) => update({ fit: e.target.value })} className={inputClass}>
+              <option value="cover">{t('export.fitCover')}</option>
+              <option value="contain">{t('export.fitContain')}</option>
+            </select>
+          </div>
+        )}
+
+        <label className="flex items-center space-x-2 rtl:space-x-reverse text-sm text-zinc-300">
+          <input type="checkbox" checked={settings.stripExif} onChange={(e) => update({ stripExif: e.target.checked })} className="accent-blue-500" />
+          <span>{t('export.stripExif')}</span>
+        </label>
+
+        <div>
+          <label htmlFor="export-template" className="block text-sm font-medium text-zinc-300 mb-1">{t('export.fileName')}</label>
+          <input
+            id="export-template"
+            type="text"
+            value={settings.template}
+            onChange={(e) => update({ template: e.target.value })}
+            className={inputClass}
+            aria-describedby="export-template-help"
+          />
+          <p id="export-template-help" className="text-xs text-zinc-500 mt-1">
+            {t('export.templateHelp', { placeholders: TEMPLATE_PLACEHOLDERS.map((name) => `{${name}}`).join(', ') })}{' '}
+            <span className="text-zinc-300" data-testid="export-filename">{previewName}</span>
+          </p>
+        </div>
+
+        {error && <p className="text-red-400 text-sm" role="alert">{error}</p>}
+
+        <div className="flex justify-end space-x-3 rtl:space-x-reverse pt-2">
+          <button onClick={onClose} className="px-5 py-2 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg">
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting}
+            className="flex items-center px-5 py-2 bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-600 hover:to-cyan-700 text-white font-semibold rounded-lg disabled:opacity-50"
+          >
+            <FileDown className="h-4 w-4 me-2" />
+            {isExporting ? t('export.exporting') : t('export.export')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,44 @@
+import React from 'react';
+import useLocale from '../hooks/useLocale';
+import { t as translate } from '../utils/i18n';
+
+const STATUS_STYLES = {
+  checking: { label: 'health.checking', dot: 'bg-zinc-400 animate-pulse', text: 'text-zinc-300' },
+  online: { label: 'health.online', dot: 'bg-green-400', text: 'text-green-300' },
+  degraded: { label: 'health.degraded', dot: 'bg-amber-400', text: 'text-amber-300' },
+  offline: { label: 'health.offline', dot: 'bg-red-500', text: 'text-red-300' },
+};
+
+// "850 ms" or "1.2 s", in the current locale
+export const formatLatency = (ms) => (ms >= 1000
+  ? translate('health.latencySeconds', { seconds: Math.round(ms / 100) / 10 })
+  : translate('health.latencyMs', { ms }));
+
+// Header badge showing whether the selected backend is reachable, and how fast it answers.
+// Clicking it opens the backend settings.
+const HealthBadge = ({ health, backend, onClick }) => {
+  const { t } = useLocale();
+  const style = STATUS_STYLES[health.status] || STATUS_STYLES.checking;
+  const label = t(style.label);
+  const latency = health.latencyMs !== null && health.status !== 'offline' ? formatLatency(health.latencyMs) : null;
+  const status = label.replace('...', '');
+  const description = latency
+    ? t('health.descriptionLatency', { backend: backend.label, status, latency })
+    : t('health.description', { backend: backend.label, status });
+
+  return (
+    <button
+      onClick={onClick}
+      className="flex items-center px-3 py-1.5 rounded-full border border-zinc-700 bg-zinc-800/60 hover:bg-zinc-700 text-sm"
+      title={health.detail ? `${description}. ${health.detail}` : description}
+      aria-label={t('health.openSettings', { description })}
+      data-testid="health-badge"
+    >
+      <span className={`h-2.5 w-2.5 rounded-full me-2 ${style.dot}`} />
+      <span className={style.text}>{label}</span>
+      {latency && <span className="ms-2 text-zinc-400">{latency}</span>}
+    </button>
+  );
+};
+
+export default HealthBadge;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { History, Download, Trash2, Wand2 } from 'lucide-react';
+import { downloadFile } from '../utils/download';
+import { EXPORT_FORMATS, DEFAULT_FILENAME_TEMPLATE, formatFileName } from '../utils/exportImage';
+import useLocale from '../hooks/useLocale';
+
+// Download name for a saved result, dated when it was made and with the extension of its actual type
+const resultFileName = (entry) => {
+  const format = Object.values(EXPORT_FORMATS).find((item) => item.type === entry.result.type);
+  return formatFileName(DEFAULT_FILENAME_TEMPLATE, {
+    original: entry.originalName,
+    style: entry.style,
+    date: new Date(entry.createdAt),
+    ext: format ? format.extension : 'png',
+  });
+};
+
+// Saved results from previous sessions: re-download, delete, or load the original again to
+// run it through a different style. styleLabel(id) names a style for display.
+const HistoryPanel = ({ history, onRerun, styleLabel = (id) => id, disabled = false }) => {
+  const { entries, isAvailable, error, remove, clear } = history;
+  const { t, formatDate } = useLocale();
+
+  if (!isAvailable || entries.length === 0) return null;
+
+  return (
+    <section className="mt-8 bg-zinc-800/50 border border-zinc-700 rounded-2xl p-6 shadow-2xl backdrop-blur-sm" aria-labelledby="history-heading">
+      <div className="flex items-center justify-between mb-4">
+        <h2 id="history-heading" className="flex items-center text-xl font-semibold text-zinc-300">
+          <History className="h-5 w-5 me-2" />
+          {t('history.title')}
+        </h2>
+        <button onClick={clear} className="text-sm text-zinc-400 hover:text-red-400">
+          {t('history.clear')}
+        </button>
+      </div>
+
+      {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+      <ul className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+        {entries.map((entry) => (
+          <li key={entry.id} className="bg-zinc-900/60 rounded-lg overflow-hidden" data-testid="history-entry">
+            <img src={entry.resultUrl} alt={t('history.resultAlt', { name: entry.originalName, style: styleLabel(entry.style) })} className="w-full h-32 object-cover" />
+            <div className="p-2 space-y-1 text-start">
+              <p className="truncate text-sm text-zinc-200" title={entry.originalName}>{entry.originalName}</p>
+              <p className="text-xs text-zinc-500">
+                {styleLabel(entry.style)} &middot; {formatDate(entry.createdAt)}
+              </p>
+              <div className="flex justify-end space-x-1 rtl:space-x-reverse">
+                <button
+                  onClick={() => downloadFile(entry.result, resultFileName(entry))}
+                  className="p-1.5 text-zinc-300 hover:text-blue-400"
+                  title={t('history.download')}
+                  aria-label={t('history.downloadLabel', { name: entry.originalName, style: styleLabel(entry.style) })}
+                >
+                  <Download className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => onRerun(entry)}
+                  disabled={disabled || !entry.original}
+                  className="p-1.5 text-zinc-300 hover:text-blue-400 disabled:opacity-50"
+                  title={t('history.rerun')}
+                  aria-label={t('history.rerunLabel', { name: entry.originalName })}
+                >
+                  <Wand2 className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => remove(entry.id)}
+                  className="p-1.5 text-zinc-400 hover:text-red-400"
+                  title={t('history.delete')}
+                  aria-label={t('history.deleteLabel', { name: entry.originalName, style: styleLabel(entry.style) })}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,62 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import HistoryPanel from './HistoryPanel';
+import { downloadFile } from '../utils/download';
+
+jest.mock('../utils/download', () => ({ downloadFile: jest.fn() }));
+
+const entry = {
+  id: 'history-1',
+  createdAt: '2024-05-01T10:00:00.000Z',
+  originalName: 'cat.jpg',
+  style: 'sketch',
+  params: {},
+  original: new Blob(['original'], { type: 'image/jpeg' }),
+  result: new Blob(['result'], { type: 'image/png' }),
+  originalUrl: 'blob:original',
+  resultUrl: 'blob:result',
+};
+
+const makeHistory = (overrides) => ({ entries: [entry], isAvailable: true, error: null, remove: jest.fn(), clear: jest.fn(), ...overrides });
+
+test('lists saved results and forwards delete and re-run', () => {
+  const history = makeHistory();
+  const onRerun = jest.fn();
+  render(<HistoryPanel history={history} onRerun={onRerun} />);
+
+  expect(screen.getByAltText('cat.jpg in sketch style')).toHaveAttribute('src', 'blob:result');
+
+  fireEvent.click(screen.getByLabelText('Try another style on cat.jpg'));
+  expect(onRerun).toHaveBeenCalledWith(entry);
+
+  fireEvent.click(screen.getByLabelText('Delete cat.jpg (sketch)'));
+  expect(history.remove).toHaveBeenCalledWith('history-1');
+});
+
+test('names styles by their catalog label', () => {
+  render(<HistoryPanel history={makeHistory()} styleLabel={(id) => (id === 'sketch' ? 'Pencil Sketch' : id)} onRerun={jest.fn()} />);
+
+  expect(screen.getByAltText('cat.jpg in Pencil Sketch style')).toBeInTheDocument();
+  expect(screen.getByText(/Pencil Sketch ·/)).toBeInTheDocument();
+  expect(screen.getByLabelText('Delete cat.jpg (Pencil Sketch)')).toBeInTheDocument();
+});
+
+test('downloads a saved result under the file name template with its own extension', () => {
+  const jpegEntry = { ...entry, result: new Blob(['result'], { type: 'image/jpeg' }) };
+  render(<HistoryPanel history={makeHistory({ entries: [jpegEntry] })} onRerun={jest.fn()} />);
+
+  fireEvent.click(screen.getByLabelText('Download cat.jpg (sketch)'));
+  expect(downloadFile).toHaveBeenCalledWith(jpegEntry.result, 'cat-sketch-2024-05-01.jpg');
+});
+
+test('renders nothing without IndexedDB or saved results', () => {
+  const { container, rerender } = render(<HistoryPanel history={makeHistory({ isAvailable: false })} onRerun={jest.fn()} />);
+  expect(container).toBeEmptyDOMElement();
+  rerender(<HistoryPanel history={makeHistory({ entries: [] })} onRerun={jest.fn()} />);
+  expect(container).toBeEmptyDOMElement();
+});
+
+test('has no detectable accessibility violations', async () => {
+  const { container } = render(<HistoryPanel history={makeHistory()} onRerun={jest.fn()} />);
+  expect(await axe(container)).toHaveNoViolations();
+});
@@ -0,0 +1,276 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { RotateCcw, RotateCw, FlipHorizontal, FlipVertical, Crop, Check, X } from 'lucide-react';
+import { preprocessImage, DEFAULT_PREPROCESS, MAX_UPLOAD_DIMENSION } from '../utils/imagePreprocess';
+import { errorMessage } from '../api/errors';
+import useLocale from '../hooks/useLocale';
+
+// Aspect ratio presets for the crop box (width / height); null means free-form. Only free-form has
+// a message id as its label, the ratios read the same in every language.
+const ASPECT_RATIOS = [
+  { id: 'free', label: 'imageEditor.aspectFree', value: null },
+  { id: '1:1', value: 1 },
+  { id: '4:3', value: 4 / 3 },
+  { id: '3:4', value: 3 / 4 },
+  { id: '16:9', value: 16 / 9 },
+];
+
+// Longest-side limits offered for the upload
+const SIZE_OPTIONS = [...new Set([1024, 2048, 4096, MAX_UPLOAD_DIMENSION])].sort((a, b) => a - b);
+
+const MIN_CROP = 0.05; // Smallest crop box, as a fraction of the image
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Largest centred crop box with the given aspect ratio (ratio is relative to image pixels)
+const centeredCrop = (ratio, imageAspect) => {
+  if (!ratio) return { x: 0, y: 0, width: 1, height: 1 };
+  const relative = ratio / imageAspect; // Aspect in normalized units
+  const width = relative >= 1 ? 1 : relative;
+  const height = relative >= 1 ? 1 / relative : 1;
+  return { x: (1 - width) / 2, y: (1 - height) / 2, width, height };
+};
+
+// Crop / rotate / flip / resize step between dropping an image and generating
+const ImageEditor = ({ file, initialSettings, onApply, onCancel }) => {
+  const [settings, setSettings] = useState({ ...DEFAULT_PREPROCESS, ...initialSettings });
+  const [aspect, setAspect] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [imageAspect, setImageAspect] = useState(1); // Preview width / height
+  const [crop, setCrop] = useState(settings.crop || { x: 0, y: 0, width: 1, height: 1 });
+  const [isApplying, setIsApplying] = useState(false);
+  const [error, setError] = useState(null); // { message (id), reason }, translated when shown
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+  const { t } = useLocale();
+
+  const { rotation, flipH, flipV } = settings;
+
+  // Render an oriented, downscaled preview whenever the rotation or flips change
+  useEffect(() => {
+    let cancelled = false;
+    let url = null;
+    preprocessImage(file, { rotation, flipH, flipV, crop: null, maxDimension: 1024 })
+      .then((preview) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(preview);
+        setPreviewUrl(url);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error rendering preview:", err);
+        setError({ message: 'imageEditor.previewFailed', reason: errorMessage(err) });
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [file, rotation, flipH, flipV]);
+
+  const updateOrientation = (changes) => {
+    setSettings((prev) => ({ ...prev, ...changes }));
+    setCrop({ x: 0, y: 0, width: 1, height: 1 }); // The old crop no longer lines up
+    setAspect(null);
+  };
+
+  const chooseAspect = (value) => {
+    setAspect(value);
+    setCrop(centeredCrop(value, imageAspect));
+  };
+
+  // Pointer position as a fraction of the preview
+  const toFraction = (e) => {
+    const rect = frameRef.current.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+  };
+
+  const handlePointerDown = (e) => {
+    const corner = e.target.dataset.corner;
+    if (!corner && !e.target.closest('[data-crop-box]')) return;
+    e.preventDefault();
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { corner, start: toFraction(e), crop };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toFraction(e);
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    const start = drag.crop;
+
+    if (!drag.corner) {
+      setCrop({
+        ...start,
+        x: clamp(start.x + dx, 0, 1 - start.width),
+        y: clamp(start.y + dy, 0, 1 - start.height),
+      });
+      return;
+    }
+
+    // Resize from a corner; the opposite corner stays anchored
+    const left = drag.corner.includes('w');
+    const top = drag.corner.includes('n');
+    const anchorX = left ? start.x + start.width : start.x;
+    const anchorY = top ? start.y + start.height : start.y;
+    let width = clamp(left ? anchorX - (start.x + dx) : start.width + dx, MIN_CROP, left ? anchorX : 1 - anchorX);
+    let height = clamp(top ? anchorY - (start.y + dy) : start.height + dy, MIN_CROP, top ? anchorY : 1 - anchorY);
+
+    if (aspect) {
+      const relative = aspect / imageAspect;
+      const maxWidth = left ? anchorX : 1 - anchorX;
+      const maxHeight = top ? anchorY : 1 - anchorY;
+      height = width / relative;
+      if (height > maxHeight) {
+        height = maxHeight;
+        width = height * relative;
+      }
+      if (width > maxWidth) {
+        width = maxWidth;
+        height = width / relative;
+      }
+    }
+
+    setCrop({ x: left ? anchorX - width : anchorX, y: top ? anchorY - height : anchorY, width, height });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleApply = async () => {
+    const isFullFrame = crop.x === 0 && crop.y === 0 && crop.width === 1 && crop.height === 1;
+    const finalSettings = { ...settings, crop: isFullFrame ? null : crop };
+    setIsApplying(true);
+    setError(null);
+    try {
+      const processed = await preprocessImage(file, finalSettings);
+      onApply(processed, finalSettings);
+    } catch (err) {
+      console.error("Error preprocessing image:", err);
+      setError({ message: 'imageEditor.applyFailed', reason: errorMessage(err) });
+      setIsApplying(false);
+    }
+  };
+
+  const toolButtonClass = 'flex items-center px-3 py-2 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-sm text-zinc-200 disabled:opacity-50';
+
+  return (
+    <div className="space-y-4">
+      <h2 className="flex items-center justify-center text-xl font-semibold text-zinc-300">
+        <Crop className="h-5 w-5 me-2" />
+        {t('imageEditor.title')}
+      </h2>
+
+      <div className="flex justify-center bg-zinc-900 rounded-lg p-4">
+        {previewUrl ? (
+          <div
+            ref={frameRef}
+            className="relative inline-block select-none touch-none"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          >
+            <img
+              src={previewUrl}
+              alt={t('imageEditor.previewAlt')}
+              className="block max-w-full max-h-[60vh]"
+              draggable={false}
+              onLoad={(e) => setImageAspect(e.target.naturalWidth / e.target.naturalHeight)}
+            />
+            <div
+              data-crop-box
+              className="absolute border-2 border-white cursor-move"
+              style={{
+                left: `${crop.x * 100}%`,
+                top: `${crop.y * 100}%`,
+                width: `${crop.width * 100}%`,
+                height: `${crop.height * 100}%`,
+                boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.55)', // Dim everything outside the crop
+              }}
+            >
+              {['nw', 'ne', 'sw', 'se'].map((corner) => (
+                <span
+                  key={corner}
+                  data-corner={corner}
+                  className="absolute h-4 w-4 bg-white rounded-sm"
+                  style={{
+                    [corner.includes('n') ? 'top' : 'bottom']: -8,
+                    [corner.includes('w') ? 'left' : 'right']: -8,
+                    cursor: corner === 'nw' || corner === 'se' ? 'nwse-resize' : 'nesw-resize',
+                  }}
+                />
+              ))}
+            </div>
+          </div>
+        ) : (
+          <div className="loader ease-linear rounded-full border-4 border-t-4 border-blue-400 h-12 w-12 my-16"></div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <button onClick={() => updateOrientation({ rotation: (rotation + 270) % 360 })} className={toolButtonClass} aria-label={t('imageEditor.rotateLeft')}>
+          <RotateCcw className="h-4 w-4" />
+        </button>
+        <button onClick={() => updateOrientation({ rotation: (rotation + 90) % 360 })} className={toolButtonClass} aria-label={t('imageEditor.rotateRight')}>
+          <RotateCw className="h-4 w-4" />
+        </button>
+        <button onClick={() => updateOrientation({ flipH: !flipH })} className={toolButtonClass} aria-label={t('imageEditor.flipHorizontal')} aria-pressed={flipH}>
+          <FlipHorizontal className="h-4 w-4" />
+        </button>
+        <button onClick={() => updateOrientation({ flipV: !flipV })} className={toolButtonClass} aria-label={t('imageEditor.flipVertical')} aria-pressed={flipV}>
+          <FlipVertical className="h-4 w-4" />
+        </button>
+        <span className="w-px h-6 bg-zinc-600 mx-2" />
+        {ASPECT_RATIOS.map((option) => (
+          <button
+            key={option.id}
+            onClick={() => chooseAspect(option.value)}
+            aria-pressed={aspect === option.value}
+            className={`${toolButtonClass} ${aspect === option.value ? 'ring-2 ring-blue-400' : ''}`}
+          >
+            {option.label ? t(option.label) : option.id}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-center space-x-2 rtl:space-x-reverse">
+        <label htmlFor="max-dimension" className="text-sm text-zinc-300">{t('imageEditor.maxSize')}</label>
+        <select
+          id="max-dimension"
+          value={settings.maxDimension}
+          onChange={(e) => setSettings((prev) => ({ ...prev, maxDimension: Number(e.target.value) }))}
+          className="px-3 py-1 bg-zinc-700 border border-zinc-600 rounded-lg text-white text-sm"
+        >
+          {SIZE_OPTIONS.map((size) => (
+            <option key={size} value={size}>{size}px</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="text-red-400 text-center text-sm">{t(error.message, { reason: error.reason })}</p>}
+
+      <div className="flex justify-center space-x-4 rtl:space-x-reverse">
+        <button
+          onClick={onCancel}
+          disabled={isApplying}
+          className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 disabled:opacity-50"
+        >
+          <X className="h-5 w-5 me-2" />
+          {t('common.cancel')}
+        </button>
+        <button
+          onClick={handleApply}
+          disabled={isApplying || !previewUrl}
+          className="flex items-center justify-center px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-600 hover:to-cyan-700 text-white font-semibold rounded-lg shadow-lg transition-all duration-300 disabled:opacity-50"
+        >
+          <Check className="h-5 w-5 me-2" />
+          {isApplying ? t('editor.applying') : t('editor.apply')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImageEditor;
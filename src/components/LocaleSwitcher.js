@@ -0,0 +1,22 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+
+// Language picker for the header; the choice is saved by ../utils/i18n
+const LocaleSwitcher = ({ i18n }) => (
+  <div className="flex items-center text-sm text-zinc-300">
+    <Languages className="h-4 w-4 me-1" aria-hidden="true" />
+    <label htmlFor="locale-switcher" className="sr-only">{i18n.t('header.language')}</label>
+    <select
+      id="locale-switcher"
+      value={i18n.locale}
+      onChange={(e) => i18n.setLocale(e.target.value)}
+      className="bg-zinc-800 border border-zinc-700 rounded-lg px-2 py-1 text-white"
+    >
+      {Object.entries(i18n.locales).map(([id, { label }]) => (
+        <option key={id} value={id} lang={id}>{label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default LocaleSwitcher;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Paintbrush, Eraser, Undo2, Redo2, Trash2, Check, X } from 'lucide-react';
+import { emptyMaskHistory, addStroke, undoStroke, redoStroke, hasMask, drawMask, DEFAULT_BRUSH_SIZE } from '../utils/mask';
+import useLocale from '../hooks/useLocale';
+
+const OVERLAY_COLOR = 'rgb(59, 130, 246)'; // Tailwind blue-500, shown at half opacity
+const OVERLAY_MAX_DIMENSION = 1024; // The overlay only needs to match the preview, not the upload
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Brush editor for selective cartoonization: the user paints over the original the areas the style
+// should apply to. Resolves with the painted strokes, or null when nothing is painted.
+const MaskEditor = ({ imageUrl, initialMask, onApply, onCancel }) => {
+  const [history, setHistory] = useState({ ...emptyMaskHistory, strokes: initialMask || [] });
+  const [tool, setTool] = useState('brush');
+  const [size, setSize] = useState(DEFAULT_BRUSH_SIZE);
+  const [overlaySize, setOverlaySize] = useState(null); // { width, height } once the image has loaded
+  const { t } = useLocale();
+  const canvasRef = useRef(null);
+  const strokeRef = useRef(null); // Stroke being painted, not yet in the history
+
+  const redraw = useCallback(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas && canvas.getContext('2d');
+    if (!ctx) return;
+    const strokes = strokeRef.current ? [...history.strokes, strokeRef.current] : history.strokes;
+    drawMask(ctx, strokes, canvas.width, canvas.height, { color: OVERLAY_COLOR });
+  }, [history.strokes]);
+
+  useEffect(() => {
+    redraw();
+  }, [redraw, overlaySize]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y), and Cmd on macOS
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        setHistory(undoStroke);
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        setHistory(redoStroke);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const handleImageLoad = (e) => {
+    const { naturalWidth, naturalHeight } = e.target;
+    const scale = Math.min(1, OVERLAY_MAX_DIMENSION / Math.max(naturalWidth, naturalHeight));
+    setOverlaySize({ width: Math.round(naturalWidth * scale), height: Math.round(naturalHeight * scale) });
+  };
+
+  // Pointer position as a fraction of the image
+  const toPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: clamp((e.clientX - rect.left) / rect.width, 0, 1),
+      y: clamp((e.clientY - rect.top) / rect.height, 0, 1),
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+    strokeRef.current = { tool, size, points: [toPoint(e)] };
+    redraw();
+  };
+
+  const handlePointerMove = (e) => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    const point = toPoint(e);
+    const last = stroke.points[stroke.points.length - 1];
+    if (point.x === last.x && point.y === last.y) return;
+    stroke.points.push(point);
+    redraw();
+  };
+
+  const handlePointerUp = () => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    strokeRef.current = null;
+    setHistory((prev) => addStroke(prev, stroke));
+  };
+
+  const isEmpty = !hasMask(history.strokes);
+
+  const toolButtonClass = 'flex items-center px-3 py-2 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-sm text-zinc-200 disabled:opacity-50';
+
+  return (
+    <div className="space-y-4">
+      <h2 className="flex items-center justify-center text-xl font-semibold text-zinc-300">
+        <Paintbrush className="h-5 w-5 me-2" />
+        {t('mask.title')}
+      </h2>
+      <p className="text-center text-sm text-zinc-400">
+        {t('mask.instructions')}
+      </p>
+
+      <div className="flex justify-center bg-zinc-900 rounded-lg p-4">
+        <div className="relative inline-block select-none touch-none">
+          <img
+            src={imageUrl}
+            alt={t('mask.imageAlt')}
+            className="block max-w-full max-h-[60vh]"
+            draggable={false}
+            onLoad={handleImageLoad}
+          />
+          {overlaySize && (
+            <canvas
+              ref={canvasRef}
+              width={overlaySize.width}
+              height={overlaySize.height}
+              data-testid="mask-canvas"
+              className="absolute inset-0 w-full h-full opacity-50 cursor-crosshair"
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+            />
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <button
+          onClick={() => setTool('brush')}
+          aria-pressed={tool === 'brush'}
+          className={`${toolButtonClass} ${tool === 'brush' ? 'ring-2 ring-blue-400' : ''}`}
+        >
+          <Paintbrush className="h-4 w-4 me-1" />
+          {t('mask.brush')}
+        </button>
+        <button
+          onClick={() => setTool('eraser')}
+          aria-pressed={tool === 'eraser'}
+          className={`${toolButtonClass} ${tool === 'eraser' ? 'ring-2 ring-blue-400' : ''}`}
+        >
+          <Eraser className="h-4 w-4 me-1" />
+          {t('mask.eraser')}
+        </button>
+        <span className="w-px h-6 bg-zinc-600 mx-2" />
+        <button onClick={() => setHistory(undoStroke)} disabled={history.strokes.length === 0} className={toolButtonClass} aria-label={t('editor.undo')} title={t('editor.undoTitle')}>
+          <Undo2 className="h-4 w-4" />
+        </button>
+        <button onClick={() => setHistory(redoStroke)} disabled={history.undone.length === 0} className={toolButtonClass} aria-label={t('editor.redo')} title={t('editor.redoTitle')}>
+          <Redo2 className="h-4 w-4" />
+        </button>
+        <button onClick={() => setHistory((prev) => addStroke(prev, { tool: 'clear' }))} disabled={isEmpty} className={toolButtonClass}>
+          <Trash2 className="h-4 w-4 me-1" />
+          {t('mask.clear')}
+        </button>
+      </div>
+
+      <div className="flex items-center justify-center space-x-2 rtl:space-x-reverse">
+        <label htmlFor="brush-size" className="text-sm text-zinc-300">{t('mask.brushSize')}</label>
+        <input
+          id="brush-size"
+          type="range"
+          min="0.01"
+          max="0.25"
+          step="0.01"
+          value={size}
+          onChange={(e) => setSize(Number(e.target.value))}
+          className="w-48"
+        />
+        <span className="text-sm text-zinc-400 w-10">{Math.round(size * 100)}%</span>
+      </div>
+
+      <div className="flex justify-center space-x-4 rtl:space-x-reverse">
+        <button
+          onClick={onCancel}
+          className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300"
+        >
+          <X className="h-5 w-5 me-2" />
+          {t('common.cancel')}
+        </button>
+        <button
+          onClick={() => onApply(isEmpty ? null : history.strokes)}
+          className="flex items-center justify-center px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-600 hover:to-cyan-700 text-white font-semibold rounded-lg shadow-lg transition-all duration-300"
+        >
+          <Check className="h-5 w-5 me-2" />
+          {isEmpty ? t('mask.useWholeImage') : t('editor.apply')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MaskEditor;
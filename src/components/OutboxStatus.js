@@ -0,0 +1,51 @@
+import React from 'react';
+import { CloudOff, RefreshCw, Trash2, X } from 'lucide-react';
+import useLocale from '../hooks/useLocale';
+
+// Banner for requests queued while the backend was unreachable, plus notices about queued
+// requests that have since been processed
+const OutboxStatus = ({ outbox, notices, onDismissNotice }) => {
+  const { items, isReplaying, replay, clear } = outbox;
+  const { t } = useLocale();
+  if (items.length === 0 && notices.length === 0) return null;
+
+  return (
+    <div className="mb-6 space-y-2" role="status">
+      {items.length > 0 && (
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-3 p-4 rounded-xl border border-amber-500/40 bg-amber-500/10 text-amber-200">
+          <p className="flex items-center text-sm">
+            <CloudOff className="h-5 w-5 me-2 flex-shrink-0" />
+            {t('outbox.waiting', { count: items.length })}
+          </p>
+          <div className="flex items-center space-x-2 rtl:space-x-reverse">
+            <button
+              onClick={replay}
+              disabled={isReplaying}
+              className="flex items-center px-3 py-1.5 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-sm text-zinc-100 disabled:opacity-50"
+            >
+              <RefreshCw className={`h-4 w-4 me-1 ${isReplaying ? 'animate-spin' : ''}`} />
+              {isReplaying ? t('outbox.sending') : t('outbox.retryNow')}
+            </button>
+            <button
+              onClick={clear}
+              className="flex items-center px-3 py-1.5 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-sm text-zinc-100"
+            >
+              <Trash2 className="h-4 w-4 me-1" />
+              {t('outbox.discard')}
+            </button>
+          </div>
+        </div>
+      )}
+      {notices.map((notice) => (
+        <div key={notice.id} className="flex items-center justify-between gap-3 p-3 rounded-xl border border-zinc-700 bg-zinc-800/60 text-sm text-zinc-300">
+          <p className={notice.isError ? 'text-red-400' : ''}>{notice.message}</p>
+          <button onClick={() => onDismissNotice(notice.id)} className="p-1 text-zinc-400 hover:text-white" aria-label={t('common.dismiss')}>
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default OutboxStatus;
@@ -0,0 +1,47 @@
+import React from 'react';
+import useLocale from '../hooks/useLocale';
+import { t as translate, formatNumber } from '../utils/i18n';
+
+// Formats milliseconds as "42s" or "3m 05s", in the current locale
+export const formatElapsed = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0
+    ? translate('progress.minutes', { minutes, seconds: formatNumber(seconds, { minimumIntegerDigits: 2 }) })
+    : translate('progress.seconds', { seconds });
+};
+
+// Upload bar, processing stage and elapsed time shown in the loading overlay
+const ProgressDetails = ({ progress, elapsedMs }) => {
+  const { t } = useLocale();
+  if (!progress) return null;
+  const { phase, uploadPercent, stage, percent } = progress;
+  const isUploading = phase === 'uploading';
+  const barPercent = isUploading ? uploadPercent : percent;
+
+  return (
+    <div className="w-2/3 max-w-xs mt-2 text-center" data-testid="progress-details">
+      <p className="text-sm text-blue-100">
+        {isUploading ? t('progress.uploading', { percent: uploadPercent }) : stage ? t('progress.processingStage', { stage }) : t('progress.processing')}
+        {!isUploading && percent !== null && ` ${t('progress.percent', { percent })}`}
+      </p>
+      <div
+        className="h-2 mt-2 bg-zinc-700 rounded-full overflow-hidden"
+        role="progressbar"
+        aria-label={isUploading ? t('progress.uploadLabel') : t('progress.processingLabel')}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={barPercent === null ? undefined : barPercent}
+      >
+        <div
+          className={`h-full bg-blue-400 transition-all duration-300 ${barPercent === null ? 'w-1/3 animate-pulse' : ''}`}
+          style={barPercent === null ? undefined : { width: `${barPercent}%` }}
+        />
+      </div>
+      <p className="text-xs text-blue-200 mt-2 tabular-nums">{t('progress.elapsed', { time: formatElapsed(elapsedMs) })}</p>
+    </div>
+  );
+};
+
+export default ProgressDetails;
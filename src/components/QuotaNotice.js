@@ -0,0 +1,41 @@
+import React, { useState, useEffect } from 'react';
+import { Hourglass, X } from 'lucide-react';
+import { formatWait } from '../api/errors';
+import useLocale from '../hooks/useLocale';
+
+// Shown after the backend answered 429. With a reset time (from Retry-After) it counts down and
+// calls onExpire once the quota is available again; otherwise the user dismisses it.
+const QuotaNotice = ({ resetAt, onExpire }) => {
+  const [now, setNow] = useState(Date.now);
+  const { t } = useLocale();
+
+  useEffect(() => {
+    if (resetAt === null) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [resetAt]);
+
+  const remainingMs = resetAt === null ? null : resetAt - now;
+
+  useEffect(() => {
+    if (remainingMs !== null && remainingMs <= 0) onExpire();
+  }, [remainingMs, onExpire]);
+
+  return (
+    <div className="mb-6 flex items-center justify-between gap-3 p-4 rounded-xl border border-amber-500/40 bg-amber-500/10 text-amber-200" role="status">
+      <p className="flex items-center text-sm">
+        <Hourglass className="h-5 w-5 me-2 flex-shrink-0" />
+        {remainingMs === null
+          ? t('quota.exhausted')
+          : t('quota.exhaustedWait', { wait: formatWait(Math.max(remainingMs, 0)) })}
+      </p>
+      {remainingMs === null && (
+        <button onClick={onExpire} className="p-1 text-amber-200 hover:text-white" aria-label={t('common.dismiss')}>
+          <X className="h-4 w-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default QuotaNotice;
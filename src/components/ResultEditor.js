@@ -0,0 +1,418 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { SlidersHorizontal, Type, MessageCircle, Smile, Frame, Undo2, Redo2, Trash2, Check, X } from 'lucide-react';
+import useUndoable from '../hooks/useUndoable';
+import useLocale from '../hooks/useLocale';
+import {
+  FONTS,
+  STICKERS,
+  FRAMES,
+  DEFAULT_ADJUSTMENTS,
+  EMPTY_EDITS,
+  createLayer,
+  hasEdits,
+  isDefaultAdjustments,
+  layerAt,
+  renderBase,
+  renderEdits,
+  renderEditedImage,
+} from '../utils/composition';
+import { errorMessage } from '../api/errors';
+
+const PREVIEW_MAX_DIMENSION = 1024;
+
+const ADJUSTMENTS = [
+  { name: 'brightness', label: 'resultEditor.brightness' },
+  { name: 'contrast', label: 'resultEditor.contrast' },
+  { name: 'saturation', label: 'resultEditor.saturation' },
+];
+
+// Heading for the selected layer's settings
+const LAYER_TITLES = { caption: 'resultEditor.caption', bubble: 'resultEditor.bubble', sticker: 'resultEditor.sticker' };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const isTyping = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+// Post-processing for a result: adjustments, captions, speech bubbles, stickers and frames, with
+// undo. blob is the unedited result and initialEdits the document from a previous session (see
+// ../utils/composition). onApply receives the rendered PNG and the edits, or (null, null) when
+// everything was removed.
+const ResultEditor = ({ blob, initialEdits, onApply, onCancel }) => {
+  const edits = useUndoable(initialEdits || EMPTY_EDITS);
+  const { value: doc, set, checkpoint, undo, redo } = edits;
+  const [bitmap, setBitmap] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [isApplying, setIsApplying] = useState(false);
+  const [error, setError] = useState(null); // { message (id), reason }, translated when shown
+  const canvasRef = useRef(null);
+  const baseRef = useRef({ bitmap: null, adjustments: null, canvas: null }); // Adjusted preview pixels
+  const renderRef = useRef(null); // Last preview render: { canvas, image, bounds }
+  const dragRef = useRef(null);
+  const { t } = useLocale();
+
+  useEffect(() => {
+    let cancelled = false;
+    let decoded = null;
+    createImageBitmap(blob)
+      .then((result) => {
+        if (cancelled) {
+          result.close();
+          return;
+        }
+        decoded = result;
+        setBitmap(result);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error decoding result for editing:", err);
+        setError({ message: 'resultEditor.openFailed', reason: errorMessage(err) });
+      });
+    return () => {
+      cancelled = true;
+      if (decoded) decoded.close();
+    };
+  }, [blob]);
+
+  // Redraw the preview; pixels are only recomputed when the adjustments change
+  useEffect(() => {
+    const display = canvasRef.current;
+    if (!bitmap || !display) return;
+    try {
+      const base = baseRef.current;
+      if (base.bitmap !== bitmap || base.adjustments !== doc.adjustments) {
+        const scale = Math.min(1, PREVIEW_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+        baseRef.current = { bitmap, adjustments: doc.adjustments, canvas: renderBase(bitmap, doc.adjustments, scale) };
+      }
+      const rendered = renderEdits(baseRef.current.canvas, doc, { selectedId });
+      display.width = rendered.canvas.width;
+      display.height = rendered.canvas.height;
+      display.getContext('2d').drawImage(rendered.canvas, 0, 0);
+      renderRef.current = rendered;
+    } catch (err) {
+      console.error("Error rendering edit preview:", err);
+      setError({ message: 'resultEditor.previewFailed', reason: errorMessage(err) });
+    }
+  }, [bitmap, doc, selectedId]);
+
+  const selectedLayer = doc.layers.find((layer) => layer.id === selectedId) || null;
+
+  const updateLayer = (id, changes, mergeKey) => {
+    set((prev) => ({ ...prev, layers: prev.layers.map((layer) => (layer.id === id ? { ...layer, ...changes } : layer)) }), { mergeKey });
+  };
+
+  const addLayer = (type, overrides) => {
+    const layer = createLayer(type, overrides);
+    set((prev) => ({ ...prev, layers: [...prev.layers, layer] }));
+    setSelectedId(layer.id);
+  };
+
+  const removeLayer = (id) => {
+    set((prev) => ({ ...prev, layers: prev.layers.filter((layer) => layer.id !== id) }));
+    setSelectedId(null);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) and Delete; text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTyping(e.target)) return;
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((e.ctrlKey || e.metaKey) && (key === 'y' || key === 'z')) {
+        e.preventDefault();
+        redo();
+      } else if ((key === 'delete' || key === 'backspace') && selectedId) {
+        e.preventDefault();
+        set((prev) => ({ ...prev, layers: prev.layers.filter((layer) => layer.id !== selectedId) }));
+        setSelectedId(null);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, set, selectedId]);
+
+  // Pointer position in preview canvas pixels
+  const toCanvasPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    const rendered = renderRef.current;
+    if (!rendered) return;
+    const point = toCanvasPoint(e);
+    const hit = layerAt(doc.layers, rendered.bounds, point.x, point.y);
+    setSelectedId(hit ? hit.id : null);
+    if (!hit) return;
+    e.preventDefault();
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+    const layer = doc.layers.find((entry) => entry.id === hit.id);
+    dragRef.current = {
+      id: hit.id,
+      part: hit.part,
+      start: point,
+      origin: hit.part === 'tail' ? { x: layer.tailX, y: layer.tailY } : { x: layer.x, y: layer.y },
+      mergeKey: `move:${hit.id}:${Date.now()}`, // One undo step per drag
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const { canvas, image } = renderRef.current;
+    const point = toCanvasPoint(e);
+    // Layers may sit on a frame's border, but not leave the canvas
+    const x = clamp(drag.origin.x + (point.x - drag.start.x) / image.width, -image.x / image.width, (canvas.width - image.x) / image.width);
+    const y = clamp(drag.origin.y + (point.y - drag.start.y) / image.height, -image.y / image.height, (canvas.height - image.y) / image.height);
+    updateLayer(drag.id, drag.part === 'tail' ? { tailX: x, tailY: y } : { x, y }, drag.mergeKey);
+  };
+
+  const handlePointerUp = () => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    checkpoint();
+  };
+
+  const handleApply = async () => {
+    if (!hasEdits(doc)) {
+      onApply(null, null);
+      return;
+    }
+    setIsApplying(true);
+    setError(null);
+    try {
+      onApply(await renderEditedImage(blob, doc), doc);
+    } catch (err) {
+      console.error("Error rendering edited image:", err);
+      setError({ message: 'resultEditor.renderFailed', reason: errorMessage(err) });
+      setIsApplying(false);
+    }
+  };
+
+  const toolButtonClass = 'flex items-center px-3 py-2 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-sm text-zinc-200 disabled:opacity-50';
+  const sectionTitleClass = 'flex items-center text-sm font-semibold text-zinc-300 mb-2';
+  const inputClass = 'w-full px-3 py-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="flex items-center text-xl font-semibold text-zinc-300">
+          <SlidersHorizontal className="h-5 w-5 me-2" />
+          {t('resultEditor.title')}
+        </h2>
+        <div className="flex space-x-2 rtl:space-x-reverse">
+          <button onClick={undo} disabled={!edits.canUndo} className={toolButtonClass} aria-label={t('editor.undo')} title={t('editor.undoTitle')}>
+            <Undo2 className="h-4 w-4" />
+          </button>
+          <button onClick={redo} disabled={!edits.canRedo} className={toolButtonClass} aria-label={t('editor.redo')} title={t('editor.redoTitle')}>
+            <Redo2 className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 items-start">
+        <div className="lg:col-span-2 flex justify-center bg-zinc-900 rounded-lg p-4">
+          {bitmap ? (
+            <canvas
+              ref={canvasRef}
+              data-testid="result-editor-canvas"
+              className="block max-w-full max-h-[70vh] select-none touch-none"
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+            />
+          ) : (
+            <div className="loader ease-linear rounded-full border-4 border-t-4 border-blue-400 h-12 w-12 my-16"></div>
+          )}
+        </div>
+
+        <div className="space-y-5">
+          <section>
+            <h3 className={sectionTitleClass}>
+              <SlidersHorizontal className="h-4 w-4 me-2" />
+              {t('resultEditor.adjust')}
+            </h3>
+            {ADJUSTMENTS.map(({ name, label }) => (
+              <div key={name} className="flex items-center space-x-2 rtl:space-x-reverse mb-1">
+                <label htmlFor={`adjust-${name}`} className="w-24 text-sm text-zinc-400">{t(label)}</label>
+                <input
+                  id={`adjust-${name}`}
+                  type="range"
+                  min="0"
+                  max="200"
+                  step="1"
+                  value={doc.adjustments[name]}
+                  onChange={(e) => set((prev) => ({ ...prev, adjustments: { ...prev.adjustments, [name]: Number(e.target.value) } }), { mergeKey: `adjust:${name}` })}
+                  onPointerUp={checkpoint}
+                  onKeyUp={checkpoint}
+                  className="flex-1"
+                />
+                <span className="w-12 text-end text-sm text-zinc-400">{doc.adjustments[name]}%</span>
+              </div>
+            ))}
+            <button
+              onClick={() => set((prev) => ({ ...prev, adjustments: DEFAULT_ADJUSTMENTS }))}
+              disabled={isDefaultAdjustments(doc.adjustments)}
+              className="text-xs text-zinc-400 hover:text-white disabled:opacity-50"
+            >
+              {t('resultEditor.resetAdjustments')}
+            </button>
+          </section>
+
+          <section>
+            <h3 className={sectionTitleClass}>
+              <Type className="h-4 w-4 me-2" />
+              {t('resultEditor.text')}
+            </h3>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={() => addLayer('caption', { text: t('resultEditor.defaultCaption') })} className={toolButtonClass}>
+                <Type className="h-4 w-4 me-1" />
+                {t('resultEditor.addCaption')}
+              </button>
+              <button onClick={() => addLayer('bubble', { text: t('resultEditor.defaultBubble') })} className={toolButtonClass}>
+                <MessageCircle className="h-4 w-4 me-1" />
+                {t('resultEditor.addBubble')}
+              </button>
+            </div>
+          </section>
+
+          <section>
+            <h3 className={sectionTitleClass}>
+              <Smile className="h-4 w-4 me-2" />
+              {t('resultEditor.stickers')}
+            </h3>
+            <div className="flex flex-wrap gap-1">
+              {STICKERS.map((emoji) => (
+                <button
+                  key={emoji}
+                  onClick={() => addLayer('sticker', { emoji })}
+                  className="h-9 w-9 rounded-lg bg-zinc-700 hover:bg-zinc-600 text-xl"
+                  aria-label={t('resultEditor.addSticker', { emoji })}
+                >
+                  {emoji}
+                </button>
+              ))}
+            </div>
+          </section>
+
+          <section>
+            <h3 className={sectionTitleClass}>
+              <Frame className="h-4 w-4 me-2" />
+              {t('resultEditor.frame')}
+            </h3>
+            <div className="flex flex-wrap gap-2">
+              {FRAMES.map((frame) => (
+                <button
+                  key={frame.id}
+                  onClick={() => set((prev) => ({ ...prev, frame: frame.id }))}
+                  aria-pressed={doc.frame === frame.id}
+                  className={`${toolButtonClass} ${doc.frame === frame.id ? 'ring-2 ring-blue-400' : ''}`}
+                >
+                  {t(frame.label)}
+                </button>
+              ))}
+            </div>
+          </section>
+
+          {selectedLayer && (
+            <section className="p-3 border border-zinc-700 rounded-lg space-y-2">
+              <h3 className="text-sm font-semibold text-zinc-300">
+                {t(LAYER_TITLES[selectedLayer.type])}
+              </h3>
+              {selectedLayer.type !== 'sticker' && (
+                <>
+                  <label htmlFor="layer-text" className="sr-only">{t('resultEditor.text')}</label>
+                  <textarea
+                    id="layer-text"
+                    rows={2}
+                    value={selectedLayer.text}
+                    onChange={(e) => updateLayer(selectedLayer.id, { text: e.target.value }, `text:${selectedLayer.id}`)}
+                    onBlur={checkpoint}
+                    className={inputClass}
+                  />
+                  <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                    <label htmlFor="layer-font" className="w-12 text-sm text-zinc-400">{t('resultEditor.font')}</label>
+                    <select
+                      id="layer-font"
+                      value={selectedLayer.font}
+                      onChange={(e) => updateLayer(selectedLayer.id, { font: e.target.value })}
+                      className={inputClass}
+                    >
+                      {FONTS.map((font) => (
+                        <option key={font.id} value={font.id} style={{ fontFamily: font.stack }}>{t(font.label)}</option>
+                      ))}
+                    </select>
+                  </div>
+                </>
+              )}
+              <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                <label htmlFor="layer-size" className="w-12 text-sm text-zinc-400">{t('resultEditor.size')}</label>
+                <input
+                  id="layer-size"
+                  type="range"
+                  min={selectedLayer.type === 'sticker' ? 0.05 : 0.02}
+                  max={selectedLayer.type === 'sticker' ? 0.5 : 0.2}
+                  step="0.005"
+                  value={selectedLayer.size}
+                  onChange={(e) => updateLayer(selectedLayer.id, { size: Number(e.target.value) }, `size:${selectedLayer.id}`)}
+                  onPointerUp={checkpoint}
+                  onKeyUp={checkpoint}
+                  className="flex-1"
+                />
+              </div>
+              {selectedLayer.type === 'caption' && (
+                <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                  <label htmlFor="layer-color" className="w-12 text-sm text-zinc-400">{t('resultEditor.colour')}</label>
+                  <input
+                    id="layer-color"
+                    type="color"
+                    value={selectedLayer.color}
+                    onChange={(e) => updateLayer(selectedLayer.id, { color: e.target.value }, `color:${selectedLayer.id}`)}
+                    onBlur={checkpoint}
+                    className="h-8 w-12 bg-transparent"
+                  />
+                </div>
+              )}
+              <button onClick={() => removeLayer(selectedLayer.id)} className="flex items-center text-sm text-red-400 hover:text-red-300">
+                <Trash2 className="h-4 w-4 me-1" />
+                {t('resultEditor.remove')}
+              </button>
+            </section>
+          )}
+          {!selectedLayer && doc.layers.length > 0 && (
+            <p className="text-xs text-zinc-500">{t('resultEditor.hint')}</p>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="text-red-400 text-center text-sm">{t(error.message, { reason: error.reason })}</p>}
+
+      <div className="flex justify-center space-x-4 rtl:space-x-reverse">
+        <button
+          onClick={onCancel}
+          disabled={isApplying}
+          className="flex items-center justify-center px-6 py-3 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg shadow-md transition-all duration-300 disabled:opacity-50"
+        >
+          <X className="h-5 w-5 me-2" />
+          {t('common.cancel')}
+        </button>
+        <button
+          onClick={handleApply}
+          disabled={isApplying || !bitmap}
+          className="flex items-center justify-center px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-600 hover:to-cyan-700 text-white font-semibold rounded-lg shadow-lg transition-all duration-300 disabled:opacity-50"
+        >
+          <Check className="h-5 w-5 me-2" />
+          {isApplying ? t('resultEditor.rendering') : t('editor.apply')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ResultEditor;
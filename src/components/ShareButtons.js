@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { Copy, Share2 } from 'lucide-react';
+import { copyImage, shareImage } from '../utils/shareImage';
+import useLocale from '../hooks/useLocale';
+
+// What to tell the user after each copy/share outcome
+const OUTCOME_MESSAGES = {
+  copied: 'share.copied',
+  'link-copied': 'share.linkCopied',
+  downloaded: 'share.downloaded',
+  'share-link-copied': 'share.shareLinkCopied',
+  'share-downloaded': 'share.shareDownloaded',
+};
+
+// "Copy Image" and "Share" actions for a result; onMessage receives a note about the outcome
+const ShareButtons = ({ blob, filename, onMessage, disabled = false, className }) => {
+  const [isBusy, setIsBusy] = useState(false);
+  const { t } = useLocale();
+
+  const run = async (action) => {
+    setIsBusy(true);
+    try {
+      const outcome = await action(blob, filename);
+      onMessage(OUTCOME_MESSAGES[outcome] ? t(OUTCOME_MESSAGES[outcome]) : null);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <button onClick={() => run(copyImage)} disabled={disabled || isBusy || !blob} className={className}>
+        <Copy className="h-5 w-5 me-2" />
+        {t('share.copy')}
+      </button>
+      <button onClick={() => run(shareImage)} disabled={disabled || isBusy || !blob} className={className}>
+        <Share2 className="h-5 w-5 me-2" />
+        {t('share.share')}
+      </button>
+    </>
+  );
+};
+
+export default ShareButtons;
@@ -0,0 +1,76 @@
+import React, { useRef } from 'react';
+import { Keyboard, X } from 'lucide-react';
+import useLocale from '../hooks/useLocale';
+import useDialog from '../hooks/useDialog';
+
+// Keys handled by App, in the order they are listed
+export const SHORTCUTS = [
+  { key: 'G', label: 'shortcuts.generate' },
+  { key: 'D', label: 'shortcuts.download' },
+  { key: 'R', label: 'shortcuts.reset' },
+  { key: '?', label: 'shortcuts.help' },
+];
+
+// Lists the keyboard shortcuts and holds the accessibility switches (shortcuts on/off, reduced
+// motion). accessibility comes from useAccessibility. Focus returns to whatever opened it.
+const ShortcutsDialog = ({ accessibility, onClose }) => {
+  const { t } = useLocale();
+  const closeButtonRef = useRef(null);
+
+  useDialog(closeButtonRef, onClose);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+        className="w-full max-w-sm bg-zinc-800 border border-zinc-700 rounded-2xl p-6 shadow-2xl space-y-4 text-start"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <h3 id="shortcuts-title" className="flex items-center text-xl font-semibold text-zinc-200">
+            <Keyboard className="h-5 w-5 me-2" />
+            {t('shortcuts.title')}
+          </h3>
+          <button ref={closeButtonRef} type="button" onClick={onClose} className="p-1 text-zinc-400 hover:text-white" aria-label={t('shortcuts.close')}>
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <dl className="space-y-2 text-sm">
+          {SHORTCUTS.map(({ key, label }) => (
+            <div key={key} className="flex items-center justify-between">
+              <dt className="text-zinc-300">{t(label)}</dt>
+              <dd>
+                <kbd className="px-2 py-0.5 rounded border border-zinc-600 bg-zinc-900 font-mono text-zinc-200">{key}</kbd>
+              </dd>
+            </div>
+          ))}
+        </dl>
+        <p className="text-xs text-zinc-400">{t('shortcuts.note')}</p>
+
+        <div className="space-y-2 pt-2 border-t border-zinc-700">
+          <label className="flex items-center space-x-2 rtl:space-x-reverse text-sm text-zinc-300">
+            <input
+              type="checkbox"
+              checked={accessibility.shortcuts}
+              onChange={(e) => accessibility.setPreference('shortcuts', e.target.checked)}
+            />
+            <span>{t('shortcuts.enable')}</span>
+          </label>
+          <label className="flex items-center space-x-2 rtl:space-x-reverse text-sm text-zinc-300">
+            <input
+              type="checkbox"
+              checked={accessibility.reducedMotion}
+              onChange={(e) => accessibility.setPreference('reducedMotion', e.target.checked)}
+            />
+            <span>{t('shortcuts.reduceMotion')}</span>
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsDialog;
@@ -0,0 +1,97 @@
+import React, { useState, useRef } from 'react';
+import { KeyRound, X } from 'lucide-react';
+import useDialog from '../hooks/useDialog';
+import useLocale from '../hooks/useLocale';
+
+// Sign-in form for the selected backend: an API key, or a username and password exchanged for a
+// bearer token. auth comes from useAuth. Focus starts in the first field and returns to whatever
+// opened the dialog.
+const SignInDialog = ({ auth, backendLabel, onClose }) => {
+  const [apiKey, setApiKey] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const usesApiKey = auth.config.type === 'apiKey';
+  const firstFieldRef = useRef(null);
+  useDialog(firstFieldRef, onClose);
+  const { t } = useLocale();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await auth.signIn(usesApiKey ? { apiKey } : { username, password });
+      onClose();
+    } catch (err) {
+      console.error("Error signing in:", err);
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const canSubmit = usesApiKey ? apiKey.trim() !== '' : username.trim() !== '' && password !== '';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="sign-in-title"
+        className="w-full max-w-sm bg-zinc-800 border border-zinc-700 rounded-2xl p-6 shadow-2xl text-start"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <div className="flex items-center justify-between">
+            <h3 id="sign-in-title" className="flex items-center text-xl font-semibold text-zinc-200">
+              <KeyRound className="h-5 w-5 me-2" />
+              {t('signIn.title')}
+            </h3>
+            <button type="button" onClick={onClose} className="p-1 text-zinc-400 hover:text-white" aria-label={t('common.close')}>
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          <p className="text-sm text-zinc-400">{t('signIn.intro', { backend: backendLabel })}</p>
+          {auth.message && <p className="text-sm text-amber-300" role="alert">{auth.message}</p>}
+
+          {usesApiKey ? (
+            <label className="block space-y-1">
+              <span className="text-sm text-zinc-300">{t('signIn.apiKey')}</span>
+              <input type="password" autoComplete="off" value={apiKey} onChange={(e) => setApiKey(e.target.value)} className={inputClass} ref={firstFieldRef} />
+            </label>
+          ) : (
+            <>
+              <label className="block space-y-1">
+                <span className="text-sm text-zinc-300">{t('signIn.username')}</span>
+                <input type="text" autoComplete="username" value={username} onChange={(e) => setUsername(e.target.value)} className={inputClass} ref={firstFieldRef} />
+              </label>
+              <label className="block space-y-1">
+                <span className="text-sm text-zinc-300">{t('signIn.password')}</span>
+                <input type="password" autoComplete="current-password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} />
+              </label>
+            </>
+          )}
+
+          {error && <p className="text-sm text-red-400" role="alert">{error}</p>}
+
+          <div className="flex justify-end space-x-2 rtl:space-x-reverse">
+            <button type="button" onClick={onClose} className="px-4 py-2 rounded-lg text-zinc-300 hover:text-white">
+              {t('common.cancel')}
+            </button>
+            <button
+              type="submit"
+              disabled={!canSubmit || isSubmitting}
+              className="px-4 py-2 rounded-lg bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-semibold disabled:opacity-50"
+            >
+              {isSubmitting ? t('signIn.submitting') : t('signIn.submit')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SignInDialog;
@@ -0,0 +1,51 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import SignInDialog from './SignInDialog';
+
+const makeAuth = (type) => ({ config: { type }, message: null, signIn: jest.fn(() => Promise.resolve()) });
+
+test('moves focus to the first field and returns it to the opener when closed', () => {
+  const opener = document.createElement('button');
+  document.body.appendChild(opener);
+  opener.focus();
+
+  const { unmount } = render(<SignInDialog auth={makeAuth('password')} backendLabel="Local" onClose={jest.fn()} />);
+  expect(screen.getByLabelText('Username')).toHaveFocus();
+
+  unmount();
+  expect(opener).toHaveFocus();
+  opener.remove();
+});
+
+test('closes on Escape', () => {
+  const onClose = jest.fn();
+  render(<SignInDialog auth={makeAuth('apiKey')} backendLabel="Local" onClose={onClose} />);
+  expect(screen.getByLabelText('API key')).toHaveFocus();
+
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(onClose).toHaveBeenCalled();
+});
+
+test('keeps Tab and Shift+Tab inside the dialog', () => {
+  render(<SignInDialog auth={makeAuth('password')} backendLabel="Local" onClose={jest.fn()} />);
+  const close = screen.getByRole('button', { name: 'Close' });
+  const cancel = screen.getByRole('button', { name: 'Cancel' }); // Sign in is disabled until the form is filled
+
+  cancel.focus();
+  fireEvent.keyDown(cancel, { key: 'Tab' });
+  expect(close).toHaveFocus();
+
+  fireEvent.keyDown(close, { key: 'Tab', shiftKey: true });
+  expect(cancel).toHaveFocus();
+
+  // Moving between fields inside the dialog is left to the browser
+  const username = screen.getByLabelText('Username');
+  username.focus();
+  fireEvent.keyDown(username, { key: 'Tab' });
+  expect(username).toHaveFocus();
+});
+
+test('has no detectable accessibility violations', async () => {
+  const { container } = render(<SignInDialog auth={makeAuth('password')} backendLabel="Local" onClose={jest.fn()} />);
+  expect(await axe(container)).toHaveNoViolations();
+});
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Columns2, Trophy, X, AlertTriangle } from 'lucide-react';
+import useLocale from '../hooks/useLocale';
+
+// Grid that shows the same image rendered in several styles so the user can pick a winner
+const StyleComparison = ({ styles, results, isRunning, onCompare, onPick, onClose }) => {
+  const [checkedIds, setCheckedIds] = useState(() => styles.map((style) => style.id)); // Compare everything by default
+  const { t } = useLocale();
+
+  const toggleStyle = (styleId) => {
+    setCheckedIds((prev) => (prev.includes(styleId) ? prev.filter((id) => id !== styleId) : [...prev, styleId]));
+  };
+
+  const comparedStyles = styles.filter((style) => results[style.id]);
+
+  return (
+    <div className="mt-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-zinc-300">{t('compare.title')}</h2>
+        <button
+          onClick={onClose}
+          disabled={isRunning}
+          className="p-2 text-zinc-400 hover:text-white disabled:opacity-50"
+          aria-label={t('compare.close')}
+        >
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      <fieldset className="flex flex-wrap gap-3 mb-4" disabled={isRunning}>
+        <legend className="sr-only">{t('compare.legend')}</legend>
+        {styles.map((style) => (
+          <label key={style.id} className="flex items-center space-x-2 rtl:space-x-reverse px-3 py-2 bg-zinc-700 rounded-lg cursor-pointer">
+            <input
+              type="checkbox"
+              checked={checkedIds.includes(style.id)}
+              onChange={() => toggleStyle(style.id)}
+              className="accent-blue-500"
+            />
+            <span className="text-sm text-zinc-200">{style.label}</span>
+          </label>
+        ))}
+      </fieldset>
+
+      <button
+        onClick={() => onCompare(styles.filter((style) => checkedIds.includes(style.id)))}
+        disabled={isRunning || checkedIds.length < 2}
+        className="flex items-center justify-center px-6 py-3 mb-6 bg-gradient-to-r from-blue-500 to-cyan-600 hover:from-blue-600 hover:to-cyan-700 text-white font-semibold rounded-lg shadow-lg transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Columns2 className="h-5 w-5 me-2" />
+        {isRunning ? t('compare.running') : t('compare.start', { count: checkedIds.length })}
+      </button>
+
+      {comparedStyles.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+          {comparedStyles.map((style) => {
+            const result = results[style.id];
+            return (
+              <div key={style.id} className="space-y-3" data-testid="comparison-cell">
+                <h3 className="text-center font-semibold text-zinc-300">{style.label}</h3>
+                <div className="aspect-w-4 aspect-h-3 bg-zinc-700 rounded-lg flex items-center justify-center relative overflow-hidden">
+                  {result.status === 'processing' && (
+                    <div className="flex items-center justify-center">
+                      <div className="loader ease-linear rounded-full border-4 border-t-4 border-blue-400 h-10 w-10"></div>
+                    </div>
+                  )}
+                  {result.status === 'done' && (
+                    <img src={result.url} alt={t('compare.resultAlt', { style: style.label })} className="w-full h-full object-contain rounded-lg" />
+                  )}
+                  {result.status === 'failed' && (
+                    <div className="flex flex-col items-center justify-center p-4 text-center text-red-400">
+                      <AlertTriangle className="h-8 w-8 mb-2" />
+                      <p className="text-xs">{result.error}</p>
+                    </div>
+                  )}
+                </div>
+                <button
+                  onClick={() => onPick(style.id, result)}
+                  disabled={result.status !== 'done'}
+                  className="flex items-center justify-center w-full px-4 py-2 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Trophy className="h-4 w-4 me-2" />
+                  {t('compare.pick')}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StyleComparison;
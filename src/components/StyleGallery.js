@@ -0,0 +1,64 @@
+import React from 'react';
+import { Palette, RefreshCw } from 'lucide-react';
+import useLocale from '../hooks/useLocale';
+
+// Short notes shown when the catalog did not come straight from the backend
+const SOURCE_NOTES = {
+  loading: 'styles.loading',
+  cached: 'styles.cached',
+  default: 'styles.builtIn',
+};
+
+// Thumbnail card gallery for picking a cartoonization style
+const StyleGallery = ({ styles, selectedStyle, onSelect, source, onReload }) => {
+  const { t } = useLocale();
+  return (
+    <div className="w-full">
+      <p id="style-gallery-label" className="block text-zinc-300 text-sm font-medium mb-2 text-center">
+        {t('styles.heading')}
+      </p>
+      {SOURCE_NOTES[source] && (
+        <p className="flex items-center justify-center text-xs text-zinc-500 mb-3">
+          {t(SOURCE_NOTES[source])}
+          {source !== 'loading' && (
+            <button onClick={onReload} className="ms-2 inline-flex items-center text-blue-400 hover:text-blue-300">
+              <RefreshCw className="h-3 w-3 me-1" />
+              {t('styles.retry')}
+            </button>
+          )}
+        </p>
+      )}
+      <div role="radiogroup" aria-labelledby="style-gallery-label" className="grid grid-cols-2 sm:grid-cols-3 gap-4 mb-6">
+        {styles.map((style) => {
+          const isSelected = style.id === selectedStyle;
+          return (
+            <button
+              key={style.id}
+              type="button"
+              role="radio"
+              aria-checked={isSelected}
+              onClick={() => onSelect(style.id)}
+              className={`text-start rounded-xl border overflow-hidden bg-zinc-700/60 transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-blue-500 ${isSelected ? 'border-blue-400 ring-2 ring-blue-400' : 'border-zinc-600 hover:border-zinc-400'}`}
+            >
+              <div className="aspect-w-4 aspect-h-3 bg-zinc-800">
+                {style.preview ? (
+                  <img src={style.preview} alt="" className="w-full h-full object-cover" />
+                ) : (
+                  <div className="flex items-center justify-center">
+                    <Palette className="h-10 w-10 text-zinc-500" />
+                  </div>
+                )}
+              </div>
+              <div className="p-3">
+                <p className="font-semibold text-white">{style.label}</p>
+                {style.description && <p className="text-xs text-zinc-400 mt-1">{style.description}</p>}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default StyleGallery;
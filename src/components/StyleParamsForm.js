@@ -0,0 +1,97 @@
+import React from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import { optionValue } from '../utils/styleParams';
+import useLocale from '../hooks/useLocale';
+
+// Renders one control per parameter in a style's schema
+const StyleParamsForm = ({ schema, values, errors, onChange, onReset }) => {
+  const { t } = useLocale();
+  if (schema.length === 0) return null;
+
+  const renderControl = (param) => {
+    const id = `style-param-${param.name}`;
+    const value = values[param.name];
+    const inputClass = 'w-full px-3 py-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    switch (param.type) {
+      case 'range':
+        return (
+          <div className="flex items-center gap-3">
+            <input
+              id={id}
+              type="range"
+              min={param.min}
+              max={param.max}
+              step={param.step || 1}
+              value={value}
+              onChange={(e) => onChange(param.name, Number(e.target.value))}
+              className="flex-1 accent-blue-500"
+            />
+            <span className="w-10 text-end text-sm text-zinc-300 tabular-nums">{value}</span>
+          </div>
+        );
+      case 'number':
+        return (
+          <input
+            id={id}
+            type="number"
+            min={param.min}
+            max={param.max}
+            step={param.step || 'any'}
+            value={value}
+            // Keep the raw text while typing so validation can report it
+            onChange={(e) => onChange(param.name, e.target.value === '' ? '' : Number(e.target.value))}
+            className={inputClass}
+          />
+        );
+      case 'select':
+        return (
+          <select id={id} value={value} onChange={(e) => onChange(param.name, e.target.value)} className={inputClass}>
+            {(param.options || []).map((option) => (
+              <option key={optionValue(option)} value={optionValue(option)}>
+                {typeof option === 'object' ? option.label : option}
+              </option>
+            ))}
+          </select>
+        );
+      case 'boolean':
+        return (
+          <input
+            id={id}
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={(e) => onChange(param.name, e.target.checked)}
+            className="h-5 w-5 accent-blue-500"
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <fieldset className="w-full mb-6 p-4 border border-zinc-700 rounded-xl">
+      <legend className="flex items-center px-2 text-sm font-medium text-zinc-300">
+        <SlidersHorizontal className="h-4 w-4 me-2" />
+        {t('params.title')}
+      </legend>
+      <div className="space-y-4">
+        {schema.map((param) => (
+          <div key={param.name}>
+            <label htmlFor={`style-param-${param.name}`} className="block text-sm text-zinc-300 mb-1">
+              {param.label || param.name}
+            </label>
+            {renderControl(param)}
+            {param.description && <p className="text-xs text-zinc-500 mt-1">{param.description}</p>}
+            {errors[param.name] && <p className="text-xs text-red-400 mt-1">{errors[param.name]}</p>}
+          </div>
+        ))}
+      </div>
+      <button onClick={onReset} type="button" className="mt-4 text-xs text-blue-400 hover:text-blue-300">
+        {t('params.reset')}
+      </button>
+    </fieldset>
+  );
+};
+
+export default StyleParamsForm;
@@ -0,0 +1,68 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Link } from 'lucide-react';
+import { fetchImageFromUrl } from '../utils/imageImport';
+import useLocale from '../hooks/useLocale';
+
+// Field for importing an image that is already hosted somewhere
+const UrlImport = ({ onImport, disabled = false }) => {
+  const { t } = useLocale();
+  const [url, setUrl] = useState('');
+  const [isFetching, setIsFetching] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!url.trim()) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsFetching(true);
+    setError(null);
+    try {
+      const file = await fetchImageFromUrl(url, { signal: controller.signal });
+      setUrl('');
+      onImport(file);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error("Error importing image from URL:", err);
+      setError(err.message);
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsFetching(false);
+      }
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 space-y-2">
+      <div className="flex flex-col sm:flex-row gap-2">
+        <label htmlFor="image-url" className="sr-only">{t('import.label')}</label>
+        <input
+          id="image-url"
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder={t('import.placeholder')}
+          disabled={disabled || isFetching}
+          className="flex-1 px-4 py-2 bg-zinc-700 border border-zinc-600 rounded-lg text-white placeholder-zinc-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={disabled || isFetching || !url.trim()}
+          className="flex items-center justify-center px-4 py-2 bg-zinc-600 hover:bg-zinc-500 text-white font-semibold rounded-lg transition-all duration-300 disabled:opacity-50"
+        >
+          <Link className="h-4 w-4 me-2" />
+          {isFetching ? t('import.importing') : t('import.submit')}
+        </button>
+      </div>
+      {error && <p className="text-red-400 text-sm text-start" role="alert">{error}</p>}
+    </form>
+  );
+};
+
+export default UrlImport;
@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { getPreferences, isReducedMotion, setPreference, subscribeToPreferences } from '../utils/accessibility';
+
+// Accessibility preferences: { reducedMotion (resolved), shortcuts, setPreference(name, value) }
+const useAccessibility = () => {
+  const [preferences, setPreferences] = useState(getPreferences);
+  const [reducedMotion, setReducedMotion] = useState(isReducedMotion);
+
+  useEffect(() => {
+    const update = () => {
+      setPreferences(getPreferences());
+      setReducedMotion(isReducedMotion());
+    };
+    update();
+    return subscribeToPreferences(update);
+  }, []);
+
+  return { reducedMotion, shortcuts: preferences.shortcuts, setPreference };
+};
+
+export default useAccessibility;
@@ -0,0 +1,28 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getAuthState, subscribeToAuth, signInWithApiKey, signInWithPassword, signOut } from '../api/auth';
+
+// Sign-in state for a backend, kept in sync with the API client (which signs the user out when
+// the backend rejects their credentials). config.type is 'none' when the backend needs no sign-in.
+const useAuth = (backend) => {
+  const [state, setState] = useState(() => getAuthState(backend));
+
+  useEffect(() => {
+    const update = () => setState(getAuthState(backend));
+    update();
+    return subscribeToAuth(update);
+  }, [backend]);
+
+  const signIn = useCallback((credentials, options = {}) => {
+    if (credentials.apiKey !== undefined) {
+      signInWithApiKey(credentials.apiKey, backend);
+      return Promise.resolve();
+    }
+    return signInWithPassword(credentials.username, credentials.password, { ...options, backend });
+  }, [backend]);
+
+  const signOutOfBackend = useCallback(() => signOut(backend), [backend]);
+
+  return { ...state, signIn, signOut: signOutOfBackend };
+};
+
+export default useAuth;
@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { getBackend, getBackends, selectBackend, subscribeToBackend } from '../api/config';
+
+// The configured backends and the selected one, kept in sync with config.json and the settings panel
+const useBackend = () => {
+  const [state, setState] = useState(() => ({ backend: getBackend(), backends: getBackends() }));
+
+  useEffect(() => {
+    const update = () => setState({ backend: getBackend(), backends: getBackends() });
+    update(); // The config may have changed before this component subscribed
+    return subscribeToBackend(update);
+  }, []);
+
+  return { ...state, select: selectBackend };
+};
+
+export default useBackend;
@@ -0,0 +1,51 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { checkHealth, HEALTH_INTERVAL_MS } from '../api/health';
+import { t } from '../utils/i18n';
+
+// Health of a backend, checked on mount, every HEALTH_INTERVAL_MS, when the browser's
+// connection changes and on demand. status is 'checking' | 'online' | 'degraded' | 'offline'.
+const useBackendHealth = (backend, { interval = HEALTH_INTERVAL_MS } = {}) => {
+  const [health, setHealth] = useState({ status: 'checking', latencyMs: null, detail: null, checkedAt: null });
+  const [isChecking, setIsChecking] = useState(false);
+  const controllerRef = useRef(null);
+
+  const check = useCallback(async () => {
+    if (controllerRef.current) controllerRef.current.abort();
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      setHealth({ status: 'offline', latencyMs: null, detail: t('health.deviceOffline'), checkedAt: new Date().toISOString() });
+      return;
+    }
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsChecking(true);
+    try {
+      const result = await checkHealth(backend, { signal: controller.signal });
+      if (!controller.signal.aborted) setHealth({ ...result, checkedAt: new Date().toISOString() });
+    } catch (err) {
+      // Cancelled by a newer check or by unmounting
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsChecking(false);
+      }
+    }
+  }, [backend]);
+
+  useEffect(() => {
+    setHealth({ status: 'checking', latencyMs: null, detail: null, checkedAt: null });
+    check();
+    const timer = setInterval(check, interval);
+    window.addEventListener('online', check);
+    window.addEventListener('offline', check);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', check);
+      window.removeEventListener('offline', check);
+      if (controllerRef.current) controllerRef.current.abort();
+    };
+  }, [check, interval]);
+
+  return { ...health, isChecking, check };
+};
+
+export default useBackendHealth;
@@ -0,0 +1,179 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { cartoonizeImage } from '../api/cartoonize';
+import { describeError, AuthenticationError, QuotaExceededError } from '../api/errors';
+
+// Number of images sent to the backend at the same time unless configured otherwise
+export const DEFAULT_CONCURRENCY = Number(process.env.REACT_APP_BATCH_CONCURRENCY) || 2;
+
+let nextItemId = 0;
+
+// Wraps a dropped File into a queue item
+const createItem = (file) => ({
+  id: `batch-${Date.now()}-${nextItemId++}`,
+  file,
+  name: file.name,
+  previewUrl: URL.createObjectURL(file),
+  status: 'pending', // pending | processing | done | failed | cancelled
+  style: null,
+  params: null,
+  resultBlob: null,
+  resultUrl: null,
+  processedAt: null,
+  error: null,
+});
+
+// Manages a queue of images that are cartoonized with a concurrency limit.
+// params are the serialized style parameters applied to items when they start.
+// prepare(file) optionally transforms each file (e.g. orient and downscale) before upload.
+// send(file, style, { params, signal }) performs each request (the backend by default).
+// onResult is called with { originalName, style, params, original, blob, processedAt } for every finished item,
+// where original is the file that was uploaded; onError(err) for every item that failed.
+// A rejected sign-in or a used-up quota would fail every remaining item the same way, so instead
+// the queue pauses (pausedBy is 'signIn' or 'quota') with those items pending until resume().
+const useBatchQueue = ({ style, params, concurrency = DEFAULT_CONCURRENCY, onResult, onError, prepare, send = cartoonizeImage }) => {
+  const [items, setItems] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [pausedBy, setPausedBy] = useState(null);
+  const controllersRef = useRef(new Map()); // In-flight AbortControllers keyed by item id
+  const itemsRef = useRef(items); // Latest items, used to revoke URLs on unmount
+  itemsRef.current = items;
+  const callbacksRef = useRef({ send, onResult, onError, prepare });
+  callbacksRef.current = { send, onResult, onError, prepare };
+
+  const updateItem = useCallback((id, changes) => {
+    setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  // Sends a single item to the backend and records the outcome on it
+  const processItem = useCallback(async (item, itemStyle, itemParams) => {
+    const controller = new AbortController();
+    controllersRef.current.set(item.id, controller);
+
+    try {
+      const { prepare: prepareFile } = callbacksRef.current;
+      const file = prepareFile ? await prepareFile(item.file) : item.file;
+      if (controller.signal.aborted) return;
+      const blob = await callbacksRef.current.send(file, itemStyle, { signal: controller.signal, params: itemParams });
+      const processedAt = new Date().toISOString();
+      updateItem(item.id, {
+        status: 'done',
+        resultBlob: blob,
+        resultUrl: URL.createObjectURL(blob),
+        processedAt,
+      });
+      if (callbacksRef.current.onResult) {
+        callbacksRef.current.onResult({ originalName: item.name, style: itemStyle, params: itemParams, original: file, blob, processedAt });
+      }
+    } catch (err) {
+      if (controller.signal.aborted) return; // Cancelled items were already marked by cancel()
+      console.error(`Error cartoonizing ${item.name}:`, err);
+      if (err instanceof AuthenticationError || err instanceof QuotaExceededError) {
+        updateItem(item.id, { status: 'pending', style: null, params: null });
+        setPausedBy(err instanceof QuotaExceededError ? 'quota' : 'signIn');
+      } else {
+        updateItem(item.id, { status: 'failed', error: describeError(err) });
+      }
+      if (callbacksRef.current.onError) callbacksRef.current.onError(err);
+    } finally {
+      controllersRef.current.delete(item.id);
+    }
+  }, [updateItem]);
+
+  // Scheduler: fill free slots with pending items while the queue is running
+  useEffect(() => {
+    if (!isRunning || pausedBy) return;
+
+    const active = items.filter((item) => item.status === 'processing').length;
+    const pending = items.filter((item) => item.status === 'pending');
+
+    if (active === 0 && pending.length === 0) {
+      setIsRunning(false); // Everything has settled
+      return;
+    }
+
+    const toStart = pending.slice(0, Math.max(concurrency - active, 0));
+    if (toStart.length === 0) return;
+
+    const startIds = new Set(toStart.map((item) => item.id));
+    setItems((prev) => prev.map((item) => (
+      startIds.has(item.id) ? { ...item, status: 'processing', style, params, error: null } : item
+    )));
+    toStart.forEach((item) => processItem(item, style, params));
+  }, [items, isRunning, pausedBy, concurrency, style, params, processItem]);
+
+  // Abort any in-flight requests and free object URLs when the component unmounts
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => {
+      controllers.forEach((controller) => controller.abort());
+      itemsRef.current.forEach((item) => {
+        URL.revokeObjectURL(item.previewUrl);
+        if (item.resultUrl) URL.revokeObjectURL(item.resultUrl);
+      });
+    };
+  }, []);
+
+  const addFiles = useCallback((files) => {
+    setItems((prev) => [...prev, ...files.map(createItem)]);
+  }, []);
+
+  const start = useCallback(() => {
+    setPausedBy(null);
+    setIsRunning(true);
+  }, []);
+
+  // Continues a paused queue, e.g. after signing in or once the quota has reset
+  const resume = useCallback(() => setPausedBy(null), []);
+
+  // Puts a single failed (or cancelled) item back in the queue
+  const retry = useCallback((id) => {
+    setItems((prev) => prev.map((item) => (
+      item.id === id && (item.status === 'failed' || item.status === 'cancelled')
+        ? { ...item, status: 'pending', error: null }
+        : item
+    )));
+    setIsRunning(true);
+  }, []);
+
+  // Stops the queue: aborts in-flight requests and cancels everything not yet finished
+  const cancel = useCallback(() => {
+    controllersRef.current.forEach((controller) => controller.abort());
+    controllersRef.current.clear();
+    setItems((prev) => prev.map((item) => (
+      item.status === 'pending' || item.status === 'processing'
+        ? { ...item, status: 'cancelled' }
+        : item
+    )));
+    setPausedBy(null);
+    setIsRunning(false);
+  }, []);
+
+  const remove = useCallback((id) => {
+    setItems((prev) => {
+      const item = prev.find((entry) => entry.id === id);
+      if (!item || item.status === 'processing') return prev;
+      URL.revokeObjectURL(item.previewUrl);
+      if (item.resultUrl) URL.revokeObjectURL(item.resultUrl);
+      return prev.filter((entry) => entry.id !== id);
+    });
+  }, []);
+
+  // Empties the queue, cancelling anything still running
+  const clear = useCallback(() => {
+    controllersRef.current.forEach((controller) => controller.abort());
+    controllersRef.current.clear();
+    setItems((prev) => {
+      prev.forEach((item) => {
+        URL.revokeObjectURL(item.previewUrl);
+        if (item.resultUrl) URL.revokeObjectURL(item.resultUrl);
+      });
+      return [];
+    });
+    setPausedBy(null);
+    setIsRunning(false);
+  }, []);
+
+  return { items, isRunning, pausedBy, addFiles, start, resume, retry, cancel, remove, clear };
+};
+
+export default useBatchQueue;
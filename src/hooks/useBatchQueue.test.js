@@ -0,0 +1,120 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useBatchQueue from './useBatchQueue';
+import { QuotaExceededError } from '../api/errors';
+
+const makeFile = (name) => new File(['data'], name, { type: 'image/png' });
+
+// Resolvable fetch mock so tests can control when each request finishes
+const deferredFetch = () => {
+  const calls = [];
+  global.fetch = jest.fn(() => new Promise((resolve, reject) => calls.push({ resolve, reject })));
+  return calls;
+};
+
+const okResponse = () => ({ ok: true, blob: () => Promise.resolve(new Blob(['out'], { type: 'image/png' })) });
+const rejectedResponse = () => ({
+  ok: false,
+  status: 422,
+  statusText: 'Unprocessable Entity',
+  json: () => Promise.resolve({ detail: 'Unsupported image' }),
+});
+
+beforeEach(() => {
+  global.URL.createObjectURL = jest.fn(() => 'blob:mock');
+  global.URL.revokeObjectURL = jest.fn();
+});
+
+test('processes items without exceeding the concurrency limit', async () => {
+  const calls = deferredFetch();
+  const { result } = renderHook(() => useBatchQueue({ style: 'sketch', concurrency: 2 }));
+
+  act(() => result.current.addFiles([makeFile('a.png'), makeFile('b.png'), makeFile('c.png')]));
+  act(() => result.current.start());
+
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2));
+  expect(result.current.items.map((item) => item.status)).toEqual(['processing', 'processing', 'pending']);
+
+  await act(async () => calls[0].resolve(okResponse()));
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(3));
+  expect(result.current.items[0]).toMatchObject({ status: 'done', style: 'sketch' });
+
+  await act(async () => {
+    calls[1].resolve(okResponse());
+    calls[2].resolve(okResponse());
+  });
+  await waitFor(() => expect(result.current.isRunning).toBe(false));
+  expect(result.current.items.every((item) => item.status === 'done')).toBe(true);
+});
+
+test('retries a single failed item', async () => {
+  const calls = deferredFetch();
+  const { result } = renderHook(() => useBatchQueue({ style: 'whitebox', concurrency: 1 }));
+
+  act(() => result.current.addFiles([makeFile('a.png')]));
+  act(() => result.current.start());
+  await waitFor(() => expect(calls).toHaveLength(1));
+
+  await act(async () => calls[0].resolve(rejectedResponse()));
+  await waitFor(() => expect(result.current.items[0].status).toBe('failed'));
+  expect(result.current.items[0].error).toBe('The backend rejected the request: Unsupported image');
+
+  act(() => result.current.retry(result.current.items[0].id));
+  await waitFor(() => expect(calls).toHaveLength(2));
+  await act(async () => calls[1].resolve(okResponse()));
+  await waitFor(() => expect(result.current.items[0].status).toBe('done'));
+});
+
+test('cancel marks unfinished items as cancelled and stops the queue', async () => {
+  deferredFetch();
+  const { result } = renderHook(() => useBatchQueue({ style: 'whitebox', concurrency: 1 }));
+
+  act(() => result.current.addFiles([makeFile('a.png'), makeFile('b.png')]));
+  act(() => result.current.start());
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(1));
+
+  act(() => result.current.cancel());
+  expect(result.current.isRunning).toBe(false);
+  expect(result.current.items.map((item) => item.status)).toEqual(['cancelled', 'cancelled']);
+  expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+});
+
+test('sends items through the given sender and reports failures to onError', async () => {
+  const failure = new Error('engine failed');
+  const send = jest.fn((file) => (file.name === 'b.png' ? Promise.reject(failure) : Promise.resolve(new Blob(['out']))));
+  const onError = jest.fn();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const { result } = renderHook(() => useBatchQueue({ style: 'sketch', params: { level: '2' }, concurrency: 2, send, onError }));
+
+  act(() => result.current.addFiles([makeFile('a.png'), makeFile('b.png')]));
+  act(() => result.current.start());
+  await waitFor(() => expect(result.current.isRunning).toBe(false));
+
+  expect(send).toHaveBeenCalledWith(expect.any(File), 'sketch', expect.objectContaining({ params: { level: '2' } }));
+  expect(result.current.items.map((item) => item.status)).toEqual(['done', 'failed']);
+  expect(onError).toHaveBeenCalledWith(failure);
+  console.error.mockRestore();
+});
+
+test('pauses on a used-up quota and keeps the remaining items pending until resumed', async () => {
+  const send = jest.fn()
+    .mockImplementationOnce(() => Promise.reject(new QuotaExceededError('Too many requests', { status: 429 })))
+    .mockImplementation(() => Promise.resolve(new Blob(['out'])));
+  const onError = jest.fn();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const { result } = renderHook(() => useBatchQueue({ style: 'sketch', concurrency: 1, send, onError }));
+
+  act(() => result.current.addFiles([makeFile('a.png'), makeFile('b.png'), makeFile('c.png')]));
+  act(() => result.current.start());
+  await waitFor(() => expect(result.current.pausedBy).toBe('quota'));
+
+  expect(send).toHaveBeenCalledTimes(1);
+  expect(onError).toHaveBeenCalledWith(expect.any(QuotaExceededError));
+  expect(result.current.isRunning).toBe(true);
+  expect(result.current.items.map((item) => item.status)).toEqual(['pending', 'pending', 'pending']);
+
+  act(() => result.current.resume());
+  await waitFor(() => expect(result.current.isRunning).toBe(false));
+  expect(send).toHaveBeenCalledTimes(4);
+  expect(result.current.items.every((item) => item.status === 'done')).toBe(true);
+  console.error.mockRestore();
+});
@@ -0,0 +1,63 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { isCameraSupported, cameraConstraints, describeCameraError, stopStream, countCameras } from '../utils/camera';
+import { t } from '../utils/i18n';
+
+// Opens a camera stream while mounted. status is 'starting' | 'live' | 'error'.
+// facingMode is 'user' (front) or 'environment' (back); switchCamera() toggles it.
+const useCamera = ({ initialFacingMode = 'user' } = {}) => {
+  const [facingMode, setFacingMode] = useState(initialFacingMode);
+  const [stream, setStream] = useState(null);
+  const [status, setStatus] = useState('starting');
+  const [error, setError] = useState(null);
+  const [cameraCount, setCameraCount] = useState(0);
+  const [retryToken, setRetryToken] = useState(0);
+  const streamRef = useRef(null);
+
+  useEffect(() => {
+    if (!isCameraSupported()) {
+      setStatus('error');
+      setError(t('camera.unsupported'));
+      return undefined;
+    }
+
+    let cancelled = false;
+    setStatus('starting');
+    setError(null);
+    navigator.mediaDevices.getUserMedia(cameraConstraints(facingMode))
+      .then((mediaStream) => {
+        if (cancelled) {
+          stopStream(mediaStream);
+          return;
+        }
+        streamRef.current = mediaStream;
+        setStream(mediaStream);
+        setStatus('live');
+        countCameras().then((count) => {
+          if (!cancelled) setCameraCount(count);
+        });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error opening camera:", err);
+        setStatus('error');
+        setError(describeCameraError(err));
+      });
+
+    return () => {
+      cancelled = true;
+      stopStream(streamRef.current);
+      streamRef.current = null;
+      setStream(null);
+    };
+  }, [facingMode, retryToken]);
+
+  const switchCamera = useCallback(() => {
+    setFacingMode((prev) => (prev === 'user' ? 'environment' : 'user'));
+  }, []);
+
+  const retry = useCallback(() => setRetryToken((prev) => prev + 1), []);
+
+  return { stream, status, error, facingMode, canSwitch: cameraCount > 1, switchCamera, retry };
+};
+
+export default useCamera;
@@ -0,0 +1,46 @@
+import { useEffect } from 'react';
+
+// Elements Tab can reach, in document order
+const TABBABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Keyboard behaviour shared by the modal dialogs: focus moves to initialFocusRef when the dialog
+// opens and back to whatever opened it when it closes, Escape calls onClose, and Tab/Shift+Tab
+// cycle through the dialog (the element with role="dialog" around initialFocusRef) instead of
+// leaving it for the page behind.
+const useDialog = (initialFocusRef, onClose) => {
+  useEffect(() => {
+    const opener = document.activeElement;
+    if (initialFocusRef.current) initialFocusRef.current.focus();
+    return () => {
+      if (opener && opener.isConnected && typeof opener.focus === 'function') opener.focus();
+    };
+  }, [initialFocusRef]);
+
+  useEffect(() => {
+    const trapFocus = (e) => {
+      const dialog = initialFocusRef.current && initialFocusRef.current.closest('[role="dialog"]');
+      if (!dialog) return;
+      const tabbable = Array.from(dialog.querySelectorAll(TABBABLE));
+      if (tabbable.length === 0) return;
+      const first = tabbable[0];
+      const last = tabbable[tabbable.length - 1];
+      const inside = dialog.contains(document.activeElement);
+      if (e.shiftKey && (!inside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'Tab') trapFocus(e);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [initialFocusRef, onClose]);
+};
+
+export default useDialog;
@@ -0,0 +1,91 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { isHistorySupported, listHistory, addHistoryEntry, deleteHistoryEntry, clearHistory } from '../utils/historyStore';
+import { t } from '../utils/i18n';
+import { errorMessage } from '../api/errors';
+
+// Adds display URLs to a stored entry
+const withUrls = (entry) => ({
+  ...entry,
+  originalUrl: entry.original ? URL.createObjectURL(entry.original) : null,
+  resultUrl: URL.createObjectURL(entry.result),
+});
+
+const revokeUrls = (entry) => {
+  if (entry.originalUrl) URL.revokeObjectURL(entry.originalUrl);
+  URL.revokeObjectURL(entry.resultUrl);
+};
+
+// Results saved across visits in IndexedDB, newest first.
+// isAvailable is false when the browser has no IndexedDB (or it failed to open).
+const useHistory = () => {
+  const [entries, setEntries] = useState([]);
+  const [isAvailable, setIsAvailable] = useState(isHistorySupported);
+  const [error, setError] = useState(null);
+  const entriesRef = useRef(entries); // Latest entries, used to revoke URLs on unmount
+  entriesRef.current = entries;
+
+  useEffect(() => {
+    if (!isHistorySupported()) return undefined;
+    let cancelled = false;
+    listHistory()
+      .then((stored) => {
+        if (!cancelled) setEntries(stored.reverse().map(withUrls));
+      })
+      .catch((err) => {
+        console.error("Error loading history:", err);
+        if (!cancelled) setIsAvailable(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => () => entriesRef.current.forEach(revokeUrls), []);
+
+  // Saves a result; { id?, originalName, style, params, original, result }
+  const add = useCallback(async (result) => {
+    if (!isHistorySupported()) return;
+    try {
+      const { entry, evicted } = await addHistoryEntry(result);
+      setError(null);
+      const isGone = (item) => item.id === entry.id || evicted.includes(item.id); // Replaced or evicted
+      setEntries((prev) => {
+        prev.filter(isGone).forEach(revokeUrls);
+        return [withUrls(entry), ...prev.filter((item) => !isGone(item))];
+      });
+    } catch (err) {
+      console.error("Error saving to history:", err);
+      setError(t('history.saveFailed', { reason: errorMessage(err) }));
+    }
+  }, []);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteHistoryEntry(id);
+      setEntries((prev) => {
+        prev.filter((item) => item.id === id).forEach(revokeUrls);
+        return prev.filter((item) => item.id !== id);
+      });
+    } catch (err) {
+      console.error("Error deleting history entry:", err);
+      setError(t('history.deleteFailed', { reason: errorMessage(err) }));
+    }
+  }, []);
+
+  const clear = useCallback(async () => {
+    try {
+      await clearHistory();
+      setEntries((prev) => {
+        prev.forEach(revokeUrls);
+        return [];
+      });
+    } catch (err) {
+      console.error("Error clearing history:", err);
+      setError(t('history.clearFailed', { reason: errorMessage(err) }));
+    }
+  }, []);
+
+  return { entries, isAvailable, error, add, remove, clear };
+};
+
+export default useHistory;
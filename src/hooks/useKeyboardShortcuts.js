@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react';
+
+// Where a key press is text input (or picks an option) rather than a command
+const isEditable = (target) => Boolean(target) && (
+  target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+);
+
+// Calls bindings[key] for single-key shortcuts, e.g. { g: generate, '?': showHelp }. Keys with
+// Ctrl, Alt or Cmd are left to the browser, and typing in a form field never triggers a shortcut.
+// A binding returning false lets the key through (the action isn't available right now).
+const useKeyboardShortcuts = (bindings, { enabled = true } = {}) => {
+  const bindingsRef = useRef(bindings);
+  bindingsRef.current = bindings;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey || isEditable(e.target)) return;
+      const binding = bindingsRef.current[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+      if (!binding || binding() === false) return;
+      e.preventDefault();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,34 @@
+import { renderHook, fireEvent } from '@testing-library/react';
+import useKeyboardShortcuts from './useKeyboardShortcuts';
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+test('calls the binding for a key and claims the event', () => {
+  const generate = jest.fn();
+  renderHook(() => useKeyboardShortcuts({ g: generate }));
+
+  const handled = !fireEvent.keyDown(document.body, { key: 'G' });
+  expect(generate).toHaveBeenCalledTimes(1);
+  expect(handled).toBe(true);
+});
+
+test('lets the key through when the binding is unavailable', () => {
+  renderHook(() => useKeyboardShortcuts({ d: () => false }));
+  expect(fireEvent.keyDown(document.body, { key: 'd' })).toBe(true);
+});
+
+test('ignores modified keys, typing in fields and disabled shortcuts', () => {
+  const reset = jest.fn();
+  const { rerender } = renderHook(({ enabled }) => useKeyboardShortcuts({ r: reset }, { enabled }), { initialProps: { enabled: true } });
+  const input = document.createElement('input');
+  document.body.appendChild(input);
+
+  fireEvent.keyDown(document.body, { key: 'r', ctrlKey: true });
+  fireEvent.keyDown(input, { key: 'r' });
+  rerender({ enabled: false });
+  fireEvent.keyDown(document.body, { key: 'r' });
+
+  expect(reset).not.toHaveBeenCalled();
+});
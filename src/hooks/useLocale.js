@@ -0,0 +1,21 @@
+import { useState, useEffect, useCallback } from 'react';
+import { LOCALES, getLocale, getDirection, setLocale, subscribeToLocale, t, formatDate } from '../utils/i18n';
+
+// The current locale plus translation helpers bound to it; components using it re-render when
+// the user switches language
+const useLocale = () => {
+  const [locale, setState] = useState(getLocale);
+
+  useEffect(() => {
+    const update = () => setState(getLocale());
+    update();
+    return subscribeToLocale(update);
+  }, []);
+
+  const translate = useCallback((id, values) => t(id, values, locale), [locale]);
+  const formatLocaleDate = useCallback((value, options) => formatDate(value, options, locale), [locale]);
+
+  return { locale, dir: getDirection(locale), locales: LOCALES, setLocale, t: translate, formatDate: formatLocaleDate };
+};
+
+export default useLocale;
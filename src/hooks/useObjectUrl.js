@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+// Object URL for displaying a Blob, revoked when the Blob changes or the component unmounts.
+// Created in an effect rather than during render so StrictMode's double mount can't revoke a URL
+// that is still in use.
+const useObjectUrl = (blob) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null);
+      return undefined;
+    }
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+
+  return url;
+};
+
+export default useObjectUrl;
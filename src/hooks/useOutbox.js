@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { BackendUnreachableError, AuthenticationError, QuotaExceededError } from '../api/errors';
+import { isOutboxSupported, listOutbox, enqueueRequest, removeFromOutbox, clearOutbox } from '../utils/outbox';
+
+// How often queued requests are retried while the backend stays unreachable
+export const OUTBOX_RETRY_INTERVAL_MS = Number(process.env.REACT_APP_OUTBOX_RETRY_INTERVAL_MS) || 30000;
+
+// Queue of requests made while the backend was unreachable. They are replayed, oldest first,
+// when the browser comes back online, every OUTBOX_RETRY_INTERVAL_MS, or on demand.
+// send(item, signal) resolves with the result Blob; onResult(item, blob) and onError(item, err)
+// report each replayed request. An unreachable backend, rejected credentials or a used-up quota
+// stop the replay and keep the item queued.
+const useOutbox = ({ send, onResult, onError }) => {
+  const [items, setItems] = useState([]);
+  const [isAvailable, setIsAvailable] = useState(isOutboxSupported);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const replayingRef = useRef(false);
+  const controllerRef = useRef(null);
+  const callbacksRef = useRef({ send, onResult, onError });
+  callbacksRef.current = { send, onResult, onError };
+
+  const replay = useCallback(async () => {
+    if (replayingRef.current || !isOutboxSupported()) return;
+    replayingRef.current = true;
+    setIsReplaying(true);
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    try {
+      const queued = await listOutbox();
+      for (const item of queued) {
+        try {
+          const blob = await callbacksRef.current.send(item, controller.signal);
+          await removeFromOutbox(item.id);
+          setItems((prev) => prev.filter((entry) => entry.id !== item.id));
+          if (callbacksRef.current.onResult) callbacksRef.current.onResult(item, blob);
+        } catch (err) {
+          if (controller.signal.aborted || err instanceof BackendUnreachableError) break; // Still offline; try again later
+          // Signed out or out of quota: keep the item until that is sorted out
+          if (err instanceof AuthenticationError || err instanceof QuotaExceededError) break;
+          // The backend is back but rejected this request; replaying it again won't help
+          await removeFromOutbox(item.id);
+          setItems((prev) => prev.filter((entry) => entry.id !== item.id));
+          if (callbacksRef.current.onError) callbacksRef.current.onError(item, err);
+        }
+      }
+    } catch (err) {
+      console.error("Error replaying queued requests:", err);
+    } finally {
+      replayingRef.current = false;
+      controllerRef.current = null;
+      setIsReplaying(false);
+    }
+  }, []);
+
+  // Load what a previous visit left behind and try to send it
+  useEffect(() => {
+    if (!isOutboxSupported()) return;
+    listOutbox()
+      .then((queued) => {
+        setItems(queued);
+        if (queued.length > 0) replay();
+      })
+      .catch((err) => {
+        console.error("Error loading queued requests:", err);
+        setIsAvailable(false);
+      });
+  }, [replay]);
+
+  const hasItems = items.length > 0;
+
+  // Replay when the connection comes back, and periodically in case only the backend was down
+  useEffect(() => {
+    if (!hasItems) return undefined;
+    window.addEventListener('online', replay);
+    const timer = setInterval(replay, OUTBOX_RETRY_INTERVAL_MS);
+    return () => {
+      window.removeEventListener('online', replay);
+      clearInterval(timer);
+    };
+  }, [hasItems, replay]);
+
+  // Stop an in-flight replay on unmount
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  // Queues a request; { originalName, style, params, file }
+  const enqueue = useCallback(async (request) => {
+    const item = await enqueueRequest(request);
+    setItems((prev) => [...prev, item]);
+    return item;
+  }, []);
+
+  const clear = useCallback(async () => {
+    if (controllerRef.current) controllerRef.current.abort();
+    try {
+      await clearOutbox();
+      setItems([]);
+    } catch (err) {
+      console.error("Error clearing queued requests:", err);
+    }
+  }, []);
+
+  return { items, isAvailable, isReplaying, enqueue, replay, clear };
+};
+
+export default useOutbox;
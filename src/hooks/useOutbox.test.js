@@ -0,0 +1,65 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useOutbox from './useOutbox';
+import { BackendUnreachableError, ValidationError } from '../api/errors';
+import { listOutbox, enqueueRequest, removeFromOutbox } from '../utils/outbox';
+
+jest.mock('../utils/outbox', () => ({
+  isOutboxSupported: () => true,
+  listOutbox: jest.fn(),
+  enqueueRequest: jest.fn(),
+  removeFromOutbox: jest.fn(),
+  clearOutbox: jest.fn(),
+}));
+
+let stored;
+
+beforeEach(() => {
+  stored = [];
+  listOutbox.mockImplementation(() => Promise.resolve([...stored]));
+  enqueueRequest.mockImplementation((request) => {
+    const item = { id: `item-${stored.length}`, ...request };
+    stored.push(item);
+    return Promise.resolve(item);
+  });
+  removeFromOutbox.mockImplementation((id) => {
+    stored = stored.filter((item) => item.id !== id);
+    return Promise.resolve();
+  });
+});
+
+test('keeps requests queued while the backend is unreachable and replays them once it is back', async () => {
+  let backendUp = false;
+  const send = jest.fn((item) => (backendUp
+    ? Promise.resolve(new Blob([item.style]))
+    : Promise.reject(new BackendUnreachableError('down'))));
+  const onResult = jest.fn();
+  const { result } = renderHook(() => useOutbox({ send, onResult }));
+
+  await act(() => result.current.enqueue({ originalName: 'a.png', style: 'sketch' }));
+  await act(() => result.current.enqueue({ originalName: 'b.png', style: 'oilpaint' }));
+  await act(() => result.current.replay());
+
+  expect(send).toHaveBeenCalledTimes(1); // Stops at the first unreachable attempt
+  expect(result.current.items).toHaveLength(2);
+
+  backendUp = true;
+  await act(async () => {
+    window.dispatchEvent(new Event('online'));
+  });
+
+  await waitFor(() => expect(result.current.items).toHaveLength(0));
+  expect(onResult.mock.calls.map(([item]) => item.originalName)).toEqual(['a.png', 'b.png']);
+  expect(stored).toEqual([]);
+});
+
+test('drops a request the backend rejects and reports it', async () => {
+  stored = [{ id: 'old', originalName: 'bad.png', style: 'sketch' }];
+  const error = new ValidationError('nope');
+  const onError = jest.fn();
+  const { result } = renderHook(() => useOutbox({ send: () => Promise.reject(error), onError }));
+
+  await waitFor(() => expect(onError).toHaveBeenCalledWith(expect.objectContaining({ id: 'old' }), error));
+  await waitFor(() => expect(result.current.isReplaying).toBe(false));
+  expect(result.current.items).toEqual([]);
+  expect(stored).toEqual([]);
+});
@@ -0,0 +1,23 @@
+import { useEffect, useRef } from 'react';
+import { getClipboardImage } from '../utils/imageImport';
+
+// Calls onImage(file) when an image is pasted anywhere on the page (Ctrl+V / Cmd+V).
+// Text pastes are left alone so text fields keep working.
+const usePasteImage = (onImage, { enabled = true } = {}) => {
+  const onImageRef = useRef(onImage);
+  onImageRef.current = onImage;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const handlePaste = (e) => {
+      const file = getClipboardImage(e.clipboardData);
+      if (!file) return;
+      e.preventDefault();
+      onImageRef.current(file);
+    };
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [enabled]);
+};
+
+export default usePasteImage;
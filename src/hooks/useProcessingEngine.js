@@ -0,0 +1,31 @@
+import { useState, useCallback } from 'react';
+import { isLocalEngineSupported } from '../utils/localCartoonizer';
+
+const STORAGE_KEY = 'ai-cartoonizer:engine';
+
+const readEngine = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) === 'local' && isLocalEngineSupported() ? 'local' : 'server';
+  } catch (err) {
+    return 'server';
+  }
+};
+
+// Where images are cartoonized: 'server' (the backend) or 'local' (the on-device engine).
+// The choice is remembered; browsers without Web Workers always use the server.
+const useProcessingEngine = () => {
+  const [engine, setEngineState] = useState(readEngine);
+
+  const setEngine = useCallback((next) => {
+    setEngineState(next);
+    try {
+      localStorage.setItem(STORAGE_KEY, next);
+    } catch (err) {
+      console.error("Error saving processing engine:", err);
+    }
+  }, []);
+
+  return [engine, setEngine];
+};
+
+export default useProcessingEngine;
@@ -0,0 +1,75 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { isProgressEnabled, createProgressId, subscribeToProgress } from '../api/progress';
+
+// Tracks upload progress, backend processing stages and elapsed time for one request at a time.
+// begin() returns the extra options to pass to cartoonizeImage; report() records a processing
+// update ({ stage, progress }) from any source, e.g. job status polling; end() stops tracking.
+const useRequestProgress = () => {
+  const [progress, setProgress] = useState(null); // { phase, uploadPercent, stage, percent, startedAt }
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const unsubscribeRef = useRef(null);
+
+  const stopListening = () => {
+    if (unsubscribeRef.current) unsubscribeRef.current();
+    unsubscribeRef.current = null;
+  };
+
+  const report = useCallback((update) => {
+    setProgress((prev) => prev && {
+      ...prev,
+      phase: prev.phase === 'uploading' && prev.uploadPercent < 100 ? prev.phase : 'processing',
+      stage: update.stage || prev.stage,
+      percent: typeof update.progress === 'number' ? Math.round(update.progress * 100) : prev.percent,
+    });
+  }, []);
+
+  const begin = useCallback(({ uploading = true } = {}) => {
+    stopListening();
+    const startedAt = Date.now();
+    setProgress({
+      phase: uploading ? 'uploading' : 'processing',
+      uploadPercent: uploading ? 0 : 100,
+      stage: null,
+      percent: null,
+      startedAt,
+    });
+    setElapsedMs(0);
+
+    const onUploadProgress = ({ loaded, total }) => {
+      const uploadPercent = total ? Math.round((loaded / total) * 100) : 0;
+      setProgress((prev) => prev && {
+        ...prev,
+        uploadPercent,
+        // Once every byte is sent the backend is working on the image
+        phase: uploadPercent >= 100 ? 'processing' : prev.phase,
+      });
+    };
+
+    const options = { onUploadProgress };
+    if (uploading && isProgressEnabled()) {
+      const progressId = createProgressId();
+      options.progressId = progressId;
+      unsubscribeRef.current = subscribeToProgress(progressId, report);
+    }
+    return options;
+  }, [report]);
+
+  const end = useCallback(() => {
+    stopListening();
+    setProgress(null);
+  }, []);
+
+  // Tick the elapsed-time display while a request is active
+  const startedAt = progress && progress.startedAt;
+  useEffect(() => {
+    if (!startedAt) return undefined;
+    const timer = setInterval(() => setElapsedMs(Date.now() - startedAt), 1000);
+    return () => clearInterval(timer);
+  }, [startedAt]);
+
+  useEffect(() => stopListening, []);
+
+  return { progress, elapsedMs, begin, report, end };
+};
+
+export default useRequestProgress;
@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchStyleCatalog, DEFAULT_STYLES } from '../api/styles';
+import { getBackend } from '../api/config';
+
+// Last catalog of each backend, by backend id: { [id]: { styles, savedAt } }
+const CACHE_KEY = 'ai-cartoonizer:style-catalog';
+
+const readCaches = () => {
+  try {
+    const caches = JSON.parse(localStorage.getItem(CACHE_KEY));
+    return caches && typeof caches === 'object' ? caches : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const readCache = (backendId) => {
+  const cached = readCaches()[backendId];
+  return cached && Array.isArray(cached.styles) && cached.styles.length > 0 ? cached : null;
+};
+
+const writeCache = (backendId, styles) => {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ ...readCaches(), [backendId]: { styles, savedAt: new Date().toISOString() } }));
+  } catch (err) {
+    console.error("Error caching style catalog:", err);
+  }
+};
+
+// Loads the style catalog from the backend, falling back to the last cached copy
+// and then to the built-in styles. source is 'loading' | 'live' | 'cached' | 'default'.
+// Changing backendId reloads the catalog from the newly selected backend; each backend has its
+// own cached copy, so one backend's styles are never offered for another.
+const useStyleCatalog = (backendId = getBackend().id) => {
+  const [styles, setStyles] = useState(() => {
+    const cached = readCache(backendId);
+    return cached ? cached.styles : DEFAULT_STYLES;
+  });
+  const [source, setSource] = useState('loading');
+  const [error, setError] = useState(null);
+  const [reloadToken, setReloadToken] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setSource('loading');
+
+    fetchStyleCatalog({ signal: controller.signal })
+      .then((catalog) => {
+        setStyles(catalog);
+        setSource('live');
+        setError(null);
+        writeCache(backendId, catalog);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.error("Error loading style catalog:", err);
+        const fallback = readCache(backendId);
+        setStyles(fallback ? fallback.styles : DEFAULT_STYLES);
+        setSource(fallback ? 'cached' : 'default');
+        setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [reloadToken, backendId]);
+
+  const reload = useCallback(() => {
+    setReloadToken((token) => token + 1);
+  }, []);
+
+  return { styles, source, error, reload };
+};
+
+export default useStyleCatalog;
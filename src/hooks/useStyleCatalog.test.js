@@ -0,0 +1,55 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import useStyleCatalog from './useStyleCatalog';
+import { DEFAULT_STYLES } from '../api/styles';
+
+const catalog = {
+  styles: [
+    { id: 'anime', label: 'Anime', description: 'Cel shading', preview: '/previews/anime.png', params: [] },
+  ],
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+test('loads the catalog from the backend and caches it', async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(catalog) }));
+  const { result } = renderHook(() => useStyleCatalog());
+
+  await waitFor(() => expect(result.current.source).toBe('live'));
+  expect(result.current.styles).toEqual([
+    expect.objectContaining({ id: 'anime', label: 'Anime', preview: 'http://127.0.0.1:8000/previews/anime.png' }),
+  ]);
+  expect(JSON.parse(localStorage.getItem('ai-cartoonizer:style-catalog')).default.styles[0].id).toBe('anime');
+});
+
+test('falls back to the cached catalog when the backend is down', async () => {
+  localStorage.setItem('ai-cartoonizer:style-catalog', JSON.stringify({ default: { styles: [{ id: 'anime', label: 'Anime', params: [] }] } }));
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  const { result } = renderHook(() => useStyleCatalog());
+
+  await waitFor(() => expect(result.current.source).toBe('cached'));
+  expect(result.current.styles.map((style) => style.id)).toEqual(['anime']);
+});
+
+test('uses the built-in styles when there is no cache', async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 500, statusText: 'Server Error' }));
+  const { result } = renderHook(() => useStyleCatalog());
+
+  await waitFor(() => expect(result.current.source).toBe('default'));
+  expect(result.current.styles).toBe(DEFAULT_STYLES);
+});
+
+test('does not offer another backend\'s cached catalog', async () => {
+  localStorage.setItem('ai-cartoonizer:style-catalog', JSON.stringify({ gateway: { styles: [{ id: 'anime', label: 'Anime', params: [] }] } }));
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  const { result } = renderHook(() => useStyleCatalog('default'));
+
+  await waitFor(() => expect(result.current.source).toBe('default'));
+  expect(result.current.styles).toBe(DEFAULT_STYLES);
+});
@@ -0,0 +1,73 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { cartoonizeImage } from '../api/cartoonize';
+import { describeError } from '../api/errors';
+
+// Runs the same image through several styles in parallel and collects the results
+// as { [styleId]: { status: 'processing' | 'done' | 'failed', url, blob, error } }.
+// send(file, style, { params, signal }) performs each request (the backend by default);
+// onError(err) is called for every style that failed.
+const useStyleComparison = ({ send = cartoonizeImage, onError } = {}) => {
+  const [results, setResults] = useState({});
+  const controllerRef = useRef(null);
+  const callbacksRef = useRef({ send, onError });
+  callbacksRef.current = { send, onError };
+  const resultsRef = useRef(results); // Latest results, used to revoke URLs on unmount
+  resultsRef.current = results;
+
+  const revokeAll = (entries) => {
+    Object.values(entries).forEach((entry) => {
+      if (entry.url) URL.revokeObjectURL(entry.url);
+    });
+  };
+
+  // Sends file once per style; paramsFor(style) supplies each style's request params
+  const compare = useCallback((file, styles, paramsFor) => {
+    if (controllerRef.current) controllerRef.current.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setResults((prev) => {
+      revokeAll(prev);
+      return styles.reduce((acc, style) => ({ ...acc, [style.id]: { status: 'processing' } }), {});
+    });
+
+    const setResult = (styleId, result) => {
+      if (controller.signal.aborted) return;
+      setResults((prev) => ({ ...prev, [styleId]: result }));
+    };
+
+    return Promise.all(styles.map(async (style) => {
+      try {
+        const blob = await callbacksRef.current.send(file, style.id, { signal: controller.signal, params: paramsFor(style) });
+        if (controller.signal.aborted) return;
+        setResult(style.id, { status: 'done', blob, url: URL.createObjectURL(blob), error: null });
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error(`Error cartoonizing with style ${style.id}:`, err);
+        setResult(style.id, { status: 'failed', error: describeError(err) });
+        if (callbacksRef.current.onError) callbacksRef.current.onError(err);
+      }
+    }));
+  }, []);
+
+  // Aborts any running requests and drops every result
+  const clear = useCallback(() => {
+    if (controllerRef.current) controllerRef.current.abort();
+    controllerRef.current = null;
+    setResults((prev) => {
+      revokeAll(prev);
+      return {};
+    });
+  }, []);
+
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+    revokeAll(resultsRef.current);
+  }, []);
+
+  const isRunning = Object.values(results).some((entry) => entry.status === 'processing');
+
+  return { results, isRunning, compare, clear };
+};
+
+export default useStyleComparison;
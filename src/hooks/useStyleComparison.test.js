@@ -0,0 +1,50 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useStyleComparison from './useStyleComparison';
+
+const styles = [{ id: 'whitebox' }, { id: 'sketch' }, { id: 'oilpaint' }];
+
+beforeEach(() => {
+  global.URL.createObjectURL = jest.fn((blob) => `blob:${blob.size}`);
+  global.URL.revokeObjectURL = jest.fn();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+test('sends the same file once per style and collects each outcome', async () => {
+  global.fetch = jest.fn((url, { body }) => (body.get('style') === 'oilpaint'
+    ? Promise.resolve({ ok: false, status: 422, statusText: 'Unprocessable Entity', json: () => Promise.resolve({ detail: 'Image too small' }) })
+    : Promise.resolve({ ok: true, blob: () => Promise.resolve(new Blob([body.get('style')])) })));
+  const file = new File(['img'], 'photo.png', { type: 'image/png' });
+  const paramsFor = jest.fn((style) => ({ level: style.id.length }));
+
+  const { result } = renderHook(() => useStyleComparison());
+  await act(() => result.current.compare(file, styles, paramsFor));
+
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  global.fetch.mock.calls.forEach(([, { body }]) => expect(body.get('file')).toBe(file));
+  expect(global.fetch.mock.calls[1][1].body.get('level')).toBe('6');
+  await waitFor(() => expect(result.current.isRunning).toBe(false));
+  expect(result.current.results.whitebox.status).toBe('done');
+  expect(result.current.results.sketch.status).toBe('done');
+  expect(result.current.results.oilpaint).toMatchObject({ status: 'failed', error: 'The backend rejected the request: Image too small' });
+});
+
+test('sends through the given sender and reports failures to onError', async () => {
+  const failure = new Error('engine failed');
+  const send = jest.fn((file, style) => (style === 'oilpaint' ? Promise.reject(failure) : Promise.resolve(new Blob([style]))));
+  const onError = jest.fn();
+  const file = new File(['img'], 'photo.png', { type: 'image/png' });
+
+  const { result } = renderHook(() => useStyleComparison({ send, onError }));
+  await act(() => result.current.compare(file, styles, () => ({})));
+
+  expect(send).toHaveBeenCalledTimes(3);
+  expect(send).toHaveBeenCalledWith(file, 'sketch', expect.objectContaining({ params: {}, signal: expect.any(AbortSignal) }));
+  await waitFor(() => expect(result.current.isRunning).toBe(false));
+  expect(result.current.results.sketch.status).toBe('done');
+  expect(result.current.results.oilpaint.status).toBe('failed');
+  expect(onError).toHaveBeenCalledWith(failure);
+});
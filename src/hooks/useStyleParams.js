@@ -0,0 +1,64 @@
+import { useState, useCallback, useMemo } from 'react';
+import { resolveParamValues, validateParams, serializeParams } from '../utils/styleParams';
+
+const STORAGE_KEY = 'ai-cartoonizer:style-params';
+
+const readSaved = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const writeSaved = (saved) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch (err) {
+    console.error("Error saving style parameters:", err);
+  }
+};
+
+// Tracks the parameter values for the selected style and remembers the last-used values per style
+const useStyleParams = (style) => {
+  const [saved, setSaved] = useState(readSaved); // { [styleId]: { [paramName]: value } }
+  const schema = useMemo(() => (style && style.params) || [], [style]);
+  const styleId = style && style.id;
+
+  const values = useMemo(
+    () => resolveParamValues(schema, saved[styleId]),
+    [schema, saved, styleId]
+  );
+  const errors = useMemo(() => validateParams(schema, values), [schema, values]);
+
+  const setValue = useCallback((name, value) => {
+    setSaved((prev) => {
+      const next = { ...prev, [styleId]: { ...prev[styleId], [name]: value } };
+      writeSaved(next);
+      return next;
+    });
+  }, [styleId]);
+
+  // Restores the schema defaults for the current style
+  const reset = useCallback(() => {
+    setSaved((prev) => {
+      const { [styleId]: removed, ...rest } = prev;
+      writeSaved(rest);
+      return rest;
+    });
+  }, [styleId]);
+
+  // Serialized request params for any style, using its remembered values (falls back to defaults if invalid)
+  const paramsFor = useCallback((otherStyle) => {
+    const otherSchema = otherStyle.params || [];
+    const otherValues = resolveParamValues(otherSchema, saved[otherStyle.id]);
+    const usable = Object.keys(validateParams(otherSchema, otherValues)).length === 0
+      ? otherValues
+      : resolveParamValues(otherSchema);
+    return serializeParams(otherSchema, usable);
+  }, [saved]);
+
+  return { schema, values, errors, isValid: Object.keys(errors).length === 0, setValue, reset, paramsFor };
+};
+
+export default useStyleParams;
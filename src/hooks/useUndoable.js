@@ -0,0 +1,66 @@
+import { useReducer, useCallback } from 'react';
+
+// A value with an undo stack. Consecutive changes sharing a merge key (one slider drag, one
+// caption being typed) collapse into a single step until checkpoint() is called.
+
+const MAX_STEPS = 100;
+
+export const createUndoable = (value) => ({ past: [], present: value, future: [], mergeKey: null });
+
+export const undoableReducer = (state, action) => {
+  switch (action.type) {
+    case 'SET': {
+      const value = typeof action.value === 'function' ? action.value(state.present) : action.value;
+      if (value === state.present) return state;
+      if (action.mergeKey && action.mergeKey === state.mergeKey) return { ...state, present: value };
+      return {
+        past: [...state.past, state.present].slice(-MAX_STEPS),
+        present: value,
+        future: [],
+        mergeKey: action.mergeKey || null,
+      };
+    }
+    case 'CHECKPOINT':
+      return state.mergeKey ? { ...state, mergeKey: null } : state;
+    case 'UNDO':
+      if (state.past.length === 0) return state;
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+        mergeKey: null,
+      };
+    case 'REDO':
+      if (state.future.length === 0) return state;
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+        mergeKey: null,
+      };
+    default:
+      return state;
+  }
+};
+
+// { value, set(valueOrUpdater, { mergeKey }), checkpoint, undo, redo, canUndo, canRedo }
+const useUndoable = (initialValue) => {
+  const [state, dispatch] = useReducer(undoableReducer, initialValue, createUndoable);
+
+  const set = useCallback((value, { mergeKey } = {}) => dispatch({ type: 'SET', value, mergeKey }), []);
+  const checkpoint = useCallback(() => dispatch({ type: 'CHECKPOINT' }), []);
+  const undo = useCallback(() => dispatch({ type: 'UNDO' }), []);
+  const redo = useCallback(() => dispatch({ type: 'REDO' }), []);
+
+  return {
+    value: state.present,
+    set,
+    checkpoint,
+    undo,
+    redo,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+  };
+};
+
+export default useUndoable;
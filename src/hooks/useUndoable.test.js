@@ -0,0 +1,32 @@
+import { undoableReducer, createUndoable } from './useUndoable';
+
+const set = (value, mergeKey) => ({ type: 'SET', value, mergeKey });
+
+test('undoes and redoes changes', () => {
+  const state = [set(1), set(2), set(3), { type: 'UNDO' }, { type: 'UNDO' }].reduce(undoableReducer, createUndoable(0));
+
+  expect(state).toEqual(expect.objectContaining({ past: [0], present: 1, future: [2, 3] }));
+  expect(undoableReducer(state, { type: 'REDO' })).toEqual(expect.objectContaining({ present: 2, future: [3] }));
+  // A new change drops what was undone
+  expect(undoableReducer(state, set(5))).toEqual(expect.objectContaining({ past: [0, 1], present: 5, future: [] }));
+});
+
+test('merges changes with the same key into one step until a checkpoint', () => {
+  const dragged = [set(1, 'drag'), set(2, 'drag'), set(3, 'drag')].reduce(undoableReducer, createUndoable(0));
+  expect(dragged).toEqual(expect.objectContaining({ past: [0], present: 3 }));
+
+  const again = [{ type: 'CHECKPOINT' }, set(4, 'drag')].reduce(undoableReducer, dragged);
+  expect(again).toEqual(expect.objectContaining({ past: [0, 3], present: 4 }));
+
+  const otherKey = undoableReducer(dragged, set(4, 'slider'));
+  expect(otherKey.past).toEqual([0, 3]);
+});
+
+test('accepts updater functions and ignores no-op changes', () => {
+  const state = createUndoable({ count: 1 });
+
+  expect(undoableReducer(state, set((prev) => ({ count: prev.count + 1 }))).present).toEqual({ count: 2 });
+  expect(undoableReducer(state, set((prev) => prev))).toBe(state);
+  expect(undoableReducer(state, { type: 'UNDO' })).toBe(state);
+  expect(undoableReducer(state, { type: 'REDO' })).toBe(state);
+});
@@ -0,0 +1,106 @@
+import { useReducer } from 'react';
+import { DEFAULT_PREPROCESS } from '../utils/imagePreprocess';
+
+// The single-image flow as a finite state machine:
+//
+//   idle ─LOAD→ preprocessing ─LOADED→ selected ─SUBMIT→ uploading ─UPLOADED→ processing ─SUCCEED→ done
+//
+// preprocessing, uploading and processing can FAIL into error; CANCEL returns to selected. Events a
+// state does not accept, or whose guard fails, are ignored, so impossible combinations such as a
+// result shown while a request is still running can't happen.
+//
+// Context: source (the file as dropped), settings (crop/rotate/resize applied to it), original
+// (the upload-ready File), mask (strokes limiting the style to part of the image, see
+// ../utils/mask), result ({ blob, originalName, style }, plus { base, edits } once retouched:
+// the unedited blob and the edit document, see ../utils/composition), error (message) and
+// retryAttempt (automatic retries of the current request).
+
+export const WORKFLOW_STATES = ['idle', 'selected', 'preprocessing', 'uploading', 'processing', 'done', 'error'];
+
+export const initialWorkflow = {
+  status: 'idle',
+  source: null,
+  settings: DEFAULT_PREPROCESS,
+  original: null,
+  mask: null,
+  result: null,
+  error: null,
+  retryAttempt: 0,
+};
+
+// Events each state accepts. LOAD: validate and prepare a new image; EDIT: replace the upload with
+// an edited version; MASK: paint or remove the area to stylize; SUBMIT: send it; RESUME: pick up a job from a previous visit; RESTORE: load a
+// saved original from the history; PICK: adopt a style-comparison result; RETOUCH: replace the
+// result with an edited version; RESET: start over.
+const TRANSITIONS = {
+  idle: ['LOAD', 'RESUME', 'RESTORE', 'RESET'],
+  preprocessing: ['LOADED', 'FAIL', 'RESET'],
+  selected: ['LOAD', 'EDIT', 'MASK', 'SUBMIT', 'RESTORE', 'PICK', 'RESET'],
+  uploading: ['UPLOADED', 'RETRY', 'SUCCEED', 'FAIL', 'CANCEL', 'RESET'],
+  processing: ['RETRY', 'SUCCEED', 'FAIL', 'CANCEL', 'RESET'],
+  done: ['LOAD', 'EDIT', 'MASK', 'RESTORE', 'PICK', 'RETOUCH', 'RESET'],
+  error: ['LOAD', 'EDIT', 'MASK', 'SUBMIT', 'RESTORE', 'PICK', 'RESET'],
+};
+
+// Extra conditions on top of the table
+const GUARDS = {
+  SUBMIT: (state) => Boolean(state.original), // A failed first load leaves nothing to send
+  EDIT: (state) => Boolean(state.source),
+  MASK: (state) => Boolean(state.original),
+  PICK: (state) => Boolean(state.original),
+};
+
+export const canTransition = (state, type) => (
+  TRANSITIONS[state.status].includes(type) && (!GUARDS[type] || GUARDS[type](state))
+);
+
+// A request is in flight
+export const isBusy = (state) => state.status === 'uploading' || state.status === 'processing';
+
+export const workflowReducer = (state, event) => {
+  if (!canTransition(state, event.type)) return state;
+
+  switch (event.type) {
+    case 'LOAD':
+      // The previous image stays on screen until the new one is ready
+      return { ...state, status: 'preprocessing', error: null };
+    case 'LOADED':
+      return { ...state, status: 'selected', source: event.source, original: event.original, settings: DEFAULT_PREPROCESS, mask: null, result: null };
+    case 'EDIT':
+      // A mask painted before cropping or rotating no longer lines up
+      return { ...state, status: 'selected', original: event.original, settings: event.settings, mask: null, result: null, error: null };
+    case 'MASK':
+      return { ...state, status: 'selected', mask: event.mask, result: null, error: null };
+    case 'RESTORE':
+      return { ...initialWorkflow, status: 'selected', source: event.original, original: event.original };
+    case 'SUBMIT':
+      return { ...state, status: 'uploading', result: null, error: null, retryAttempt: 0 };
+    case 'RESUME':
+      return { ...initialWorkflow, status: 'processing', source: event.original || null, original: event.original || null };
+    case 'UPLOADED':
+      return { ...state, status: 'processing' };
+    case 'RETRY':
+      return { ...state, status: 'uploading', retryAttempt: event.attempt };
+    case 'SUCCEED':
+    case 'PICK':
+      return { ...state, status: 'done', result: event.result, error: null, retryAttempt: 0 };
+    case 'RETOUCH':
+      return { ...state, result: event.result };
+    case 'FAIL':
+      return { ...state, status: 'error', error: event.error, retryAttempt: 0 };
+    case 'CANCEL':
+      return { ...state, status: state.original ? 'selected' : 'idle', retryAttempt: 0 };
+    case 'RESET':
+      return initialWorkflow;
+    default:
+      return state;
+  }
+};
+
+// State of the single-image flow plus dispatch; see workflowReducer for the events
+const useWorkflow = () => {
+  const [state, dispatch] = useReducer(workflowReducer, initialWorkflow);
+  return { ...state, isBusy: isBusy(state), dispatch };
+};
+
+export default useWorkflow;
@@ -0,0 +1,105 @@
+import { workflowReducer, initialWorkflow, canTransition, isBusy } from './useWorkflow';
+
+const photo = new File(['raw'], 'photo.jpg', { type: 'image/jpeg' });
+const prepared = new File(['small'], 'photo.jpg', { type: 'image/jpeg' });
+const result = { blob: new Blob(['png'], { type: 'image/png' }), originalName: 'photo.jpg', style: 'sketch' };
+
+// Runs a sequence of events from the initial state
+const run = (...events) => events.reduce(workflowReducer, initialWorkflow);
+const selected = () => run({ type: 'LOAD' }, { type: 'LOADED', source: photo, original: prepared });
+
+test('walks the happy path from idle to done', () => {
+  const states = [];
+  [
+    { type: 'LOAD' },
+    { type: 'LOADED', source: photo, original: prepared },
+    { type: 'SUBMIT' },
+    { type: 'UPLOADED' },
+    { type: 'SUCCEED', result },
+  ].reduce((state, event) => {
+    const next = workflowReducer(state, event);
+    states.push(next.status);
+    return next;
+  }, initialWorkflow);
+
+  expect(states).toEqual(['preprocessing', 'selected', 'uploading', 'processing', 'done']);
+  expect(run(
+    { type: 'LOAD' },
+    { type: 'LOADED', source: photo, original: prepared },
+    { type: 'SUBMIT' },
+    { type: 'SUCCEED', result },
+  )).toEqual(expect.objectContaining({ status: 'done', source: photo, original: prepared, result }));
+});
+
+test('ignores events the current state does not accept', () => {
+  const uploading = workflowReducer(selected(), { type: 'SUBMIT' });
+
+  // No result while idle, no second submit or new image while a request runs
+  expect(workflowReducer(initialWorkflow, { type: 'SUCCEED', result })).toBe(initialWorkflow);
+  expect(workflowReducer(uploading, { type: 'SUBMIT' })).toBe(uploading);
+  expect(workflowReducer(uploading, { type: 'LOAD' })).toBe(uploading);
+  expect(workflowReducer(uploading, { type: 'PICK', result })).toBe(uploading);
+  expect(canTransition(uploading, 'EDIT')).toBe(false);
+  expect(isBusy(uploading)).toBe(true);
+});
+
+test('guards submitting when no image was loaded', () => {
+  const failed = run({ type: 'LOAD' }, { type: 'FAIL', error: '"a.txt" is not an image.' });
+
+  expect(failed).toEqual(expect.objectContaining({ status: 'error', error: '"a.txt" is not an image.', original: null }));
+  expect(workflowReducer(failed, { type: 'SUBMIT' })).toBe(failed);
+  expect(workflowReducer(failed, { type: 'LOAD' }).status).toBe('preprocessing');
+});
+
+test('a failed request keeps the image so it can be retried', () => {
+  const failed = [{ type: 'SUBMIT' }, { type: 'RETRY', attempt: 1 }, { type: 'FAIL', error: 'Backend down' }].reduce(workflowReducer, selected());
+
+  expect(failed).toEqual(expect.objectContaining({ status: 'error', original: prepared, error: 'Backend down', retryAttempt: 0 }));
+  expect(workflowReducer(failed, { type: 'SUBMIT' })).toEqual(expect.objectContaining({ status: 'uploading', error: null }));
+});
+
+test('tracks automatic retries while a request runs', () => {
+  const retrying = [{ type: 'SUBMIT' }, { type: 'UPLOADED' }, { type: 'RETRY', attempt: 2 }].reduce(workflowReducer, selected());
+
+  expect(retrying).toEqual(expect.objectContaining({ status: 'uploading', retryAttempt: 2 }));
+});
+
+test('cancelling returns to the selected image, or to idle for a resumed job without one', () => {
+  expect(workflowReducer(workflowReducer(selected(), { type: 'SUBMIT' }), { type: 'CANCEL' }).status).toBe('selected');
+  expect(run({ type: 'RESUME', original: null }, { type: 'CANCEL' }).status).toBe('idle');
+});
+
+test('editing, restoring and picking a comparison result replace the right parts', () => {
+  const edited = new File(['crop'], 'photo.jpg', { type: 'image/jpeg' });
+  const done = [{ type: 'SUBMIT' }, { type: 'SUCCEED', result }].reduce(workflowReducer, selected());
+
+  const afterEdit = workflowReducer(done, { type: 'EDIT', original: edited, settings: { rotation: 90 } });
+  expect(afterEdit).toEqual(expect.objectContaining({ status: 'selected', source: photo, original: edited, settings: { rotation: 90 }, result: null }));
+
+  const picked = workflowReducer(afterEdit, { type: 'PICK', result: { ...result, style: 'anime' } });
+  expect(picked).toEqual(expect.objectContaining({ status: 'done', result: expect.objectContaining({ style: 'anime' }) }));
+
+  const restored = workflowReducer(picked, { type: 'RESTORE', original: photo });
+  expect(restored).toEqual({ ...initialWorkflow, status: 'selected', source: photo, original: photo });
+
+  expect(workflowReducer(restored, { type: 'RESET' })).toBe(initialWorkflow);
+});
+
+test('keeps the painted mask until the image changes', () => {
+  const mask = [{ tool: 'brush', size: 0.05, points: [{ x: 0.5, y: 0.5 }] }];
+  const masked = workflowReducer(selected(), { type: 'MASK', mask });
+
+  expect(masked).toEqual(expect.objectContaining({ status: 'selected', mask }));
+  expect([{ type: 'SUBMIT' }, { type: 'SUCCEED', result }].reduce(workflowReducer, masked).mask).toBe(mask);
+  expect(workflowReducer(masked, { type: 'EDIT', original: prepared, settings: { rotation: 90 } }).mask).toBeNull();
+  expect(run({ type: 'LOAD' }, { type: 'FAIL', error: 'Not an image' }, { type: 'MASK', mask }).mask).toBeNull();
+  expect(workflowReducer(workflowReducer(masked, { type: 'SUBMIT' }), { type: 'MASK', mask: null }).mask).toBe(mask);
+});
+
+test('retouching replaces the result only once there is one', () => {
+  const done = [{ type: 'SUBMIT' }, { type: 'SUCCEED', result }].reduce(workflowReducer, selected());
+  const edited = { ...result, blob: new Blob(['edited'], { type: 'image/png' }), base: result.blob, edits: { frame: 'polaroid' } };
+
+  expect(workflowReducer(done, { type: 'RETOUCH', result: edited })).toEqual(expect.objectContaining({ status: 'done', result: edited }));
+  expect(workflowReducer(selected(), { type: 'RETOUCH', result: edited }).result).toBeNull();
+});
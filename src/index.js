@@ -3,13 +3,38 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+import { loadRuntimeConfig } from './api/config';
+import { setAuthProvider } from './api/client';
+import { authProvider } from './api/auth';
+import { applyDocumentLocale } from './utils/i18n';
+import { applyMotionPreference } from './utils/accessibility';
 
+// Backend requests carry the signed-in user's API key or bearer token
+setAuthProvider(authProvider);
+
+// <html lang>, dir and the reduced-motion class are set from the saved preferences before the
+// first paint
+applyDocumentLocale();
+applyMotionPreference();
+
+// config.json decides which backend the first requests go to, so it is loaded before rendering
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+loadRuntimeConfig().then(() => {
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
+
+// Cache the app shell so it opens offline. A new version takes over as soon as it is installed;
+// it is used from the next page load.
+serviceWorkerRegistration.register({
+  onUpdate: (registration) => {
+    if (registration.waiting) registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+  },
+});
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
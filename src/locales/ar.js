@@ -0,0 +1,407 @@
+// Arabic messages (right-to-left). Style names and other backend-provided text are shown as the
+// backend sends them.
+const ar = {
+  // Header and footer
+  'header.signIn': 'تسجيل الدخول',
+  'header.signOut': 'تسجيل الخروج',
+  'header.signedInAs': 'تم تسجيل الدخول باسم {username}',
+  'header.signedInWithKey': 'تم تسجيل الدخول بمفتاح API',
+  'header.language': 'اللغة',
+  'header.shortcuts': 'اختصارات لوحة المفاتيح وإمكانية الوصول',
+  'footer.copyright': '© {year} AI-Cartoonizer. جميع الحقوق محفوظة.',
+
+  // Welcome and upload
+  'hero.title': 'حوّل صورك إلى تحف فنية.',
+  'hero.subtitle': 'ارفع صورة، واختر نمطًا، ودع الذكاء الاصطناعي يبتكر لك عملًا فنيًا مذهلًا.',
+  'upload.preparing': 'جارٍ تجهيز الصورة...',
+  'upload.dropHere': 'أفلت الصور هنا...',
+  'upload.prompt': 'اسحب صورة وأفلتها هنا، أو انقر للاختيار',
+  'upload.hint': 'الصيغ المدعومة: {formats} · أفلت عدة صور لمعالجتها دفعة واحدة · الصق باستخدام Ctrl+V',
+  'upload.useCamera': 'استخدام الكاميرا',
+  'upload.inputLabel': 'اختر صورًا لتحويلها',
+
+  // Single-image workspace
+  'workspace.original': 'الأصلية',
+  'workspace.originalAlt': 'الصورة الأصلية',
+  'workspace.originalMissing': 'الصورة الأصلية غير متاحة',
+  'workspace.cartoonized': 'الكرتونية',
+  'workspace.resultAlt': 'الصورة الكرتونية بنمط {style}',
+  'workspace.resultPlaceholder': 'ستظهر النتيجة هنا',
+  'workspace.cartoonizing': 'جارٍ التحويل إلى كرتون...',
+  'workspace.applyingStyle': 'جارٍ تطبيق نمط "{style}"...',
+  'workspace.retrying': 'الخادم لا يستجيب، جارٍ إعادة المحاولة (المحاولة {attempt})...',
+  'workspace.cancel': 'إلغاء',
+  'workspace.generate': 'إنشاء الكرتون',
+  'workspace.signInToGenerate': 'سجّل الدخول للإنشاء',
+  'workspace.serverOnlyStyle': 'هذا النمط متاح على الخادم فقط. على هذا الجهاز يمكنك استخدام Whitebox أو Sketch أو Oil Paint.',
+  'workspace.backendOffline': 'تعذّر الوصول إلى الخادم "{backend}" حاليًا.',
+  'workspace.backendOfflineQueue': 'سيضع الإنشاء صورتك في قائمة الانتظار ويرسلها تلقائيًا عند عودة الخادم.',
+  'workspace.backendOfflineFail': 'سيفشل الإنشاء حتى يعود الخادم.',
+  'workspace.backendOfflineLocal': 'يمكنك أيضًا معالجتها على هذا الجهاز بدلًا من ذلك.',
+  'workspace.backendDegraded': 'يستجيب الخادم ببطء أو يبلغ عن مشكلات، لذا قد تستغرق النتائج وقتًا أطول من المعتاد.',
+  'workspace.cropRotate': 'قص وتدوير',
+  'workspace.selectArea': 'تحديد منطقة',
+  'workspace.editSelection': 'تعديل التحديد',
+  'workspace.compareStyles': 'مقارنة الأنماط',
+  'workspace.maskActive': 'ستُحوَّل المنطقة المطلية فقط إلى كرتون.',
+  'workspace.useWholeImage': 'استخدام الصورة كاملة',
+
+  // Result actions and session export
+  'result.tryAnother': 'جرّب صورة أخرى',
+  'result.compareStyles': 'مقارنة الأنماط',
+  'result.edit': 'تحرير',
+  'result.download': 'تنزيل',
+  'result.export': 'تصدير...',
+  'session.count': '{count, plural, zero {لا نتائج} one {نتيجة واحدة} two {نتيجتان} few {# نتائج} many {# نتيجة} other {# نتيجة}} في هذه الجلسة',
+  'session.buildingZip': 'جارٍ إنشاء ملف ZIP...',
+  'session.downloadAll': 'تنزيل الكل (ZIP)',
+
+  // Workflow messages
+  'error.fixSettings': 'يُرجى تصحيح إعدادات النمط قبل الإنشاء.',
+  'error.queued': 'تعذّر الوصول إلى الخادم. وُضعت صورتك في قائمة الانتظار وستُحوَّل تلقائيًا عند عودته.',
+  'error.cartoonizeFailed': 'تعذّر تحويل الصورة. {reason}',
+  'error.zipFailed': 'تعذّر إنشاء أرشيف ZIP. {reason}',
+  'outbox.done': 'حُوِّلت الصورة المنتظرة "{name}" ({style}). ستجدها في السجل.',
+  'outbox.failed': 'تعذّر تحويل الصورة المنتظرة "{name}". {reason}',
+
+  // Backend errors
+  'error.timeout': 'استغرق الخادم وقتًا طويلًا للرد. يُرجى المحاولة مرة أخرى، أو استخدام صورة أصغر.',
+  'error.unreachable': 'تعذّر الوصول إلى خادم التحويل. يُرجى التأكد من أن الخادم يعمل ويمكن الوصول إليه.',
+  'error.unauthorized': 'لم يقبل الخادم بيانات اعتمادك. يُرجى تسجيل الدخول مرة أخرى.',
+  'error.quotaWait': 'استنفدت حصتك. يمكنك المحاولة مرة أخرى بعد {wait}.',
+  'error.quota': 'استنفدت حصتك. يُرجى المحاولة لاحقًا.',
+  'error.rejectedDetail': 'رفض الخادم الطلب: {detail}',
+  'error.rejected': 'رفض الخادم الطلب ({status}).',
+  'error.server': 'فشل الخادم في معالجة الصورة ({status}).',
+  'error.serverDetail': 'فشل الخادم في معالجة الصورة ({status}). {detail}',
+  'error.jobFailed': 'تعذّر على الخادم معالجة الصورة.',
+  'error.jobFailedDetail': 'تعذّر على الخادم معالجة الصورة: {detail}',
+  'error.unknown': 'حدث خطأ ما. {reason}',
+  'wait.seconds': '{count, plural, zero {# ثانية} one {ثانية واحدة} two {ثانيتين} few {# ثوانٍ} many {# ثانية} other {# ثانية}}',
+  'wait.minutes': '{count, plural, zero {# دقيقة} one {دقيقة واحدة} two {دقيقتين} few {# دقائق} many {# دقيقة} other {# دقيقة}}',
+  'wait.hours': '{count, plural, zero {# ساعة} one {ساعة واحدة} two {ساعتين} few {# ساعات} many {# ساعة} other {# ساعة}}',
+
+  // Style gallery
+  'styles.heading': 'اختر نمط التحويل:',
+  'styles.loading': 'جارٍ تحميل الأنماط...',
+  'styles.cached': 'الخادم غير متاح - تُعرض الأنماط المحفوظة.',
+  'styles.builtIn': 'الخادم غير متاح - تُعرض الأنماط المدمجة.',
+  'styles.retry': 'إعادة المحاولة',
+
+  // Screen reader announcements as the workflow progresses
+  'status.ready': 'الصورة جاهزة. اختر نمطًا ثم ابدأ التحويل.',
+  'status.done': 'صورتك الكرتونية بنمط {style} جاهزة.',
+
+  // Keyboard shortcuts and accessibility dialog
+  'shortcuts.title': 'لوحة المفاتيح وإمكانية الوصول',
+  'shortcuts.close': 'إغلاق',
+  'shortcuts.generate': 'إنشاء الصورة الكرتونية',
+  'shortcuts.download': 'تنزيل النتيجة',
+  'shortcuts.reset': 'البدء من جديد بصورة أخرى',
+  'shortcuts.help': 'عرض هذه المساعدة',
+  'shortcuts.note': 'تعمل الاختصارات ما دمت لا تكتب في حقل.',
+  'shortcuts.enable': 'تفعيل الاختصارات بمفتاح واحد',
+  'shortcuts.reduceMotion': 'تقليل الحركة',
+
+  // Jobs from a previous visit that finished in the background
+  'jobs.resumedDone': 'اكتملت صورتك غير المكتملة "{name}" ({style}) من زيارتك السابقة. ستجدها في السجل.',
+  'jobs.resumedFailed': 'تعذّر تحويل صورتك غير المكتملة "{name}" من زيارتك السابقة. {reason}',
+
+  // History
+  'history.title': 'السجل',
+  'history.clear': 'مسح السجل',
+  'history.resultAlt': '{name} بنمط {style}',
+  'history.download': 'تنزيل',
+  'history.downloadLabel': 'تنزيل {name} ({style})',
+  'history.rerun': 'تجربة نمط آخر',
+  'history.rerunLabel': 'تجربة نمط آخر على {name}',
+  'history.delete': 'حذف',
+  'history.deleteLabel': 'حذف {name} ({style})',
+
+  // Shared labels
+  'common.close': 'إغلاق',
+  'common.cancel': 'إلغاء',
+  'common.dismiss': 'تجاهل',
+
+  // Processing engine
+  'engine.label': 'المعالجة',
+  'engine.processOn': 'المعالجة على',
+  'engine.server': 'الخادم',
+  'engine.local': 'هذا الجهاز',
+
+  // Backend health badge
+  'health.checking': 'جارٍ الفحص...',
+  'health.online': 'متصل',
+  'health.degraded': 'أداء متراجع',
+  'health.offline': 'غير متصل',
+  'health.description': 'الخادم "{backend}": {status}',
+  'health.descriptionLatency': 'الخادم "{backend}": {status}، {latency}',
+  'health.openSettings': '{description}. فتح إعدادات الخادم',
+  'health.latencyMs': '{ms} ملّي ثانية',
+  'health.latencySeconds': '{seconds} ث',
+
+  // Offline queue
+  'outbox.waiting': '{count, plural, one {صورة واحدة بانتظار} two {صورتان بانتظار} few {# صور بانتظار} many {# صورة بانتظار} other {# صورة بانتظار}} الخادم، وستُرسل تلقائيًا عندما يصبح متاحًا من جديد.',
+  'outbox.sending': 'جارٍ الإرسال...',
+  'outbox.retryNow': 'أعد المحاولة الآن',
+  'outbox.discard': 'تجاهل الصور',
+
+  // Quota notice
+  'quota.exhausted': 'استنفدت حصتك على هذا الخادم. يُرجى المحاولة لاحقًا.',
+  'quota.exhaustedWait': 'استنفدت حصتك على هذا الخادم. يمكنك الإنشاء مجددًا بعد {wait}.',
+
+  // Upload and processing progress
+  'progress.uploading': 'جارٍ الرفع... {percent}٪',
+  'progress.processingStage': 'المعالجة: {stage}',
+  'progress.processing': 'جارٍ المعالجة...',
+  'progress.percent': '({percent}٪)',
+  'progress.uploadLabel': 'تقدّم الرفع',
+  'progress.processingLabel': 'تقدّم المعالجة',
+  'progress.elapsed': 'الوقت المنقضي: {time}',
+  'progress.seconds': '{seconds} ث',
+  'progress.minutes': '{minutes} د {seconds} ث',
+
+  // Copy and share
+  'share.copy': 'نسخ الصورة',
+  'share.share': 'مشاركة',
+  'share.copied': 'نُسخت الصورة. الصقها في محادثتك أو عرضك التقديمي.',
+  'share.linkCopied': 'لا يستطيع متصفحك نسخ الصور، لذا نُسخ رابط بيانات للصورة بدلًا منها.',
+  'share.downloaded': 'لا يستطيع متصفحك نسخ الصور، لذا نُزّلت الصورة بدلًا من ذلك.',
+  'share.shareLinkCopied': 'المشاركة غير متاحة في هذا المتصفح، لذا نُسخ رابط بيانات للصورة بدلًا منها.',
+  'share.shareDownloaded': 'المشاركة غير متاحة في هذا المتصفح، لذا نُزّلت الصورة بدلًا من ذلك.',
+
+  // Style comparison
+  'compare.title': 'مقارنة الأنماط',
+  'compare.close': 'إغلاق مقارنة الأنماط',
+  'compare.legend': 'الأنماط المراد مقارنتها',
+  'compare.running': 'جارٍ المقارنة...',
+  'compare.start': '{count, plural, zero {قارن # نمط} one {قارن نمطًا واحدًا} two {قارن نمطين} few {قارن # أنماط} many {قارن # نمطًا} other {قارن # نمط}}',
+  'compare.resultAlt': 'نتيجة {style}',
+  'compare.pick': 'اختر هذه',
+
+  // Style settings
+  'params.title': 'إعدادات النمط',
+  'params.reset': 'استعادة القيم الافتراضية',
+
+  // Batch mode
+  'batch.title': 'قائمة الدفعة',
+  'batch.summary': '{count, plural, zero {لا صور} one {صورة واحدة} two {صورتان} few {# صور} many {# صورة} other {# صورة}} · {done} مكتملة · {failed} فاشلة',
+  'batch.pausedSignIn': 'متوقفة مؤقتًا حتى تسجّل الدخول.',
+  'batch.pausedQuota': 'متوقفة مؤقتًا حتى تتجدد حصتك.',
+  'batch.concurrency': 'الطلبات المتزامنة:',
+  'batch.pending': 'قيد الانتظار',
+  'batch.processing': 'قيد المعالجة',
+  'batch.done': 'مكتملة',
+  'batch.failed': 'فشلت',
+  'batch.cancelled': 'أُلغيت',
+  'batch.retry': 'إعادة محاولة {name}',
+  'batch.remove': 'إزالة {name}',
+  'batch.startOver': 'البدء من جديد',
+  'batch.cancel': 'إلغاء المتبقي',
+  'batch.start': '{count, plural, zero {حوّل # صورة} one {حوّل صورة واحدة} two {حوّل صورتين} few {حوّل # صور} many {حوّل # صورة} other {حوّل # صورة}}',
+
+  // Shared editor controls
+  'editor.undo': 'تراجع',
+  'editor.undoTitle': 'تراجع (Ctrl+Z)',
+  'editor.redo': 'إعادة',
+  'editor.redoTitle': 'إعادة (Ctrl+Shift+Z)',
+  'editor.apply': 'تطبيق',
+  'editor.applying': 'جارٍ التطبيق...',
+
+  // Before/after viewer
+  'viewer.before': 'قبل',
+  'viewer.after': 'بعد',
+  'viewer.divider': 'الفاصل بين الصورتين قبل وبعد',
+  'viewer.zoomOut': 'تصغير',
+  'viewer.zoomIn': 'تكبير',
+  'viewer.fit': 'ملاءمة العرض',
+  'viewer.zoomLevel': '{percent}٪',
+
+  // Crop and rotate
+  'imageEditor.title': 'تجهيز الصورة',
+  'imageEditor.previewAlt': 'معاينة القص',
+  'imageEditor.rotateLeft': 'تدوير لليسار',
+  'imageEditor.rotateRight': 'تدوير لليمين',
+  'imageEditor.flipHorizontal': 'قلب أفقي',
+  'imageEditor.flipVertical': 'قلب عمودي',
+  'imageEditor.aspectFree': 'حر',
+  'imageEditor.maxSize': 'الحجم الأقصى:',
+  'imageEditor.previewFailed': 'تعذّر تجهيز الصورة للتحرير. {reason}',
+  'imageEditor.applyFailed': 'تعذّرت معالجة الصورة. {reason}',
+
+  // Mask editor
+  'mask.title': 'تحديد المنطقة المراد تحويلها',
+  'mask.instructions': 'لوّن أجزاء الصورة التي تريد تطبيق النمط عليها. يبقى كل ما عداها كما هو.',
+  'mask.imageAlt': 'الصورة الأصلية للتلوين عليها',
+  'mask.brush': 'فرشاة',
+  'mask.eraser': 'ممحاة',
+  'mask.clear': 'مسح',
+  'mask.brushSize': 'حجم الفرشاة:',
+  'mask.useWholeImage': 'استخدام الصورة كاملة',
+
+  // Result editor
+  'resultEditor.title': 'تحرير النتيجة',
+  'resultEditor.adjust': 'ضبط',
+  'resultEditor.brightness': 'السطوع',
+  'resultEditor.contrast': 'التباين',
+  'resultEditor.saturation': 'التشبع',
+  'resultEditor.resetAdjustments': 'إعادة ضبط التعديلات',
+  'resultEditor.text': 'النص',
+  'resultEditor.addCaption': 'إضافة تعليق',
+  'resultEditor.addBubble': 'إضافة فقاعة كلام',
+  'resultEditor.stickers': 'الملصقات',
+  'resultEditor.addSticker': 'إضافة الملصق {emoji}',
+  'resultEditor.frame': 'الإطار',
+  'resultEditor.caption': 'تعليق',
+  'resultEditor.bubble': 'فقاعة كلام',
+  'resultEditor.sticker': 'ملصق',
+  'resultEditor.font': 'الخط',
+  'resultEditor.size': 'الحجم',
+  'resultEditor.colour': 'اللون',
+  'resultEditor.remove': 'إزالة',
+  'resultEditor.hint': 'انقر تعليقًا أو فقاعة أو ملصقًا في المعاينة لتغييره، واسحبه لتحريكه.',
+  'resultEditor.rendering': 'جارٍ الإنشاء...',
+  'resultEditor.defaultCaption': 'تعليقك هنا',
+  'resultEditor.defaultBubble': 'مرحبًا!',
+  'resultEditor.openFailed': 'تعذّر فتح الصورة للتحرير. {reason}',
+  'resultEditor.previewFailed': 'تعذّر عرض المعاينة. {reason}',
+  'resultEditor.renderFailed': 'تعذّر إنشاء الصورة المحررة. {reason}',
+  'fonts.comic': 'كوميدي',
+  'fonts.sans': 'بلا زوائد',
+  'fonts.serif': 'بزوائد',
+  'fonts.hand': 'خط اليد',
+  'fonts.mono': 'آلة كاتبة',
+  'frames.none': 'بلا إطار',
+  'frames.border': 'حدود',
+  'frames.polaroid': 'بولارويد',
+  'frames.rounded': 'زوايا مستديرة',
+  'frames.comic': 'لوحة قصة مصورة',
+
+  // Export dialog
+  'export.title': 'تصدير الصورة',
+  'export.close': 'إغلاق نافذة التصدير',
+  'export.format': 'الصيغة',
+  'export.quality': 'الجودة ({percent}٪)',
+  'export.qualityLossless': 'الجودة (بلا فقد)',
+  'export.size': 'الحجم',
+  'export.sizeOriginal': 'الحجم الأصلي',
+  'export.size2x': 'ضعف الحجم (2x)',
+  'export.sizeSquare': 'منشور مربع (1080x1080)',
+  'export.sizePortrait': 'منشور طولي (1080x1350)',
+  'export.sizeStory': 'قصة (1080x1920)',
+  'export.fit': 'الملاءمة',
+  'export.fitCover': 'قص لملء الإطار',
+  'export.fitContain': 'احتواء داخل الإطار (مع حواف)',
+  'export.stripExif': 'إزالة البيانات الوصفية (EXIF)',
+  'export.fileName': 'اسم الملف',
+  'export.templateHelp': 'استخدم {placeholders}. مثال:',
+  'export.exporting': 'جارٍ التصدير...',
+  'export.export': 'تصدير',
+  'export.failed': 'تعذّر تصدير الصورة. {reason}',
+  'export.unsupportedFormat': 'لا يستطيع هذا المتصفح حفظ الصور بصيغة {format}.',
+
+  // Camera
+  'camera.title': 'التقاط صورة',
+  'camera.tryAgain': 'إعادة المحاولة',
+  'camera.preview': 'معاينة الكاميرا',
+  'camera.countdown': 'العد التنازلي:',
+  'camera.countdownOff': 'إيقاف',
+  'camera.countdownSeconds': '{seconds} ث',
+  'camera.back': 'الكاميرا الخلفية',
+  'camera.front': 'الكاميرا الأمامية',
+  'camera.stopCountdown': 'إيقاف العد التنازلي',
+  'camera.capture': 'التقاط',
+
+  // Backend settings
+  'backendSettings.title': 'الخادم',
+  'backendSettings.sendTo': 'إرسال الصور إلى',
+  'backendSettings.onlyOne': 'أضف خوادم أخرى إلى config.json للتبديل بينها من هنا.',
+  'backendSettings.status': 'الحالة:',
+  'backendSettings.healthCheck': 'فحص الحالة: {url}',
+  'backendSettings.checkNow': 'افحص الآن',
+
+  // Sign-in dialog
+  'signIn.title': 'تسجيل الدخول',
+  'signIn.intro': 'يتطلب الخادم "{backend}" تسجيل الدخول قبل تحويل الصور.',
+  'signIn.apiKey': 'مفتاح API',
+  'signIn.username': 'اسم المستخدم',
+  'signIn.password': 'كلمة المرور',
+  'signIn.submitting': 'جارٍ تسجيل الدخول...',
+  'signIn.submit': 'تسجيل الدخول',
+
+  // File sizes
+  'bytes.megabytes': '{size} ميغابايت',
+  'bytes.kilobytes': '{size} كيلوبايت',
+
+  // Image validation
+  'validation.unnamedFile': 'الملف',
+  'validation.empty': '"{name}" فارغ.',
+  'validation.content': '"{name}" ليس صورة، أو بتنسيق لا يستطيع هذا التطبيق قراءته. التنسيقات المدعومة: {formats}.',
+  'validation.format': '"{name}" صورة بتنسيق {format}. التنسيقات المدعومة: {formats}.',
+  'validation.size': 'حجم "{name}" هو {size}؛ والحد الأقصى {max}.',
+  'validation.decode': 'تعذرت قراءة "{name}". قد يكون الملف تالفًا.',
+  'validation.tooSmall': 'أبعاد "{name}" هي {width}x{height} بكسل فقط؛ يجب ألا يقل كل جانب من الصورة عن {min} بكسل.',
+  'validation.tooLarge': 'أبعاد "{name}" هي {width}x{height} بكسل؛ والحد الأقصى {max} بكسل للجانب الأطول.',
+  'validation.invalidType': '"{name}" ليس صورة مدعومة. التنسيقات المدعومة: {formats}.',
+  'validation.rejected': 'تم رفض "{name}". {reason}',
+
+  // Import from a URL
+  'import.invalidUrl': 'يرجى إدخال رابط صورة صالح.',
+  'import.protocol': 'روابط الصور التي تبدأ بـ http:// و https:// فقط مدعومة.',
+  'import.unreachable': 'تعذر تنزيل الصورة. قد لا يسمح الموقع للمواقع الأخرى بتحميل صوره (CORS)، أو قد يتعذر الوصول إليه. جرّب حفظ الصورة وإفلاتها هنا بدلًا من ذلك.',
+  'import.httpError': 'تعذر تنزيل الصورة: استجاب الخادم بـ {status}.',
+  'import.notImage': 'هذا الرابط لا يشير إلى صورة.',
+  'import.notImageType': 'هذا الرابط لا يشير إلى صورة (أعاد {type}).',
+  'import.tooBig': 'حجم الصورة {size}؛ والحد الأقصى {max}.',
+  'import.label': 'رابط الصورة',
+  'import.placeholder': '...أو الصق رابط صورة',
+  'import.importing': 'جارٍ الاستيراد...',
+  'import.submit': 'استيراد',
+
+  // Camera errors
+  'camera.unsupported': 'هذا المتصفح لا يدعم الوصول إلى الكاميرا.',
+  'camera.denied': 'تم رفض الوصول إلى الكاميرا. اسمح بالوصول إلى الكاميرا من إعدادات المتصفح وحاول مرة أخرى.',
+  'camera.notFound': 'لم يتم العثور على كاميرا في هذا الجهاز.',
+  'camera.inUse': 'الكاميرا قيد الاستخدام من تطبيق آخر أو تعذر تشغيلها.',
+  'camera.failed': 'تعذر تشغيل الكاميرا. {reason}',
+  'camera.noFrame': 'لم تلتقط الكاميرا أي صورة بعد.',
+  'camera.encodeFailed': 'تعذر ترميز الصورة.',
+
+  // Style settings validation
+  'params.notNumber': 'يجب أن تكون قيمة {label} رقمًا.',
+  'params.min': 'يجب ألا تقل قيمة {label} عن {min}.',
+  'params.max': 'يجب ألا تزيد قيمة {label} عن {max}.',
+  'params.whole': 'يجب أن تكون قيمة {label} عددًا صحيحًا.',
+  'params.oneOf': 'يجب أن تكون قيمة {label} واحدة من: {options}.',
+  'params.boolean': 'يجب أن يكون {label} مفعّلًا أو معطّلًا.',
+
+  // History errors
+  'history.saveFailed': 'تعذر حفظ النتيجة في السجل. {reason}',
+  'history.deleteFailed': 'تعذر حذف عنصر السجل. {reason}',
+  'history.clearFailed': 'تعذر مسح السجل. {reason}',
+  'history.tooLarge': 'النتيجة أكبر من الحد المسموح لتخزين السجل.',
+
+  // Sign-in errors
+  'auth.signInRequired': 'يرجى تسجيل الدخول لاستخدام هذا الخادم.',
+  'auth.apiKeyRejected': 'رفض الخادم مفتاح API الخاص بك.',
+  'auth.sessionExpired': 'انتهت صلاحية جلستك. يرجى تسجيل الدخول مرة أخرى.',
+  'auth.invalidCredentials': 'اسم المستخدم أو كلمة المرور غير صحيحة.',
+
+  // Backend health details
+  'health.deviceOffline': 'هذا الجهاز غير متصل بالإنترنت.',
+  'health.reported': 'يُبلغ الخادم عن الحالة "{status}".',
+  'health.slow': 'يستجيب الخادم ببطء.',
+
+  // Image processing in the browser
+  'imageError.decode': 'تعذر فك ترميز الصورة.',
+  'imageError.encode': 'تعذر ترميز الصورة.',
+  'imageError.noCanvas': 'هذا المتصفح لا يدعم Canvas.',
+
+  // On-device engine
+  'local.unsupported': 'لا يستطيع هذا المتصفح تحويل الصور على الجهاز.',
+  'local.serverOnly': 'النمط "{style}" متاح على الخادم فقط.',
+  'local.crashed': 'توقف محوّل الصور على الجهاز بشكل غير متوقع.',
+  'local.failed': 'تعذر على محوّل الصور على الجهاز معالجة الصورة. {reason}',
+};
+
+export default ar;
@@ -0,0 +1,410 @@
+// English messages. This is the source catalog: every message id used in the app is defined
+// here, and other locales fall back to it for anything they don't translate. See ../utils/i18n
+// for the template syntax.
+const en = {
+  // Header and footer
+  'app.name': 'AI-Cartoonizer',
+  'header.signIn': 'Sign in',
+  'header.signOut': 'Sign out',
+  'header.signedInAs': 'Signed in as {username}',
+  'header.signedInWithKey': 'Signed in with an API key',
+  'header.language': 'Language',
+  'header.shortcuts': 'Keyboard shortcuts and accessibility',
+  'footer.copyright': '© {year} AI-Cartoonizer. All Rights Reserved.',
+
+  // Welcome and upload
+  'hero.title': 'Transform Your Photos into Masterpieces.',
+  'hero.subtitle': 'Upload a photo, choose a style, and let our AI create stunning art.',
+  'upload.preparing': 'Preparing image...',
+  'upload.dropHere': 'Drop the images here...',
+  'upload.prompt': 'Drag & drop an image here, or click to select',
+  'upload.hint': 'Supports: {formats} · Drop several images for batch mode · Paste with Ctrl+V',
+  'upload.useCamera': 'Use Camera',
+  'upload.inputLabel': 'Choose images to cartoonize',
+
+  // Single-image workspace
+  'workspace.original': 'Original',
+  'workspace.originalAlt': 'Original',
+  'workspace.originalMissing': 'Original not available',
+  'workspace.cartoonized': 'Cartoonized',
+  'workspace.resultAlt': 'Cartoonized image in {style} style',
+  'workspace.resultPlaceholder': 'Result will appear here',
+  'workspace.cartoonizing': 'Cartoonizing...',
+  'workspace.applyingStyle': 'Applying "{style}" style...',
+  'workspace.retrying': 'Backend not responding, retrying (attempt {attempt})...',
+  'workspace.cancel': 'Cancel',
+  'workspace.generate': 'Generate Cartoon',
+  'workspace.signInToGenerate': 'Sign in to Generate',
+  'workspace.serverOnlyStyle': 'This style is only available on the server. On this device you can use Whitebox, Sketch or Oil Paint.',
+  'workspace.backendOffline': 'The backend "{backend}" is unreachable right now.',
+  'workspace.backendOfflineQueue': 'Generating will queue your image and send it automatically once the backend is back.',
+  'workspace.backendOfflineFail': 'Generating will fail until it is back.',
+  'workspace.backendOfflineLocal': 'You can also process it on this device instead.',
+  'workspace.backendDegraded': 'The backend is responding slowly or reporting problems, so results may take longer than usual.',
+  'workspace.cropRotate': 'Crop & Rotate',
+  'workspace.selectArea': 'Select Area',
+  'workspace.editSelection': 'Edit Selection',
+  'workspace.compareStyles': 'Compare Styles',
+  'workspace.maskActive': 'Only the painted area will be cartoonized.',
+  'workspace.useWholeImage': 'Use whole image',
+
+  // Result actions and session export
+  'result.tryAnother': 'Try Another',
+  'result.compareStyles': 'Compare Styles',
+  'result.edit': 'Edit',
+  'result.download': 'Download',
+  'result.export': 'Export...',
+  'session.count': '{count, plural, one {# result} other {# results}} this session',
+  'session.buildingZip': 'Building ZIP...',
+  'session.downloadAll': 'Download All (ZIP)',
+
+  // Workflow messages
+  'error.fixSettings': 'Please fix the style settings before generating.',
+  'error.queued': 'The backend is unreachable. Your image has been queued and will be cartoonized automatically once it is back.',
+  'error.cartoonizeFailed': 'Failed to cartoonize image. {reason}',
+  'error.zipFailed': 'Failed to build the ZIP archive. {reason}',
+  'outbox.done': 'Queued image "{name}" ({style}) has been cartoonized. You\'ll find it in your history.',
+  'outbox.failed': 'Queued image "{name}" could not be cartoonized. {reason}',
+
+  // Backend errors
+  'error.timeout': 'The backend took too long to respond. Please try again, or use a smaller image.',
+  'error.unreachable': 'Could not reach the cartoonizer backend. Please ensure the backend server is running and accessible.',
+  'error.unauthorized': 'The backend did not accept your credentials. Please sign in again.',
+  'error.quotaWait': 'Your quota is used up. You can try again in {wait}.',
+  'error.quota': 'Your quota is used up. Please try again later.',
+  'error.rejectedDetail': 'The backend rejected the request: {detail}',
+  'error.rejected': 'The backend rejected the request ({status}).',
+  'error.server': 'The backend failed to process the image ({status}).',
+  'error.serverDetail': 'The backend failed to process the image ({status}). {detail}',
+  'error.jobFailed': 'The backend could not process the image.',
+  'error.jobFailedDetail': 'The backend could not process the image: {detail}',
+  'error.unknown': 'Something went wrong. {reason}',
+  'wait.seconds': '{count, plural, one {# second} other {# seconds}}',
+  'wait.minutes': '{count, plural, one {# minute} other {# minutes}}',
+  'wait.hours': '{count, plural, one {# hour} other {# hours}}',
+
+  // Style gallery
+  'styles.heading': 'Choose a Cartoonization Style:',
+  'styles.loading': 'Loading styles...',
+  'styles.cached': 'Backend unavailable - showing cached styles.',
+  'styles.builtIn': 'Backend unavailable - showing built-in styles.',
+  'styles.retry': 'Retry',
+
+  // Screen reader announcements as the workflow progresses
+  'status.ready': 'Image ready. Choose a style and generate.',
+  'status.done': 'Your cartoon in {style} style is ready.',
+
+  // Keyboard shortcuts and accessibility dialog
+  'shortcuts.title': 'Keyboard & Accessibility',
+  'shortcuts.close': 'Close',
+  'shortcuts.generate': 'Generate the cartoon',
+  'shortcuts.download': 'Download the result',
+  'shortcuts.reset': 'Start over with another image',
+  'shortcuts.help': 'Show this help',
+  'shortcuts.note': 'Shortcuts work whenever you are not typing in a field.',
+  'shortcuts.enable': 'Enable single-key shortcuts',
+  'shortcuts.reduceMotion': 'Reduce motion',
+
+  // Jobs from a previous visit that finished in the background
+  'jobs.resumedDone': 'Your unfinished image "{name}" ({style}) from your last visit is done. You\'ll find it in your history.',
+  'jobs.resumedFailed': 'Your unfinished image "{name}" from your last visit could not be cartoonized. {reason}',
+
+  // History
+  'history.title': 'History',
+  'history.clear': 'Clear history',
+  'history.resultAlt': '{name} in {style} style',
+  'history.download': 'Download',
+  'history.downloadLabel': 'Download {name} ({style})',
+  'history.rerun': 'Try another style',
+  'history.rerunLabel': 'Try another style on {name}',
+  'history.delete': 'Delete',
+  'history.deleteLabel': 'Delete {name} ({style})',
+
+  // Shared labels
+  'common.close': 'Close',
+  'common.cancel': 'Cancel',
+  'common.dismiss': 'Dismiss',
+
+  // Processing engine
+  'engine.label': 'Processing',
+  'engine.processOn': 'Process on',
+  'engine.server': 'Server',
+  'engine.local': 'This device',
+
+  // Backend health badge
+  'health.checking': 'Checking...',
+  'health.online': 'Online',
+  'health.degraded': 'Degraded',
+  'health.offline': 'Offline',
+  'health.description': 'Backend "{backend}": {status}',
+  'health.descriptionLatency': 'Backend "{backend}": {status}, {latency}',
+  'health.openSettings': '{description}. Open backend settings',
+  'health.latencyMs': '{ms} ms',
+  'health.latencySeconds': '{seconds} s',
+
+  // Offline queue
+  'outbox.waiting': '{count, plural, one {# image is} other {# images are}} waiting for the backend and will be sent automatically when it is reachable again.',
+  'outbox.sending': 'Sending...',
+  'outbox.retryNow': 'Retry now',
+  'outbox.discard': 'Discard',
+
+  // Quota notice
+  'quota.exhausted': 'Your quota on this backend is used up. Please try again later.',
+  'quota.exhaustedWait': 'Your quota on this backend is used up. You can generate again in {wait}.',
+
+  // Upload and processing progress
+  'progress.uploading': 'Uploading... {percent}%',
+  'progress.processingStage': 'Processing: {stage}',
+  'progress.processing': 'Processing...',
+  'progress.percent': '({percent}%)',
+  'progress.uploadLabel': 'Upload progress',
+  'progress.processingLabel': 'Processing progress',
+  'progress.elapsed': 'Elapsed: {time}',
+  'progress.seconds': '{seconds}s',
+  'progress.minutes': '{minutes}m {seconds}s',
+
+  // Copy and share
+  'share.copy': 'Copy Image',
+  'share.share': 'Share',
+  'share.copied': 'Image copied. Paste it into your chat or slides.',
+  'share.linkCopied': 'Your browser cannot copy images, so a data link to the image was copied instead.',
+  'share.downloaded': 'Your browser cannot copy images, so the image was downloaded instead.',
+  'share.shareLinkCopied': 'Sharing is not available in this browser, so a data link to the image was copied instead.',
+  'share.shareDownloaded': 'Sharing is not available in this browser, so the image was downloaded instead.',
+
+  // Style comparison
+  'compare.title': 'Compare Styles',
+  'compare.close': 'Close style comparison',
+  'compare.legend': 'Styles to compare',
+  'compare.running': 'Comparing...',
+  'compare.start': '{count, plural, one {Compare # Style} other {Compare # Styles}}',
+  'compare.resultAlt': '{style} result',
+  'compare.pick': 'Pick this one',
+
+  // Style settings
+  'params.title': 'Style Settings',
+  'params.reset': 'Reset to defaults',
+
+  // Batch mode
+  'batch.title': 'Batch Queue',
+  'batch.summary': '{count, plural, one {# image} other {# images}} · {done} done · {failed} failed',
+  'batch.pausedSignIn': 'Paused until you sign in.',
+  'batch.pausedQuota': 'Paused until your quota resets.',
+  'batch.concurrency': 'Concurrent requests:',
+  'batch.pending': 'Pending',
+  'batch.processing': 'Processing',
+  'batch.done': 'Done',
+  'batch.failed': 'Failed',
+  'batch.cancelled': 'Cancelled',
+  'batch.retry': 'Retry {name}',
+  'batch.remove': 'Remove {name}',
+  'batch.startOver': 'Start Over',
+  'batch.cancel': 'Cancel Remaining',
+  'batch.start': '{count, plural, one {Cartoonize # Image} other {Cartoonize # Images}}',
+
+  // Shared editor controls
+  'editor.undo': 'Undo',
+  'editor.undoTitle': 'Undo (Ctrl+Z)',
+  'editor.redo': 'Redo',
+  'editor.redoTitle': 'Redo (Ctrl+Shift+Z)',
+  'editor.apply': 'Apply',
+  'editor.applying': 'Applying...',
+
+  // Before/after viewer
+  'viewer.before': 'Before',
+  'viewer.after': 'After',
+  'viewer.divider': 'Before and after divider',
+  'viewer.zoomOut': 'Zoom out',
+  'viewer.zoomIn': 'Zoom in',
+  'viewer.fit': 'Fit to view',
+  'viewer.zoomLevel': '{percent}%',
+
+  // Crop and rotate
+  'imageEditor.title': 'Prepare Image',
+  'imageEditor.previewAlt': 'Crop preview',
+  'imageEditor.rotateLeft': 'Rotate left',
+  'imageEditor.rotateRight': 'Rotate right',
+  'imageEditor.flipHorizontal': 'Flip horizontally',
+  'imageEditor.flipVertical': 'Flip vertically',
+  'imageEditor.aspectFree': 'Free',
+  'imageEditor.maxSize': 'Max size:',
+  'imageEditor.previewFailed': 'Could not prepare the image for editing. {reason}',
+  'imageEditor.applyFailed': 'Could not process the image. {reason}',
+
+  // Mask editor
+  'mask.title': 'Select Area to Cartoonize',
+  'mask.instructions': 'Paint over the parts of the photo the style should apply to. Everything else is kept as it is.',
+  'mask.imageAlt': 'Original to paint on',
+  'mask.brush': 'Brush',
+  'mask.eraser': 'Eraser',
+  'mask.clear': 'Clear',
+  'mask.brushSize': 'Brush size:',
+  'mask.useWholeImage': 'Use Whole Image',
+
+  // Result editor
+  'resultEditor.title': 'Edit Result',
+  'resultEditor.adjust': 'Adjust',
+  'resultEditor.brightness': 'Brightness',
+  'resultEditor.contrast': 'Contrast',
+  'resultEditor.saturation': 'Saturation',
+  'resultEditor.resetAdjustments': 'Reset adjustments',
+  'resultEditor.text': 'Text',
+  'resultEditor.addCaption': 'Add Caption',
+  'resultEditor.addBubble': 'Add Speech Bubble',
+  'resultEditor.stickers': 'Stickers',
+  'resultEditor.addSticker': 'Add {emoji} sticker',
+  'resultEditor.frame': 'Frame',
+  'resultEditor.caption': 'Caption',
+  'resultEditor.bubble': 'Speech bubble',
+  'resultEditor.sticker': 'Sticker',
+  'resultEditor.font': 'Font',
+  'resultEditor.size': 'Size',
+  'resultEditor.colour': 'Colour',
+  'resultEditor.remove': 'Remove',
+  'resultEditor.hint': 'Click a caption, bubble or sticker in the preview to change it; drag to move it.',
+  'resultEditor.rendering': 'Rendering...',
+  'resultEditor.defaultCaption': 'Your caption',
+  'resultEditor.defaultBubble': 'Hello!',
+  'resultEditor.openFailed': 'Could not open the image for editing. {reason}',
+  'resultEditor.previewFailed': 'Could not render the preview. {reason}',
+  'resultEditor.renderFailed': 'Could not render the edited image. {reason}',
+  'fonts.impact': 'Impact',
+  'fonts.comic': 'Comic',
+  'fonts.sans': 'Sans',
+  'fonts.serif': 'Serif',
+  'fonts.hand': 'Handwriting',
+  'fonts.mono': 'Typewriter',
+  'frames.none': 'None',
+  'frames.border': 'Border',
+  'frames.polaroid': 'Polaroid',
+  'frames.rounded': 'Rounded',
+  'frames.comic': 'Comic panel',
+
+  // Export dialog
+  'export.title': 'Export Image',
+  'export.close': 'Close export dialog',
+  'export.format': 'Format',
+  'export.quality': 'Quality ({percent}%)',
+  'export.qualityLossless': 'Quality (lossless)',
+  'export.size': 'Size',
+  'export.sizeOriginal': 'Original size',
+  'export.size2x': 'Double (2x)',
+  'export.sizeSquare': 'Square post (1080x1080)',
+  'export.sizePortrait': 'Portrait post (1080x1350)',
+  'export.sizeStory': 'Story (1080x1920)',
+  'export.fit': 'Fit',
+  'export.fitCover': 'Crop to fill',
+  'export.fitContain': 'Fit inside (add borders)',
+  'export.stripExif': 'Remove metadata (EXIF)',
+  'export.fileName': 'File name',
+  'export.templateHelp': 'Use {placeholders}. Example:',
+  'export.exporting': 'Exporting...',
+  'export.export': 'Export',
+  'export.failed': 'Could not export the image. {reason}',
+  'export.unsupportedFormat': 'This browser cannot save {format} images.',
+
+  // Camera
+  'camera.title': 'Take a Photo',
+  'camera.tryAgain': 'Try Again',
+  'camera.preview': 'Camera preview',
+  'camera.countdown': 'Countdown:',
+  'camera.countdownOff': 'Off',
+  'camera.countdownSeconds': '{seconds}s',
+  'camera.back': 'Back camera',
+  'camera.front': 'Front camera',
+  'camera.stopCountdown': 'Stop Countdown',
+  'camera.capture': 'Capture',
+
+  // Backend settings
+  'backendSettings.title': 'Backend',
+  'backendSettings.sendTo': 'Send images to',
+  'backendSettings.onlyOne': 'List more backends in config.json to switch between them here.',
+  'backendSettings.status': 'Status:',
+  'backendSettings.healthCheck': 'Health check: {url}',
+  'backendSettings.checkNow': 'Check now',
+
+  // Sign-in dialog
+  'signIn.title': 'Sign in',
+  'signIn.intro': 'The backend "{backend}" needs you to sign in before it cartoonizes images.',
+  'signIn.apiKey': 'API key',
+  'signIn.username': 'Username',
+  'signIn.password': 'Password',
+  'signIn.submitting': 'Signing in...',
+  'signIn.submit': 'Sign in',
+
+  // File sizes
+  'bytes.megabytes': '{size} MB',
+  'bytes.kilobytes': '{size} KB',
+
+  // Image validation
+  'validation.unnamedFile': 'The file',
+  'validation.empty': '"{name}" is empty.',
+  'validation.content': '"{name}" is not an image, or not in a format this app can read. Supported formats: {formats}.',
+  'validation.format': '"{name}" is a {format} image. Supported formats: {formats}.',
+  'validation.size': '"{name}" is {size}; the maximum is {max}.',
+  'validation.decode': '"{name}" could not be read. The file may be damaged.',
+  'validation.tooSmall': '"{name}" is only {width}x{height} pixels; images must be at least {min} pixels on each side.',
+  'validation.tooLarge': '"{name}" is {width}x{height} pixels; the maximum is {max} pixels on the longest side.',
+  'validation.invalidType': '"{name}" is not a supported image. Supported formats: {formats}.',
+  'validation.rejected': '"{name}" was rejected. {reason}',
+
+  // Import from a URL
+  'import.invalidUrl': 'Please enter a valid image URL.',
+  'import.protocol': 'Only http:// and https:// image URLs are supported.',
+  'import.unreachable': 'Could not download the image. The site may not allow other websites to load its images (CORS), or it is unreachable. Try saving the image and dropping it here instead.',
+  'import.httpError': 'Could not download the image: the server responded with {status}.',
+  'import.notImage': 'That URL does not point to an image.',
+  'import.notImageType': 'That URL does not point to an image (it returned {type}).',
+  'import.tooBig': 'The image is {size}; the maximum is {max}.',
+  'import.label': 'Image URL',
+  'import.placeholder': '...or paste an image URL',
+  'import.importing': 'Importing...',
+  'import.submit': 'Import',
+
+  // Camera errors
+  'camera.unsupported': 'This browser does not support camera access.',
+  'camera.denied': 'Camera access was denied. Allow camera access in your browser settings and try again.',
+  'camera.notFound': 'No camera was found on this device.',
+  'camera.inUse': 'The camera is in use by another application or could not be started.',
+  'camera.failed': 'The camera could not be started. {reason}',
+  'camera.noFrame': 'The camera has not produced a picture yet.',
+  'camera.encodeFailed': 'The photo could not be encoded.',
+
+  // Style settings validation
+  'params.notNumber': '{label} must be a number.',
+  'params.min': '{label} must be at least {min}.',
+  'params.max': '{label} must be at most {max}.',
+  'params.whole': '{label} must be a whole number.',
+  'params.oneOf': '{label} must be one of: {options}.',
+  'params.boolean': '{label} must be on or off.',
+
+  // History errors
+  'history.saveFailed': 'Could not save the result to your history. {reason}',
+  'history.deleteFailed': 'Could not delete the history entry. {reason}',
+  'history.clearFailed': 'Could not clear the history. {reason}',
+  'history.tooLarge': 'The result is larger than the history storage limit.',
+
+  // Sign-in errors
+  'auth.signInRequired': 'Please sign in to use this backend.',
+  'auth.apiKeyRejected': 'The backend rejected your API key.',
+  'auth.sessionExpired': 'Your session has expired. Please sign in again.',
+  'auth.invalidCredentials': 'Incorrect username or password.',
+
+  // Backend health details
+  'health.deviceOffline': 'This device is offline.',
+  'health.reported': 'The backend reports "{status}".',
+  'health.slow': 'The backend is responding slowly.',
+
+  // Image processing in the browser
+  'imageError.decode': 'The image could not be decoded.',
+  'imageError.encode': 'The image could not be encoded.',
+  'imageError.noCanvas': 'Canvas is not supported in this browser.',
+
+  // On-device engine
+  'local.unsupported': 'This browser cannot cartoonize images on the device.',
+  'local.serverOnly': 'The "{style}" style is only available on the server.',
+  'local.crashed': 'The on-device cartoonizer stopped unexpectedly.',
+  'local.failed': 'The on-device cartoonizer could not process the image. {reason}',
+};
+
+export default en;
@@ -0,0 +1,45 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker built by react-scripts (Workbox InjectManifest). It precaches the app shell so
+// the app opens without a network connection. Backend requests are never cached here; requests
+// made while the backend is unreachable are queued by the app itself (see useOutbox).
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate, CacheFirst } from 'workbox-strategies';
+
+clientsClaim();
+
+// Build output (JS, CSS, index.html) injected at build time
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for navigations so the app shell loads offline
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// The Tailwind runtime is loaded from a CDN by index.html
+registerRoute(
+  ({ url }) => url.origin === 'https://cdn.tailwindcss.com',
+  new StaleWhileRevalidate({ cacheName: 'tailwind-cdn' })
+);
+
+// Icons and other static images from public/
+registerRoute(
+  ({ url, request }) => url.origin === self.location.origin && request.destination === 'image',
+  new CacheFirst({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Lets the page activate a waiting update immediately
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
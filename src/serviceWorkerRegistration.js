@@ -0,0 +1,40 @@
+// Registers the service worker built from src/service-worker.js. It is only registered in
+// production builds; in development it would serve stale bundles.
+
+// onUpdate(registration) is called when a new version has been installed and is waiting;
+// onSuccess(registration) when the app has been cached for offline use for the first time.
+export const register = ({ onUpdate, onSuccess } = {}) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The service worker won't work if PUBLIC_URL is on a different origin (e.g. a CDN)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    navigator.serviceWorker
+      .register(swUrl)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state !== 'installed') return;
+            if (navigator.serviceWorker.controller) {
+              if (onUpdate) onUpdate(registration);
+            } else if (onSuccess) {
+              onSuccess(registration);
+            }
+          };
+        };
+      })
+      .catch((err) => console.error("Error registering service worker:", err));
+  });
+};
+
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((err) => console.error("Error unregistering service worker:", err));
+};
@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Accessibility checks: expect(await axe(container)).toHaveNoViolations()
+import { toHaveNoViolations } from 'jest-axe';
+
+expect.extend(toHaveNoViolations);
@@ -0,0 +1,67 @@
+// Accessibility preferences, kept in localStorage:
+//   reducedMotion  turns off animations, transitions and hover zoom. null follows the system's
+//                  prefers-reduced-motion setting.
+//   shortcuts      single-key shortcuts (G, D, R, ?). They can be turned off because a single key
+//                  is easy to press by accident, for example with speech input.
+
+const STORAGE_KEY = 'ai-cartoonizer:accessibility';
+const DEFAULT_PREFERENCES = { reducedMotion: null, shortcuts: true };
+
+// The class on <html> that the reduced-motion styles in App hang off
+export const REDUCED_MOTION_CLASS = 'reduce-motion';
+
+const motionQuery = typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+  ? window.matchMedia('(prefers-reduced-motion: reduce)')
+  : null;
+
+const readSaved = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' ? { ...DEFAULT_PREFERENCES, ...saved } : DEFAULT_PREFERENCES;
+  } catch (err) {
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+let preferences = readSaved();
+const listeners = new Set();
+
+export const getPreferences = () => preferences;
+
+// Whether motion should be reduced, resolving "follow the system"
+export const isReducedMotion = (prefs = preferences) => (
+  prefs.reducedMotion === null ? Boolean(motionQuery && motionQuery.matches) : prefs.reducedMotion
+);
+
+export const applyMotionPreference = () => {
+  document.documentElement.classList.toggle(REDUCED_MOTION_CLASS, isReducedMotion());
+};
+
+const notify = () => {
+  applyMotionPreference();
+  listeners.forEach((listener) => listener());
+};
+
+export const setPreference = (name, value) => {
+  if (!(name in DEFAULT_PREFERENCES) || preferences[name] === value) return;
+  preferences = { ...preferences, [name]: value };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch (err) {
+    console.error("Error saving accessibility preferences:", err);
+  }
+  notify();
+};
+
+// Calls listener whenever a preference (or the system motion setting it follows) changes;
+// returns an unsubscribe function
+export const subscribeToPreferences = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+if (motionQuery && typeof motionQuery.addEventListener === 'function') {
+  motionQuery.addEventListener('change', () => {
+    if (preferences.reducedMotion === null) notify();
+  });
+}
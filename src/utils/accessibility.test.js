@@ -0,0 +1,31 @@
+import { getPreferences, isReducedMotion, setPreference, subscribeToPreferences, REDUCED_MOTION_CLASS } from './accessibility';
+
+afterEach(() => {
+  setPreference('reducedMotion', null);
+  setPreference('shortcuts', true);
+  localStorage.clear();
+});
+
+test('follows the system motion setting until one is chosen', () => {
+  expect(getPreferences().reducedMotion).toBeNull();
+  expect(isReducedMotion()).toBe(false); // jsdom has no matchMedia
+  expect(isReducedMotion({ reducedMotion: true })).toBe(true);
+});
+
+test('saves a preference, applies reduced motion to <html> and notifies subscribers', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeToPreferences(listener);
+
+  setPreference('reducedMotion', true);
+  expect(isReducedMotion()).toBe(true);
+  expect(document.documentElement).toHaveClass(REDUCED_MOTION_CLASS);
+  expect(JSON.parse(localStorage.getItem('ai-cartoonizer:accessibility'))).toEqual({ reducedMotion: true, shortcuts: true });
+
+  setPreference('reducedMotion', false);
+  expect(document.documentElement).not.toHaveClass(REDUCED_MOTION_CLASS);
+  expect(listener).toHaveBeenCalledTimes(2);
+
+  setPreference('unknown', true); // Unknown preferences are ignored
+  expect(listener).toHaveBeenCalledTimes(2);
+  unsubscribe();
+});
@@ -0,0 +1,64 @@
+import { t } from './i18n';
+
+// Helpers for capturing photos from a camera stream
+
+export const isCameraSupported = () => Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+
+// Constraints for the front ('user') or back ('environment') camera
+export const cameraConstraints = (facingMode) => ({
+  audio: false,
+  video: { facingMode: { ideal: facingMode }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+});
+
+// User-facing explanation of a getUserMedia failure
+export const describeCameraError = (err) => {
+  switch (err && err.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return t('camera.denied');
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return t('camera.notFound');
+    case 'NotReadableError':
+    case 'AbortError':
+      return t('camera.inUse');
+    default:
+      return t('camera.failed', { reason: (err && err.message) || '' }).trim();
+  }
+};
+
+export const stopStream = (stream) => {
+  if (stream) stream.getTracks().forEach((track) => track.stop());
+};
+
+// Number of cameras the browser reports (labels need permission, the count does not)
+export const countCameras = async () => {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return 0;
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === 'videoinput').length;
+  } catch (err) {
+    return 0;
+  }
+};
+
+// Grabs the current video frame as a JPEG File. The frame is saved unmirrored, even though the
+// front camera preview is shown mirrored.
+export const captureFrame = (video, quality = 0.92) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  const ctx = canvas.getContext('2d');
+  if (!ctx || !canvas.width || !canvas.height) return Promise.reject(new Error(t('camera.noFrame')));
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error(t('camera.encodeFailed')));
+        return;
+      }
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      resolve(new File([blob], `camera-${stamp}.jpg`, { type: 'image/jpeg', lastModified: Date.now() }));
+    }, 'image/jpeg', quality);
+  });
+};
@@ -0,0 +1,242 @@
+// Pixel filters behind the on-device engine, approximating the backend's styles. They work on
+// ImageData-like objects ({ data: Uint8ClampedArray (RGBA), width, height }) and never touch the
+// DOM, so they run in a Web Worker and in tests alike. Each returns a new image.
+
+const createImage = (width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width, height });
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Rec. 601 luma of every pixel
+export const toGrayscale = ({ data, width, height }) => {
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+};
+
+// Edge-preserving smoothing: neighbours are weighted by distance and by how close their colour is,
+// so flat areas blur while outlines stay sharp
+export const bilateralFilter = (image, { radius = 3, sigmaSpace = 3, sigmaColor = 30 } = {}) => {
+  const { data, width, height } = image;
+  const output = createImage(width, height);
+
+  const spatial = [];
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      spatial.push({ dx, dy, weight: Math.exp(-(dx * dx + dy * dy) / (2 * sigmaSpace * sigmaSpace)) });
+    }
+  }
+  // Weight by mean absolute channel difference (0-255), precomputed
+  const range = new Float32Array(256);
+  for (let d = 0; d < 256; d++) range[d] = Math.exp(-(d * d) / (2 * sigmaColor * sigmaColor));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const center = (y * width + x) * 4;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let total = 0;
+      for (const { dx, dy, weight } of spatial) {
+        const nx = clamp(x + dx, 0, width - 1);
+        const ny = clamp(y + dy, 0, height - 1);
+        const i = (ny * width + nx) * 4;
+        const diff = (Math.abs(data[i] - data[center]) + Math.abs(data[i + 1] - data[center + 1]) + Math.abs(data[i + 2] - data[center + 2])) / 3;
+        const w = weight * range[Math.round(diff)];
+        r += data[i] * w;
+        g += data[i + 1] * w;
+        b += data[i + 2] * w;
+        total += w;
+      }
+      output.data[center] = r / total;
+      output.data[center + 1] = g / total;
+      output.data[center + 2] = b / total;
+      output.data[center + 3] = data[center + 3];
+    }
+  }
+  return output;
+};
+
+// Sobel gradient magnitude of the luma, one value per pixel
+export const edgeMagnitude = (image) => {
+  const { width, height } = image;
+  const gray = toGrayscale(image);
+  const magnitude = new Float32Array(width * height);
+  const at = (x, y) => gray[clamp(y, 0, height - 1) * width + clamp(x, 0, width - 1)];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+      const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+      magnitude[y * width + x] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+  return magnitude;
+};
+
+// Spreads each marked pixel of a 0/1 mask over a square of the given radius
+const dilate = (mask, width, height, radius) => {
+  if (radius <= 0) return mask;
+  const output = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      for (let ny = Math.max(0, y - radius); ny <= Math.min(height - 1, y + radius); ny++) {
+        for (let nx = Math.max(0, x - radius); nx <= Math.min(width - 1, x + radius); nx++) {
+          output[ny * width + nx] = 1;
+        }
+      }
+    }
+  }
+  return output;
+};
+
+// Outline mask (1 = edge) where the gradient exceeds threshold, thickened by dilation
+export const detectEdges = (image, { threshold = 60, thickness = 1 } = {}) => {
+  const magnitude = edgeMagnitude(image);
+  const mask = new Uint8Array(magnitude.length);
+  for (let i = 0; i < mask.length; i++) mask[i] = magnitude[i] > threshold ? 1 : 0;
+  return dilate(mask, image.width, image.height, Math.floor((thickness - 1) / 2));
+};
+
+// Posterizes each channel to the given number of evenly spaced levels
+export const quantizeColors = (image, levels = 8) => {
+  const { data, width, height } = image;
+  const output = createImage(width, height);
+  const step = 255 / (Math.max(2, levels) - 1);
+  for (let i = 0; i < data.length; i += 4) {
+    output.data[i] = Math.round(data[i] / step) * step;
+    output.data[i + 1] = Math.round(data[i + 1] / step) * step;
+    output.data[i + 2] = Math.round(data[i + 2] / step) * step;
+    output.data[i + 3] = data[i + 3];
+  }
+  return output;
+};
+
+// Kuwahara filter: each pixel takes the mean colour of the least varied of the four
+// (radius + 1)-sized quadrants around it, which flattens texture into brush-like patches.
+// Summed-area tables keep it linear in the number of pixels whatever the radius.
+export const kuwaharaFilter = (image, radius = 5) => {
+  const { data, width, height } = image;
+  const output = createImage(width, height);
+  const stride = width + 1;
+  const sums = [new Float64Array(stride * (height + 1)), new Float64Array(stride * (height + 1)), new Float64Array(stride * (height + 1))];
+  const lumaSum = new Float64Array(stride * (height + 1));
+  const lumaSquares = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const cell = (y + 1) * stride + x + 1;
+      const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      const add = (table, value) => {
+        table[cell] = value + table[cell - 1] + table[cell - stride] - table[cell - stride - 1];
+      };
+      add(sums[0], data[i]);
+      add(sums[1], data[i + 1]);
+      add(sums[2], data[i + 2]);
+      add(lumaSum, luma);
+      add(lumaSquares, luma * luma);
+    }
+  }
+
+  // Sum of a table over the inclusive rectangle x0..x1, y0..y1
+  const area = (table, x0, y0, x1, y1) => table[(y1 + 1) * stride + x1 + 1] - table[y0 * stride + x1 + 1] - table[(y1 + 1) * stride + x0] + table[y0 * stride + x0];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let best = null;
+      let bestVariance = Infinity;
+      const quadrants = [
+        [x - radius, y - radius, x, y],
+        [x, y - radius, x + radius, y],
+        [x - radius, y, x, y + radius],
+        [x, y, x + radius, y + radius],
+      ];
+      for (const [qx0, qy0, qx1, qy1] of quadrants) {
+        const x0 = Math.max(0, qx0);
+        const y0 = Math.max(0, qy0);
+        const x1 = Math.min(width - 1, qx1);
+        const y1 = Math.min(height - 1, qy1);
+        const count = (x1 - x0 + 1) * (y1 - y0 + 1);
+        const mean = area(lumaSum, x0, y0, x1, y1) / count;
+        const variance = area(lumaSquares, x0, y0, x1, y1) / count - mean * mean;
+        if (variance < bestVariance) {
+          bestVariance = variance;
+          best = [x0, y0, x1, y1, count];
+        }
+      }
+      const [x0, y0, x1, y1, count] = best;
+      const o = (y * width + x) * 4;
+      output.data[o] = area(sums[0], x0, y0, x1, y1) / count;
+      output.data[o + 1] = area(sums[1], x0, y0, x1, y1) / count;
+      output.data[o + 2] = area(sums[2], x0, y0, x1, y1) / count;
+      output.data[o + 3] = data[o + 3];
+    }
+  }
+  return output;
+};
+
+// Paints the masked pixels in a solid colour
+const drawMask = (image, mask, [r, g, b]) => {
+  for (let p = 0; p < mask.length; p++) {
+    if (!mask[p]) continue;
+    image.data[p * 4] = r;
+    image.data[p * 4 + 1] = g;
+    image.data[p * 4 + 2] = b;
+  }
+  return image;
+};
+
+const numberParam = (params, name, fallback) => {
+  const value = Number(params[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Style recipes. onProgress receives { stage, progress } between steps.
+const STYLES = {
+  // Flat colours with clean cartoon outlines
+  whitebox: (image, params, onProgress) => {
+    onProgress({ stage: 'smoothing', progress: 0 });
+    const smooth = bilateralFilter(bilateralFilter(image), { radius: 3 });
+    onProgress({ stage: 'detecting edges', progress: 0.5 });
+    const edges = detectEdges(smooth, { threshold: 70 });
+    onProgress({ stage: 'reducing colours', progress: 0.75 });
+    return drawMask(quantizeColors(smooth, numberParam(params, 'color_levels', 8)), edges, [20, 20, 20]);
+  },
+  // Pencil-style line drawing
+  sketch: (image, params, onProgress) => {
+    onProgress({ stage: 'smoothing', progress: 0 });
+    const smooth = bilateralFilter(image, { radius: 2 });
+    onProgress({ stage: 'detecting edges', progress: 0.4 });
+    const magnitude = edgeMagnitude(smooth);
+    const lines = detectEdges(smooth, { threshold: 90, thickness: numberParam(params, 'edge_thickness', 3) });
+    const gray = toGrayscale(smooth);
+    const output = createImage(image.width, image.height);
+    onProgress({ stage: 'shading', progress: 0.8 });
+    for (let p = 0; p < gray.length; p++) {
+      // Paper white, soft graphite shading along gradients and solid strokes on the outlines
+      const shade = lines[p] ? 40 : 255 - Math.min(120, magnitude[p] * 0.6) - (255 - gray[p]) * 0.15;
+      output.data[p * 4] = shade;
+      output.data[p * 4 + 1] = shade;
+      output.data[p * 4 + 2] = shade;
+      output.data[p * 4 + 3] = image.data[p * 4 + 3];
+    }
+    return output;
+  },
+  // Painterly brush strokes
+  oilpaint: (image, params, onProgress) => {
+    onProgress({ stage: 'painting', progress: 0 });
+    return kuwaharaFilter(image, clamp(Math.round(numberParam(params, 'brush_size', 5)), 1, 15));
+  },
+};
+
+export const LOCAL_STYLES = Object.keys(STYLES);
+
+// Runs one of the style recipes; params are the serialized style parameters (strings are fine)
+export const applyStyle = (image, style, params = {}, onProgress = () => {}) => {
+  if (!STYLES[style]) throw new Error(`The "${style}" style is not available on this device.`);
+  const output = STYLES[style](image, params, onProgress);
+  onProgress({ stage: 'done', progress: 1 });
+  return output;
+};
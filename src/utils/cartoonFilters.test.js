@@ -0,0 +1,69 @@
+import { bilateralFilter, detectEdges, quantizeColors, kuwaharaFilter, applyStyle, LOCAL_STYLES } from './cartoonFilters';
+
+// width x height image whose pixels come from colorAt(x, y) -> [r, g, b]
+const makeImage = (width, height, colorAt) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = colorAt(x, y);
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+};
+
+const pixel = (image, x, y) => Array.from(image.data.slice((y * image.width + x) * 4, (y * image.width + x) * 4 + 4));
+
+// Black left half, white right half
+const step = () => makeImage(8, 8, (x) => (x < 4 ? [0, 0, 0] : [255, 255, 255]));
+
+test('quantizes each channel to evenly spaced levels', () => {
+  const image = makeImage(2, 1, (x) => (x === 0 ? [100, 30, 200] : [250, 128, 0]));
+
+  const output = quantizeColors(image, 3);
+
+  expect(pixel(output, 0, 0)).toEqual([128, 0, 255, 255]);
+  expect(pixel(output, 1, 0)).toEqual([255, 128, 0, 255]);
+});
+
+test('finds edges only where the brightness changes', () => {
+  const edges = detectEdges(step());
+
+  expect(edges[3 * 8 + 3]).toBe(1);
+  expect(edges[3 * 8 + 4]).toBe(1);
+  expect(edges[3 * 8 + 0]).toBe(0);
+  expect(edges[3 * 8 + 7]).toBe(0);
+  expect(detectEdges(step(), { thickness: 5 })[3 * 8 + 1]).toBe(1);
+});
+
+test('bilateral smoothing blurs noise but keeps a hard edge', () => {
+  const noisy = makeImage(8, 8, (x, y) => (x < 4 ? [(x + y) % 2 ? 10 : 30, 20, 20] : [255, 255, 255]));
+
+  const output = bilateralFilter(noisy, { radius: 2 });
+
+  expect(Math.abs(pixel(output, 1, 1)[0] - 20)).toBeLessThan(5);
+  expect(pixel(output, 3, 3)[0]).toBeLessThan(40);
+  expect(pixel(output, 4, 3)[0]).toBeGreaterThan(240);
+});
+
+test('the Kuwahara filter flattens texture without crossing edges', () => {
+  const textured = makeImage(9, 9, (x, y) => (x < 5 ? [(x * 7 + y * 3) % 20 + 100, 100, 100] : [0, 0, 200]));
+
+  const output = kuwaharaFilter(textured, 2);
+
+  expect(pixel(output, 6, 4)).toEqual([0, 0, 200, 255]);
+  expect(pixel(output, 4, 4)[2]).toBe(100); // The brown side stays brown next to the blue one
+});
+
+test('every built-in style produces an image of the same size and reports progress', () => {
+  const image = makeImage(12, 10, (x, y) => [x * 20, y * 20, 128]);
+
+  LOCAL_STYLES.forEach((style) => {
+    const onProgress = jest.fn();
+    const output = applyStyle(image, style, {}, onProgress);
+    expect([output.width, output.height, output.data.length]).toEqual([12, 10, 12 * 10 * 4]);
+    expect(onProgress).toHaveBeenLastCalledWith({ stage: 'done', progress: 1 });
+  });
+  expect(LOCAL_STYLES).toEqual(['whitebox', 'sketch', 'oilpaint']);
+  expect(() => applyStyle(image, 'anime')).toThrow('The "anime" style is not available on this device.');
+});
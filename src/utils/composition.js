@@ -0,0 +1,313 @@
+import { createCanvas, canvasToBlob } from './imagePreprocess';
+import { LocalizedError } from '../api/errors';
+
+// Non-destructive edits on a result: the cartoonized image is kept as it came back and an edit
+// document describes what goes on top, so the editor can be reopened and changed later:
+//   { adjustments: { brightness, contrast, saturation }, frame, layers: [...] }
+// Adjustments are percentages (100 = unchanged, same maths as the CSS filters). Layers are drawn in
+// order over the image:
+//   { id, type: 'caption', text, font, size, color, x, y }
+//   { id, type: 'bubble', text, font, size, x, y, tailX, tailY }   speech bubble pointing at the tail
+//   { id, type: 'sticker', emoji, size, x, y }
+// Positions are fractions of the image and sizes fractions of its width, so the preview and the
+// full-size export match.
+
+// System font stacks, so nothing has to be downloaded before rendering. Labels are message ids.
+export const FONTS = [
+  { id: 'impact', label: 'fonts.impact', stack: "Impact, 'Arial Black', sans-serif" },
+  { id: 'comic', label: 'fonts.comic', stack: "'Comic Sans MS', 'Comic Neue', 'Chalkboard SE', cursive" },
+  { id: 'sans', label: 'fonts.sans', stack: "'Helvetica Neue', Arial, sans-serif" },
+  { id: 'serif', label: 'fonts.serif', stack: "Georgia, 'Times New Roman', serif" },
+  { id: 'hand', label: 'fonts.hand', stack: "'Segoe Print', 'Bradley Hand', 'Marker Felt', cursive" },
+  { id: 'mono', label: 'fonts.mono', stack: "'Courier New', Courier, monospace" },
+];
+
+export const STICKERS = ['⭐', '💥', '❤️', '😎', '🔥', '✨', '👍', '🎉', '💡', '😂'];
+
+export const FRAMES = [
+  { id: 'none', label: 'frames.none' },
+  { id: 'border', label: 'frames.border' },
+  { id: 'polaroid', label: 'frames.polaroid' },
+  { id: 'rounded', label: 'frames.rounded' },
+  { id: 'comic', label: 'frames.comic' },
+];
+
+export const DEFAULT_ADJUSTMENTS = { brightness: 100, contrast: 100, saturation: 100 };
+
+export const EMPTY_EDITS = { adjustments: DEFAULT_ADJUSTMENTS, frame: 'none', layers: [] };
+
+const EMOJI_STACK = "'Apple Color Emoji', 'Segoe UI Emoji', 'Noto Color Emoji', sans-serif";
+
+const LAYER_DEFAULTS = {
+  caption: { text: 'Your caption', font: 'impact', size: 0.08, color: '#ffffff', x: 0.5, y: 0.88 },
+  bubble: { text: 'Hello!', font: 'comic', size: 0.05, x: 0.7, y: 0.2, tailX: 0.55, tailY: 0.42 },
+  sticker: { emoji: STICKERS[0], size: 0.15, x: 0.5, y: 0.5 },
+};
+
+let nextLayerId = 0;
+
+export const createLayer = (type, overrides = {}) => ({
+  id: `layer-${Date.now()}-${nextLayerId++}`,
+  type,
+  ...LAYER_DEFAULTS[type],
+  ...overrides,
+});
+
+export const isDefaultAdjustments = (adjustments) => Object.keys(DEFAULT_ADJUSTMENTS).every((name) => adjustments[name] === DEFAULT_ADJUSTMENTS[name]);
+
+// Whether the document changes anything
+export const hasEdits = (edits) => Boolean(edits) && (!isDefaultAdjustments(edits.adjustments) || edits.frame !== 'none' || edits.layers.length > 0);
+
+const fontStack = (id) => (FONTS.find((font) => font.id === id) || FONTS[0]).stack;
+
+// Brightness, then contrast around mid-grey, then saturation, like the CSS filter chain.
+// Works on ImageData-like objects and returns new pixels.
+export const applyAdjustments = ({ data, width, height }, { brightness, contrast, saturation }) => {
+  const output = new Uint8ClampedArray(data.length);
+  const b = brightness / 100;
+  const c = contrast / 100;
+  const s = saturation / 100;
+  for (let i = 0; i < data.length; i += 4) {
+    let r = (data[i] * b - 127.5) * c + 127.5;
+    let g = (data[i + 1] * b - 127.5) * c + 127.5;
+    let bl = (data[i + 2] * b - 127.5) * c + 127.5;
+    const gray = 0.2126 * r + 0.7152 * g + 0.0722 * bl;
+    r = gray + (r - gray) * s;
+    g = gray + (g - gray) * s;
+    bl = gray + (bl - gray) * s;
+    output[i] = r;
+    output[i + 1] = g;
+    output[i + 2] = bl;
+    output[i + 3] = data[i + 3];
+  }
+  return { data: output, width, height };
+};
+
+// Canvas size for a frame and where the image sits on it
+export const frameLayout = (frame, width, height) => {
+  if (frame === 'border') {
+    const pad = Math.round(Math.max(width, height) * 0.04);
+    return { width: width + pad * 2, height: height + pad * 2, image: { x: pad, y: pad, width, height } };
+  }
+  if (frame === 'polaroid') {
+    const side = Math.round(width * 0.05);
+    const bottom = Math.round(width * 0.18);
+    return { width: width + side * 2, height: height + side + bottom, image: { x: side, y: side, width, height } };
+  }
+  return { width, height, image: { x: 0, y: 0, width, height } };
+};
+
+// Greedy word wrap; explicit line breaks are kept
+export const wrapText = (ctx, text, maxWidth) => {
+  const lines = [];
+  text.split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// Topmost layer under a point, as { id, part } where part is 'tail' for a bubble's tail handle.
+// bounds come from renderEdits.
+export const layerAt = (layers, bounds, x, y) => {
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const box = bounds[layers[i].id];
+    if (!box) continue;
+    if (box.tail && Math.hypot(x - box.tail.x, y - box.tail.y) <= box.tail.radius) return { id: layers[i].id, part: 'tail' };
+    if (x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height) return { id: layers[i].id, part: 'body' };
+  }
+  return null;
+};
+
+const roundedRect = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+};
+
+// Outlined meme-style text; returns its box
+const drawCaption = (ctx, layer, image) => {
+  const px = layer.size * image.width;
+  const cx = image.x + layer.x * image.width;
+  const cy = image.y + layer.y * image.height;
+  ctx.font = `bold ${px}px ${fontStack(layer.font)}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = Math.max(2, px * 0.12);
+  ctx.strokeStyle = '#000';
+  ctx.fillStyle = layer.color;
+  const lines = layer.text.split('\n');
+  const lineHeight = px * 1.15;
+  const top = cy - ((lines.length - 1) * lineHeight) / 2;
+  let widest = 0;
+  lines.forEach((line, index) => {
+    ctx.strokeText(line, cx, top + index * lineHeight);
+    ctx.fillText(line, cx, top + index * lineHeight);
+    widest = Math.max(widest, ctx.measureText(line).width);
+  });
+  const height = lines.length * lineHeight;
+  return { x: cx - widest / 2, y: cy - height / 2, width: widest, height };
+};
+
+// White speech bubble with a tail pointing at (tailX, tailY); returns its box and tail handle
+const drawBubble = (ctx, layer, image) => {
+  const px = layer.size * image.width;
+  const cx = image.x + layer.x * image.width;
+  const cy = image.y + layer.y * image.height;
+  const tx = image.x + layer.tailX * image.width;
+  const ty = image.y + layer.tailY * image.height;
+  ctx.font = `${px}px ${fontStack(layer.font)}`;
+  const lines = wrapText(ctx, layer.text, image.width * 0.4);
+  const lineHeight = px * 1.2;
+  const textWidth = Math.max(px, ...lines.map((line) => ctx.measureText(line).width));
+  // An ellipse around the text block, with some breathing room
+  const rx = textWidth * 0.62 + px;
+  const ry = (lines.length * lineHeight) * 0.62 + px * 0.6;
+
+  const tail = () => {
+    ctx.beginPath();
+    ctx.moveTo(cx - rx * 0.25, cy);
+    ctx.lineTo(tx, ty);
+    ctx.lineTo(cx + rx * 0.25, cy);
+    ctx.closePath();
+  };
+  const body = () => {
+    ctx.beginPath();
+    ctx.ellipse(cx, cy, rx, ry, 0, 0, Math.PI * 2);
+  };
+
+  // Stroke both shapes, then fill both: the fills hide the outline where the tail joins the body
+  ctx.lineWidth = Math.max(2, px * 0.12);
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = '#000';
+  ctx.fillStyle = '#fff';
+  tail();
+  ctx.stroke();
+  body();
+  ctx.stroke();
+  tail();
+  ctx.fill();
+  body();
+  ctx.fill();
+
+  ctx.fillStyle = '#000';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const top = cy - ((lines.length - 1) * lineHeight) / 2;
+  lines.forEach((line, index) => ctx.fillText(line, cx, top + index * lineHeight));
+
+  return { x: cx - rx, y: cy - ry, width: rx * 2, height: ry * 2, tail: { x: tx, y: ty, radius: Math.max(8, px * 0.5) } };
+};
+
+const drawSticker = (ctx, layer, image) => {
+  const px = layer.size * image.width;
+  const cx = image.x + layer.x * image.width;
+  const cy = image.y + layer.y * image.height;
+  ctx.font = `${px}px ${EMOJI_STACK}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(layer.emoji, cx, cy);
+  return { x: cx - px / 2, y: cy - px / 2, width: px, height: px };
+};
+
+const LAYER_RENDERERS = { caption: drawCaption, bubble: drawBubble, sticker: drawSticker };
+
+const context = (canvas) => {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new LocalizedError('imageError.noCanvas');
+  return ctx;
+};
+
+// The result scaled by `scale` with the adjustments applied. Kept apart from renderEdits so the
+// editor only recomputes pixels when a slider moves, not while a caption is dragged.
+export const renderBase = (image, adjustments, scale = 1) => {
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const canvas = createCanvas(width, height);
+  const ctx = context(canvas);
+  ctx.drawImage(image, 0, 0, width, height);
+  if (!isDefaultAdjustments(adjustments)) {
+    const adjusted = applyAdjustments(ctx.getImageData(0, 0, width, height), adjustments);
+    ctx.putImageData(new ImageData(adjusted.data, width, height), 0, 0);
+  }
+  return canvas;
+};
+
+// Composites the frame and layers over a base from renderBase. Returns { canvas, image, bounds }:
+// image is where the base sits on the canvas and bounds maps layer ids to their boxes, for
+// hit-testing. selectedId outlines that layer (preview only).
+export const renderEdits = (base, { frame, layers }, { selectedId = null } = {}) => {
+  const layout = frameLayout(frame, base.width, base.height);
+  const { image } = layout;
+  const canvas = createCanvas(layout.width, layout.height);
+  const ctx = context(canvas);
+
+  if (frame === 'border' || frame === 'polaroid') {
+    ctx.fillStyle = frame === 'polaroid' ? '#fafaf7' : '#fff';
+    ctx.fillRect(0, 0, layout.width, layout.height);
+  }
+  ctx.save();
+  if (frame === 'rounded') {
+    roundedRect(ctx, 0, 0, image.width, image.height, Math.min(image.width, image.height) * 0.08);
+    ctx.clip();
+  }
+  ctx.drawImage(base, image.x, image.y);
+  ctx.restore();
+  if (frame === 'comic') {
+    const line = Math.max(3, Math.round(Math.max(image.width, image.height) * 0.015));
+    ctx.lineWidth = line;
+    ctx.strokeStyle = '#000';
+    ctx.strokeRect(line / 2, line / 2, image.width - line, image.height - line);
+  }
+
+  const bounds = {};
+  layers.forEach((layer) => {
+    const render = LAYER_RENDERERS[layer.type];
+    if (!render) return;
+    ctx.save();
+    bounds[layer.id] = render(ctx, layer, image);
+    ctx.restore();
+  });
+
+  const selected = selectedId && bounds[selectedId];
+  if (selected) {
+    ctx.save();
+    ctx.setLineDash([6, 4]);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#3b82f6';
+    ctx.strokeRect(selected.x - 4, selected.y - 4, selected.width + 8, selected.height + 8);
+    if (selected.tail) {
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.arc(selected.tail.x, selected.tail.y, 6, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+  return { canvas, image, bounds };
+};
+
+// Renders the edits over the full-size result as a PNG, for download and export
+export const renderEditedImage = async (blob, edits) => {
+  const bitmap = await createImageBitmap(blob);
+  try {
+    const { canvas } = renderEdits(renderBase(bitmap, edits.adjustments), edits);
+    return canvasToBlob(canvas, 'image/png');
+  } finally {
+    bitmap.close();
+  }
+};
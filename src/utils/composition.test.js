@@ -0,0 +1,68 @@
+import { applyAdjustments, frameLayout, wrapText, layerAt, hasEdits, createLayer, EMPTY_EDITS, DEFAULT_ADJUSTMENTS } from './composition';
+
+const pixels = (...colors) => ({ data: new Uint8ClampedArray(colors.flatMap((color) => [...color, 255])), width: colors.length, height: 1 });
+
+// Every character is 10px wide
+const fixedWidthContext = { measureText: (text) => ({ width: text.length * 10 }) };
+
+test('leaves pixels unchanged at the default adjustments', () => {
+  const image = pixels([200, 100, 50], [0, 255, 128]);
+
+  expect(Array.from(applyAdjustments(image, DEFAULT_ADJUSTMENTS).data)).toEqual(Array.from(image.data));
+});
+
+test('adjusts brightness, contrast and saturation', () => {
+  const image = pixels([200, 100, 50]);
+
+  expect(Array.from(applyAdjustments(image, { ...DEFAULT_ADJUSTMENTS, brightness: 50 }).data)).toEqual([100, 50, 25, 255]);
+  expect(Array.from(applyAdjustments(image, { ...DEFAULT_ADJUSTMENTS, contrast: 0 }).data)).toEqual([128, 128, 128, 255]);
+  // No saturation leaves the luminance as grey
+  const [r, g, b] = applyAdjustments(image, { ...DEFAULT_ADJUSTMENTS, saturation: 0 }).data;
+  expect(r).toBe(g);
+  expect(g).toBe(b);
+  expect(r).toBe(Math.round(0.2126 * 200 + 0.7152 * 100 + 0.0722 * 50));
+});
+
+test('makes room for frames that add a border', () => {
+  expect(frameLayout('none', 400, 300)).toEqual({ width: 400, height: 300, image: { x: 0, y: 0, width: 400, height: 300 } });
+  expect(frameLayout('border', 400, 300)).toEqual({ width: 432, height: 332, image: { x: 16, y: 16, width: 400, height: 300 } });
+  // Polaroids have a deeper bottom edge for writing on
+  expect(frameLayout('polaroid', 400, 300)).toEqual({ width: 440, height: 392, image: { x: 20, y: 20, width: 400, height: 300 } });
+});
+
+test('wraps text to a width, keeping explicit line breaks', () => {
+  expect(wrapText(fixedWidthContext, 'Hello there general Kenobi', 120)).toEqual(['Hello there', 'general', 'Kenobi']);
+  expect(wrapText(fixedWidthContext, 'Hi\nthere', 1000)).toEqual(['Hi', 'there']);
+  // A word wider than the bubble still gets its own line
+  expect(wrapText(fixedWidthContext, 'Supercalifragilistic', 50)).toEqual(['Supercalifragilistic']);
+});
+
+test('hit-tests the topmost layer, preferring a bubble tail handle', () => {
+  const layers = [{ id: 'below' }, { id: 'above' }];
+  const bounds = {
+    below: { x: 0, y: 0, width: 100, height: 100, tail: { x: 150, y: 150, radius: 10 } },
+    above: { x: 50, y: 50, width: 100, height: 100 },
+  };
+
+  expect(layerAt(layers, bounds, 75, 75)).toEqual({ id: 'above', part: 'body' });
+  expect(layerAt(layers, bounds, 10, 10)).toEqual({ id: 'below', part: 'body' });
+  expect(layerAt(layers, bounds, 148, 152)).toEqual({ id: 'below', part: 'tail' });
+  expect(layerAt(layers, bounds, 300, 300)).toBeNull();
+});
+
+test('tells whether a document changes anything', () => {
+  expect(hasEdits(null)).toBe(false);
+  expect(hasEdits(EMPTY_EDITS)).toBe(false);
+  expect(hasEdits({ ...EMPTY_EDITS, adjustments: { ...DEFAULT_ADJUSTMENTS } })).toBe(false);
+  expect(hasEdits({ ...EMPTY_EDITS, adjustments: { ...DEFAULT_ADJUSTMENTS, contrast: 120 } })).toBe(true);
+  expect(hasEdits({ ...EMPTY_EDITS, frame: 'polaroid' })).toBe(true);
+  expect(hasEdits({ ...EMPTY_EDITS, layers: [createLayer('caption')] })).toBe(true);
+});
+
+test('creates layers with defaults and unique ids', () => {
+  const first = createLayer('sticker', { emoji: '🔥' });
+  const second = createLayer('sticker');
+
+  expect(first).toEqual(expect.objectContaining({ type: 'sticker', emoji: '🔥', x: 0.5, y: 0.5 }));
+  expect(first.id).not.toBe(second.id);
+});
@@ -0,0 +1,52 @@
+// Shared IndexedDB database for everything the app keeps across visits
+
+const DB_NAME = 'ai-cartoonizer';
+const DB_VERSION = 2;
+
+// Object stores, created on upgrade when missing
+export const HISTORY_STORE = 'history'; // Saved results (version 1)
+export const OUTBOX_STORE = 'outbox'; // Requests waiting for the backend (version 2)
+
+export const isIndexedDbSupported = () => typeof indexedDB !== 'undefined';
+
+// Resolves with the result of an IDBRequest
+export const promisify = (idbRequest) => new Promise((resolve, reject) => {
+  idbRequest.onsuccess = () => resolve(idbRequest.result);
+  idbRequest.onerror = () => reject(idbRequest.error);
+});
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    const openRequest = indexedDB.open(DB_NAME, DB_VERSION);
+    openRequest.onupgradeneeded = () => {
+      const db = openRequest.result;
+      [HISTORY_STORE, OUTBOX_STORE].forEach((name) => {
+        if (db.objectStoreNames.contains(name)) return;
+        db.createObjectStore(name, { keyPath: 'id' }).createIndex('createdAt', 'createdAt');
+      });
+    };
+    dbPromise = promisify(openRequest).catch((err) => {
+      dbPromise = null; // Allow a later retry
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs fn(store) in a transaction and resolves with its result once the transaction completes
+export const withStore = async (name, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    let result;
+    Promise.resolve(fn(transaction.objectStore(name))).then((value) => { result = value; }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Every record in a store, oldest first
+export const listAll = (name) => withStore(name, 'readonly', (store) => promisify(store.index('createdAt').getAll()));
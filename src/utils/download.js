@@ -0,0 +1,15 @@
+// Saves a Blob or object URL by clicking a temporary <a> element
+export const downloadFile = (source, filename) => {
+  const isBlob = source instanceof Blob;
+  const href = isBlob ? URL.createObjectURL(source) : source;
+
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Only revoke URLs created here; callers own the URLs they pass in
+  if (isBlob) setTimeout(() => URL.revokeObjectURL(href), 0);
+};
@@ -0,0 +1,100 @@
+// Minimal EXIF helpers: read the orientation tag (0x0112) from a JPEG's APP1 segment, and carry
+// the segment over to a re-encoded JPEG. Orientation is 1 (upright) without EXIF data.
+
+const ORIENTATION_TAG = 0x0112;
+
+// Reads a Blob into an ArrayBuffer (Blob.arrayBuffer is missing in some environments)
+export const readAsArrayBuffer = (blob) => {
+  if (typeof blob.arrayBuffer === 'function') return blob.arrayBuffer();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+// Locates the APP1 "Exif" segment of a JPEG: { offset, length } including the marker, or null
+const findExifSegment = (view) => {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null; // Not a JPEG
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00) return null; // Corrupt marker stream
+    const segmentLength = view.getUint16(offset + 2);
+
+    // APP1 segment starting with "Exif\0\0"
+    if (marker === 0xFFE1 && offset + 10 <= view.byteLength
+      && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+      return { offset, length: 2 + segmentLength };
+    }
+
+    if (marker === 0xFFDA) return null; // Start of scan: no more metadata
+    offset += 2 + segmentLength;
+  }
+  return null;
+};
+
+// Byte offset of the orientation entry's value inside the segment, or -1
+const findOrientationValue = (view, segment) => {
+  const tiff = segment.offset + 10;
+  const little = view.getUint16(tiff) === 0x4949; // "II" = little endian, "MM" = big endian
+  const ifd0 = tiff + view.getUint32(tiff + 4, little);
+  const entries = view.getUint16(ifd0, little);
+
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (entry + 12 > view.byteLength) return -1;
+    if (view.getUint16(entry, little) === ORIENTATION_TAG) return entry + 8;
+  }
+  return -1;
+};
+
+const isLittleEndian = (view, segment) => view.getUint16(segment.offset + 10) === 0x4949;
+
+// Parses the orientation from the start of a JPEG file
+export const parseExifOrientation = (buffer) => {
+  const view = new DataView(buffer);
+  const segment = findExifSegment(view);
+  if (!segment) return 1;
+  const valueOffset = findOrientationValue(view, segment);
+  if (valueOffset < 0) return 1;
+  const orientation = view.getUint16(valueOffset, isLittleEndian(view, segment));
+  return orientation >= 1 && orientation <= 8 ? orientation : 1;
+};
+
+// Copies a JPEG's EXIF segment so it can be carried over to a re-encoded image. The orientation
+// is reset to 1 because the re-encoded pixels are already upright. Returns null without EXIF.
+export const extractExifSegment = (buffer) => {
+  const view = new DataView(buffer);
+  const segment = findExifSegment(view);
+  if (!segment || segment.offset + segment.length > view.byteLength) return null;
+  const bytes = new Uint8Array(buffer.slice(segment.offset, segment.offset + segment.length));
+  const valueOffset = findOrientationValue(view, segment);
+  if (valueOffset >= 0) {
+    new DataView(bytes.buffer).setUint16(valueOffset - segment.offset, 1, isLittleEndian(view, segment));
+  }
+  return bytes;
+};
+
+// Returns a copy of a JPEG with the given EXIF segment inserted right after the start marker
+export const insertExifSegment = (buffer, segment) => {
+  const source = new Uint8Array(buffer);
+  const output = new Uint8Array(source.length + segment.length);
+  output.set(source.subarray(0, 2)); // SOI
+  output.set(segment, 2);
+  output.set(source.subarray(2), 2 + segment.length);
+  return output.buffer;
+};
+
+// Reads the EXIF orientation of an image File (only the first 64 KB are needed)
+export const getExifOrientation = async (file) => {
+  if (file.type !== 'image/jpeg') return 1;
+  try {
+    return parseExifOrientation(await readAsArrayBuffer(file.slice(0, 64 * 1024)));
+  } catch (err) {
+    console.error("Error reading EXIF orientation:", err);
+    return 1;
+  }
+};
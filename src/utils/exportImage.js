@@ -0,0 +1,127 @@
+import { createCanvas, canvasToBlob } from './imagePreprocess';
+import { readAsArrayBuffer, extractExifSegment, insertExifSegment } from './exif';
+import { t } from './i18n';
+import { LocalizedError } from '../api/errors';
+
+// Output formats offered when exporting a result
+export const EXPORT_FORMATS = {
+  png: { label: 'PNG', type: 'image/png', extension: 'png', lossy: false },
+  jpeg: { label: 'JPEG', type: 'image/jpeg', extension: 'jpg', lossy: true },
+  webp: { label: 'WebP', type: 'image/webp', extension: 'webp', lossy: true },
+};
+
+// Output sizes: a scale of the result, or a fixed canvas for social media. Labels are message ids.
+export const SIZE_PRESETS = [
+  { id: 'original', label: 'export.sizeOriginal', scale: 1 },
+  { id: '2x', label: 'export.size2x', scale: 2 },
+  { id: 'square', label: 'export.sizeSquare', width: 1080, height: 1080 },
+  { id: 'portrait', label: 'export.sizePortrait', width: 1080, height: 1350 },
+  { id: 'story', label: 'export.sizeStory', width: 1080, height: 1920 },
+];
+
+export const DEFAULT_FILENAME_TEMPLATE = '{original}-{style}-{date}.{ext}';
+
+export const DEFAULT_EXPORT_SETTINGS = {
+  format: 'png',
+  quality: 0.92,
+  size: 'original',
+  fit: 'cover', // Fixed-size presets: 'cover' crops to fill, 'contain' letterboxes
+  stripExif: true,
+  template: DEFAULT_FILENAME_TEMPLATE,
+};
+
+// Canvas size and where the image is drawn on it
+export const exportLayout = (width, height, presetId, fit = 'cover') => {
+  const preset = SIZE_PRESETS.find((entry) => entry.id === presetId) || SIZE_PRESETS[0];
+  if (preset.scale) {
+    const scaled = { width: Math.round(width * preset.scale), height: Math.round(height * preset.scale) };
+    return { canvas: scaled, draw: { x: 0, y: 0, ...scaled } };
+  }
+  const scale = (fit === 'contain' ? Math.min : Math.max)(preset.width / width, preset.height / height);
+  const drawWidth = Math.round(width * scale);
+  const drawHeight = Math.round(height * scale);
+  return {
+    canvas: { width: preset.width, height: preset.height },
+    draw: {
+      x: Math.round((preset.width - drawWidth) / 2),
+      y: Math.round((preset.height - drawHeight) / 2),
+      width: drawWidth,
+      height: drawHeight,
+    },
+  };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Fills a filename template. Placeholders: {original} (name without extension), {style},
+// {date} (YYYY-MM-DD), {time} (HH-MM-SS), {width}, {height} and {ext}.
+export const formatFileName = (template, { original = 'image', style = '', date = new Date(), width = '', height = '', ext }) => {
+  const values = {
+    original: original.replace(/\.[^.]+$/, ''),
+    style,
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+    width,
+    height,
+    ext,
+  };
+  const name = (template || DEFAULT_FILENAME_TEMPLATE)
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match))
+    .replace(/[\\/:*?"<>|]+/g, '-') // Characters that aren't allowed in file names
+    .trim();
+  return name.toLowerCase().endsWith(`.${ext}`) ? name : `${name}.${ext}`;
+};
+
+const decode = async (blob) => {
+  if (typeof createImageBitmap === 'function') return createImageBitmap(blob);
+  const url = URL.createObjectURL(blob);
+  try {
+    return await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new LocalizedError('imageError.decode'));
+      img.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Re-encodes a result in the chosen format and size. Resolves with { blob, width, height }.
+// Re-encoding drops metadata; with stripExif off, JPEG-to-JPEG exports keep the EXIF segment
+// and an unchanged format and size returns the original bytes.
+export const exportImage = async (blob, settings = {}) => {
+  const { format, quality, size, fit, stripExif } = { ...DEFAULT_EXPORT_SETTINGS, ...settings };
+  const { type, lossy } = EXPORT_FORMATS[format] || EXPORT_FORMATS.png;
+
+  const image = await decode(blob);
+  const width = image.width || image.naturalWidth;
+  const height = image.height || image.naturalHeight;
+
+  try {
+    if (!stripExif && size === 'original' && blob.type === type) return { blob, width, height };
+
+    const layout = exportLayout(width, height, size, fit);
+    const canvas = createCanvas(layout.canvas.width, layout.canvas.height);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new LocalizedError('imageError.noCanvas');
+    if (type === 'image/jpeg') {
+      // JPEG has no transparency; letterboxing and transparent pixels become white
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, layout.canvas.width, layout.canvas.height);
+    }
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, layout.draw.x, layout.draw.y, layout.draw.width, layout.draw.height);
+
+    let output = await canvasToBlob(canvas, type, lossy ? quality : undefined);
+    if (output.type !== type) throw new Error(t('export.unsupportedFormat', { format: EXPORT_FORMATS[format].label }));
+
+    if (!stripExif && type === 'image/jpeg' && blob.type === 'image/jpeg') {
+      const segment = extractExifSegment(await readAsArrayBuffer(blob.slice(0, 128 * 1024)));
+      if (segment) output = new Blob([insertExifSegment(await readAsArrayBuffer(output), segment)], { type });
+    }
+    return { blob: output, ...layout.canvas };
+  } finally {
+    if (image.close) image.close();
+  }
+};
@@ -0,0 +1,60 @@
+import { exportLayout, formatFileName } from './exportImage';
+import { extractExifSegment, insertExifSegment, parseExifOrientation } from './exif';
+
+test('scales the original size presets', () => {
+  expect(exportLayout(800, 600, '2x')).toEqual({
+    canvas: { width: 1600, height: 1200 },
+    draw: { x: 0, y: 0, width: 1600, height: 1200 },
+  });
+});
+
+test('fills social presets by cropping, or letterboxes them', () => {
+  expect(exportLayout(800, 600, 'square', 'cover')).toEqual({
+    canvas: { width: 1080, height: 1080 },
+    draw: { x: -180, y: 0, width: 1440, height: 1080 },
+  });
+  expect(exportLayout(800, 600, 'story', 'contain')).toEqual({
+    canvas: { width: 1080, height: 1920 },
+    draw: { x: 0, y: 555, width: 1080, height: 810 },
+  });
+});
+
+test('builds file names from a template', () => {
+  const date = new Date(2024, 4, 1, 9, 5, 7);
+  expect(formatFileName('{original}-{style}-{date}.{ext}', { original: 'holiday.photo.jpg', style: 'sketch', date, ext: 'webp' }))
+    .toBe('holiday.photo-sketch-2024-05-01.webp');
+  expect(formatFileName('{style}/{time} {unknown}', { style: 'oilpaint', date, ext: 'png' }))
+    .toBe('oilpaint-09-05-07 {unknown}.png');
+});
+
+// JPEG start with an EXIF segment holding only the orientation tag, followed by a fake scan
+const jpegWithExif = (orientation) => {
+  const view = new DataView(new ArrayBuffer(42));
+  view.setUint16(0, 0xFFD8); // SOI
+  view.setUint16(2, 0xFFE1); // APP1
+  view.setUint16(4, 34);
+  view.setUint32(6, 0x45786966); // "Exif"
+  view.setUint16(12, 0x4949); // Little endian
+  view.setUint16(14, 42, true);
+  view.setUint32(16, 8, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 0x0112, true);
+  view.setUint16(24, 3, true);
+  view.setUint32(26, 1, true);
+  view.setUint16(30, orientation, true);
+  view.setUint16(38, 0xFFDA); // Start of scan
+  return view.buffer;
+};
+
+test('carries EXIF over to a re-encoded JPEG with the orientation reset', () => {
+  const segment = extractExifSegment(jpegWithExif(6));
+  expect(segment).toHaveLength(36);
+
+  const reencoded = new Uint8Array([0xFF, 0xD8, 0xFF, 0xDA, 0x00, 0x02]).buffer;
+  const output = insertExifSegment(reencoded, segment);
+
+  expect(output.byteLength).toBe(42);
+  expect(parseExifOrientation(output)).toBe(1);
+  expect(new DataView(output).getUint16(38)).toBe(0xFFDA);
+  expect(extractExifSegment(reencoded)).toBeNull();
+});
@@ -0,0 +1,82 @@
+import { HISTORY_STORE, isIndexedDbSupported, promisify, withStore, listAll } from './db';
+import { t } from './i18n';
+
+// Persistent history of cartoonized results, kept in IndexedDB.
+// Each entry is { id, createdAt, originalName, style, params, original, result, size }, where
+// original and result are Blobs and size is their combined byte length.
+
+// Storage budget for the history; the oldest entries are evicted beyond it
+export const HISTORY_QUOTA_BYTES = (Number(process.env.REACT_APP_HISTORY_QUOTA_MB) || 200) * 1024 * 1024;
+export const HISTORY_MAX_ENTRIES = Number(process.env.REACT_APP_HISTORY_MAX_ENTRIES) || 100;
+
+export const isHistorySupported = isIndexedDbSupported;
+
+// Oldest entries that have to go so the rest fit within maxBytes and maxEntries.
+// entries must be sorted oldest first.
+export const selectEvictions = (entries, { maxBytes = HISTORY_QUOTA_BYTES, maxEntries = HISTORY_MAX_ENTRIES } = {}) => {
+  let totalBytes = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  let count = entries.length;
+  const evicted = [];
+  for (const entry of entries) {
+    if (totalBytes <= maxBytes && count <= maxEntries) break;
+    evicted.push(entry);
+    totalBytes -= entry.size || 0;
+    count -= 1;
+  }
+  return evicted;
+};
+
+// Every entry, oldest first
+export const listHistory = () => listAll(HISTORY_STORE);
+
+export const deleteHistoryEntry = (id) => withStore(HISTORY_STORE, 'readwrite', (store) => promisify(store.delete(id)));
+
+export const clearHistory = () => withStore(HISTORY_STORE, 'readwrite', (store) => promisify(store.clear()));
+
+const isQuotaError = (err) => err && (err.name === 'QuotaExceededError' || err.code === 22);
+
+let nextEntryId = 0;
+
+const storeEntry = async ({ id, originalName, style, params, original, result, createdAt }) => {
+  const entry = {
+    id: id || `history-${Date.now()}-${nextEntryId++}`,
+    createdAt: createdAt || new Date().toISOString(),
+    originalName,
+    style,
+    params: params || {},
+    original: original || null,
+    result,
+    size: (original ? original.size : 0) + result.size,
+  };
+
+  const existing = (await listHistory()).filter((item) => item.id !== entry.id);
+  const evicted = selectEvictions([...existing, entry]);
+  if (evicted.includes(entry)) throw new Error(t('history.tooLarge'));
+  const remaining = existing.filter((item) => !evicted.includes(item));
+
+  for (;;) {
+    try {
+      await withStore(HISTORY_STORE, 'readwrite', (store) => {
+        evicted.forEach((item) => store.delete(item.id));
+        store.put(entry);
+      });
+      return { entry, evicted: evicted.map((item) => item.id) };
+    } catch (err) {
+      // The browser's own quota can be smaller than ours: drop the oldest entries until it fits
+      if (!isQuotaError(err) || remaining.length === 0) throw err;
+      evicted.push(remaining.shift());
+    }
+  }
+};
+
+let pendingAdds = Promise.resolve();
+
+// Stores a result, evicting the oldest entries to stay within the quota. An entry with the same id
+// (an edited version of the result) is replaced. Resolves with the stored entry and the ids of
+// evicted entries. Adds run one at a time (batch mode finishes several results at once), so each
+// eviction sees what the previous add stored and together they can't overshoot the quota.
+export const addHistoryEntry = (result) => {
+  const added = pendingAdds.then(() => storeEntry(result));
+  pendingAdds = added.catch(() => {});
+  return added;
+};
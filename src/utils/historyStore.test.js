@@ -0,0 +1,61 @@
+import { selectEvictions, addHistoryEntry, HISTORY_MAX_ENTRIES } from './historyStore';
+
+// In-memory stand-in for the IndexedDB store, oldest first. Reads take their snapshot when they
+// start and resolve on a later tick, like IndexedDB, so overlapping adds would see the same entries
+// if they weren't serialized.
+let mockRecords = [];
+jest.mock('./db', () => ({
+  HISTORY_STORE: 'history',
+  isIndexedDbSupported: () => true,
+  promisify: (value) => Promise.resolve(value),
+  listAll: () => {
+    const snapshot = [...mockRecords];
+    return new Promise((resolve) => setTimeout(() => resolve(snapshot), 0));
+  },
+  withStore: async (name, mode, fn) => fn({
+    delete: (id) => {
+      mockRecords = mockRecords.filter((item) => item.id !== id);
+    },
+    put: (entry) => {
+      mockRecords = [...mockRecords.filter((item) => item.id !== entry.id), entry];
+    },
+  }),
+}));
+
+beforeEach(() => {
+  mockRecords = [];
+});
+
+const entry = (id, size) => ({ id, size });
+
+test('keeps everything while within the quota', () => {
+  const entries = [entry('a', 10), entry('b', 10)];
+  expect(selectEvictions(entries, { maxBytes: 20, maxEntries: 5 })).toEqual([]);
+});
+
+test('evicts the oldest entries until the total size fits', () => {
+  const entries = [entry('a', 10), entry('b', 10), entry('c', 15)];
+  expect(selectEvictions(entries, { maxBytes: 25, maxEntries: 5 }).map((item) => item.id)).toEqual(['a']);
+  expect(selectEvictions(entries, { maxBytes: 15, maxEntries: 5 }).map((item) => item.id)).toEqual(['a', 'b']);
+});
+
+test('evicts the oldest entries beyond the entry limit', () => {
+  const entries = [entry('a', 1), entry('b', 1), entry('c', 1)];
+  expect(selectEvictions(entries, { maxBytes: 100, maxEntries: 2 }).map((item) => item.id)).toEqual(['a']);
+});
+
+test('evicts every entry, including the newest, when it alone exceeds the quota', () => {
+  const entries = [entry('a', 1), entry('b', 50)];
+  expect(selectEvictions(entries, { maxBytes: 20, maxEntries: 5 })).toHaveLength(2);
+});
+
+test('parallel adds are stored one after another, so together they stay within the entry limit', async () => {
+  const stored = Array.from({ length: HISTORY_MAX_ENTRIES - 1 }, (_, i) => ({ id: `old-${i}`, createdAt: `2024-01-01T00:00:${String(i).padStart(2, '0')}Z`, size: 1 }));
+  mockRecords.push(...stored);
+  const result = (name) => ({ originalName: name, style: 'sketch', result: new Blob(['x']) });
+
+  await Promise.all([addHistoryEntry(result('a.png')), addHistoryEntry(result('b.png')), addHistoryEntry(result('c.png'))]);
+
+  expect(mockRecords).toHaveLength(HISTORY_MAX_ENTRIES);
+  expect(mockRecords.slice(-3).map((item) => item.originalName)).toEqual(['a.png', 'b.png', 'c.png']);
+});
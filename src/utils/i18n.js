@@ -0,0 +1,145 @@
+import en from '../locales/en';
+import ar from '../locales/ar';
+
+// Translations. Catalogs in ../locales map message ids to templates in a small subset of ICU
+// MessageFormat:
+//   'Applying "{style}" style...'                          interpolation
+//   '{count, plural, =0 {No results} one {# result} other {# results}}'
+// Plural categories come from Intl.PluralRules (Arabic uses zero/one/two/few/many/other), "=n"
+// matches an exact number first, and "#" is the number formatted for the locale. Messages
+// missing from a catalog fall back to English.
+//
+// The chosen locale is kept in localStorage; until the user picks one it follows the browser.
+
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', messages: en },
+  ar: { label: 'العربية', dir: 'rtl', messages: ar },
+};
+
+export const DEFAULT_LOCALE = 'en';
+const STORAGE_KEY = 'ai-cartoonizer:locale';
+
+// First supported locale among the browser's preferred languages ("ar-EG" matches "ar")
+export const detectLocale = (languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) => {
+  const match = languages
+    .filter(Boolean)
+    .map((language) => language.toLowerCase().split('-')[0])
+    .find((language) => LOCALES[language]);
+  return match || DEFAULT_LOCALE;
+};
+
+const readSaved = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return LOCALES[saved] ? saved : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+let currentLocale = readSaved() || detectLocale();
+const listeners = new Set();
+
+export const getLocale = () => currentLocale;
+
+export const getDirection = (locale = currentLocale) => LOCALES[locale].dir;
+
+// Sets lang and dir on <html>, so the browser, screen readers and rtl: styles follow the locale
+export const applyDocumentLocale = (locale = currentLocale) => {
+  document.documentElement.lang = locale;
+  document.documentElement.dir = getDirection(locale);
+};
+
+export const setLocale = (locale) => {
+  if (!LOCALES[locale] || locale === currentLocale) return;
+  currentLocale = locale;
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch (err) {
+    console.error("Error saving locale:", err);
+  }
+  applyDocumentLocale(locale);
+  listeners.forEach((listener) => listener());
+};
+
+// Calls listener whenever the locale changes; returns an unsubscribe function
+export const subscribeToLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const formatNumber = (value, options, locale = currentLocale) => new Intl.NumberFormat(locale, options).format(value);
+
+export const formatDate = (value, options = { dateStyle: 'medium', timeStyle: 'short' }, locale = currentLocale) => (
+  new Intl.DateTimeFormat(locale, options).format(new Date(value))
+);
+
+// Index of the brace closing the one at `start`
+const closingBrace = (template, start) => {
+  let depth = 0;
+  for (let i = start; i < template.length; i++) {
+    if (template[i] === '{') depth++;
+    if (template[i] === '}') depth--;
+    if (depth === 0) return i;
+  }
+  throw new Error(`Unbalanced braces in message "${template}"`);
+};
+
+// "=0 {...} one {...} other {...}" -> { '=0': '...', one: '...', other: '...' }
+const parseOptions = (text) => {
+  const options = {};
+  let i = 0;
+  while (i < text.length) {
+    const open = text.indexOf('{', i);
+    if (open === -1) break;
+    const close = closingBrace(text, open);
+    options[text.slice(i, open).trim()] = text.slice(open + 1, close);
+    i = close + 1;
+  }
+  return options;
+};
+
+const formatArgument = (body, values, locale) => {
+  const [name, type, ...rest] = body.split(',');
+  const key = name.trim();
+  const value = values[key];
+  if (type === undefined) {
+    if (value === undefined) return `{${key}}`;
+    return typeof value === 'number' ? formatNumber(value, undefined, locale) : String(value);
+  }
+  if (type.trim() !== 'plural') throw new Error(`Unsupported message argument type "${type.trim()}"`);
+  const options = parseOptions(rest.join(','));
+  const count = Number(value);
+  const category = new Intl.PluralRules(locale).select(count);
+  const branch = [`=${count}`, category, 'other'].find((selector) => options[selector] !== undefined);
+  return formatMessage(branch ? options[branch] : '', values, locale, count);
+};
+
+// Fills a template; count is what "#" stands for inside a plural branch
+export const formatMessage = (template, values = {}, locale = currentLocale, count = null) => {
+  let output = '';
+  let i = 0;
+  while (i < template.length) {
+    const char = template[i];
+    if (char === '{') {
+      const close = closingBrace(template, i);
+      output += formatArgument(template.slice(i + 1, close), values, locale);
+      i = close + 1;
+    } else {
+      output += char === '#' && count !== null ? formatNumber(count, undefined, locale) : char;
+      i++;
+    }
+  }
+  return output;
+};
+
+// Translated message for an id in the current (or given) locale
+export const t = (id, values, locale = currentLocale) => {
+  const { messages } = LOCALES[locale];
+  const template = messages[id] !== undefined ? messages[id] : en[id];
+  if (template === undefined) {
+    console.error("Missing translation:", id);
+    return id;
+  }
+  return formatMessage(template, values, locale);
+};
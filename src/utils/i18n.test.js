@@ -0,0 +1,70 @@
+import { LOCALES, detectLocale, formatMessage, formatNumber, t, setLocale, getLocale, subscribeToLocale } from './i18n';
+
+afterEach(() => {
+  setLocale('en');
+  localStorage.clear();
+});
+
+test('interpolates values into a template', () => {
+  expect(formatMessage('Applying "{style}" style...', { style: 'sketch' }, 'en')).toBe('Applying "sketch" style...');
+  expect(formatMessage('Hello {name}', {}, 'en')).toBe('Hello {name}');
+});
+
+test('picks English plural branches, preferring exact matches', () => {
+  const template = '{count, plural, =0 {No results} one {# result} other {# results}}';
+  expect(formatMessage(template, { count: 0 }, 'en')).toBe('No results');
+  expect(formatMessage(template, { count: 1 }, 'en')).toBe('1 result');
+  expect(formatMessage(template, { count: 1200 }, 'en')).toBe('1,200 results');
+});
+
+test('picks Arabic plural categories and formats "#" for the locale', () => {
+  const template = '{count, plural, zero {Z} one {O} two {T} few {# F} many {# M} other {# X}}';
+  expect(formatMessage(template, { count: 0 }, 'ar')).toBe('Z');
+  expect(formatMessage(template, { count: 2 }, 'ar')).toBe('T');
+  expect(formatMessage(template, { count: 3 }, 'ar')).toBe(`${formatNumber(3, undefined, 'ar')} F`);
+  expect(formatMessage(template, { count: 11 }, 'ar')).toBe(`${formatNumber(11, undefined, 'ar')} M`);
+});
+
+test('supports arguments nested inside plural branches', () => {
+  const template = '{count, plural, one {One image in {style}} other {# images in {style}}}';
+  expect(formatMessage(template, { count: 2, style: 'anime' }, 'en')).toBe('2 images in anime');
+});
+
+test('falls back to English, then to the id, for missing messages', () => {
+  const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const { 'app.name': name } = LOCALES.ar.messages;
+  expect(name).toBeUndefined();
+  expect(t('app.name', {}, 'ar')).toBe('AI-Cartoonizer');
+  expect(t('no.such.message')).toBe('no.such.message');
+  expect(spy).toHaveBeenCalledWith("Missing translation:", 'no.such.message');
+  spy.mockRestore();
+});
+
+test('every Arabic message has an English source', () => {
+  Object.keys(LOCALES.ar.messages).forEach((id) => {
+    expect(LOCALES.en.messages[id]).toBeDefined();
+  });
+});
+
+test('detects the first supported browser language', () => {
+  expect(detectLocale(['fr-FR', 'ar-EG', 'en'])).toBe('ar');
+  expect(detectLocale(['de'])).toBe('en');
+  expect(detectLocale([])).toBe('en');
+});
+
+test('setLocale saves the choice, sets <html> lang and dir and notifies subscribers', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeToLocale(listener);
+
+  setLocale('ar');
+  expect(getLocale()).toBe('ar');
+  expect(localStorage.getItem('ai-cartoonizer:locale')).toBe('ar');
+  expect(document.documentElement.dir).toBe('rtl');
+  expect(document.documentElement.lang).toBe('ar');
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  setLocale('xx'); // Unsupported locales are ignored
+  expect(getLocale()).toBe('ar');
+  expect(listener).toHaveBeenCalledTimes(1);
+  unsubscribe();
+});
@@ -0,0 +1,64 @@
+import { MAX_INPUT_BYTES, formatBytes } from './validateImage';
+import { t } from './i18n';
+
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+// First image in a paste event's clipboard data, as a File (or null)
+export const getClipboardImage = (clipboardData) => {
+  if (!clipboardData) return null;
+  const fromFiles = Array.from(clipboardData.files || []).find((file) => file.type.startsWith('image/'));
+  if (fromFiles) return fromFiles;
+  const item = Array.from(clipboardData.items || []).find((entry) => entry.kind === 'file' && entry.type.startsWith('image/'));
+  const file = item && item.getAsFile();
+  if (!file) return null;
+  // Screenshots arrive as "image.png" or without a name at all
+  const name = file.name && file.name !== 'image.png' ? file.name : `pasted-${Date.now()}.${EXTENSIONS[file.type] || 'png'}`;
+  return new File([file], name, { type: file.type, lastModified: Date.now() });
+};
+
+// File name for an image downloaded from url
+const fileNameFromUrl = (url, type) => {
+  const lastSegment = decodeURIComponent(url.pathname.split('/').pop() || '');
+  const extension = EXTENSIONS[type] || 'png';
+  if (!lastSegment) return `imported.${extension}`;
+  return /\.[a-z0-9]+$/i.test(lastSegment) ? lastSegment : `${lastSegment}.${extension}`;
+};
+
+// Downloads a remote image and resolves with it as a File. Rejects with an Error whose message
+// explains the problem: invalid URL, CORS/network failure, HTTP error, non-image or oversized response.
+export const fetchImageFromUrl = async (address, { signal, maxBytes = MAX_INPUT_BYTES } = {}) => {
+  let url;
+  try {
+    url = new URL(address.trim());
+  } catch (err) {
+    throw new Error(t('import.invalidUrl'));
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(t('import.protocol'));
+  }
+
+  let response;
+  try {
+    response = await fetch(url.href, { mode: 'cors', signal });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    // Browsers report CORS rejections as plain network errors, so both are covered here
+    throw new Error(t('import.unreachable'));
+  }
+
+  if (!response.ok) {
+    throw new Error(t('import.httpError', { status: `${response.status} ${response.statusText || ''}`.trim() }));
+  }
+
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!type.startsWith('image/')) {
+    throw new Error(type ? t('import.notImageType', { type }) : t('import.notImage'));
+  }
+  const declaredSize = Number(response.headers.get('content-length'));
+  if (declaredSize > maxBytes) {
+    throw new Error(t('import.tooBig', { size: formatBytes(declaredSize), max: formatBytes(maxBytes) }));
+  }
+
+  const blob = await response.blob();
+  return new File([blob], fileNameFromUrl(url, type), { type, lastModified: Date.now() });
+};
@@ -0,0 +1,41 @@
+import { fetchImageFromUrl, getClipboardImage } from './imageImport';
+
+const respond = ({ status = 200, type = 'image/png', length, body = 'png' } = {}) => Promise.resolve({
+  ok: status < 300,
+  status,
+  statusText: status === 404 ? 'Not Found' : 'OK',
+  headers: { get: (name) => ({ 'content-type': type, 'content-length': length }[name.toLowerCase()] ?? null) },
+  blob: () => Promise.resolve(new Blob([body], { type })),
+});
+
+test('downloads a remote image as a File named after the URL', async () => {
+  global.fetch = jest.fn(() => respond({ type: 'image/jpeg; charset=binary' }));
+
+  const file = await fetchImageFromUrl(' https://example.com/photos/cat.jpg?size=large ');
+
+  expect(global.fetch).toHaveBeenCalledWith('https://example.com/photos/cat.jpg?size=large', expect.objectContaining({ mode: 'cors' }));
+  expect(file.name).toBe('cat.jpg');
+  expect(file.type).toBe('image/jpeg');
+});
+
+test.each([
+  ['not a url', () => respond(), 'Please enter a valid image URL.'],
+  ['ftp://example.com/cat.png', () => respond(), 'Only http:// and https:// image URLs are supported.'],
+  ['https://example.com/page', () => respond({ type: 'text/html' }), 'That URL does not point to an image (it returned text/html).'],
+  ['https://example.com/missing.png', () => respond({ status: 404 }), 'the server responded with 404 Not Found.'],
+  ['https://example.com/huge.png', () => respond({ length: String(50 * 1024 * 1024) }), 'The image is 50.0 MB; the maximum is 20.0 MB.'],
+  ['https://no-cors.example.com/cat.png', () => Promise.reject(new TypeError('Failed to fetch')), '(CORS)'],
+])('explains why %s cannot be imported', async (url, fetchImpl, message) => {
+  global.fetch = jest.fn(fetchImpl);
+  await expect(fetchImageFromUrl(url)).rejects.toThrow(message);
+});
+
+test('takes pasted screenshots from the clipboard and ignores text', () => {
+  const screenshot = new File(['png'], 'image.png', { type: 'image/png' });
+  const item = { kind: 'file', type: 'image/png', getAsFile: () => screenshot };
+  const pasted = getClipboardImage({ files: [], items: [{ kind: 'string', type: 'text/plain' }, item] });
+
+  expect(pasted.type).toBe('image/png');
+  expect(pasted.name).toMatch(/^pasted-\d+\.png$/);
+  expect(getClipboardImage({ files: [], items: [{ kind: 'string', type: 'text/plain' }] })).toBeNull();
+});
@@ -0,0 +1,153 @@
+import { getExifOrientation } from './exif';
+import { LocalizedError } from '../api/errors';
+
+// Longest side, in pixels, of images sent to the backend unless configured otherwise
+export const MAX_UPLOAD_DIMENSION = Number(process.env.REACT_APP_MAX_UPLOAD_DIMENSION) || 2048;
+// JPEG/WebP quality used when re-encoding uploads
+export const UPLOAD_QUALITY = Number(process.env.REACT_APP_UPLOAD_QUALITY) || 0.9;
+
+// Default editor settings: no crop, no rotation, no flips
+export const DEFAULT_PREPROCESS = {
+  rotation: 0, // Clockwise, in multiples of 90 degrees
+  flipH: false,
+  flipV: false,
+  crop: null, // { x, y, width, height } as fractions of the rotated image
+  maxDimension: MAX_UPLOAD_DIMENSION,
+};
+
+// 2D transforms as [a, b, c, d] (canvas transform order, no translation)
+const IDENTITY = [1, 0, 0, 1];
+const ROTATE_90 = [0, 1, -1, 0];
+const FLIP_H = [-1, 0, 0, 1];
+const FLIP_V = [1, 0, 0, -1];
+
+// Transform that turns a raw image with the given EXIF orientation upright
+const EXIF_TRANSFORMS = {
+  1: IDENTITY,
+  2: FLIP_H,
+  3: [-1, 0, 0, -1],
+  4: FLIP_V,
+  5: [0, 1, 1, 0],
+  6: ROTATE_90,
+  7: [0, -1, -1, 0],
+  8: [0, -1, 1, 0],
+};
+
+// Applies `first`, then `second` (`|| 0` normalizes -0 so matrices compare cleanly)
+const compose = (second, first) => [
+  second[0] * first[0] + second[2] * first[1] || 0,
+  second[1] * first[0] + second[3] * first[1] || 0,
+  second[0] * first[2] + second[2] * first[3] || 0,
+  second[1] * first[2] + second[3] * first[3] || 0,
+];
+
+// Combines EXIF orientation, user rotation and flips into a single transform
+export const buildOrientationMatrix = (orientation, { rotation = 0, flipH = false, flipV = false } = {}) => {
+  let matrix = EXIF_TRANSFORMS[orientation] || IDENTITY;
+  for (let turns = ((rotation / 90) % 4 + 4) % 4; turns > 0; turns--) {
+    matrix = compose(ROTATE_90, matrix);
+  }
+  if (flipH) matrix = compose(FLIP_H, matrix);
+  if (flipV) matrix = compose(FLIP_V, matrix);
+  return matrix;
+};
+
+// Size of the oriented image and the translation that moves it back to the origin
+export const orientedGeometry = ([a, b, c, d], width, height) => {
+  const xs = [0, a * width, c * height, a * width + c * height];
+  const ys = [0, b * width, d * height, b * width + d * height];
+  return {
+    width: Math.abs(a * width + c * height),
+    height: Math.abs(b * width + d * height),
+    e: 0 - Math.min(...xs),
+    f: 0 - Math.min(...ys),
+  };
+};
+
+// Decodes a file without the browser applying EXIF orientation, so it can be applied explicitly.
+// Falls back to an <img> element, which browsers already orient, in which case orientation is 1.
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'none' });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, orientation: await getExifOrientation(file), close: () => bitmap.close() };
+    } catch (err) {
+      // Fall through to the <img> path (e.g. unsupported options)
+    }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new LocalizedError('imageError.decode'));
+      img.src = url;
+    });
+    return { source: image, width: image.naturalWidth, height: image.naturalHeight, orientation: 1, close: () => {} };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Canvas of the given size, offscreen where supported
+export const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// Encodes a canvas (regular or offscreen) as a Blob
+export const canvasToBlob = (canvas, type, quality) => {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new LocalizedError('imageError.encode'))), type, quality);
+  });
+};
+
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+// PNGs keep their transparency; everything else is re-encoded as JPEG
+const outputTypeFor = (file) => (file.type === 'image/png' ? 'image/png' : 'image/jpeg');
+
+// Orients, crops, downscales and re-encodes an image in the browser, resolving with a new File
+export const preprocessImage = async (file, settings = {}) => {
+  const { rotation, flipH, flipV, crop, maxDimension } = { ...DEFAULT_PREPROCESS, ...settings };
+  const decoded = await decodeImage(file);
+
+  try {
+    const matrix = buildOrientationMatrix(decoded.orientation, { rotation, flipH, flipV });
+    const oriented = orientedGeometry(matrix, decoded.width, decoded.height);
+
+    // Crop rectangle in oriented pixels
+    const region = crop
+      ? {
+        x: Math.round(crop.x * oriented.width),
+        y: Math.round(crop.y * oriented.height),
+        width: Math.max(1, Math.round(crop.width * oriented.width)),
+        height: Math.max(1, Math.round(crop.height * oriented.height)),
+      }
+      : { x: 0, y: 0, width: oriented.width, height: oriented.height };
+
+    const scale = Math.min(1, maxDimension / Math.max(region.width, region.height));
+    const width = Math.max(1, Math.round(region.width * scale));
+    const height = Math.max(1, Math.round(region.height * scale));
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new LocalizedError('imageError.noCanvas');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.scale(scale, scale);
+    ctx.translate(-region.x, -region.y);
+    ctx.transform(matrix[0], matrix[1], matrix[2], matrix[3], oriented.e, oriented.f);
+    ctx.drawImage(decoded.source, 0, 0);
+
+    const type = outputTypeFor(file);
+    const blob = await canvasToBlob(canvas, type, UPLOAD_QUALITY);
+    const name = `${file.name.replace(/\.[^.]+$/, '')}.${EXTENSIONS[type]}`;
+    return new File([blob], name, { type, lastModified: Date.now() });
+  } finally {
+    decoded.close();
+  }
+};
@@ -0,0 +1,45 @@
+import { parseExifOrientation } from './exif';
+import { buildOrientationMatrix, orientedGeometry } from './imagePreprocess';
+
+// Builds the start of a JPEG with an EXIF APP1 segment holding only the orientation tag
+const jpegWithOrientation = (orientation, littleEndian) => {
+  const bytes = new DataView(new ArrayBuffer(40));
+  bytes.setUint16(0, 0xFFD8); // SOI
+  bytes.setUint16(2, 0xFFE1); // APP1
+  bytes.setUint16(4, 34); // Segment length
+  bytes.setUint32(6, 0x45786966); // "Exif"
+  bytes.setUint16(10, 0);
+  bytes.setUint16(12, littleEndian ? 0x4949 : 0x4D4D); // TIFF byte order
+  bytes.setUint16(14, 42, littleEndian);
+  bytes.setUint32(16, 8, littleEndian); // IFD0 offset from TIFF start
+  bytes.setUint16(20, 1, littleEndian); // One entry
+  bytes.setUint16(22, 0x0112, littleEndian); // Orientation tag
+  bytes.setUint16(24, 3, littleEndian); // SHORT
+  bytes.setUint32(26, 1, littleEndian);
+  bytes.setUint16(30, orientation, littleEndian);
+  return bytes.buffer;
+};
+
+test('reads the EXIF orientation in either byte order', () => {
+  expect(parseExifOrientation(jpegWithOrientation(6, true))).toBe(6);
+  expect(parseExifOrientation(jpegWithOrientation(8, false))).toBe(8);
+});
+
+test('treats files without EXIF data as upright', () => {
+  expect(parseExifOrientation(new Uint8Array([0x89, 0x50, 0x4E, 0x47]).buffer)).toBe(1);
+});
+
+test('a sideways phone photo becomes portrait', () => {
+  // Orientation 6: stored as 4000x3000 landscape, displayed rotated 90 degrees clockwise
+  const matrix = buildOrientationMatrix(6);
+  expect(orientedGeometry(matrix, 4000, 3000)).toMatchObject({ width: 3000, height: 4000 });
+});
+
+test('user rotation composes with the EXIF orientation', () => {
+  // Rotating an orientation-6 photo 90 degrees left cancels it out
+  expect(buildOrientationMatrix(6, { rotation: 270 })).toEqual([1, 0, 0, 1]);
+  // Four quarter turns are a no-op; a horizontal flip of an upright image mirrors x
+  expect(buildOrientationMatrix(1, { rotation: 360 })).toEqual([1, 0, 0, 1]);
+  expect(buildOrientationMatrix(1, { flipH: true })).toEqual([-1, 0, 0, 1]);
+  expect(orientedGeometry([-1, 0, 0, 1], 200, 100)).toEqual({ width: 200, height: 100, e: 200, f: 0 });
+});
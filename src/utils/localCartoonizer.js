@@ -0,0 +1,83 @@
+import { createCanvas, canvasToBlob } from './imagePreprocess';
+import { LOCAL_STYLES } from './cartoonFilters';
+import { LocalizedError, RequestCancelledError } from '../api/errors';
+
+// On-device fallback for when the backend is unreachable: approximations of the built-in styles,
+// computed in a Web Worker so the page stays responsive. Same contract as cartoonizeImage:
+// resolves with a PNG Blob and rejects with RequestCancelledError when signal aborts.
+
+// Longest side processed on the device; the filters are O(pixels) but still far slower than the server
+export const LOCAL_MAX_DIMENSION = Number(process.env.REACT_APP_LOCAL_MAX_DIMENSION) || 1280;
+
+export { LOCAL_STYLES };
+
+export const isLocalEngineSupported = () => typeof Worker !== 'undefined' && typeof createImageBitmap === 'function';
+
+export const isLocalStyle = (style) => LOCAL_STYLES.includes(style);
+
+// Each job gets its own worker: terminating is the only way to interrupt a running filter, and a
+// shared worker would take every other job down with the cancelled one
+const runInWorker = async (message, transfer, { signal, onProgress }) => {
+  const { default: createCartoonWorker } = await import('../workers/createCartoonWorker');
+  if (signal && signal.aborted) throw new RequestCancelledError('Request cancelled.');
+  const worker = createCartoonWorker();
+
+  return new Promise((resolve, reject) => {
+    const settle = (callback, value) => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', handleAbort);
+      callback(value);
+    };
+    const handleAbort = () => settle(reject, new RequestCancelledError('Request cancelled.'));
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress({ stage: data.stage, progress: data.progress });
+      } else if (data.type === 'done') {
+        settle(resolve, data.image);
+      } else {
+        settle(reject, new LocalizedError('local.failed', { reason: data.message }));
+      }
+    };
+    worker.onerror = (e) => {
+      console.error("Cartoonizer worker failed:", e);
+      settle(reject, new LocalizedError('local.crashed'));
+    };
+    if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+    worker.postMessage(message, transfer);
+  });
+};
+
+// Decodes a file into pixels, downscaled to LOCAL_MAX_DIMENSION
+const readPixels = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const scale = Math.min(1, LOCAL_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new LocalizedError('imageError.noCanvas');
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+  } finally {
+    bitmap.close();
+  }
+};
+
+const writePng = async ({ data, width, height }) => {
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+  return canvasToBlob(canvas, 'image/png');
+};
+
+// Cartoonizes an image on the device. onProgress receives { stage, progress } from the worker.
+export const cartoonizeLocally = async (file, style, { params = {}, signal, onProgress } = {}) => {
+  if (!isLocalEngineSupported()) throw new LocalizedError('local.unsupported');
+  if (!isLocalStyle(style)) throw new LocalizedError('local.serverOnly', { style });
+
+  const image = await readPixels(file);
+  const message = { image: { data: image.data, width: image.width, height: image.height }, style, params };
+  const output = await runInWorker(message, [image.data.buffer], { signal, onProgress });
+  return writePng(output);
+};
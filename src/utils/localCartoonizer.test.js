@@ -0,0 +1,74 @@
+import { cartoonizeLocally } from './localCartoonizer';
+import createCartoonWorker from '../workers/createCartoonWorker';
+import { RequestCancelledError } from '../api/errors';
+
+jest.mock('../workers/createCartoonWorker', () => ({ __esModule: true, default: jest.fn() }));
+
+jest.mock('./imagePreprocess', () => ({
+  createCanvas: () => ({
+    getContext: () => ({
+      drawImage: () => {},
+      getImageData: () => ({ data: new Uint8ClampedArray(4), width: 1, height: 1 }),
+      putImageData: () => {},
+    }),
+  }),
+  canvasToBlob: () => Promise.resolve(new Blob(['png'], { type: 'image/png' })),
+}));
+
+const workers = [];
+
+beforeEach(() => {
+  workers.length = 0;
+  global.Worker = function Worker() {};
+  global.createImageBitmap = jest.fn(() => Promise.resolve({ width: 1, height: 1, close: jest.fn() }));
+  global.ImageData = function ImageData(data, width, height) {
+    Object.assign(this, { data, width, height });
+  };
+  createCartoonWorker.mockImplementation(() => {
+    const worker = { postMessage: jest.fn(), terminate: jest.fn() };
+    workers.push(worker);
+    return worker;
+  });
+});
+
+afterEach(() => {
+  delete global.Worker;
+  delete global.createImageBitmap;
+  delete global.ImageData;
+});
+
+const file = () => new File(['img'], 'photo.png', { type: 'image/png' });
+
+const waitForWorkers = async (count) => {
+  while (workers.length < count || workers.some((worker) => !worker.postMessage.mock.calls.length)) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+};
+
+test('cancelling one job leaves the others running', async () => {
+  const first = new AbortController();
+  const cancelled = cartoonizeLocally(file(), 'sketch', { signal: first.signal });
+  const kept = cartoonizeLocally(file(), 'sketch', { signal: new AbortController().signal });
+  await waitForWorkers(2);
+
+  first.abort();
+  await expect(cancelled).rejects.toBeInstanceOf(RequestCancelledError);
+  expect(workers[0].terminate).toHaveBeenCalled();
+  expect(workers[1].terminate).not.toHaveBeenCalled();
+
+  workers[1].onmessage({ data: { type: 'done', image: { data: new Uint8ClampedArray(4), width: 1, height: 1 } } });
+  await expect(kept).resolves.toBeInstanceOf(Blob);
+  expect(workers[1].terminate).toHaveBeenCalled();
+});
+
+test('reports progress and failures of its own job', async () => {
+  const onProgress = jest.fn();
+  const job = cartoonizeLocally(file(), 'sketch', { onProgress });
+  await waitForWorkers(1);
+
+  workers[0].onmessage({ data: { type: 'progress', stage: 'edges', progress: 0.5 } });
+  expect(onProgress).toHaveBeenCalledWith({ stage: 'edges', progress: 0.5 });
+
+  workers[0].onmessage({ data: { type: 'error', message: 'filter crashed' } });
+  await expect(job).rejects.toThrow('The on-device cartoonizer could not process the image. filter crashed');
+});
@@ -0,0 +1,141 @@
+import { createCanvas, canvasToBlob } from './imagePreprocess';
+
+// Selective cartoonization: the user paints the areas to stylize over the original and everything
+// else is kept as it was. A mask is the list of strokes painted in the mask editor, with points as
+// fractions of the image and brush sizes as a fraction of its longest side, so the same mask can be
+// rendered at any resolution (the editor overlay, the upload, a downscaled on-device result):
+//   { tool: 'brush' | 'eraser', size, points: [{ x, y }] }  paint or erase along a path
+//   { tool: 'clear' }                                         erase everything painted so far
+//
+// REACT_APP_MASK_MODE chooses who applies it: 'client' (default) blends the result with the original
+// through the mask in the browser; 'server' sends the mask as a black-and-white PNG "mask" part next
+// to the image (white = stylize) for backends that support it.
+
+export const MASK_MODE = process.env.REACT_APP_MASK_MODE === 'server' ? 'server' : 'client';
+
+export const DEFAULT_BRUSH_SIZE = 0.05;
+
+// Soft edge where stylized and original pixels meet, as a fraction of the longest side
+const FEATHER = 0.004;
+
+// Undo/redo history for the editor: strokes applied so far and strokes undone, most recent first
+export const emptyMaskHistory = { strokes: [], undone: [] };
+
+export const addStroke = (history, stroke) => ({ strokes: [...history.strokes, stroke], undone: [] });
+
+export const undoStroke = (history) => {
+  if (history.strokes.length === 0) return history;
+  return {
+    strokes: history.strokes.slice(0, -1),
+    undone: [history.strokes[history.strokes.length - 1], ...history.undone],
+  };
+};
+
+export const redoStroke = (history) => {
+  if (history.undone.length === 0) return history;
+  const [stroke, ...undone] = history.undone;
+  return { strokes: [...history.strokes, stroke], undone };
+};
+
+// Whether replaying the strokes leaves anything painted. Erasers are assumed not to remove a brush
+// stroke completely, so only a clear after the last brush stroke empties the mask.
+export const hasMask = (strokes) => {
+  for (let i = strokes.length - 1; i >= 0; i--) {
+    if (strokes[i].tool === 'clear') return false;
+    if (strokes[i].tool === 'brush') return true;
+  }
+  return false;
+};
+
+// Replays strokes onto a 2D context of the given size. By default painted areas get `color` on a
+// transparent background and erasers cut through it; with opaque they are white on black.
+export const drawMask = (ctx, strokes, width, height, { opaque = false, color = '#fff' } = {}) => {
+  const scale = Math.max(width, height);
+  const reset = () => {
+    ctx.globalCompositeOperation = 'source-over';
+    if (opaque) {
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, width, height);
+    } else {
+      ctx.clearRect(0, 0, width, height);
+    }
+  };
+
+  reset();
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  strokes.forEach((stroke) => {
+    if (stroke.tool === 'clear') {
+      reset();
+      return;
+    }
+    const [first, ...rest] = stroke.points;
+    if (!first) return;
+    const isEraser = stroke.tool === 'eraser';
+    const paint = opaque ? (isEraser ? '#000' : '#fff') : color; // Erasers only need full alpha otherwise
+    ctx.globalCompositeOperation = isEraser && !opaque ? 'destination-out' : 'source-over';
+    ctx.strokeStyle = paint;
+    ctx.fillStyle = paint;
+    ctx.lineWidth = stroke.size * scale;
+    ctx.beginPath();
+    if (rest.length === 0) {
+      // A single click paints a dot
+      ctx.arc(first.x * width, first.y * height, (stroke.size * scale) / 2, 0, Math.PI * 2);
+      ctx.fill();
+      return;
+    }
+    ctx.moveTo(first.x * width, first.y * height);
+    rest.forEach((point) => ctx.lineTo(point.x * width, point.y * height));
+    ctx.stroke();
+  });
+  ctx.globalCompositeOperation = 'source-over';
+};
+
+// Black-and-white PNG of the mask at an image's size, for backends that apply it themselves
+export const renderMaskFor = async (image, strokes) => {
+  const bitmap = await createImageBitmap(image);
+  const { width, height } = bitmap;
+  bitmap.close();
+  const canvas = createCanvas(width, height);
+  drawMask(canvas.getContext('2d'), strokes, width, height, { opaque: true });
+  return canvasToBlob(canvas, 'image/png');
+};
+
+// Blends a result with the original through the mask: stylized pixels where the user painted, the
+// original everywhere else. Works at the result's size, which can be smaller than the original's.
+export const compositeWithMask = async (original, result, strokes) => {
+  const [base, styled] = await Promise.all([createImageBitmap(original), createImageBitmap(result)]);
+  try {
+    const { width, height } = styled;
+    const mask = createCanvas(width, height);
+    drawMask(mask.getContext('2d'), strokes, width, height);
+
+    // Cut the painted area out of the result, with slightly softened edges...
+    const cutout = createCanvas(width, height);
+    const cutoutCtx = cutout.getContext('2d');
+    cutoutCtx.drawImage(styled, 0, 0);
+    cutoutCtx.globalCompositeOperation = 'destination-in';
+    cutoutCtx.filter = `blur(${Math.max(1, Math.round(Math.max(width, height) * FEATHER))}px)`;
+    cutoutCtx.drawImage(mask, 0, 0);
+
+    // ...and lay it over the original
+    const output = createCanvas(width, height);
+    const outputCtx = output.getContext('2d');
+    outputCtx.drawImage(base, 0, 0, width, height);
+    outputCtx.drawImage(cutout, 0, 0);
+    return canvasToBlob(output, 'image/png');
+  } finally {
+    base.close();
+    styled.close();
+  }
+};
+
+// Runs a cartoonize call restricted to the painted area. send(maskPng) performs the request: in
+// 'server' mode it receives the mask PNG to forward; in 'client' mode it receives null and its
+// result is composited afterwards. Without a mask it is simply called with null.
+export const cartoonizeWithMask = async (file, strokes, send, { mode = MASK_MODE } = {}) => {
+  if (!strokes || !hasMask(strokes)) return send(null);
+  if (mode === 'server') return send(await renderMaskFor(file, strokes));
+  const result = await send(null);
+  return compositeWithMask(file, result, strokes);
+};
@@ -0,0 +1,101 @@
+import { emptyMaskHistory, addStroke, undoStroke, redoStroke, hasMask, drawMask, cartoonizeWithMask } from './mask';
+
+const brush = (points, size = 0.1) => ({ tool: 'brush', size, points });
+const eraser = (points, size = 0.1) => ({ tool: 'eraser', size, points });
+
+// 2D context that records drawing calls as [name, ...args] and property writes as ['set', name, value]
+const recordingContext = () => {
+  const calls = [];
+  const methods = ['clearRect', 'fillRect', 'beginPath', 'moveTo', 'lineTo', 'arc', 'fill', 'stroke'];
+  const target = {};
+  methods.forEach((name) => {
+    target[name] = (...args) => calls.push([name, ...args]);
+  });
+  const ctx = new Proxy(target, {
+    set: (object, name, value) => {
+      calls.push(['set', name, value]);
+      object[name] = value;
+      return true;
+    },
+  });
+  return { ctx, calls };
+};
+
+test('undoes and redoes strokes, dropping the redo stack on a new stroke', () => {
+  const first = brush([{ x: 0.1, y: 0.1 }]);
+  const second = brush([{ x: 0.5, y: 0.5 }]);
+  const third = eraser([{ x: 0.2, y: 0.2 }]);
+
+  let history = addStroke(addStroke(emptyMaskHistory, first), second);
+  history = undoStroke(history);
+  expect(history).toEqual({ strokes: [first], undone: [second] });
+  expect(redoStroke(history)).toEqual({ strokes: [first, second], undone: [] });
+  expect(addStroke(history, third)).toEqual({ strokes: [first, third], undone: [] });
+
+  // Nothing to undo or redo leaves the history as it is
+  expect(undoStroke(emptyMaskHistory)).toBe(emptyMaskHistory);
+  expect(redoStroke(emptyMaskHistory)).toBe(emptyMaskHistory);
+});
+
+test('tells whether anything is left painted', () => {
+  const stroke = brush([{ x: 0.5, y: 0.5 }]);
+
+  expect(hasMask([])).toBe(false);
+  expect(hasMask([eraser([{ x: 0.5, y: 0.5 }])])).toBe(false);
+  expect(hasMask([stroke, eraser([{ x: 0.5, y: 0.5 }])])).toBe(true);
+  expect(hasMask([stroke, { tool: 'clear' }])).toBe(false);
+  expect(hasMask([stroke, { tool: 'clear' }, stroke])).toBe(true);
+});
+
+test('replays strokes scaled to the canvas size', () => {
+  const { ctx, calls } = recordingContext();
+
+  drawMask(ctx, [brush([{ x: 0.1, y: 0.5 }, { x: 0.9, y: 0.5 }], 0.05), eraser([{ x: 0.5, y: 0.5 }], 0.1)], 200, 100, { color: 'red' });
+
+  expect(calls).toEqual([
+    ['set', 'globalCompositeOperation', 'source-over'],
+    ['clearRect', 0, 0, 200, 100],
+    ['set', 'lineCap', 'round'],
+    ['set', 'lineJoin', 'round'],
+    // Brush: a line across the middle, 5% of the longest side wide
+    ['set', 'globalCompositeOperation', 'source-over'],
+    ['set', 'strokeStyle', 'red'],
+    ['set', 'fillStyle', 'red'],
+    ['set', 'lineWidth', 10],
+    ['beginPath'],
+    ['moveTo', 20, 50],
+    ['lineTo', 180, 50],
+    ['stroke'],
+    // Eraser click: a dot cut out of the mask
+    ['set', 'globalCompositeOperation', 'destination-out'],
+    ['set', 'strokeStyle', 'red'],
+    ['set', 'fillStyle', 'red'],
+    ['set', 'lineWidth', 20],
+    ['beginPath'],
+    ['arc', 100, 50, 10, 0, Math.PI * 2],
+    ['fill'],
+    ['set', 'globalCompositeOperation', 'source-over'],
+  ]);
+});
+
+test('draws opaque masks white on black, and clears back to black', () => {
+  const { ctx, calls } = recordingContext();
+
+  drawMask(ctx, [brush([{ x: 0.5, y: 0.5 }]), eraser([{ x: 0.5, y: 0.5 }]), { tool: 'clear' }], 10, 10, { opaque: true });
+
+  const fills = calls.filter(([name]) => name === 'fillRect');
+  const styles = calls.filter(([name, property]) => name === 'set' && property === 'fillStyle').map(([, , value]) => value);
+  expect(fills).toEqual([['fillRect', 0, 0, 10, 10], ['fillRect', 0, 0, 10, 10]]);
+  expect(styles).toEqual(['#000', '#fff', '#000', '#000']);
+  expect(calls).not.toContainEqual(['set', 'globalCompositeOperation', 'destination-out']);
+});
+
+test('sends the request unchanged when nothing is painted', async () => {
+  const file = new File(['jpg'], 'photo.jpg', { type: 'image/jpeg' });
+  const result = new Blob(['png'], { type: 'image/png' });
+  const send = jest.fn(() => Promise.resolve(result));
+
+  await expect(cartoonizeWithMask(file, null, send)).resolves.toBe(result);
+  await expect(cartoonizeWithMask(file, [{ tool: 'clear' }], send, { mode: 'server' })).resolves.toBe(result);
+  expect(send.mock.calls).toEqual([[null], [null]]);
+});
@@ -0,0 +1,30 @@
+import { OUTBOX_STORE, isIndexedDbSupported, promisify, withStore, listAll } from './db';
+
+// Cartoonize requests made while the backend was unreachable, kept in IndexedDB until they can
+// be replayed. Each item is { id, createdAt, originalName, style, params, mask, file }, where mask
+// holds the painted strokes (see ./mask) or null.
+
+export const isOutboxSupported = isIndexedDbSupported;
+
+let nextItemId = 0;
+
+export const listOutbox = () => listAll(OUTBOX_STORE);
+
+// Queues a request; resolves with the stored item
+export const enqueueRequest = async ({ originalName, style, params, mask, file }) => {
+  const item = {
+    id: `outbox-${Date.now()}-${nextItemId++}`,
+    createdAt: new Date().toISOString(),
+    originalName,
+    style,
+    params: params || {},
+    mask: mask || null,
+    file,
+  };
+  await withStore(OUTBOX_STORE, 'readwrite', (store) => promisify(store.put(item)));
+  return item;
+};
+
+export const removeFromOutbox = (id) => withStore(OUTBOX_STORE, 'readwrite', (store) => promisify(store.delete(id)));
+
+export const clearOutbox = () => withStore(OUTBOX_STORE, 'readwrite', (store) => promisify(store.clear()));
@@ -0,0 +1,69 @@
+// Jobs submitted in job mode but not yet finished, kept in localStorage so a reload can resume them.
+// Each entry is { id, style, params, originalName, preview, submittedAt }, where preview is a
+// small data URL of the uploaded image so the before/after view can be restored.
+
+const STORAGE_KEY = 'ai-cartoonizer:pending-jobs';
+
+// Jobs older than this are assumed to be gone from the backend and are not resumed
+export const PENDING_JOB_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+export const loadPendingJobs = () => {
+  try {
+    const jobs = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(jobs) ? jobs : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const storeJobs = (jobs) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(jobs));
+  } catch (err) {
+    // Most likely the quota: keep the job without its preview rather than losing it
+    console.error("Error saving pending jobs:", err);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(jobs.map(({ preview, ...job }) => job)));
+    } catch (retryErr) {
+      console.error("Error saving pending jobs without previews:", retryErr);
+    }
+  }
+};
+
+export const savePendingJob = (job) => {
+  storeJobs([...loadPendingJobs().filter((entry) => entry.id !== job.id), job]);
+};
+
+export const updatePendingJob = (id, changes) => {
+  storeJobs(loadPendingJobs().map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+};
+
+export const removePendingJob = (id) => {
+  storeJobs(loadPendingJobs().filter((entry) => entry.id !== id));
+};
+
+// Forgets jobs submitted more than PENDING_JOB_MAX_AGE_MS ago and returns the rest
+export const dropExpiredJobs = (now = Date.now()) => {
+  const jobs = loadPendingJobs();
+  const current = jobs.filter((job) => !job.submittedAt || now - Date.parse(job.submittedAt) < PENDING_JOB_MAX_AGE_MS);
+  if (current.length !== jobs.length) storeJobs(current);
+  return current;
+};
+
+// Reads a Blob as a data URL
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Turns a stored data URL back into a File
+export const dataUrlToFile = (dataUrl, name) => {
+  const [header, data] = dataUrl.split(',');
+  const type = (header.match(/data:([^;]+)/) || [])[1] || 'application/octet-stream';
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new File([bytes], name, { type });
+};
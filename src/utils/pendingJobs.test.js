@@ -0,0 +1,28 @@
+import { loadPendingJobs, savePendingJob, updatePendingJob, removePendingJob, dropExpiredJobs, PENDING_JOB_MAX_AGE_MS, dataUrlToFile } from './pendingJobs';
+
+beforeEach(() => localStorage.clear());
+
+test('keeps pending jobs in localStorage across page loads', () => {
+  savePendingJob({ id: 'a', style: 'sketch' });
+  savePendingJob({ id: 'b', style: 'oilpaint' });
+  updatePendingJob('a', { preview: 'data:image/png;base64,AA==' });
+  removePendingJob('b');
+
+  expect(loadPendingJobs()).toEqual([{ id: 'a', style: 'sketch', preview: 'data:image/png;base64,AA==' }]);
+});
+
+test('drops jobs too old to still be on the backend', () => {
+  const now = Date.parse('2024-05-02T12:00:00.000Z');
+  savePendingJob({ id: 'old', submittedAt: new Date(now - PENDING_JOB_MAX_AGE_MS - 1).toISOString() });
+  savePendingJob({ id: 'recent', submittedAt: new Date(now - 60000).toISOString() });
+
+  expect(dropExpiredJobs(now).map((job) => job.id)).toEqual(['recent']);
+  expect(loadPendingJobs().map((job) => job.id)).toEqual(['recent']);
+});
+
+test('restores a stored preview as a File', () => {
+  const file = dataUrlToFile('data:image/png;base64,iVBORw==', 'photo.png');
+  expect(file.name).toBe('photo.png');
+  expect(file.type).toBe('image/png');
+  expect(file.size).toBe(4);
+});
@@ -0,0 +1,78 @@
+import { downloadFile } from './download';
+import { blobToDataUrl } from './pendingJobs';
+import { LocalizedError } from '../api/errors';
+
+// Largest image offered as a data link; bigger ones are downloaded instead
+const MAX_DATA_LINK_BYTES = 2 * 1024 * 1024;
+
+export const canCopyImage = () => Boolean(navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem !== 'undefined');
+
+export const canShareFiles = (file) => Boolean(navigator.share && navigator.canShare && navigator.canShare({ files: [file] }));
+
+// Clipboards only reliably accept PNG, so other formats are converted first
+export const toPngBlob = async (blob) => {
+  if (blob.type === 'image/png') return blob;
+  const bitmap = await createImageBitmap(blob);
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new LocalizedError('imageError.noCanvas');
+    ctx.drawImage(bitmap, 0, 0);
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob((png) => (png ? resolve(png) : reject(new LocalizedError('imageError.encode'))), 'image/png');
+    });
+  } finally {
+    bitmap.close();
+  }
+};
+
+// Copies a data link to the image, or downloads it when it is too big or the clipboard is unavailable.
+// Resolves with 'link-copied' or 'downloaded'.
+const fallBack = async (blob, filename) => {
+  if (navigator.clipboard && navigator.clipboard.writeText && blob.size <= MAX_DATA_LINK_BYTES) {
+    try {
+      await navigator.clipboard.writeText(await blobToDataUrl(blob));
+      return 'link-copied';
+    } catch (err) {
+      console.error("Error copying image link:", err);
+    }
+  }
+  downloadFile(blob, filename);
+  return 'downloaded';
+};
+
+// Puts the image on the clipboard as a PNG so it can be pasted into chat apps and slides.
+// Resolves with 'copied', or with the fallback outcome ('link-copied' or 'downloaded') when image
+// copying isn't available.
+export const copyImage = async (blob, filename) => {
+  if (!canCopyImage()) return fallBack(blob, filename);
+  try {
+    // Passing a promise keeps the user gesture alive in Safari while the PNG is prepared
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': toPngBlob(blob) })]);
+    return 'copied';
+  } catch (err) {
+    console.error("Error copying image:", err);
+    return fallBack(blob, filename);
+  }
+};
+
+// The fallback outcome prefixed with 'share-', so it can be told apart from a failed copy
+const shareFallBack = async (blob, filename) => `share-${await fallBack(blob, filename)}`;
+
+// Opens the system share sheet with the image as a file. Resolves with 'shared', 'cancelled'
+// (the user closed the sheet) or, when file sharing isn't supported, 'share-link-copied' or
+// 'share-downloaded'.
+export const shareImage = async (blob, filename, { title = 'AI-Cartoonizer', text } = {}) => {
+  const file = new File([blob], filename, { type: blob.type || 'image/png' });
+  if (!canShareFiles(file)) return shareFallBack(blob, filename);
+  try {
+    await navigator.share({ files: [file], title, text });
+    return 'shared';
+  } catch (err) {
+    if (err.name === 'AbortError') return 'cancelled';
+    console.error("Error sharing image:", err);
+    return shareFallBack(blob, filename);
+  }
+};
@@ -0,0 +1,67 @@
+import { copyImage, shareImage } from './shareImage';
+import { downloadFile } from './download';
+
+jest.mock('./download', () => ({ downloadFile: jest.fn() }));
+
+const png = new Blob(['png'], { type: 'image/png' });
+
+const setNavigator = (name, value) => Object.defineProperty(navigator, name, { configurable: true, value });
+
+afterEach(() => {
+  delete navigator.clipboard;
+  delete navigator.share;
+  delete navigator.canShare;
+  delete global.ClipboardItem;
+  downloadFile.mockClear();
+});
+
+test('copies the image as a PNG ClipboardItem', async () => {
+  global.ClipboardItem = jest.fn(function ClipboardItem(items) { this.items = items; });
+  const write = jest.fn(() => Promise.resolve());
+  setNavigator('clipboard', { write });
+
+  await expect(copyImage(png, 'result.png')).resolves.toBe('copied');
+  const [[item]] = write.mock.calls[0];
+  await expect(item.items['image/png']).resolves.toBe(png);
+});
+
+test('copies a data link when the browser cannot copy images', async () => {
+  const writeText = jest.fn(() => Promise.resolve());
+  setNavigator('clipboard', { writeText });
+
+  await expect(copyImage(png, 'result.png')).resolves.toBe('link-copied');
+  expect(writeText.mock.calls[0][0]).toMatch(/^data:image\/png;base64,/);
+});
+
+test('shares the image as a file where supported', async () => {
+  const share = jest.fn(() => Promise.resolve());
+  setNavigator('share', share);
+  setNavigator('canShare', ({ files }) => files[0] instanceof File);
+
+  await expect(shareImage(png, 'result.png')).resolves.toBe('shared');
+  const [{ files }] = share.mock.calls[0];
+  expect(files[0].name).toBe('result.png');
+  expect(files[0].type).toBe('image/png');
+});
+
+test('treats a dismissed share sheet as cancelled', async () => {
+  setNavigator('share', () => Promise.reject(Object.assign(new Error('dismissed'), { name: 'AbortError' })));
+  setNavigator('canShare', () => true);
+
+  await expect(shareImage(png, 'result.png')).resolves.toBe('cancelled');
+  expect(downloadFile).not.toHaveBeenCalled();
+});
+
+test('copies a data link when the browser cannot share files, reporting it as a share fallback', async () => {
+  const writeText = jest.fn(() => Promise.resolve());
+  setNavigator('clipboard', { writeText });
+
+  await expect(shareImage(png, 'result.png')).resolves.toBe('share-link-copied');
+  expect(writeText.mock.calls[0][0]).toMatch(/^data:image\/png;base64,/);
+});
+
+test('downloads the image when neither sharing nor the clipboard is available', async () => {
+  await expect(shareImage(png, 'result.png')).resolves.toBe('share-downloaded');
+  expect(downloadFile).toHaveBeenCalledWith(png, 'result.png');
+  await expect(copyImage(png, 'result.png')).resolves.toBe('downloaded');
+});
@@ -0,0 +1,64 @@
+import { t } from './i18n';
+
+// Helpers for the per-style parameter schema published in the style catalog.
+// A parameter looks like:
+//   { name: 'edge_thickness', label: 'Edge thickness', type: 'range', min: 1, max: 10, step: 1, default: 3 }
+// Supported types: 'range' (slider), 'number', 'select' (with options) and 'boolean'.
+
+const isNumeric = (param) => param.type === 'range' || param.type === 'number';
+
+// Select options may be plain values or { value, label } objects
+export const optionValue = (option) => (option !== null && typeof option === 'object' ? option.value : option);
+
+// Value used when nothing has been remembered for a parameter
+export const defaultParamValue = (param) => {
+  if (param.default !== undefined) return param.default;
+  if (isNumeric(param)) return param.min !== undefined ? param.min : 0;
+  if (param.type === 'select') return param.options && param.options.length ? optionValue(param.options[0]) : '';
+  if (param.type === 'boolean') return false;
+  return '';
+};
+
+// Builds the full value map for a schema, preferring the given saved values
+export const resolveParamValues = (schema, saved = {}) => schema.reduce((values, param) => {
+  values[param.name] = saved[param.name] !== undefined ? saved[param.name] : defaultParamValue(param);
+  return values;
+}, {});
+
+// Checks a single value against its parameter definition; returns an error message or null
+export const validateParam = (param, value) => {
+  const label = param.label || param.name;
+
+  if (isNumeric(param)) {
+    if (value === '' || value === null || value === undefined || !Number.isFinite(Number(value))) {
+      return t('params.notNumber', { label });
+    }
+    const number = Number(value);
+    if (param.min !== undefined && number < param.min) return t('params.min', { label, min: String(param.min) });
+    if (param.max !== undefined && number > param.max) return t('params.max', { label, max: String(param.max) });
+    if (Number.isInteger(param.step) && !Number.isInteger(number)) return t('params.whole', { label });
+    return null;
+  }
+  if (param.type === 'select') {
+    const allowed = (param.options || []).map((option) => String(optionValue(option)));
+    return allowed.includes(String(value)) ? null : t('params.oneOf', { label, options: allowed.join(', ') });
+  }
+  if (param.type === 'boolean') {
+    return typeof value === 'boolean' ? null : t('params.boolean', { label });
+  }
+  return null;
+};
+
+// Validates every parameter; returns a { name: message } map that is empty when all values are valid
+export const validateParams = (schema, values) => schema.reduce((errors, param) => {
+  const message = validateParam(param, values[param.name]);
+  if (message) errors[param.name] = message;
+  return errors;
+}, {});
+
+// Converts values into the strings sent as multipart fields
+export const serializeParams = (schema, values) => schema.reduce((fields, param) => {
+  const value = values[param.name];
+  fields[param.name] = isNumeric(param) ? String(Number(value)) : String(value);
+  return fields;
+}, {});
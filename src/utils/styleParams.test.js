@@ -0,0 +1,51 @@
+import { resolveParamValues, validateParams, serializeParams } from './styleParams';
+import { setLocale } from './i18n';
+
+const schema = [
+  { name: 'edge_thickness', label: 'Edge thickness', type: 'range', min: 1, max: 10, step: 1, default: 3 },
+  { name: 'strength', label: 'Strength', type: 'number', min: 0, max: 1 },
+  { name: 'palette', label: 'Palette', type: 'select', options: ['warm', { value: 'cool', label: 'Cool' }] },
+  { name: 'invert', label: 'Invert', type: 'boolean' },
+];
+
+test('fills in defaults and keeps saved values', () => {
+  expect(resolveParamValues(schema, { strength: 0.5 })).toEqual({
+    edge_thickness: 3,
+    strength: 0.5,
+    palette: 'warm',
+    invert: false,
+  });
+});
+
+test('reports a readable error for each invalid parameter', () => {
+  expect(validateParams(schema, { edge_thickness: 2.5, strength: '', palette: 'neon', invert: 'yes' })).toEqual({
+    edge_thickness: 'Edge thickness must be a whole number.',
+    strength: 'Strength must be a number.',
+    palette: 'Palette must be one of: warm, cool.',
+    invert: 'Invert must be on or off.',
+  });
+  expect(validateParams(schema, { edge_thickness: 11, strength: -1, palette: 'cool', invert: true })).toEqual({
+    edge_thickness: 'Edge thickness must be at most 10.',
+    strength: 'Strength must be at least 0.',
+  });
+});
+
+test('reports errors in the active language', () => {
+  setLocale('ar');
+  try {
+    expect(validateParams(schema, { edge_thickness: 3, strength: 2, palette: 'warm', invert: false })).toEqual({
+      strength: 'يجب ألا تزيد قيمة Strength عن 1.',
+    });
+  } finally {
+    setLocale('en');
+  }
+});
+
+test('serializes values as multipart field strings', () => {
+  expect(serializeParams(schema, { edge_thickness: 4, strength: 0.25, palette: 'cool', invert: true })).toEqual({
+    edge_thickness: '4',
+    strength: '0.25',
+    palette: 'cool',
+    invert: 'true',
+  });
+});
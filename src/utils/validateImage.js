@@ -0,0 +1,170 @@
+import { readAsArrayBuffer } from './exif';
+import { createCanvas, canvasToBlob } from './imagePreprocess';
+import { t, formatNumber } from './i18n';
+
+// Checks shared by every way an image can enter the app (drop, paste, URL import, camera).
+// Each rule fails with an ImageValidationError whose message can be shown to the user as is.
+
+// Formats the app understands. HEIC is converted to JPEG and GIF to a PNG of its first frame,
+// so the backend only ever receives JPEG, PNG or WebP.
+export const IMAGE_FORMATS = {
+  jpeg: { label: 'JPEG', mimeTypes: ['image/jpeg'], extensions: ['.jpg', '.jpeg'] },
+  png: { label: 'PNG', mimeTypes: ['image/png'], extensions: ['.png'] },
+  webp: { label: 'WebP', mimeTypes: ['image/webp'], extensions: ['.webp'] },
+  heic: { label: 'HEIC', mimeTypes: ['image/heic', 'image/heif'], extensions: ['.heic', '.heif'] },
+  gif: { label: 'GIF', mimeTypes: ['image/gif'], extensions: ['.gif'] },
+};
+
+const parseFormats = (value) => value.split(',').map((format) => format.trim().toLowerCase()).filter((format) => IMAGE_FORMATS[format]);
+
+// Limits, configurable at build time
+export const ALLOWED_FORMATS = parseFormats(process.env.REACT_APP_ALLOWED_FORMATS || 'jpeg,png,webp,heic,gif');
+export const MAX_INPUT_BYTES = (Number(process.env.REACT_APP_MAX_INPUT_MB) || 20) * 1024 * 1024;
+export const MIN_IMAGE_DIMENSION = Number(process.env.REACT_APP_MIN_IMAGE_DIMENSION) || 64; // Shortest side
+export const MAX_IMAGE_DIMENSION = Number(process.env.REACT_APP_MAX_IMAGE_DIMENSION) || 12000; // Longest side
+
+export const DEFAULT_LIMITS = {
+  formats: ALLOWED_FORMATS,
+  maxBytes: MAX_INPUT_BYTES,
+  minDimension: MIN_IMAGE_DIMENSION,
+  maxDimension: MAX_IMAGE_DIMENSION,
+};
+
+// A file broke one of the rules; rule is 'empty' | 'content' | 'format' | 'size' | 'dimensions' | 'decode'
+export class ImageValidationError extends Error {
+  constructor(message, rule) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.rule = rule;
+  }
+}
+
+export const formatBytes = (bytes) => (bytes >= 1024 * 1024
+  ? t('bytes.megabytes', { size: formatNumber(bytes / (1024 * 1024), { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })
+  : t('bytes.kilobytes', { size: Math.ceil(bytes / 1024) }));
+
+// Human-readable list of formats, e.g. "JPEG, PNG, WebP"
+export const describeFormats = (formats = ALLOWED_FORMATS) => formats.map((format) => IMAGE_FORMATS[format].label).join(', ');
+
+// react-dropzone `accept` option for the allowed formats
+export const dropzoneAccept = (formats = ALLOWED_FORMATS) => formats.reduce((accept, format) => {
+  IMAGE_FORMATS[format].mimeTypes.forEach((type) => {
+    accept[type] = IMAGE_FORMATS[format].extensions;
+  });
+  return accept;
+}, {});
+
+const startsWith = (bytes, signature, offset = 0) => signature.every((byte, i) => bytes[offset + i] === byte);
+const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.slice(offset, offset + length));
+
+// Identifies an image format from the first bytes of a file, or returns null
+export const sniffImageFormat = (bytes) => {
+  if (startsWith(bytes, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+  if (startsWith(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') return 'webp';
+  if (ascii(bytes, 0, 6) === 'GIF87a' || ascii(bytes, 0, 6) === 'GIF89a') return 'gif';
+  // ISO base media file ("ftyp" box) with a HEIF brand
+  if (ascii(bytes, 4, 4) === 'ftyp' && ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(ascii(bytes, 8, 4))) return 'heic';
+  return null;
+};
+
+// Message for a file react-dropzone rejected before it reached onDrop
+export const describeRejection = ({ file, errors }, formats = ALLOWED_FORMATS) => {
+  const codes = errors.map((error) => error.code);
+  if (codes.includes('file-invalid-type')) return t('validation.invalidType', { name: file.name, formats: describeFormats(formats) });
+  return t('validation.rejected', { name: file.name, reason: errors.map((error) => error.message).join(' ') });
+};
+
+const decode = async (blob) => {
+  if (typeof createImageBitmap === 'function') return createImageBitmap(blob);
+  const url = URL.createObjectURL(blob);
+  try {
+    return await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('The image could not be decoded.'));
+      img.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const renameTo = (name, extension) => `${name.replace(/\.[^.]+$/, '')}.${extension}`;
+
+// Re-encodes a decoded image (for GIF, its first frame) as a File
+const encodeAs = async (image, name, type, extension) => {
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Canvas is not supported in this browser.');
+  ctx.drawImage(image, 0, 0);
+  const blob = await canvasToBlob(canvas, type, 0.92);
+  return new File([blob], renameTo(name, extension), { type, lastModified: Date.now() });
+};
+
+// HEIC decodes natively in Safari; elsewhere it is converted with heic2any, loaded on demand
+const convertHeic = async (file) => {
+  try {
+    const image = await createImageBitmap(file);
+    try {
+      return await encodeAs(image, file.name, 'image/jpeg', 'jpg');
+    } finally {
+      image.close();
+    }
+  } catch (err) {
+    const { default: heic2any } = await import('heic2any');
+    const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.92 });
+    const blob = Array.isArray(converted) ? converted[0] : converted; // Image sequences: keep the first
+    return new File([blob], renameTo(file.name, 'jpg'), { type: 'image/jpeg', lastModified: Date.now() });
+  }
+};
+
+// Checks an image against the limits and resolves with an upload-ready File: typed by its actual
+// contents, HEIC converted to JPEG and GIF reduced to its first frame. Rejects with an
+// ImageValidationError describing the first rule it breaks.
+export const validateImage = async (file, limits = {}) => {
+  const { formats, maxBytes, minDimension, maxDimension } = { ...DEFAULT_LIMITS, ...limits };
+
+  if (!file || file.size === 0) throw new ImageValidationError(t('validation.empty', { name: file ? file.name : t('validation.unnamedFile') }), 'empty');
+
+  const format = sniffImageFormat(new Uint8Array(await readAsArrayBuffer(file.slice(0, 32))));
+  if (!format) {
+    throw new ImageValidationError(t('validation.content', { name: file.name, formats: describeFormats(formats) }), 'content');
+  }
+  if (!formats.includes(format)) {
+    throw new ImageValidationError(t('validation.format', { name: file.name, format: IMAGE_FORMATS[format].label, formats: describeFormats(formats) }), 'format');
+  }
+  if (file.size > maxBytes) {
+    throw new ImageValidationError(t('validation.size', { name: file.name, size: formatBytes(file.size), max: formatBytes(maxBytes) }), 'size');
+  }
+
+  let output = file;
+  let image;
+  try {
+    if (format === 'heic') {
+      output = await convertHeic(file);
+    } else if (format === 'gif') {
+      image = await decode(file);
+      output = await encodeAs(image, file.name, 'image/png', 'png');
+    } else if (file.type !== IMAGE_FORMATS[format].mimeTypes[0]) {
+      // Wrong or missing declared type (e.g. a renamed file): trust the contents
+      output = new File([file], file.name, { type: IMAGE_FORMATS[format].mimeTypes[0], lastModified: file.lastModified });
+    }
+    if (!image) image = await decode(output);
+  } catch (err) {
+    console.error("Error decoding image:", err);
+    throw new ImageValidationError(t('validation.decode', { name: file.name }), 'decode');
+  }
+
+  const width = image.width || image.naturalWidth;
+  const height = image.height || image.naturalHeight;
+  if (image.close) image.close();
+
+  if (Math.min(width, height) < minDimension) {
+    throw new ImageValidationError(t('validation.tooSmall', { name: file.name, width: String(width), height: String(height), min: String(minDimension) }), 'dimensions');
+  }
+  if (Math.max(width, height) > maxDimension) {
+    throw new ImageValidationError(t('validation.tooLarge', { name: file.name, width: String(width), height: String(height), max: String(maxDimension) }), 'dimensions');
+  }
+  return output;
+};
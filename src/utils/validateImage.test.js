@@ -0,0 +1,63 @@
+import { validateImage, sniffImageFormat, describeRejection, dropzoneAccept, ImageValidationError } from './validateImage';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const bytes = (...parts) => new Uint8Array(parts.flatMap((part) => (typeof part === 'string' ? [...part].map((c) => c.charCodeAt(0)) : part)));
+const pngFile = (name = 'photo.png', size = 100, type = 'image/png') => new File([bytes(PNG_SIGNATURE, new Array(size).fill(0))], name, { type });
+
+beforeEach(() => {
+  global.createImageBitmap = jest.fn(() => Promise.resolve({ width: 800, height: 600, close: jest.fn() }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.createImageBitmap;
+  console.error.mockRestore();
+});
+
+const rejection = (promise) => promise.then(() => null, (err) => err);
+
+test('recognizes formats by their magic bytes', () => {
+  expect(sniffImageFormat(bytes([0xFF, 0xD8, 0xFF, 0xE0]))).toBe('jpeg');
+  expect(sniffImageFormat(bytes(PNG_SIGNATURE))).toBe('png');
+  expect(sniffImageFormat(bytes('RIFF', [0, 0, 0, 0], 'WEBPVP8 '))).toBe('webp');
+  expect(sniffImageFormat(bytes('GIF89a'))).toBe('gif');
+  expect(sniffImageFormat(bytes([0, 0, 0, 24], 'ftypheic'))).toBe('heic');
+  expect(sniffImageFormat(bytes('<!DOCTYPE html>'))).toBeNull();
+});
+
+test('accepts a valid image and types it by its contents', async () => {
+  const file = await validateImage(pngFile('renamed.jpg', 100, 'image/jpeg'));
+  expect(file.type).toBe('image/png');
+  expect(file.name).toBe('renamed.jpg');
+});
+
+test('each rule reports its own error', async () => {
+  const cases = [
+    [new File([], 'empty.png', { type: 'image/png' }), {}, 'empty', '"empty.png" is empty.'],
+    [new File(['hello'], 'notes.png', { type: 'image/png' }), {}, 'content', '"notes.png" is not an image'],
+    [pngFile(), { formats: ['jpeg'] }, 'format', '"photo.png" is a PNG image. Supported formats: JPEG.'],
+    [pngFile('big.png', 4096), { maxBytes: 1024 }, 'size', '"big.png" is 5 KB; the maximum is 1 KB.'],
+    [pngFile(), { minDimension: 1000 }, 'dimensions', 'is only 800x600 pixels; images must be at least 1000 pixels on each side.'],
+    [pngFile(), { maxDimension: 640 }, 'dimensions', 'is 800x600 pixels; the maximum is 640 pixels on the longest side.'],
+  ];
+  for (const [file, limits, rule, message] of cases) {
+    const error = await rejection(validateImage(file, limits));
+    expect(error).toBeInstanceOf(ImageValidationError);
+    expect(error.rule).toBe(rule);
+    expect(error.message).toContain(message);
+  }
+});
+
+test('reports files that cannot be decoded', async () => {
+  global.createImageBitmap.mockRejectedValue(new Error('bad data'));
+  const error = await rejection(validateImage(pngFile('broken.png')));
+  expect(error.rule).toBe('decode');
+  expect(error.message).toBe('"broken.png" could not be read. The file may be damaged.');
+});
+
+test('describes files rejected by the dropzone and accepts every allowed format', () => {
+  const file = new File(['x'], 'report.pdf', { type: 'application/pdf' });
+  expect(describeRejection({ file, errors: [{ code: 'file-invalid-type', message: 'File type must be image/*' }] }, ['jpeg', 'webp']))
+    .toBe('"report.pdf" is not a supported image. Supported formats: JPEG, WebP.');
+  expect(dropzoneAccept(['png', 'heic'])).toEqual({ 'image/png': ['.png'], 'image/heic': ['.heic', '.heif'], 'image/heif': ['.heic', '.heif'] });
+});
@@ -0,0 +1,54 @@
+import JSZip from 'jszip';
+
+// File extensions for the image types the backend may return
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+// Strips the extension from a filename ("team/photo.jpg" -> "photo")
+const baseName = (filename) => filename.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '') || 'image';
+
+// Builds a unique output filename for a result, e.g. "photo-sketch.png"
+const outputName = (result, usedNames) => {
+  const ext = EXTENSIONS[result.blob.type] || 'png';
+  const stem = `${baseName(result.originalName)}-${result.style}`;
+  let name = `${stem}.${ext}`;
+  for (let i = 2; usedNames.has(name); i++) {
+    name = `${stem}-${i}.${ext}`;
+  }
+  usedNames.add(name);
+  return name;
+};
+
+// Packs cartoonized results into a ZIP archive with a manifest.json describing each file.
+// Each result is { originalName, style, params, blob, processedAt }.
+export const buildResultsZip = async (results) => {
+  const zip = new JSZip();
+  const usedNames = new Set(['manifest.json']);
+
+  const manifest = results.map((result) => {
+    const output = outputName(result, usedNames);
+    zip.file(output, result.blob);
+    return {
+      original: result.originalName,
+      style: result.style,
+      output,
+      processedAt: result.processedAt,
+      ...(result.params && Object.keys(result.params).length > 0 ? { params: result.params } : {}),
+    };
+  });
+
+  zip.file('manifest.json', JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    count: manifest.length,
+    files: manifest,
+  }, null, 2));
+
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+};
+
+// Default archive name for an export made now
+export const zipFileName = () => `ai-cartoonizer-batch-${Date.now()}.zip`;
@@ -0,0 +1,28 @@
+import JSZip from 'jszip';
+import { buildResultsZip } from './zipExport';
+
+// jsdom's Blob has no arrayBuffer(), so read it through FileReader
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsArrayBuffer(blob);
+});
+
+test('packs each result with a manifest mapping originals to outputs', async () => {
+  const results = [
+    { originalName: 'team.jpg', style: 'sketch', blob: new Blob(['a'], { type: 'image/png' }), processedAt: '2024-01-01T00:00:00.000Z' },
+    { originalName: 'team.jpeg', style: 'sketch', blob: new Blob(['b'], { type: 'image/jpeg' }), processedAt: '2024-01-01T00:01:00.000Z' },
+    { originalName: 'team.png', style: 'sketch', blob: new Blob(['c'], { type: 'image/png' }), processedAt: '2024-01-01T00:02:00.000Z' },
+  ];
+
+  const zip = await JSZip.loadAsync(await readBlob(await buildResultsZip(results)));
+  const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+
+  expect(manifest.count).toBe(3);
+  expect(manifest.files).toEqual([
+    { original: 'team.jpg', style: 'sketch', output: 'team-sketch.png', processedAt: '2024-01-01T00:00:00.000Z' },
+    { original: 'team.jpeg', style: 'sketch', output: 'team-sketch.jpg', processedAt: '2024-01-01T00:01:00.000Z' },
+    { original: 'team.png', style: 'sketch', output: 'team-sketch-2.png', processedAt: '2024-01-01T00:02:00.000Z' },
+  ]);
+  expect(await zip.file('team-sketch-2.png').async('string')).toBe('c');
+});
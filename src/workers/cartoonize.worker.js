@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { applyStyle } from '../utils/cartoonFilters';
+
+// Runs the on-device styles off the main thread, one job per worker. Message in: { image, style,
+// params } with image as { data, width, height }. Messages out: { type: 'progress', stage, progress },
+// { type: 'done', image } (pixel buffer transferred) or { type: 'error', message }.
+self.onmessage = ({ data: { image, style, params } }) => {
+  try {
+    const output = applyStyle(image, style, params, (update) => self.postMessage({ type: 'progress', ...update }));
+    self.postMessage({ type: 'done', image: output }, [output.data.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
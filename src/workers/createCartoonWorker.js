@@ -0,0 +1,5 @@
+// Kept apart so only code that actually starts the worker pulls in import.meta, which the
+// test environment can't parse; load it with a dynamic import().
+const createCartoonWorker = () => new Worker(new URL('./cartoonize.worker.js', import.meta.url));
+
+export default createCartoonWorker;